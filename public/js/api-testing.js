@@ -8,7 +8,10 @@ class APITester {
 
     init() {
         console.log('🔧 API Tester initialized');
+        this.currentType = null;
+        this.typeInputs = {};
         this.setupEventListeners();
+        this.loadDataTypes();
     }
 
     setupEventListeners() {
@@ -35,7 +38,8 @@ class APITester {
                 method: method,
                 headers: {
                     'Content-Type': 'application/json',
-                    'Accept': 'application/json'
+                    'Accept': 'application/json',
+                    ...(method !== 'GET' ? sessionClient.headers() : {})
                 }
             };
 
@@ -91,7 +95,157 @@ class APITester {
         }
     }
 
+    // Fill the type selector from the /api/types registry
+    async loadDataTypes() {
+        const select = document.getElementById('dataType');
+        if (!select) return;
+
+        try {
+            const response = await fetch(`${this.baseURL}/api/types`, { headers: { 'Accept': 'application/json' } });
+            if (!response.ok) return;
+
+            const { types } = await response.json();
+            types.forEach(type => {
+                const option = document.createElement('option');
+                option.value = type.name;
+                option.textContent = type.description ? `${type.name} - ${type.description}` : type.name;
+                select.appendChild(option);
+            });
+        } catch (error) {
+            console.warn('Could not load data types:', error.message);
+        }
+    }
+
+    // Build the create form for a registered type from its JSON Schemas
+    async selectDataType(name) {
+        const container = document.getElementById('dataTypeForm');
+        const contentGroup = document.getElementById('dataContent')?.closest('.input-group');
+        this.currentType = null;
+        this.typeInputs = {};
+        if (container) container.replaceChildren();
+        contentGroup?.classList.remove('d-none');
+
+        if (!name || !container) return;
+
+        const response = await fetch(`${this.baseURL}/api/types/${encodeURIComponent(name)}`, { headers: { 'Accept': 'application/json' } });
+        if (!response.ok) {
+            this.showToast(`⚠️ Could not load type "${name}"`, 'warning');
+            return;
+        }
+
+        this.currentType = await response.json();
+        const { content = {}, metadata = {} } = this.currentType.schema;
+        this.renderSchemaFields(container, 'content', content, true);
+        this.renderSchemaFields(container, 'metadata', metadata, false);
+
+        const submit = document.createElement('button');
+        submit.className = 'btn btn-success w-100';
+        submit.textContent = `Create ${name}`;
+        submit.addEventListener('click', () => this.createData());
+        container.appendChild(submit);
+        contentGroup?.classList.add('d-none');
+    }
+
+    // Objects with declared properties get one input per property; anything
+    // else is edited as a single value
+    renderSchemaFields(container, path, schema, required) {
+        if (schema.type === 'object' && schema.properties) {
+            const requiredNames = schema.required || [];
+            Object.entries(schema.properties).forEach(([name, propertySchema]) => {
+                this.renderSchemaFields(container, `${path}.${name}`, propertySchema, requiredNames.includes(name));
+            });
+            return;
+        }
+
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        let input;
+        if (Array.isArray(schema.enum)) {
+            input = document.createElement('select');
+            input.className = 'form-select';
+            ['', ...schema.enum].forEach(value => {
+                const option = document.createElement('option');
+                option.value = value === '' ? '' : JSON.stringify(value);
+                option.textContent = value === '' ? '—' : String(value);
+                input.appendChild(option);
+            });
+        } else if (types.includes('boolean')) {
+            input = document.createElement('input');
+            input.type = 'checkbox';
+            input.className = 'form-check-input ms-2';
+        } else if (types.includes('object') || types.includes('array')) {
+            input = document.createElement('textarea');
+            input.className = 'form-control';
+            input.rows = 2;
+            input.placeholder = 'JSON';
+        } else {
+            input = document.createElement('input');
+            input.className = 'form-control';
+            input.type = types.includes('number') || types.includes('integer') ? 'number' : 'text';
+            if (schema.format === 'date') input.type = 'date';
+        }
+
+        const label = document.createElement('label');
+        label.className = 'form-label small mb-1';
+        label.textContent = `${schema.title || path}${required ? ' *' : ''}`;
+        if (schema.description) label.title = schema.description;
+
+        const group = document.createElement('div');
+        group.className = 'mb-2';
+        group.append(label, input);
+        container.appendChild(group);
+
+        this.typeInputs[path] = { input, types, isEnum: Array.isArray(schema.enum) };
+    }
+
+    // Read the generated form back into { content, metadata }; empty inputs are left out
+    collectTypeValues() {
+        const values = {};
+        Object.entries(this.typeInputs).forEach(([path, { input, types, isEnum }]) => {
+            let value;
+            if (input.type === 'checkbox') {
+                value = input.checked;
+            } else if (input.value.trim() === '') {
+                return;
+            } else if (isEnum || input.tagName === 'TEXTAREA') {
+                try {
+                    value = JSON.parse(input.value);
+                } catch (error) {
+                    value = input.value;
+                }
+            } else if (input.type === 'number') {
+                value = Number(input.value);
+            } else {
+                value = input.value;
+            }
+
+            const segments = path.split('.');
+            let target = values;
+            segments.slice(0, -1).forEach(segment => {
+                target[segment] = target[segment] || {};
+                target = target[segment];
+            });
+            target[segments[segments.length - 1]] = value;
+        });
+
+        return { content: values.content ?? {}, metadata: values.metadata ?? {} };
+    }
+
     async createData() {
+        if (this.currentType) {
+            const result = await this.testEndpoint('/api/data', 'POST', {
+                type: this.currentType.name,
+                ...this.collectTypeValues()
+            });
+
+            if (result.status === 201) {
+                this.showToast(`✅ ${this.currentType.name} created successfully!`, 'success');
+            }
+            this.highlightFieldErrors(result, Object.fromEntries(
+                Object.entries(this.typeInputs).map(([path, { input }]) => [path, input])
+            ));
+            return result;
+        }
+
         const contentInput = document.getElementById('dataContent');
         const content = contentInput?.value.trim();
 
@@ -116,6 +270,8 @@ class APITester {
             this.showToast('✅ Data created successfully!', 'success');
         }
 
+        this.highlightFieldErrors(result, { content: contentInput });
+
         return result;
     }
 
@@ -148,11 +304,60 @@ class APITester {
             nameInput.value = '';
             emailInput.value = '';
             this.showToast('✅ User created successfully!', 'success');
+        } else if (result.status === 409) {
+            this.showToast('⚠️ That email is already in use', 'warning');
         }
 
+        this.highlightFieldErrors(result, { name: nameInput, email: emailInput });
+
         return result;
     }
 
+    async updateUser(userId, changes) {
+        if (!userId) {
+            this.showToast('⚠️ Please provide a user id', 'warning');
+            return;
+        }
+
+        const result = await this.testEndpoint(`/api/users/${userId}`, 'PATCH', changes);
+
+        if (result.status === 200) {
+            this.showToast('✅ User updated successfully!', 'success');
+        } else if (result.status === 409) {
+            this.showToast('⚠️ That email is already in use', 'warning');
+        }
+
+        return result;
+    }
+
+    async deleteUser(userId) {
+        if (!userId) {
+            this.showToast('⚠️ Please provide a user id', 'warning');
+            return;
+        }
+
+        const result = await this.testEndpoint(`/api/users/${userId}`, 'DELETE');
+
+        if (result.status === 200) {
+            this.showToast('✅ User deleted successfully!', 'success');
+        }
+
+        return result;
+    }
+
+    // Mark inputs reported in a 422 validation payload as invalid
+    highlightFieldErrors(result, inputs) {
+        const errors = result.status === 422 ? result.data?.errors || [] : [];
+
+        Object.entries(inputs).forEach(([field, input]) => {
+            const fieldError = errors.find(error => error.field === field);
+            input?.classList.toggle('is-invalid', Boolean(fieldError));
+            if (input) {
+                input.title = fieldError ? fieldError.message : '';
+            }
+        });
+    }
+
     async customRequest() {
         const methodSelect = document.getElementById('requestMethod');
         const endpointInput = document.getElementById('customEndpoint');
@@ -179,6 +384,8 @@ class APITester {
             
             if (result.status === 200) {
                 this.showToast('✅ Test data seeded successfully!', 'success');
+            } else if (result.status === 404) {
+                this.showToast('⚠️ Test endpoints are disabled (set ENABLE_TEST_ENDPOINTS=true)', 'warning');
             }
             
             return result;
@@ -446,12 +653,30 @@ function createData() {
     }
 }
 
+function selectDataType(name) {
+    if (apiTesterInstance) {
+        return apiTesterInstance.selectDataType(name);
+    }
+}
+
 function createUser() {
     if (apiTesterInstance) {
         return apiTesterInstance.createUser();
     }
 }
 
+function updateUser(userId, changes) {
+    if (apiTesterInstance) {
+        return apiTesterInstance.updateUser(userId, changes);
+    }
+}
+
+function deleteUser(userId) {
+    if (apiTesterInstance) {
+        return apiTesterInstance.deleteUser(userId);
+    }
+}
+
 function customRequest() {
     if (apiTesterInstance) {
         return apiTesterInstance.customRequest();
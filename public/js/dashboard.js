@@ -4,6 +4,7 @@ class Dashboard {
         this.performanceChart = null;
         this.statusChart = null;
         this.updateInterval = null;
+        this.liveMetrics = null;
         this.metricsHistory = {
             responseTime: [],
             requests: [],
@@ -16,8 +17,10 @@ class Dashboard {
     async init() {
         try {
             await this.loadInitialData();
+            await this.applyPermissions();
+            window.addEventListener('sessionchange', () => this.applyPermissions());
             this.initializeCharts();
-            this.startAutoUpdate();
+            this.connectLiveMetrics();
             console.log('✅ Dashboard initialized successfully');
         } catch (error) {
             console.error('❌ Dashboard initialization failed:', error);
@@ -39,6 +42,20 @@ class Dashboard {
         }
     }
 
+    // Hide controls (marked with data-permission) the caller's role does not grant
+    async applyPermissions() {
+        try {
+            const { role, actions } = await this.fetchAPI('/api/me/permissions');
+            document.querySelectorAll('[data-permission]').forEach(element => {
+                const allowed = actions[element.dataset.permission] === true;
+                element.classList.toggle('d-none', !allowed);
+                element.title = allowed ? '' : `Not available for the ${role} role`;
+            });
+        } catch (error) {
+            console.error('Error loading permissions:', error);
+        }
+    }
+
     async updateDashboardData() {
         try {
             const [healthData, statusData, metricsData] = await Promise.all([
@@ -354,6 +371,34 @@ class Dashboard {
         }
     }
 
+    // Prefer pushed updates; poll only while the socket is unavailable
+    connectLiveMetrics() {
+        if (typeof liveMetrics === 'undefined' || !LiveMetricsClient.supported) {
+            this.startAutoUpdate();
+            return;
+        }
+
+        this.liveMetrics = liveMetrics.subscribe(['health', 'status', 'metrics'], {
+            onEvent: (topic, data) => this.handleLiveEvent(topic, data),
+            onOpen: () => this.stopAutoUpdate(),
+            onClose: () => {
+                if (!this.updateInterval) this.startAutoUpdate();
+            }
+        });
+    }
+
+    handleLiveEvent(topic, data) {
+        if (topic === 'health') {
+            this.updateHealthStatus(data);
+        } else if (topic === 'status') {
+            this.updateStatusMetrics(data);
+        } else if (topic === 'metrics') {
+            this.updateSystemMetrics(data);
+            this.updateMetricsHistory(data);
+            this.updateCharts();
+        }
+    }
+
     startAutoUpdate() {
         // Update every 10 seconds
         this.updateInterval = setInterval(() => {
@@ -445,6 +490,10 @@ class Dashboard {
     // Destroy dashboard and cleanup
     destroy() {
         this.stopAutoUpdate();
+        if (this.liveMetrics) {
+            this.liveMetrics.close();
+            this.liveMetrics = null;
+        }
         if (this.performanceChart) {
             this.performanceChart.destroy();
             this.performanceChart = null;
@@ -0,0 +1,77 @@
+// Minimal GraphQL explorer for Roxs Stack DevOps CI/CD
+// Sends the editor contents to POST /graphql and shows the JSON response
+class GraphQLExplorer {
+    constructor() {
+        this.queryInput = document.getElementById('query');
+        this.variablesInput = document.getElementById('variables');
+        this.tokenInput = document.getElementById('token');
+        this.resultElement = document.getElementById('result');
+        this.schemaElement = document.getElementById('schema');
+        this.timingElement = document.getElementById('timing');
+
+        document.getElementById('run').addEventListener('click', () => this.run());
+        document.getElementById('showSchema').addEventListener('click', () => this.toggleSchema());
+        this.queryInput.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter' && (event.ctrlKey || event.metaKey)) {
+                event.preventDefault();
+                this.run();
+            }
+        });
+    }
+
+    async run() {
+        let variables;
+        try {
+            variables = JSON.parse(this.variablesInput.value || '{}');
+        } catch (error) {
+            this.showResult({ errors: [{ message: `Variables are not valid JSON: ${error.message}` }] });
+            return;
+        }
+
+        const headers = { 'Content-Type': 'application/json', ...sessionClient.headers() };
+        // Without a token the request acts as the session user, if any
+        if (this.tokenInput.value.trim()) {
+            headers['Authorization'] = `Bearer ${this.tokenInput.value.trim()}`;
+        }
+
+        const startTime = performance.now();
+        try {
+            const response = await fetch('/graphql', {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ query: this.queryInput.value, variables })
+            });
+            const body = await response.json();
+            this.timingElement.textContent = `HTTP ${response.status} · ${Math.round(performance.now() - startTime)} ms`;
+            this.showResult(body);
+        } catch (error) {
+            this.timingElement.textContent = '';
+            this.showResult({ errors: [{ message: error.message }] });
+        }
+    }
+
+    showResult(body) {
+        this.schemaElement.classList.add('d-none');
+        this.resultElement.classList.remove('d-none');
+        this.resultElement.textContent = JSON.stringify(body, null, 2);
+    }
+
+    async toggleSchema() {
+        if (!this.schemaElement.classList.contains('d-none')) {
+            this.schemaElement.classList.add('d-none');
+            this.resultElement.classList.remove('d-none');
+            return;
+        }
+
+        if (!this.schemaElement.textContent) {
+            const response = await fetch('/graphql/schema');
+            this.schemaElement.textContent = await response.text();
+        }
+        this.resultElement.classList.add('d-none');
+        this.schemaElement.classList.remove('d-none');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', function() {
+    new GraphQLExplorer();
+});
@@ -0,0 +1,161 @@
+// Live metrics client for Roxs Stack DevOps CI/CD
+// One socket per page, shared by every script through the global
+// `liveMetrics`: each subscribe() adds its topics to that socket. The socket
+// path is the one the server announces in /docs (config.live.path), and the
+// socket reconnects with backoff. onOpen/onClose let callers stop polling
+// while the socket is up and fall back to it when the socket drops.
+class LiveMetricsClient {
+    constructor() {
+        this.subscriptions = new Set();
+        this.socket = null;
+        this.connecting = false;
+        this.path = null;
+        this.retryDelay = 1000;
+        this.reconnectTimer = null;
+    }
+
+    static get supported() {
+        return 'WebSocket' in window;
+    }
+
+    // Every topic some subscription wants
+    get topics() {
+        const topics = new Set();
+        this.subscriptions.forEach(subscription => subscription.topics.forEach(topic => topics.add(topic)));
+        return Array.from(topics);
+    }
+
+    get connected() {
+        return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+    }
+
+    // Returns the subscription; its close() stops it (and the socket, once
+    // nobody else uses it)
+    subscribe(topics, { onEvent, onOpen, onClose } = {}) {
+        const subscription = {
+            topics,
+            onEvent: onEvent || (() => {}),
+            onOpen: onOpen || (() => {}),
+            onClose: onClose || (() => {}),
+            close: () => this.unsubscribe(subscription)
+        };
+        this.subscriptions.add(subscription);
+
+        if (this.connected) {
+            this.send({ type: 'subscribe', topics });
+            subscription.onOpen();
+        } else if (!this.socket && !this.connecting && !this.reconnectTimer) {
+            this.connect();
+        }
+        return subscription;
+    }
+
+    unsubscribe(subscription) {
+        if (!this.subscriptions.delete(subscription)) return;
+
+        if (this.subscriptions.size === 0) {
+            this.disconnect();
+            return;
+        }
+
+        const remaining = this.topics;
+        const unused = subscription.topics.filter(topic => !remaining.includes(topic));
+        if (unused.length > 0 && this.connected) {
+            this.send({ type: 'unsubscribe', topics: unused });
+        }
+    }
+
+    send(message) {
+        this.socket.send(JSON.stringify(message));
+    }
+
+    async resolvePath() {
+        if (!this.path) {
+            const response = await fetch('/docs', { headers: { 'Accept': 'application/json' } });
+            const docs = await response.json();
+            this.path = docs.endpoints.api.live_metrics;
+        }
+        return this.path;
+    }
+
+    async connect() {
+        this.connecting = true;
+        let path;
+        try {
+            path = await this.resolvePath();
+        } catch (error) {
+            console.warn('Live metrics path unavailable:', error);
+        }
+        this.connecting = false;
+
+        if (this.subscriptions.size === 0) return;
+        if (!path) {
+            this.subscriptions.forEach(subscription => subscription.onClose());
+            this.scheduleReconnect();
+            return;
+        }
+
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const requested = this.topics;
+        const socket = new WebSocket(`${protocol}//${window.location.host}${path}?topics=${requested.join(',')}`);
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.retryDelay = 1000;
+            // Subscriptions changed while connecting were not sent; the URL
+            // only carries the topics wanted when the socket was created
+            const current = this.topics;
+            const added = current.filter(topic => !requested.includes(topic));
+            const dropped = requested.filter(topic => !current.includes(topic));
+            if (added.length > 0) this.send({ type: 'subscribe', topics: added });
+            if (dropped.length > 0) this.send({ type: 'unsubscribe', topics: dropped });
+
+            console.log('🔌 Live metrics connected');
+            this.subscriptions.forEach(subscription => subscription.onOpen());
+        };
+
+        socket.onmessage = (event) => {
+            const message = JSON.parse(event.data);
+            if (message.type === 'event') {
+                this.subscriptions.forEach(subscription => {
+                    if (subscription.topics.includes(message.topic)) {
+                        subscription.onEvent(message.topic, message.data);
+                    }
+                });
+            } else if (message.type === 'error') {
+                console.warn('Live metrics error:', message.message);
+            }
+        };
+
+        // Browsers fire close after error, so reconnecting here covers both.
+        // A socket closed by disconnect() is no longer this.socket
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+
+            this.subscriptions.forEach(subscription => subscription.onClose());
+            this.scheduleReconnect();
+        };
+    }
+
+    scheduleReconnect() {
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, 30000);
+    }
+
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            socket.close();
+        }
+    }
+}
+
+// Global client, shared by the dashboard and the monitor
+const liveMetrics = new LiveMetricsClient();
@@ -3,7 +3,9 @@ class SystemMonitor {
     constructor() {
         this.isRunning = false;
         this.monitoringInterval = null;
-        this.updateInterval = 30000; // 30 seconds
+        this.updateInterval = 30000; // 30 seconds, when polling
+        this.liveMetrics = null;
+        this.liveData = { health: null, metrics: null, status: null };
         this.systemData = {
             uptime: 0,
             memory: { used: 0, total: 0, free: 0 },
@@ -74,10 +76,16 @@ class SystemMonitor {
         // Initial data fetch
         await this.updateSystemData();
         
-        // Set up interval
-        this.monitoringInterval = setInterval(() => {
-            this.updateSystemData();
-        }, this.updateInterval);
+        // Live updates, or polling when the socket is unavailable
+        if (typeof liveMetrics !== 'undefined' && LiveMetricsClient.supported) {
+            this.liveMetrics = liveMetrics.subscribe(['health', 'metrics', 'status'], {
+                onEvent: (topic, data) => this.handleLiveEvent(topic, data),
+                onOpen: () => this.stopPolling(),
+                onClose: () => this.startPolling()
+            });
+        } else {
+            this.startPolling();
+        }
 
         this.updateToggleButton();
         this.showToast('📊 System monitoring started', 'success');
@@ -88,16 +96,43 @@ class SystemMonitor {
 
         this.isRunning = false;
         
-        if (this.monitoringInterval) {
-            clearInterval(this.monitoringInterval);
-            this.monitoringInterval = null;
+        if (this.liveMetrics) {
+            this.liveMetrics.close();
+            this.liveMetrics = null;
         }
+        this.stopPolling();
 
         this.updateStatus('⏸️ Monitoring Stopped', 'secondary');
         this.updateToggleButton();
         this.showToast('⏹️ System monitoring stopped', 'info');
     }
 
+    startPolling() {
+        if (this.monitoringInterval) return;
+
+        this.monitoringInterval = setInterval(() => {
+            this.updateSystemData();
+        }, this.updateInterval);
+    }
+
+    stopPolling() {
+        if (this.monitoringInterval) {
+            clearInterval(this.monitoringInterval);
+            this.monitoringInterval = null;
+        }
+    }
+
+    // Each push refreshes one topic; the others keep their last value
+    handleLiveEvent(topic, data) {
+        if (!(topic in this.liveData)) return;
+
+        this.liveData[topic] = data;
+        this.processSystemData(this.liveData.health, this.liveData.metrics, this.liveData.status);
+        this.updateSystemMetrics();
+        this.checkAlerts();
+        this.systemData.lastUpdate = new Date();
+    }
+
     async updateSystemData() {
         try {
             this.updateStatus('🔄 Updating...', 'info');
@@ -156,7 +191,7 @@ class SystemMonitor {
         // Simulate CPU data (since Node.js doesn't provide easy CPU usage)
         this.systemData.cpu = {
             usage: Math.floor(Math.random() * 30) + 10, // Simulate 10-40% usage
-            cores: require('os')?.cpus()?.length || 4
+            cores: health?.system?.cpus || navigator.hardwareConcurrency || 4
         };
     }
 
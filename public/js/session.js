@@ -0,0 +1,83 @@
+// Login session for Roxs Stack DevOps CI/CD
+// Logs in with an admin token (JWT) and keeps the CSRF token that
+// POST/PUT/PATCH/DELETE requests must send while the session cookie is set
+class SessionClient {
+    constructor() {
+        this.session = null;
+        this.csrfToken = null;
+        this.ready = this.refresh();
+    }
+
+    async refresh() {
+        try {
+            const response = await fetch('/auth/session', { headers: { 'Accept': 'application/json' } });
+            const body = await response.json();
+            this.update(body.authenticated ? body : null);
+        } catch (error) {
+            console.error('Error loading session:', error);
+            this.update(null);
+        }
+        return this.session;
+    }
+
+    // Headers to add to state-changing requests
+    headers() {
+        return this.csrfToken ? { 'X-CSRF-Token': this.csrfToken } : {};
+    }
+
+    async login(token) {
+        const response = await fetch('/auth/login', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Accept': 'application/json', ...this.headers() },
+            body: JSON.stringify({ token })
+        });
+        const body = await response.json();
+        if (!response.ok) {
+            throw new Error(body.error?.message || body.error || `HTTP ${response.status}`);
+        }
+        this.update(body);
+        return this.session;
+    }
+
+    async logout() {
+        await fetch('/auth/logout', { method: 'POST', headers: this.headers() });
+        this.update(null);
+    }
+
+    update(body) {
+        this.session = body ? body.session : null;
+        this.csrfToken = body ? body.csrf_token : null;
+        this.render();
+        window.dispatchEvent(new CustomEvent('sessionchange', { detail: this.session }));
+    }
+
+    render() {
+        const status = document.getElementById('sessionStatus');
+        const loginButton = document.getElementById('loginButton');
+        const logoutButton = document.getElementById('logoutButton');
+        if (!status) return;
+
+        status.textContent = this.session ? `${this.session.subject || 'session'} (${this.session.role})` : 'Anonymous';
+        loginButton?.classList.toggle('d-none', Boolean(this.session));
+        logoutButton?.classList.toggle('d-none', !this.session);
+    }
+}
+
+// Global session instance, shared by the other scripts
+const sessionClient = new SessionClient();
+
+// Global functions for the UI
+async function login() {
+    const token = window.prompt('Admin token (JWT):');
+    if (!token || !token.trim()) return;
+
+    try {
+        await sessionClient.login(token.trim());
+    } catch (error) {
+        window.alert(`Login failed: ${error.message}`);
+    }
+}
+
+function logout() {
+    return sessionClient.logout();
+}
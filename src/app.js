@@ -8,7 +8,7 @@ const helmet = require('helmet');
 const cors = require('cors');
 const morgan = require('morgan');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
+const cookieParser = require('cookie-parser');
 const path = require('path');
 const winston = require('winston');
 require('dotenv').config();
@@ -17,15 +17,29 @@ require('dotenv').config();
 const healthRoutes = require('./routes/health');
 const apiRoutes = require('./routes/api');
 const adminRoutes = require('./routes/admin');
+const graphqlRoutes = require('./routes/graphql');
+const authRoutes = require('./routes/auth');
+const { dispatcher: webhookDispatcher } = require('./routes/webhooks');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 const requestLogger = require('./middleware/requestLogger');
 const metricsCollector = require('./middleware/metricsCollector');
+const session = require('./middleware/session');
+const csrfProtection = require('./middleware/csrf');
+const audit = require('./middleware/audit');
+const apiKeyAuth = require('./middleware/apiKeyAuth');
+const upgradeAuth = require('./middleware/upgradeAuth');
+const rateLimiter = require('./middleware/rateLimiter');
 
 // Import utilities
 const logger = require('./utils/logger');
 const config = require('./config');
+const { storage } = require('./storage');
+const { TrashPurger } = require('./utils/trashPurger');
+const { LiveMetricsServer } = require('./utils/liveMetrics');
+const metricsStore = require('./utils/metricsStore');
+const { loadKeySet } = require('./utils/jwtKeys');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -49,28 +63,20 @@ app.use(helmet({
 const corsOptions = {
   origin: config.cors.origins,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'If-Match', 'If-None-Match', 'Idempotency-Key', 'X-CSRF-Token'],
+  exposedHeaders: ['ETag', 'Link', 'X-Request-ID', 'Idempotent-Replayed'],
   credentials: true
 };
 app.use(cors(corsOptions));
 
-// Rate limiting - disabled in test environment
-if (NODE_ENV !== 'test' && !process.env.DISABLE_RATE_LIMIT) {
-  const limiter = rateLimit({
-    windowMs: config.rateLimit.windowMs,
-    max: config.rateLimit.max,
-    message: {
-      error: 'Too many requests from this IP, please try again later.',
-      retryAfter: config.rateLimit.windowMs / 1000
-    },
-    standardHeaders: true,
-    legacyHeaders: false,
-  });
-  app.use('/api/', limiter);
-}
-
-// Compression middleware
-app.use(compression());
+// Compression middleware. Event streams are left alone: compression
+// buffers output, which would hold back every SSE message
+app.use(compression({
+  filter: (req, res) => {
+    const contentType = String(res.getHeader('Content-Type') || '');
+    return !contentType.startsWith('text/event-stream') && compression.filter(req, res);
+  }
+}));
 
 // HTTP request logging
 if (NODE_ENV !== 'test') {
@@ -89,6 +95,25 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 app.use(requestLogger);
 app.use(metricsCollector);
 
+// Login sessions (signed cookie) and CSRF checks for requests that use them.
+// The audit trail goes in between so refused CSRF checks are recorded too
+app.use(cookieParser(config.security.session.secret));
+const sessions = session();
+app.use(sessions);
+// The /ws/metrics upgrade check, which needs the same session store
+app.locals.authorizeLiveMetrics = upgradeAuth('metrics:read', { sessionStore: sessions.store });
+app.use(audit);
+app.use(csrfProtection);
+
+// API keys (Authorization: ApiKey ...) come before the rate limiter, which
+// counts each key separately
+app.use(apiKeyAuth);
+
+// Rate limiting - disabled in test environment
+if (NODE_ENV !== 'test' && !process.env.DISABLE_RATE_LIMIT) {
+  app.use(['/api/', '/graphql', '/auth'], rateLimiter());
+}
+
 // Static files
 app.use(express.static(path.join(__dirname, '../public')));
 
@@ -96,6 +121,8 @@ app.use(express.static(path.join(__dirname, '../public')));
 app.use('/health', healthRoutes);
 app.use('/api', apiRoutes);
 app.use('/admin', adminRoutes);
+app.use('/graphql', graphqlRoutes);
+app.use('/auth', authRoutes);
 
 // Root route - serve main page
 app.get('/', (req, res) => {
@@ -114,12 +141,20 @@ app.get('/docs', (req, res) => {
         status: '/api/status',
         version: '/api/version',
         metrics: '/api/metrics',
+        live_metrics: config.live.path,
         users: '/api/users',
         data: '/api/data'
       },
+      graphql: '/graphql',
+      auth: {
+        login: '/auth/login',
+        logout: '/auth/logout',
+        session: '/auth/session'
+      },
       admin: {
         panel: '/admin',
-        stats: '/api/admin/stats'
+        stats: '/api/admin/stats',
+        api_keys: '/admin/api/keys'
       }
     },
     documentation: 'https://github.com/roxsross/devops-roxs-node-github/blob/main/docs/API.md'
@@ -160,6 +195,17 @@ process.on('SIGINT', () => {
 
 // Start server only if this file is run directly (not imported)
 if (require.main === module) {
+  // A broken admin key set would fail every admin request: refuse to start
+  try {
+    loadKeySet(config.adminAuth);
+  } catch (error) {
+    logger.error('Cannot start: invalid admin key set', { error: error.message, detail: error.detail });
+    process.exit(1);
+  }
+
+  new TrashPurger(storage.data).start();
+  webhookDispatcher.start();
+
   const server = app.listen(PORT, '0.0.0.0', () => {
     logger.info(`🚀 Roxs Stack DevOps CI/CD Server running!`);
     logger.info(`📡 Port: ${PORT}`);
@@ -172,6 +218,18 @@ if (require.main === module) {
       logger.info('🔥 Hot reload enabled with nodemon');
     }
   });
+
+  // Live metrics share the HTTP server (upgrade requests on config.live.path)
+  new LiveMetricsServer({
+    server,
+    store: metricsStore,
+    authorize: app.locals.authorizeLiveMetrics,
+    snapshots: {
+      metrics: apiRoutes.buildMetrics,
+      status: apiRoutes.buildStatus,
+      health: healthRoutes.buildHealth
+    }
+  });
 }
 
 // Export for testing
@@ -29,6 +29,93 @@ const config = {
     message: 'Too many requests from this IP, please try again later.'
   },
 
+  // Pagination defaults for list endpoints
+  pagination: {
+    defaultLimit: parseInt(process.env.PAGINATION_DEFAULT_LIMIT) || 10,
+    maxLimit: parseInt(process.env.PAGINATION_MAX_LIMIT) || 100
+  },
+
+  // Optimistic concurrency: require If-Match on PUT/PATCH/DELETE (428 when missing)
+  concurrency: {
+    requireIfMatch: process.env.REQUIRE_IF_MATCH === 'true'
+  },
+
+  // Bulk operations on /api/data/bulk
+  bulk: {
+    maxOperations: parseInt(process.env.BULK_MAX_OPERATIONS) || 500,
+    maxBodyBytes: parseInt(process.env.BULK_MAX_BODY_BYTES) || 5 * 1024 * 1024 // 5MB
+  },
+
+  // Soft-deleted data items are purged from the trash after the retention period
+  trash: {
+    retentionMs: (parseInt(process.env.TRASH_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000,
+    purgeIntervalMs: parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000 // 1 hour
+  },
+
+  // Revision history kept for each data item
+  revisions: {
+    maxPerDocument: parseInt(process.env.REVISIONS_MAX_PER_ITEM) || 50
+  },
+
+  // Idempotency-Key responses are replayed for this long
+  idempotency: {
+    ttlMs: parseInt(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000 // 24 hours
+  },
+
+  // Streaming export/import of users and data
+  transfer: {
+    maxLineBytes: parseInt(process.env.IMPORT_MAX_LINE_BYTES) || 1024 * 1024, // 1MB
+    maxReportedErrors: parseInt(process.env.IMPORT_MAX_REPORTED_ERRORS) || 100
+  },
+
+  // Test helpers under /api/test (seeding), disabled unless features.testEndpoints is on
+  testing: {
+    fixturesDir: process.env.FIXTURES_DIR || 'fixtures',
+    maxSeedCount: parseInt(process.env.SEED_MAX_COUNT) || 1000
+  },
+
+  // What happens to a user's data items when the user is deleted:
+  // restrict (409 while they own items) | cascade (delete the items) | orphan (clear owner_id)
+  ownership: {
+    onUserDelete: process.env.USER_DELETE_POLICY || 'restrict'
+  },
+
+  // Outgoing webhooks: failed deliveries are retried after baseDelayMs, then
+  // twice as long each time (capped at maxDelayMs), and dead-lettered after maxAttempts
+  webhooks: {
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    baseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 1000,
+    maxDelayMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 10 * 60 * 1000, // 10 minutes
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000,
+    historyLimit: parseInt(process.env.WEBHOOK_HISTORY_LIMIT) || 100 // finished deliveries kept per webhook
+  },
+
+  // Server-Sent Events change feed at /api/data/stream
+  stream: {
+    backlogSize: parseInt(process.env.STREAM_BACKLOG_SIZE) || 1000, // events replayable with Last-Event-ID
+    heartbeatMs: parseInt(process.env.STREAM_HEARTBEAT_MS) || 15000,
+    retryMs: parseInt(process.env.STREAM_RETRY_MS) || 3000, // reconnect delay suggested to clients
+    maxClients: parseInt(process.env.STREAM_MAX_CLIENTS) || 100
+  },
+
+  // WebSocket channel pushing live metrics to the dashboard
+  live: {
+    path: process.env.LIVE_METRICS_PATH || '/ws/metrics',
+    snapshotIntervalMs: parseInt(process.env.LIVE_SNAPSHOT_INTERVAL_MS) || 1000, // at most one snapshot per topic per interval
+    idleIntervalMs: parseInt(process.env.LIVE_IDLE_INTERVAL_MS) || 10000, // snapshots are refreshed this often without traffic
+    pingIntervalMs: parseInt(process.env.LIVE_PING_INTERVAL_MS) || 30000,
+    maxClients: parseInt(process.env.LIVE_MAX_CLIENTS) || 100
+  },
+
+  // GraphQL endpoint on /graphql. Depth counts nested fields; complexity
+  // counts every selected field, multiplied by `limit` on paginated fields
+  graphql: {
+    maxDepth: parseInt(process.env.GRAPHQL_MAX_DEPTH) || 8,
+    maxComplexity: parseInt(process.env.GRAPHQL_MAX_COMPLEXITY) || 1000,
+    maxTokens: parseInt(process.env.GRAPHQL_MAX_TOKENS) || 2000, // parser limit on query size
+    explorer: process.env.GRAPHQL_EXPLORER !== 'false'
+  },
+
   // Logging configuration
   logging: {
     level: process.env.LOG_LEVEL || 'info',
@@ -37,6 +124,36 @@ const config = {
     maxFiles: parseInt(process.env.LOG_MAX_FILES) || 5
   },
 
+  // Bearer JWTs for /admin, verified against a local JWK Set given inline
+  // (ADMIN_JWKS) or as a file (ADMIN_JWKS_FILE). Without keys every admin
+  // request is refused
+  adminAuth: {
+    jwks: process.env.ADMIN_JWKS || null,
+    jwksFile: process.env.ADMIN_JWKS_FILE || null,
+    issuer: process.env.ADMIN_JWT_ISSUER || null,
+    audience: process.env.ADMIN_JWT_AUDIENCE || null,
+    clockSkewSeconds: parseInt(process.env.ADMIN_JWT_CLOCK_SKEW) || 30 // tolerance for exp, nbf and iat
+  },
+
+  // Audit trail of mutating requests and admin actions (GET /admin/api/audit)
+  audit: {
+    enabled: process.env.AUDIT_ENABLED !== 'false',
+    maxChanges: parseInt(process.env.AUDIT_MAX_CHANGES) || 50 // storage changes kept per entry
+  },
+
+  // API keys for machine clients (Authorization: ApiKey <key>), managed
+  // under /admin/api/keys
+  apiKeys: {
+    touchIntervalMs: parseInt(process.env.API_KEY_TOUCH_INTERVAL_MS) || 60 * 1000, // how often last_used_at is written
+    maxRateLimit: parseInt(process.env.API_KEY_MAX_RATE_LIMIT) || 10000 // highest per-key limit per rate limit window
+  },
+
+  // Role of callers without credentials (no session, bearer token or API key).
+  // 'user' lets them write data; 'guest' makes the API read-only
+  rbac: {
+    anonymousRole: process.env.RBAC_ANONYMOUS_ROLE || 'user'
+  },
+
   // Security configuration
   security: {
     helmet: {
@@ -47,17 +164,20 @@ const config = {
       secret: process.env.SESSION_SECRET || 'dev-secret-change-in-production',
       secure: process.env.NODE_ENV === 'production',
       httpOnly: true,
-      maxAge: parseInt(process.env.SESSION_MAX_AGE) || 24 * 60 * 60 * 1000 // 24 hours
+      maxAge: parseInt(process.env.SESSION_MAX_AGE) || 24 * 60 * 60 * 1000, // 24 hours
+      cookieName: process.env.SESSION_COOKIE_NAME || 'sid',
+      store: process.env.SESSION_STORE || 'memory' // memory | storage
     }
   },
 
-  // Database configuration (for future use)
+  // Database configuration
   database: {
-    url: process.env.DATABASE_URL || 'mongodb://localhost:27017/devops-roxs-node',
-    options: {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-      maxPoolSize: parseInt(process.env.DB_MAX_POOL_SIZE) || 10
+    driver: process.env.DB_DRIVER || 'memory', // memory | file | sqlite
+    file: {
+      path: process.env.DB_FILE_PATH || 'data/db.json'
+    },
+    sqlite: {
+      filename: process.env.DB_SQLITE_FILE || 'data/app.sqlite'
     }
   },
 
@@ -89,7 +209,8 @@ const config = {
     metricsCollection: process.env.ENABLE_METRICS !== 'false',
     requestLogging: process.env.ENABLE_REQUEST_LOGGING !== 'false',
     adminPanel: process.env.ENABLE_ADMIN_PANEL !== 'false',
-    healthChecks: process.env.ENABLE_HEALTH_CHECKS !== 'false'
+    healthChecks: process.env.ENABLE_HEALTH_CHECKS !== 'false',
+    testEndpoints: process.env.ENABLE_TEST_ENDPOINTS === 'true'
   }
 };
 
@@ -0,0 +1,85 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { UnauthorizedError } = require('../utils/errors');
+const { loadKeySet, verifyToken } = require('../utils/jwtKeys');
+const { API_KEY_ROLE } = require('./authorize');
+
+const BEARER_PATTERN = /^Bearer\s+(\S+)$/i;
+
+// Read from the raw headers so WebSocket upgrades (see upgradeAuth) can use it
+const bearerToken = (req) => {
+  const match = BEARER_PATTERN.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+};
+
+// RFC 6750 challenge; requests without credentials get no error code
+const challenge = (error) => (error.code
+  ? `Bearer realm="admin", error="${error.code}", error_description="${error.message}"`
+  : 'Bearer realm="admin"');
+
+// Verify a JWT against config.adminAuth's key set; throws UnauthorizedError
+const verifyAdminToken = (token) => {
+  const keys = loadKeySet(config.adminAuth);
+  if (keys.size === 0) {
+    const failure = new UnauthorizedError('Unknown signing key');
+    failure.detail = 'No admin signing keys are configured';
+    throw failure;
+  }
+
+  return verifyToken(token, keys, config.adminAuth);
+};
+
+// Log a rejected token and set the challenge before errorHandler answers 401
+const rejectToken = (req, res, error) => {
+  logger.warn('Admin authentication failed', {
+    requestId: req.requestId,
+    ip: req.ip,
+    path: req.originalUrl,
+    reason: error.message,
+    detail: error.detail
+  });
+  res.set('WWW-Authenticate', challenge(error));
+};
+
+/**
+ * Require a bearer JWT signed by a key in config.adminAuth's key set, an API
+ * key already checked by apiKeyAuth, or a login session (POST /auth/login)
+ * when no Authorization header is sent. The caller is exposed as req.auth
+ * ({ subject, role, kid, claims }); a token's role is its `role` claim, admin
+ * when absent, an API key is limited to its scopes, and a session has its
+ * user's current role (see session). Failures reach errorHandler as
+ * UnauthorizedError and answer 401.
+ */
+const adminAuth = (req, res, next) => {
+  try {
+    if (req.apiKey) {
+      req.auth = { subject: `apikey:${req.apiKey.prefix}`, role: API_KEY_ROLE, kid: null, claims: null, apiKey: true };
+      return next();
+    }
+
+    if (!req.get('Authorization') && req.session) {
+      const { subject, role } = req.session;
+      req.auth = { subject, role, kid: null, claims: null, session: true };
+      return next();
+    }
+
+    const token = bearerToken(req);
+    if (!token) {
+      throw new UnauthorizedError('Bearer token required', { code: null });
+    }
+
+    const { kid, claims } = verifyAdminToken(token);
+    req.auth = { subject: claims.sub || null, role: claims.role || 'admin', kid, claims };
+    next();
+  } catch (error) {
+    if (error.name === 'UnauthorizedError') {
+      rejectToken(req, res, error);
+    }
+    next(error);
+  }
+};
+
+module.exports = adminAuth;
+module.exports.bearerToken = bearerToken;
+module.exports.verifyAdminToken = verifyAdminToken;
+module.exports.rejectToken = rejectToken;
@@ -0,0 +1,47 @@
+const logger = require('../utils/logger');
+const { storage } = require('../storage');
+const { ApiKeyStore } = require('../storage/apiKeyStore');
+const { UnauthorizedError } = require('../utils/errors');
+
+const apiKeys = new ApiKeyStore(storage.collection('api_keys'));
+
+const API_KEY_PATTERN = /^ApiKey\s+(\S+)$/i;
+
+// The key of an `Authorization: ApiKey` header, read from the raw headers so
+// WebSocket upgrades (see upgradeAuth) can use it
+const presentedKey = (req) => {
+  const match = API_KEY_PATTERN.exec(req.headers.authorization || '');
+  return match ? match[1] : null;
+};
+
+/**
+ * Resolve an `Authorization: ApiKey <key>` header into req.apiKey (the stored
+ * key, whose scopes are the caller's permissions) and record its use.
+ * Requests without the header pass through untouched; an unknown, revoked
+ * or expired key answers 401 through errorHandler.
+ */
+const apiKeyAuth = (req, res, next) => {
+  const key = presentedKey(req);
+  if (!key) {
+    return next();
+  }
+
+  const { apiKey, reason } = apiKeys.authenticate(key);
+  if (!apiKey) {
+    logger.warn('API key authentication failed', {
+      requestId: req.requestId,
+      ip: req.ip,
+      path: req.originalUrl,
+      reason
+    });
+    res.set('WWW-Authenticate', `ApiKey realm="api", error="invalid_key", error_description="${reason}"`);
+    return next(new UnauthorizedError(reason, { code: 'invalid_key' }));
+  }
+
+  req.apiKey = apiKeys.touch(apiKey);
+  next();
+};
+
+module.exports = apiKeyAuth;
+module.exports.apiKeys = apiKeys;
+module.exports.presentedKey = presentedKey;
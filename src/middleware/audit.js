@@ -0,0 +1,153 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { storage } = require('../storage');
+const AuditLog = require('../storage/auditLog');
+const { canonicalJson } = require('../storage/auditLog');
+const { roleOf } = require('./authorize');
+
+const auditLog = new AuditLog(storage.collection('audit_log'));
+
+// Changes made while handling a request, found through its async context
+const requestContext = new AsyncLocalStorage();
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const ADMIN_API_PREFIX = '/admin/api/';
+const UUID_PATTERN = /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i;
+const UUID_SEGMENT = new RegExp(`/${UUID_PATTERN.source}(?=/|$)`, 'gi');
+
+// Collections written as a side effect of other writes (or by this log)
+const INTERNAL_COLLECTIONS = ['audit_log', 'data_revisions', 'idempotency_keys', 'sessions', 'webhook_deliveries'];
+const REDACTED_FIELDS = /secret|token|password|hash/i;
+// Updates that only record a use (API keys' last_used_at) are not changes
+// made by the request
+const USAGE_FIELD = 'last_used_at';
+const MAX_VALUE_LENGTH = 120;
+
+const truncate = (text) => (text.length > MAX_VALUE_LENGTH ? `${text.slice(0, MAX_VALUE_LENGTH)}…` : text);
+
+// Scalars as they are, long strings and objects cut short
+const summarizeValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'string') return truncate(value);
+  if (typeof value === 'object') return truncate(canonicalJson(value));
+  return value;
+};
+
+const summarize = (document, fields) => Object.fromEntries(fields.map(field => [
+  field,
+  REDACTED_FIELDS.test(field) ? '[redacted]' : summarizeValue(document[field])
+]));
+
+const changedFields = (previous, document) => Array.from(new Set([...Object.keys(previous), ...Object.keys(document)]))
+  .filter(field => canonicalJson(previous[field]) !== canonicalJson(document[field]));
+
+const isUsageUpdate = ({ type, document, previous }) => {
+  if (type !== 'update') return false;
+  const fields = changedFields(previous, document).filter(field => field !== 'version');
+  return fields.length === 1 && fields[0] === USAGE_FIELD;
+};
+
+// Before/after summary of a storage change; updates only list changed fields
+const summarizeChange = ({ type, collection, document, previous }) => {
+  if (type === 'clear') return { collection, change: 'clear' };
+  if (type === 'insert') return { collection, id: document.id, change: 'insert', after: summarize(document, Object.keys(document)) };
+  if (type === 'remove') return { collection, id: document.id, change: 'remove', before: summarize(document, Object.keys(document)) };
+
+  const fields = changedFields(previous, document);
+  return { collection, id: document.id, change: 'update', before: summarize(previous, fields), after: summarize(document, fields) };
+};
+
+/**
+ * Add a change to the audit entry of the current request, for actions that
+ * do not go through storage. `change` is { collection, id?, change, before?, after? }.
+ */
+const recordChange = (change) => {
+  const context = requestContext.getStore();
+  if (!context || context.done) return;
+
+  if (context.changes.length >= config.audit.maxChanges) {
+    context.omitted += 1;
+  } else {
+    context.changes.push(change);
+  }
+};
+
+storage.events.on('change', (change) => {
+  if (!INTERNAL_COLLECTIONS.includes(change.collection) && !isUsageUpdate(change)) {
+    recordChange(summarizeChange(change));
+  }
+});
+
+// Only verified identities (API key, token, session) make the actor
+const actorOf = (req) => {
+  let via = 'anonymous';
+  if (req.apiKey) via = 'api_key';
+  else if (req.auth) via = req.auth.session ? 'session' : 'token';
+  else if (req.session) via = 'session';
+
+  return {
+    user_id: req.user ? req.user.id : null,
+    name: req.user ? req.user.name : null,
+    subject: (req.auth && req.auth.subject) || (req.apiKey && `apikey:${req.apiKey.prefix}`) || (req.session && req.session.subject) || null,
+    role: roleOf(req),
+    via
+  };
+};
+
+// Resource type: the first path segment under /api or /admin/api
+const targetOf = (pathname) => {
+  const segments = pathname.replace(/^\/admin\/api\/|^\/api\//, '/').split('/').filter(Boolean);
+  const id = pathname.match(UUID_PATTERN);
+  return { type: segments[0] || null, id: id ? id[0] : null };
+};
+
+const outcomeOf = (res) => {
+  if (!res.writableFinished) return 'aborted';
+  if (res.statusCode < 400) return 'success';
+  if (res.statusCode === 401 || res.statusCode === 403) return 'denied';
+  return 'failure';
+};
+
+/**
+ * Record every mutating request, and every request to the admin API, in the
+ * audit log once its response is done: who (actor), what (action, with ids
+ * replaced by ":id"), on what (target), the storage changes it made with a
+ * before/after summary, and how it ended.
+ */
+const audit = (req, res, next) => {
+  const pathname = req.originalUrl.split('?')[0];
+  if (!config.audit.enabled || !(MUTATING_METHODS.includes(req.method) || pathname.startsWith(ADMIN_API_PREFIX))) {
+    return next();
+  }
+
+  const context = { changes: [], omitted: 0, done: false };
+  const record = () => {
+    if (context.done) return;
+    context.done = true;
+
+    try {
+      auditLog.append({
+        actor: actorOf(req),
+        action: `${req.method} ${pathname.replace(UUID_SEGMENT, '/:id')}`,
+        target: targetOf(pathname),
+        changes: context.changes,
+        changes_omitted: context.omitted,
+        request_id: req.requestId || null,
+        ip: req.ip,
+        outcome: outcomeOf(res),
+        status: res.statusCode
+      });
+    } catch (error) {
+      logger.error('Failed to write audit entry', { requestId: req.requestId, error: error.message });
+    }
+  };
+  res.on('finish', record);
+  res.on('close', record);
+
+  requestContext.run(context, next);
+};
+
+module.exports = audit;
+module.exports.auditLog = auditLog;
+module.exports.recordChange = recordChange;
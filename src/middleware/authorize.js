@@ -0,0 +1,57 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { permissionsFor } = require('../utils/permissions');
+
+const API_KEY_ROLE = 'api_key';
+
+// Role of the caller: api_key for requests made with an API key, the
+// verified bearer token's (see currentUser and adminAuth), else the acting
+// user's, else the session's (its user's current role, see session), else
+// config.rbac.anonymousRole
+const roleOf = (req) => {
+  if (req.apiKey) return API_KEY_ROLE;
+  if (req.auth) return req.auth.role;
+  if (req.user) return req.user.role;
+  if (req.session) return req.session.role;
+  return config.rbac.anonymousRole;
+};
+
+// An API key grants its scopes; everyone else what their role grants
+const permissionsOf = (req) => (req.apiKey ? req.apiKey.scopes : permissionsFor(roleOf(req)));
+
+const deniedMessage = (req, action) => (req.apiKey
+  ? `API key ${req.apiKey.prefix} is not scoped for ${action}`
+  : `The ${roleOf(req)} role does not grant ${action}`);
+
+/**
+ * Route guard answering 403 unless the caller's role, or API key scopes,
+ * grant `action` (see utils/permissions). Runs after currentUser or adminAuth.
+ */
+const authorize = (action) => (req, res, next) => {
+  if (permissionsOf(req).includes(action)) {
+    return next();
+  }
+
+  logger.warn('Permission denied', {
+    requestId: req.requestId,
+    method: req.method,
+    path: req.originalUrl,
+    action,
+    role: roleOf(req),
+    userId: req.user ? req.user.id : null,
+    apiKey: req.apiKey ? req.apiKey.prefix : undefined
+  });
+
+  res.status(403).json({
+    error: 'Forbidden',
+    message: deniedMessage(req, action),
+    action,
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = authorize;
+module.exports.roleOf = roleOf;
+module.exports.permissionsOf = permissionsOf;
+module.exports.deniedMessage = deniedMessage;
+module.exports.API_KEY_ROLE = API_KEY_ROLE;
@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const sameToken = (given, expected) => {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Browsers attach the session cookie to cross-site requests too, so
+ * state-changing requests made with a session must echo its CSRF token in
+ * X-CSRF-Token (the scripts in public/js read it from GET /auth/session).
+ * Requests without a session carry their credentials in headers a foreign
+ * page cannot set, and pass through.
+ */
+const csrfProtection = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || !req.session) {
+    return next();
+  }
+
+  const token = req.get('X-CSRF-Token');
+  if (token && sameToken(token, req.session.csrf_token)) {
+    return next();
+  }
+
+  logger.warn('CSRF check failed', {
+    requestId: req.requestId,
+    method: req.method,
+    path: req.originalUrl,
+    ip: req.ip,
+    reason: token ? 'mismatch' : 'missing'
+  });
+
+  res.status(403).json({
+    error: 'Invalid CSRF token',
+    message: 'Send the X-CSRF-Token header with the token from GET /auth/session',
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = csrfProtection;
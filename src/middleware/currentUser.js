@@ -0,0 +1,61 @@
+const { storage } = require('../storage');
+const { bearerToken, verifyAdminToken, rejectToken } = require('./adminAuth');
+
+// The stored user a token subject names, by id or by email
+const findSubjectUser = (subject) => {
+  if (typeof subject !== 'string') return null;
+  const email = subject.toLowerCase();
+  return storage.users.findById(subject)
+    || storage.users.findAll().find(user => user.email.toLowerCase() === email)
+    || null;
+};
+
+// The user and req.auth a bearer JWT signed by an admin key stands for: the
+// user its `sub` names, with that user's role, else its `role` claim (admin
+// when absent). Throws UnauthorizedError for tokens that do not verify
+const authenticateToken = (token) => {
+  const { kid, claims } = verifyAdminToken(token);
+  const user = findSubjectUser(claims.sub);
+  return { user, auth: { subject: claims.sub || null, role: user ? user.role : (claims.role || 'admin'), kid, claims } };
+};
+
+/**
+ * Resolve the acting user into req.user (null when there is none) from
+ * credentials only:
+ *   - an API key (checked by apiKeyAuth) acts for no user
+ *   - a bearer JWT signed by an admin key acts as in authenticateToken; the
+ *     token is exposed as req.auth like on the admin router
+ *   - a login session acts as the user it was started for
+ * An invalid bearer token answers 401. Routes decide what an anonymous
+ * caller may do.
+ */
+const currentUser = (req, res, next) => {
+  req.user = null;
+  if (req.apiKey) {
+    return next();
+  }
+
+  try {
+    const token = bearerToken(req);
+    if (token) {
+      const caller = authenticateToken(token);
+      req.user = caller.user;
+      req.auth = caller.auth;
+      return next();
+    }
+  } catch (error) {
+    if (error.name === 'UnauthorizedError') {
+      rejectToken(req, res, error);
+    }
+    return next(error);
+  }
+
+  if (req.session && req.session.user_id) {
+    req.user = storage.users.findById(req.session.user_id);
+  }
+  next();
+};
+
+module.exports = currentUser;
+module.exports.findSubjectUser = findSubjectUser;
+module.exports.authenticateToken = authenticateToken;
@@ -1,17 +1,6 @@
 const logger = require('../utils/logger');
 
 const errorHandler = (err, req, res, next) => {
-  // Log the error
-  logger.error('Unhandled error', {
-    error: err.message,
-    stack: err.stack,
-    url: req.url,
-    method: req.method,
-    ip: req.ip,
-    userAgent: req.get('User-Agent'),
-    timestamp: new Date().toISOString()
-  });
-
   // Set default error status
   let statusCode = err.statusCode || err.status || 500;
   let message = err.message || 'Internal Server Error';
@@ -28,8 +17,26 @@ const errorHandler = (err, req, res, next) => {
     message = 'Invalid ID format';
   }
 
-  // Don't expose error details in production
-  const isDevelopment = process.env.NODE_ENV === 'development';
+  // Log the error. Client errors (such as a failed login) are expected and
+  // only logged as warnings, without the stack
+  const logDetails = {
+    error: err.message,
+    detail: err.detail,
+    status: statusCode,
+    url: req.url,
+    method: req.method,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    timestamp: new Date().toISOString()
+  };
+  if (statusCode >= 500) {
+    logger.error('Unhandled error', { ...logDetails, stack: err.stack });
+  } else {
+    logger.warn('Request failed', logDetails);
+  }
+
+  // Don't expose error details in production, nor for client errors
+  const exposeDetails = process.env.NODE_ENV === 'development' && statusCode >= 500;
   
   const errorResponse = {
     error: {
@@ -42,7 +49,7 @@ const errorHandler = (err, req, res, next) => {
   };
 
   // Add stack trace only in development
-  if (isDevelopment) {
+  if (exposeDetails) {
     errorResponse.error.stack = err.stack;
     errorResponse.error.details = err;
   }
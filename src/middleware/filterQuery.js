@@ -0,0 +1,28 @@
+const logger = require('../utils/logger');
+const { parseFilters } = require('../utils/filters');
+const { LIST_PARAMS } = require('../validators/listing');
+
+// Parse list filters from the query string into req.filters, answering 422
+// (same payload as the validate middleware) for unknown fields or operators
+const filterQuery = (schema, { reserved = LIST_PARAMS } = {}) => (req, res, next) => {
+  const { filters, errors } = parseFilters(req.query, schema, { reserved });
+
+  if (errors.length === 0) {
+    req.filters = filters;
+    return next();
+  }
+
+  logger.warn('Invalid list filters', {
+    requestId: req.requestId,
+    path: req.originalUrl,
+    fields: errors.map(error => error.field)
+  });
+
+  res.status(422).json({
+    error: 'Validation failed',
+    errors,
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = filterQuery;
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { storage } = require('../storage');
+const { canonicalJson } = require('../storage/auditLog');
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+const REPLAYED_HEADERS = ['etag', 'link', 'location'];
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+// Method, path, query and parsed body, all in a stable order so the same
+// payload with its keys reordered is the same request
+const fingerprint = (req) => {
+  const query = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+  query.sort();
+  return sha256(`${req.method} ${req.baseUrl}${req.path}?${query}\n${canonicalJson(req.body)}`);
+};
+
+// Responses worth replaying: the route ran and answered. 401/403 come from
+// guards that may pass once the caller has the credentials or permission,
+// and 5xx may not happen again
+const isReplayable = (status) => status < 500 && status !== 401 && status !== 403;
+
+// Keys belong to whoever sent them, so one client can never replay the
+// response stored for another. Anonymous callers are told apart by IP
+const callerOf = (req) => {
+  if (req.apiKey) return `apikey:${req.apiKey.id}`;
+  if (req.user) return `user:${req.user.id}`;
+  if (req.auth && req.auth.subject) return `token:${req.auth.subject}`;
+  if (req.session) return `session:${req.session.id}`;
+  return `ip:${req.ip}`;
+};
+
+// A body the JSON and form parsers left unread, such as an NDJSON or CSV
+// upload, is streamed to the route and never seen here
+const hasStreamedBody = (req) => !req._body
+  && (req.get('Transfer-Encoding') !== undefined || Number(req.get('Content-Length')) > 0);
+
+/**
+ * Idempotency-Key support for POST requests. The first response for a key
+ * (status, selected headers and JSON body) is stored for `ttlMs` and replayed
+ * for repeats with "Idempotent-Replayed: true". Reusing a key for a different
+ * request (method, path, query or body) answers 422; a repeat while the
+ * first is still running answers 409. 401, 403 and 5xx responses are not
+ * stored so the client can retry them (see isReplayable). Keys are scoped
+ * to the caller (see callerOf).
+ * Streamed uploads cannot be compared, so they refuse a key with 422.
+ */
+const idempotency = ({ collection = storage.collection('idempotency_keys'), ttlMs = config.idempotency.ttlMs } = {}) => {
+  let nextSweep = 0;
+
+  const sweepExpired = (now) => {
+    if (now < nextSweep) return;
+    nextSweep = now + Math.min(ttlMs, 60 * 1000);
+    collection.findAll()
+      .filter(record => record.expires_at <= now)
+      .forEach(record => collection.remove(record.id));
+  };
+
+  return (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (req.method !== 'POST' || key === undefined) {
+      return next();
+    }
+
+    const invalid = (message) => res.status(422).json({
+      error: 'Validation failed',
+      errors: [{ field: 'Idempotency-Key', location: 'headers', message, value: key }],
+      timestamp: new Date().toISOString()
+    });
+    if (!KEY_PATTERN.test(key)) {
+      return invalid('Idempotency-Key must be 1-255 visible ASCII characters');
+    }
+    if (hasStreamedBody(req)) {
+      return invalid('Idempotency-Key is not supported for streamed uploads; retry imports with on_conflict=skip instead');
+    }
+
+    const now = Date.now();
+    sweepExpired(now);
+
+    const hash = fingerprint(req);
+    const id = sha256(`${callerOf(req)}\n${key}`);
+    const existing = collection.findById(id);
+
+    if (existing && existing.expires_at > now) {
+      if (existing.fingerprint !== hash) {
+        logger.warn('Idempotency key reused for a different request', { requestId: req.requestId, key });
+        return res.status(422).json({
+          error: 'Idempotency-Key reused',
+          message: 'This Idempotency-Key was already used with a different request',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (!existing.response) {
+        return res.status(409).json({
+          error: 'Request in progress',
+          message: 'A request with this Idempotency-Key is still being processed',
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      logger.info('Idempotent response replayed', { requestId: req.requestId, key });
+      const { status, headers, body } = existing.response;
+      res.set(headers);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(status).json(body);
+    }
+
+    if (existing) {
+      collection.remove(id);
+    }
+    collection.insert({ id, fingerprint: hash, response: null, expires_at: now + ttlMs });
+
+    let stored = false;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      if (isReplayable(res.statusCode)) {
+        const headers = {};
+        REPLAYED_HEADERS.forEach(name => {
+          if (res.get(name) !== undefined) headers[name] = res.get(name);
+        });
+
+        const record = collection.findById(id);
+        if (record) {
+          collection.update(id, { ...record, response: { status: res.statusCode, headers, body } });
+          stored = true;
+        }
+      }
+      return originalJson(body);
+    };
+
+    // Release the key when nothing was stored so a retry can run again
+    res.on('close', () => {
+      if (!stored) {
+        collection.remove(id);
+      }
+    });
+
+    next();
+  };
+};
+
+module.exports = idempotency;
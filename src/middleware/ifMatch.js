@@ -0,0 +1,46 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { etagFor, matchesIfMatch } = require('../utils/etag');
+
+/**
+ * Optimistic concurrency guard for writes to a single document.
+ * Answers 412 when If-Match does not carry the current ETag and, when
+ * config.concurrency.requireIfMatch is on, 428 when If-Match is missing.
+ * Missing documents fall through so the route can answer 404. The
+ * document id is read from the `param` route parameter.
+ */
+const ifMatch = (collection, { param = 'id' } = {}) => (req, res, next) => {
+  const current = collection.findById(req.params[param]);
+  if (!current) {
+    return next();
+  }
+
+  const header = req.get('If-Match');
+  if (!header) {
+    if (!config.concurrency.requireIfMatch) {
+      return next();
+    }
+
+    return res.status(428).json({
+      error: 'Precondition required',
+      message: 'Send an If-Match header with the current ETag of the resource',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const currentEtag = etagFor(current);
+  if (!matchesIfMatch(header, currentEtag)) {
+    logger.warn('Stale write rejected', { requestId: req.requestId, id: current.id, ifMatch: header, current: currentEtag });
+    res.set('ETag', currentEtag);
+    return res.status(412).json({
+      error: 'Precondition failed',
+      message: 'The resource was modified since you last read it',
+      current_etag: currentEtag,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  next();
+};
+
+module.exports = ifMatch;
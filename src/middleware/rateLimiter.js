@@ -0,0 +1,23 @@
+const rateLimit = require('express-rate-limit');
+const config = require('../config');
+
+/**
+ * Rate limiter for the API routes. Requests made with an API key (see
+ * apiKeyAuth, which must run first) are counted per key, with the key's own
+ * rate_limit when it has one; every other request is counted per IP.
+ */
+const rateLimiter = ({ windowMs = config.rateLimit.windowMs, max = config.rateLimit.max } = {}) => rateLimit({
+  windowMs,
+  max: (req) => (req.apiKey && req.apiKey.rate_limit) || max,
+  keyGenerator: (req) => (req.apiKey ? `apikey:${req.apiKey.id}` : req.ip),
+  message: (req) => ({
+    error: req.apiKey
+      ? 'Too many requests with this API key, please try again later.'
+      : 'Too many requests from this IP, please try again later.',
+    retryAfter: windowMs / 1000
+  }),
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+module.exports = rateLimiter;
@@ -0,0 +1,71 @@
+const config = require('../config');
+const logger = require('../utils/logger');
+const { storage } = require('../storage');
+const { createSessionStore } = require('../storage/sessionStore');
+const { UnauthorizedError } = require('../utils/errors');
+
+/**
+ * The session `id` names, as it stands now. A session started for a stored
+ * user takes that user's current role, so demotions apply at once; one whose
+ * user was deleted is destroyed and throws UnauthorizedError. Sessions
+ * without a user keep the role their login token gave them.
+ */
+const loadSession = (store, id) => {
+  const session = id ? store.get(id) : null;
+  if (!session || !session.user_id) return session;
+
+  const user = storage.users.findById(session.user_id);
+  if (!user) {
+    store.destroy(session.id);
+    throw new UnauthorizedError('Session user no longer exists', { code: 'invalid_session' });
+  }
+  return { ...session, role: user.role };
+};
+
+/**
+ * Cookie sessions. Loads the session named by the signed cookie into
+ * req.session (null when absent, expired or tampered with) and adds:
+ *   req.startSession(data) - replace any current session with a new one
+ *                            under a new id and set the cookie
+ *   req.endSession()       - destroy the current session and clear the cookie
+ * Needs cookie-parser with config.security.session.secret in front of it.
+ */
+const session = ({ store = createSessionStore(), settings = config.security.session } = {}) => {
+  const cookieOptions = {
+    httpOnly: settings.httpOnly,
+    secure: settings.secure,
+    sameSite: 'lax',
+    path: '/'
+  };
+
+  const middleware = (req, res, next) => {
+    req.session = null;
+    req.startSession = (data) => {
+      if (req.session) store.destroy(req.session.id);
+      req.session = store.create(data);
+      res.cookie(settings.cookieName, req.session.id, { ...cookieOptions, signed: true, maxAge: settings.maxAge });
+      return req.session;
+    };
+
+    req.endSession = () => {
+      if (req.session) store.destroy(req.session.id);
+      req.session = null;
+      res.clearCookie(settings.cookieName, cookieOptions);
+    };
+
+    try {
+      req.session = loadSession(store, req.signedCookies[settings.cookieName]);
+    } catch (error) {
+      logger.warn('Session refused', { requestId: req.requestId, ip: req.ip, reason: error.message });
+      res.clearCookie(settings.cookieName, cookieOptions);
+      return next(error);
+    }
+    next();
+  };
+
+  middleware.store = store;
+  return middleware;
+};
+
+module.exports = session;
+module.exports.loadSession = loadSession;
@@ -0,0 +1,63 @@
+const cookieParser = require('cookie-parser');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { storage } = require('../storage');
+const { UnauthorizedError } = require('../utils/errors');
+const { apiKeys, presentedKey } = require('./apiKeyAuth');
+const { bearerToken } = require('./adminAuth');
+const { authenticateToken } = require('./currentUser');
+const { permissionsOf, deniedMessage } = require('./authorize');
+const { loadSession } = require('./session');
+
+const parseCookies = cookieParser(config.security.session.secret);
+
+// The caller of an upgrade request, shaped like the req fields roleOf and
+// permissionsOf read. Throws UnauthorizedError for bad credentials
+const callerOf = (req, sessionStore, settings) => {
+  const key = presentedKey(req);
+  if (key) {
+    const { apiKey, reason } = apiKeys.authenticate(key);
+    if (!apiKey) throw new UnauthorizedError(reason, { code: 'invalid_key' });
+    return { apiKey: apiKeys.touch(apiKey) };
+  }
+
+  const token = bearerToken(req);
+  if (token) {
+    return authenticateToken(token);
+  }
+
+  parseCookies(req, null, () => {});
+  const id = req.signedCookies[settings.cookieName];
+  const session = loadSession(sessionStore, id);
+  return {
+    session,
+    user: session && session.user_id ? storage.users.findById(session.user_id) : null
+  };
+};
+
+/**
+ * Check for WebSocket upgrades, which do not go through the Express chain.
+ * The caller is resolved as on /api: an `Authorization: ApiKey` or `Bearer`
+ * header, else the login session cookie (all a browser can send), else an
+ * anonymous caller. The check returns null when the caller is granted
+ * `action`, else the { status, message } to refuse the handshake with.
+ * `sessionStore` must be the one the app's session middleware uses.
+ */
+const upgradeAuth = (action, { sessionStore, settings = config.security.session }) => (req) => {
+  let caller;
+  try {
+    caller = callerOf(req, sessionStore, settings);
+  } catch (error) {
+    if (!error.statusCode) throw error;
+    logger.warn('Upgrade authentication failed', { path: req.url, ip: req.socket.remoteAddress, reason: error.message, detail: error.detail });
+    return { status: error.statusCode, message: error.message };
+  }
+
+  if (permissionsOf(caller).includes(action)) {
+    return null;
+  }
+  logger.warn('Permission denied', { path: req.url, ip: req.socket.remoteAddress, action });
+  return { status: 403, message: deniedMessage(caller, action) };
+};
+
+module.exports = upgradeAuth;
@@ -0,0 +1,46 @@
+const { validationResult } = require('express-validator');
+const logger = require('../utils/logger');
+
+const formatError = (error) => ({
+  field: error.path,
+  location: error.location,
+  message: error.msg,
+  value: error.value
+});
+
+// Run validation chains against any request-like object ({ body, params, query })
+// and return the formatted field errors, one per field
+const runValidation = async (chains, req) => {
+  await Promise.all(chains.map(chain => chain.run(req)));
+  return validationResult(req).array({ onlyFirstError: true }).map(formatError);
+};
+
+// Run the declared validation chains and answer 422 with every field error
+const validate = (chains) => async (req, res, next) => {
+  let errors;
+  try {
+    errors = await runValidation(chains, req);
+  } catch (error) {
+    return next(error);
+  }
+
+  if (errors.length === 0) {
+    return next();
+  }
+
+  logger.warn('Request validation failed', {
+    requestId: req.requestId,
+    method: req.method,
+    path: req.originalUrl,
+    fields: errors.map(error => error.field)
+  });
+
+  res.status(422).json({
+    error: 'Validation failed',
+    errors,
+    timestamp: new Date().toISOString()
+  });
+};
+
+module.exports = validate;
+module.exports.runValidation = runValidation;
@@ -5,14 +5,25 @@ const os = require('os');
 const process = require('process');
 const logger = require('../utils/logger');
 const metricsStore = require('../utils/metricsStore');
+const adminAuth = require('../middleware/adminAuth');
+const authorize = require('../middleware/authorize');
+const validate = require('../middleware/validate');
+const { auditLog, recordChange } = require('../middleware/audit');
+const auditValidators = require('../validators/audit');
+const apiKeysRoutes = require('./apiKeys');
+const config = require('../config');
 
 // Admin panel route - serve HTML page
 router.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, '../../public/admin.html'));
 });
 
+// Everything below requires a bearer token; the panel page above is a static
+// shell that calls these endpoints with one
+router.use(adminAuth);
+
 // Admin API routes
-router.get('/api/stats', (req, res) => {
+router.get('/api/stats', authorize('metrics:read'), (req, res) => {
   const metrics = metricsStore.getMetrics();
   const memUsage = process.memoryUsage();
   
@@ -76,18 +87,24 @@ router.get('/api/stats', (req, res) => {
     timestamp: new Date().toISOString()
   };
 
-  logger.info('Admin stats requested', { ip: req.ip });
+  logger.info('Admin stats requested', { ip: req.ip, subject: req.auth.subject });
   res.json(stats);
 });
 
 // Clear cache endpoint
-router.post('/api/cache/clear', (req, res) => {
+router.post('/api/cache/clear', authorize('admin:cache'), (req, res) => {
   try {
     // In a real application, you would clear actual cache here
     // For demo purposes, we'll just reset some metrics
+    const summary = () => {
+      const { requests, recentRequests } = metricsStore.getMetrics();
+      return { requests_total: requests.total, requests_errors: requests.errors, recent_requests: recentRequests.length };
+    };
+    const before = summary();
     metricsStore.resetMetrics();
+    recordChange({ collection: 'metrics', change: 'reset', before, after: summary() });
     
-    logger.info('Cache cleared by admin', { ip: req.ip });
+    logger.info('Cache cleared by admin', { ip: req.ip, subject: req.auth.subject });
     
     res.json({
       success: true,
@@ -105,7 +122,7 @@ router.post('/api/cache/clear', (req, res) => {
 });
 
 // System information endpoint
-router.get('/api/system', (req, res) => {
+router.get('/api/system', authorize('metrics:read'), (req, res) => {
   const systemInfo = {
     server: {
       hostname: os.hostname(),
@@ -143,8 +160,8 @@ router.get('/api/system', (req, res) => {
 });
 
 // Restart application endpoint (simulation)
-router.post('/api/restart', (req, res) => {
-  logger.warn('Application restart requested', { ip: req.ip });
+router.post('/api/restart', authorize('admin:restart'), (req, res) => {
+  logger.warn('Application restart requested', { ip: req.ip, subject: req.auth.subject });
   
   res.json({
     message: 'Restart command received',
@@ -157,7 +174,7 @@ router.post('/api/restart', (req, res) => {
 });
 
 // Health check for admin panel
-router.get('/api/health', (req, res) => {
+router.get('/api/health', authorize('metrics:read'), (req, res) => {
   const healthStatus = {
     status: 'healthy',
     services: {
@@ -175,7 +192,7 @@ router.get('/api/health', (req, res) => {
 });
 
 // Configuration endpoint
-router.get('/api/config', (req, res) => {
+router.get('/api/config', authorize('metrics:read'), (req, res) => {
   const config = {
     environment: process.env.NODE_ENV || 'development',
     version: process.env.APP_VERSION || '1.0.0',
@@ -209,7 +226,7 @@ router.get('/api/config', (req, res) => {
 });
 
 // Logs endpoint for admin
-router.get('/api/logs', (req, res) => {
+router.get('/api/logs', authorize('metrics:read'), (req, res) => {
   const { level = 'info', limit = 100, offset = 0 } = req.query;
   
   // In a real application, you would fetch actual logs
@@ -235,4 +252,47 @@ router.get('/api/logs', (req, res) => {
   });
 });
 
+// Audit trail, newest first. actor matches a user id or token subject,
+// action and method match the start of the action ("DELETE /api/data")
+router.get('/api/audit', authorize('audit:read'), validate(auditValidators.listAudit), (req, res) => {
+  const { actor, action, method, target_type: targetType, target_id: targetId, request_id: requestId, outcome, since, until } = req.query;
+  const { limit = config.pagination.defaultLimit, offset = 0 } = req.query;
+  const sinceTime = since ? new Date(since).toISOString() : null;
+  const untilTime = until ? new Date(until).toISOString() : null;
+
+  const matching = auditLog.entries().reverse().filter(entry => (!actor || entry.actor.user_id === actor || entry.actor.subject === actor)
+    && (!action || entry.action.startsWith(action))
+    && (!method || entry.action.startsWith(`${method} `))
+    && (!targetType || entry.target.type === targetType)
+    && (!targetId || entry.target.id === targetId)
+    && (!requestId || entry.request_id === requestId)
+    && (!outcome || entry.outcome === outcome)
+    && (!sinceTime || entry.timestamp >= sinceTime)
+    && (!untilTime || entry.timestamp <= untilTime));
+
+  res.json({
+    entries: matching.slice(offset, offset + limit),
+    total: matching.length,
+    limit,
+    offset,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Recompute the hash chain; 409 when an entry was changed, removed or reordered
+router.get('/api/audit/verify', authorize('audit:read'), (req, res) => {
+  const result = auditLog.verify();
+  if (!result.valid) {
+    logger.error('Audit log verification failed', { ...result.broken, checked: result.checked });
+  }
+
+  res.status(result.valid ? 200 : 409).json({
+    ...result,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// API keys for machine clients
+router.use('/api/keys', authorize('keys:manage'), apiKeysRoutes);
+
 module.exports = router;
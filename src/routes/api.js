@@ -5,11 +5,83 @@ const moment = require('moment');
 const os = require('os');
 const process = require('process');
 const logger = require('../utils/logger');
+const config = require('../config');
 const metricsStore = require('../utils/metricsStore');
+const { storage } = require('../storage');
+const validate = require('../middleware/validate');
+const userValidators = require('../validators/users');
+const dataValidators = require('../validators/data');
+const { paginate, projectFields, buildLinkHeader } = require('../utils/pagination');
+const { SearchIndex } = require('../utils/searchIndex');
+const { JsonPatchError, applyMergePatch, applyJsonPatch, diffDocuments } = require('../utils/jsonPatch');
+const { etagFor, listEtag, matchesIfMatch } = require('../utils/etag');
+const ifMatch = require('../middleware/ifMatch');
+const currentUser = require('../middleware/currentUser');
+const authorize = require('../middleware/authorize');
+const idempotency = require('../middleware/idempotency');
+const filterQuery = require('../middleware/filterQuery');
+const { applyFilters } = require('../utils/filters');
+const transfer = require('../utils/transfer');
+const { importQuery } = require('../validators/transfer');
+const RevisionLog = require('../storage/revisionLog');
+const { typeSchemaErrors } = require('../validators/types');
+const { ChangeFeed, formatEvent } = require('../utils/changeFeed');
+const { eventForChange } = require('../utils/webhookDispatcher');
+const { ACTIONS } = require('../utils/permissions');
+const testingRoutes = require('./testing');
+const typesRoutes = require('./types');
+const webhooksRoutes = require('./webhooks');
 
-// In-memory storage for demo (in production use a real database)
-let applicationData = [];
-let users = [];
+// Soft-deleted items stay in storage with deleted_at set until they are purged
+const isTrashed = (item) => Boolean(item && item.deleted_at);
+const findActiveData = () => storage.data.findAll().filter(item => !isTrashed(item));
+const findTrashedData = () => storage.data.findAll().filter(isTrashed);
+const activeData = {
+  findById: (id) => {
+    const item = storage.data.findById(id);
+    return isTrashed(item) ? null : item;
+  }
+};
+
+const dataRevisions = new RevisionLog(storage.collection('data_revisions'));
+
+// Snapshot a data item after a write, attributed to the acting user and request
+const recordRevision = (req, document, action, { previous = null, details = {} } = {}) => dataRevisions.record(document, {
+  action,
+  actor: req.user ? { id: req.user.id, name: req.user.name } : null,
+  requestId: req.requestId,
+  previous,
+  details
+});
+
+// Full-text index over data items, kept in sync with every storage write
+const dataSearchIndex = new SearchIndex();
+dataSearchIndex.rebuild(findActiveData());
+
+// Data changes streamed to /api/data/stream clients
+const dataFeed = new ChangeFeed();
+
+storage.events.on('change', (change) => {
+  const { type, collection, document } = change;
+  if (collection !== 'data') return;
+
+  const event = eventForChange(change);
+  if (event) {
+    dataFeed.publish(event, { item: document });
+  }
+
+  if (type === 'remove') {
+    dataSearchIndex.remove(document.id);
+    dataRevisions.removeAll(document.id);
+  } else if (type === 'clear') {
+    dataSearchIndex.clear();
+    dataRevisions.clear();
+  } else if (isTrashed(document)) {
+    dataSearchIndex.remove(document.id);
+  } else {
+    dataSearchIndex.add(document);
+  }
+});
 
 // Middleware to log API requests
 router.use((req, res, next) => {
@@ -21,11 +93,34 @@ router.use((req, res, next) => {
   next();
 });
 
-// API Status endpoint
-router.get('/status', (req, res) => {
+router.use(currentUser);
+router.use(idempotency());
+
+// Item counts per owner, largest first, plus the items without an owner
+const countByOwner = (items) => {
+  const counts = new Map();
+  let unowned = 0;
+  items.forEach(item => {
+    if (item.owner_id) {
+      counts.set(item.owner_id, (counts.get(item.owner_id) || 0) + 1);
+    } else {
+      unowned += 1;
+    }
+  });
+
+  const owners = Array.from(counts, ([ownerId, count]) => {
+    const owner = storage.users.findById(ownerId);
+    return { owner_id: ownerId, name: owner ? owner.name : null, count };
+  }).sort((a, b) => b.count - a.count);
+
+  return { unowned, owners };
+};
+
+// API Status payload, also pushed over the live metrics socket
+const buildStatus = () => {
   const metrics = metricsStore.getMetrics();
-  
-  res.json({
+
+  return {
     status: 'running',
     version: process.env.APP_VERSION || '1.0.0',
     environment: process.env.NODE_ENV || 'development',
@@ -38,10 +133,17 @@ router.get('/status', (req, res) => {
       total_mb: Math.round(process.memoryUsage().heapTotal / 1024 / 1024),
       usage_percent: Math.round((process.memoryUsage().heapUsed / process.memoryUsage().heapTotal) * 100)
     },
-    data_count: applicationData.length,
-    users_count: users.length,
+    data_count: findActiveData().length,
+    trash_count: findTrashedData().length,
+    data_by_owner: countByOwner(findActiveData()),
+    users_count: storage.users.count(),
     timestamp: new Date().toISOString()
-  });
+  };
+};
+
+// API Status endpoint
+router.get('/status', (req, res) => {
+  res.json(buildStatus());
 });
 
 // Version information
@@ -58,13 +160,13 @@ router.get('/version', (req, res) => {
   });
 });
 
-// Comprehensive metrics endpoint
-router.get('/metrics', (req, res) => {
+// Comprehensive metrics payload, also pushed over the live metrics socket
+const buildMetrics = () => {
   const metrics = metricsStore.getMetrics();
   const memUsage = process.memoryUsage();
   const cpuUsage = process.cpuUsage();
-  
-  res.json({
+
+  return {
     application: {
       name: 'DevOps RoxS Node GitHub',
       version: process.env.APP_VERSION || '1.0.0',
@@ -83,8 +185,8 @@ router.get('/metrics', (req, res) => {
         max_response_time_ms: metrics.performance.maxResponseTime
       },
       data: {
-        items_count: applicationData.length,
-        users_count: users.length
+        items_count: findActiveData().length,
+        users_count: storage.users.count()
       }
     },
     system: {
@@ -113,47 +215,308 @@ router.get('/metrics', (req, res) => {
       }
     },
     timestamp: new Date().toISOString()
+  };
+};
+
+// Comprehensive metrics endpoint
+router.get('/metrics', authorize('metrics:read'), (req, res) => {
+  res.json(buildMetrics());
+});
+
+// Respond with a single document and its version ETag (If-None-Match answers 304)
+const sendItem = (res, item, status = 200) => res.status(status).set('ETag', etagFor(item)).json(item);
+
+// Respond with a list payload and a weak ETag over its contents
+const sendList = (res, payload) => res.set('ETag', listEtag(payload)).json(payload);
+
+// 422 in the same shape as the validate middleware, for checks that need the stored document
+const sendValidationErrors = (res, errors) => res.status(422).json({
+  error: 'Validation failed',
+  errors,
+  timestamp: new Date().toISOString()
+});
+
+// Emails are unique regardless of case
+const isEmailTaken = (email, exceptId = null) => {
+  const normalized = email.toLowerCase();
+  return storage.users.findAll().some(user => user.id !== exceptId && user.email.toLowerCase() === normalized);
+};
+
+const emailConflict = (res, email) => res.status(409).json({
+  error: 'Email already in use',
+  field: 'email',
+  value: email,
+  timestamp: new Date().toISOString()
+});
+
+// Apply validated changes to an existing user, enforcing unique emails
+const saveUser = (req, res, changes) => {
+  const existing = storage.users.findById(req.params.id);
+
+  if (!existing) {
+    return res.status(404).json({
+      error: 'User not found',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  if (changes.email !== undefined && isEmailTaken(changes.email, existing.id)) {
+    return emailConflict(res, changes.email);
+  }
+
+  const updatedUser = storage.users.update(existing.id, {
+    ...existing,
+    ...changes,
+    last_active: new Date().toISOString()
+  });
+  logger.info('User updated', { userId: updatedUser.id, fields: Object.keys(changes) });
+
+  sendItem(res, updatedUser);
+};
+
+// Sort, page and project a list, setting the Link header for the next page
+const listPage = (req, res, items) => {
+  const { limit = config.pagination.defaultLimit, offset, cursor, sort, fields } = req.query;
+  const result = paginate(items, { limit, offset, cursor, sort });
+
+  res.set('Link', buildLinkHeader(req, result.nextCursor));
+  return {
+    items: result.page.map(item => projectFields(item, fields)),
+    total: result.total,
+    limit,
+    offset: result.offset,
+    has_more: result.hasMore,
+    next_cursor: result.nextCursor
+  };
+};
+
+// Stream records as NDJSON or CSV, negotiated from the Accept header
+const sendExport = (req, res, { name, records, columns }) => {
+  const format = transfer.exportFormat(req);
+  if (!format) {
+    return res.status(406).json({
+      error: 'Not acceptable',
+      message: `Export is available as ${Object.values(transfer.FORMATS).map(f => f.contentType).join(' or ')}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const { contentType, extension } = transfer.FORMATS[format];
+  res.attachment(`${name}-${new Date().toISOString().slice(0, 10)}.${extension}`);
+  res.type(`${contentType}; charset=utf-8`);
+  logger.info('Export started', { collection: name, format, count: records.length });
+  transfer.createExportStream(records, { format, columns }).pipe(res);
+};
+
+/**
+ * Import an NDJSON or CSV upload row by row as it streams in. `prepareRow`
+ * validates a decoded row and returns { document } or { errors }. Rows are
+ * written one at a time (no rollback); dry runs validate without writing.
+ * Rows whose id already exists fail, are skipped or replace the stored
+ * document depending on ?on_conflict.
+ */
+const runImport = async (req, res, { name, collection, prepareRow, onWrite = () => {} }) => {
+  const format = transfer.importFormat(req);
+  if (!format) {
+    return res.status(415).json({
+      error: `Unsupported import format. Use ${Object.values(transfer.FORMATS).map(f => f.contentType).join(' or ')}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const dryRun = req.query.dry_run === true;
+  const onConflict = req.query.on_conflict || 'error';
+  const summary = { total: 0, imported: 0, replaced: 0, skipped: 0, failed: 0 };
+  const errors = [];
+  // Dry runs write nothing, so duplicates within the file are tracked here
+  const seen = dryRun ? new Set() : null;
+
+  const fail = (line, details) => {
+    summary.failed += 1;
+    if (errors.length < config.transfer.maxReportedErrors) {
+      errors.push({ line, ...details });
+    }
+  };
+
+  const respond = (status, extra = {}) => res.status(status).json({
+    collection: name,
+    format,
+    dry_run: dryRun,
+    on_conflict: onConflict,
+    ...summary,
+    errors,
+    errors_truncated: summary.failed > errors.length,
+    ...extra,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    for await (const entry of transfer.readRecords(req, { format, maxLineLength: config.transfer.maxLineBytes })) {
+      summary.total += 1;
+      if (entry.error) {
+        fail(entry.line, { message: entry.error });
+        continue;
+      }
+
+      const row = format === 'csv' ? transfer.decodeCsvRecord(entry.record, { json: ['metadata'], maybeJson: ['content'] }) : entry.record;
+      const prepared = await prepareRow(row, { seen });
+      if (prepared.errors) {
+        fail(entry.line, { message: 'Validation failed', errors: prepared.errors });
+        continue;
+      }
+
+      const { document } = prepared;
+      const existing = collection.findById(document.id);
+      const duplicate = existing || (seen && seen.has(document.id));
+      if (seen) seen.add(document.id);
+
+      if (duplicate && onConflict === 'error') {
+        fail(entry.line, { message: 'Validation failed', errors: [{ field: 'id', location: 'body', message: 'A record with this id already exists', value: document.id }] });
+      } else if (duplicate && onConflict === 'skip') {
+        summary.skipped += 1;
+      } else if (duplicate) {
+        summary.replaced += 1;
+        if (!dryRun && existing) {
+          onWrite(collection.update(document.id, document), existing);
+        }
+      } else {
+        summary.imported += 1;
+        if (!dryRun) {
+          onWrite(collection.insert(document), null);
+        }
+      }
+    }
+  } catch (error) {
+    logger.warn('Import aborted', { collection: name, format, reason: error.message, ...summary });
+    return respond(422, { error: 'Import aborted', message: error.message });
+  }
+
+  logger.info('Import finished', { collection: name, format, dryRun, ...summary });
+  respond(summary.failed > 0 ? 207 : 200);
+};
+
+// Actions the caller may perform, so clients can hide what they cannot use
+router.get('/me/permissions', (req, res) => {
+  const role = authorize.roleOf(req);
+  const granted = authorize.permissionsOf(req);
+
+  res.json({
+    user: req.user ? { id: req.user.id, name: req.user.name, role: req.user.role } : null,
+    api_key: req.apiKey ? { id: req.apiKey.id, name: req.apiKey.name, prefix: req.apiKey.prefix } : null,
+    role,
+    permissions: granted,
+    actions: Object.fromEntries(ACTIONS.map(action => [action, granted.includes(action)])),
+    timestamp: new Date().toISOString()
   });
 });
 
 // Users CRUD operations
-router.get('/users', (req, res) => {
-  logger.info('Users list requested', { count: users.length });
-  res.json({
-    users: users,
-    count: users.length,
+router.get('/users', validate(userValidators.listUsers), filterQuery(userValidators.USER_FILTERS), (req, res) => {
+  const { items, ...page } = listPage(req, res, applyFilters(storage.users.findAll(), req.filters));
+  logger.info('Users list requested', { count: items.length, total: page.total });
+  sendList(res, {
+    users: items,
+    count: items.length,
+    ...page,
     timestamp: new Date().toISOString()
   });
 });
 
-router.post('/users', (req, res) => {
+const buildUser = ({ name, email, role }) => ({
+  id: uuidv4(),
+  name,
+  email,
+  role: role || 'user',
+  created_at: new Date().toISOString(),
+  last_active: new Date().toISOString()
+});
+
+router.post('/users', authorize('users:write'), validate(userValidators.createUser), (req, res) => {
   const { name, email, role } = req.body;
+
+  if (isEmailTaken(email)) {
+    return emailConflict(res, email);
+  }
+
+  const createdUser = storage.users.insert(buildUser({ name, email, role }));
+  logger.info('New user created', { userId: createdUser.id, name, email });
+
+  sendItem(res, createdUser, 201);
+});
+
+router.get('/users/export', filterQuery(userValidators.USER_FILTERS, { reserved: [] }), (req, res) => {
+  sendExport(req, res, {
+    name: 'users',
+    records: applyFilters(storage.users.findAll(), req.filters),
+    columns: userValidators.USER_FIELDS
+  });
+});
+
+router.post('/users/import', authorize('users:write'), validate(importQuery), async (req, res, next) => {
+  try {
+    await runImport(req, res, {
+      name: 'users',
+      collection: storage.users,
+      prepareRow: async (row, { seen }) => {
+        const errors = await userValidators.validateUserImport(row);
+        if (errors.length > 0) return { errors };
+
+        const id = row.id || uuidv4();
+        const emailKey = `email:${row.email.toLowerCase()}`;
+        if (isEmailTaken(row.email, id) || (seen && seen.has(emailKey))) {
+          return { errors: [{ field: 'email', location: 'body', message: 'Email already in use', value: row.email }] };
+        }
+        if (seen) seen.add(emailKey);
+
+        const now = new Date().toISOString();
+        return {
+          document: {
+            id,
+            name: row.name,
+            email: row.email,
+            role: row.role || 'user',
+            created_at: row.created_at || now,
+            last_active: row.last_active || now
+          }
+        };
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get('/users/:id', validate(userValidators.getUser), (req, res) => {
+  const user = storage.users.findById(req.params.id);
   
-  if (!name || !email) {
-    return res.status(400).json({
-      error: 'Name and email are required',
+  if (!user) {
+    return res.status(404).json({
+      error: 'User not found',
       timestamp: new Date().toISOString()
     });
   }
 
-  const newUser = {
-    id: uuidv4(),
-    name,
-    email,
-    role: role || 'user',
-    created_at: new Date().toISOString(),
-    last_active: new Date().toISOString()
-  };
+  sendItem(res, user);
+});
 
-  users.push(newUser);
-  logger.info('New user created', { userId: newUser.id, name, email });
+router.put('/users/:id', authorize('users:write'), validate(userValidators.replaceUser), ifMatch(storage.users), (req, res) => {
+  const { name, email, role } = req.body;
+  saveUser(req, res, { name, email, role: role || 'user' });
+});
 
-  res.status(201).json(newUser);
+router.patch('/users/:id', authorize('users:write'), validate(userValidators.patchUser), ifMatch(storage.users), (req, res) => {
+  const changes = {};
+  ['name', 'email', 'role'].forEach(field => {
+    if (req.body[field] !== undefined) {
+      changes[field] = req.body[field];
+    }
+  });
+  saveUser(req, res, changes);
 });
 
-router.get('/users/:id', (req, res) => {
-  const user = users.find(u => u.id === req.params.id);
-  
+router.get('/users/:id/data', validate([...userValidators.getUser, ...dataValidators.listData]), filterQuery(dataValidators.DATA_FILTERS), (req, res) => {
+  const user = storage.users.findById(req.params.id);
+
   if (!user) {
     return res.status(404).json({
       error: 'User not found',
@@ -161,57 +524,391 @@ router.get('/users/:id', (req, res) => {
     });
   }
 
-  res.json(user);
+  const owned = findActiveData().filter(item => item.owner_id === user.id);
+  const { items, ...page } = listPage(req, res, applyFilters(owned, req.filters));
+
+  sendList(res, {
+    owner_id: user.id,
+    data: items,
+    ...page,
+    timestamp: new Date().toISOString()
+  });
 });
 
-// Data CRUD operations
-router.get('/data', (req, res) => {
-  const { limit = 10, offset = 0, type } = req.query;
-  
-  let filteredData = applicationData;
-  if (type) {
-    filteredData = applicationData.filter(item => item.type === type);
+// Remove a user, applying config.ownership.onUserDelete to the items it owns
+// (trashed ones included). deletedUser is null when the policy forbids it.
+const removeUser = (req, user) => {
+  const policy = config.ownership.onUserDelete;
+  const owned = storage.data.findAll().filter(item => item.owner_id === user.id);
+
+  if (owned.length > 0 && policy !== 'cascade' && policy !== 'orphan') {
+    return { deletedUser: null, policy, owned: owned.length };
+  }
+
+  const deletedUser = storage.transaction(() => {
+    owned.forEach(item => {
+      if (policy === 'cascade') {
+        storage.data.remove(item.id);
+      } else {
+        const orphaned = storage.data.update(item.id, { ...item, owner_id: null, updated_at: new Date().toISOString() });
+        recordRevision(req, orphaned, 'orphan', { previous: item });
+      }
+    });
+    return storage.users.remove(user.id);
+  });
+
+  logger.info('User deleted', { userId: deletedUser.id, policy, ownedItems: owned.length });
+  return { deletedUser, policy, owned: owned.length };
+};
+
+router.delete('/users/:id', authorize('users:delete'), validate(userValidators.deleteUser), ifMatch(storage.users), (req, res) => {
+  const user = storage.users.findById(req.params.id);
+
+  if (!user) {
+    return res.status(404).json({
+      error: 'User not found',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const { deletedUser, policy, owned } = removeUser(req, user);
+
+  if (!deletedUser) {
+    return res.status(409).json({
+      error: 'User owns data items',
+      message: 'Reassign or delete the items first, or configure USER_DELETE_POLICY=cascade|orphan',
+      policy,
+      owned_items: owned,
+      timestamp: new Date().toISOString()
+    });
   }
 
-  const paginatedData = filteredData.slice(offset, offset + parseInt(limit));
-  
   res.json({
-    data: paginatedData,
-    total: filteredData.length,
-    limit: parseInt(limit),
-    offset: parseInt(offset),
-    has_more: offset + parseInt(limit) < filteredData.length,
+    message: 'User deleted successfully',
+    deleted_user: deletedUser,
+    data_policy: policy,
+    data_affected: owned,
     timestamp: new Date().toISOString()
   });
 });
 
-router.post('/data', (req, res) => {
-  const { content, type, metadata } = req.body;
+// New items belong to the acting user unless owner_id is given explicitly
+const buildDataItem = ({ content, type, metadata, owner_id: ownerId }, actor = null) => ({
+  id: uuidv4(),
+  content,
+  type: type || 'general',
+  metadata: metadata || {},
+  owner_id: ownerId !== undefined ? ownerId : (actor ? actor.id : null),
+  created_at: new Date().toISOString(),
+  updated_at: new Date().toISOString()
+});
+
+// Only fields present in the input change; explicit falsy values are kept
+const applyDataChanges = (existing, { content, type, metadata, owner_id: ownerId }) => ({
+  ...existing,
+  content: content !== undefined ? content : existing.content,
+  type: type !== undefined ? type : existing.type,
+  metadata: metadata !== undefined ? metadata : existing.metadata,
+  owner_id: ownerId !== undefined ? ownerId : existing.owner_id,
+  updated_at: new Date().toISOString()
+});
+
+// Run one validated bulk operation. Failures are reported in the result, never thrown.
+const runBulkOperation = (req, operation, index) => {
+  const result = { index, op: operation.op, id: operation.id || null, error: null };
+
+  if (operation.op === 'create') {
+    const item = buildDataItem(operation.data, req.user);
+    const schemaErrors = typeSchemaErrors(item);
+    if (schemaErrors.length > 0) {
+      return { ...result, status: 422, error: { message: 'Validation failed', errors: schemaErrors } };
+    }
+
+    const created = storage.data.insert(item);
+    recordRevision(req, created, 'create');
+    return { ...result, id: created.id, status: 201, etag: etagFor(created) };
+  }
+
+  const existing = activeData.findById(operation.id);
+  if (!existing) {
+    return { ...result, status: 404, error: { message: 'Data not found' } };
+  }
+
+  if (!operation.if_match && config.concurrency.requireIfMatch) {
+    return { ...result, status: 428, error: { message: 'Precondition required: send if_match with the current ETag' } };
+  }
+
+  if (operation.if_match && !matchesIfMatch(operation.if_match, etagFor(existing))) {
+    return { ...result, status: 412, error: { message: 'Precondition failed', current_etag: etagFor(existing) } };
+  }
+
+  if (operation.op === 'update') {
+    const changed = applyDataChanges(existing, operation.data);
+    const schemaErrors = typeSchemaErrors(changed);
+    if (schemaErrors.length > 0) {
+      return { ...result, status: 422, error: { message: 'Validation failed', errors: schemaErrors } };
+    }
+
+    const updated = storage.data.update(existing.id, changed);
+    recordRevision(req, updated, 'update', { previous: existing });
+    return { ...result, status: 200, etag: etagFor(updated) };
+  }
+
+  const deleted = storage.data.update(existing.id, { ...existing, deleted_at: new Date().toISOString() });
+  recordRevision(req, deleted, 'delete', { previous: existing });
+  return { ...result, status: 200, etag: etagFor(deleted) };
+};
+
+// Data CRUD operations
+router.get('/data', validate(dataValidators.listData), filterQuery(dataValidators.DATA_FILTERS), (req, res) => {
+  const { items, ...page } = listPage(req, res, applyFilters(findActiveData(), req.filters));
   
-  if (!content) {
-    return res.status(400).json({
-      error: 'Content is required',
+  sendList(res, {
+    data: items,
+    ...page,
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/data/search', validate(dataValidators.searchData), (req, res) => {
+  const { q, limit = config.pagination.defaultLimit, type } = req.query;
+
+  const { total, results } = dataSearchIndex.search(q, {
+    limit,
+    filter: type ? (item) => item.type === type : undefined
+  });
+  logger.info('Data search', { query: q, total });
+
+  res.json({
+    query: q,
+    results,
+    total,
+    limit,
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.post('/data', authorize('data:write'), validate(dataValidators.createData), (req, res) => {
+  const item = buildDataItem(req.body, req.user);
+  const errors = typeSchemaErrors(item);
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  const createdData = storage.data.insert(item);
+  recordRevision(req, createdData, 'create');
+  logger.info('New data created', { dataId: createdData.id, type: createdData.type });
+
+  sendItem(res, createdData, 201);
+});
+
+router.post('/data/bulk', authorize('data:write'), validate(dataValidators.bulkData), async (req, res, next) => {
+  try {
+    if (Number(req.get('Content-Length')) > config.bulk.maxBodyBytes) {
+      return res.status(413).json({
+        error: `Bulk request body exceeds ${config.bulk.maxBodyBytes} bytes`,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const operations = Array.isArray(req.body) ? req.body : req.body.operations;
+    if (!Array.isArray(operations) || operations.length === 0) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        errors: [{ field: 'operations', location: 'body', message: 'Operations must be a non-empty array' }],
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (operations.length > config.bulk.maxOperations) {
+      return res.status(413).json({
+        error: `Bulk requests accept at most ${config.bulk.maxOperations} operations`,
+        received: operations.length,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const mode = req.query.mode || 'partial';
+    const validationErrors = await Promise.all(operations.map(dataValidators.validateBulkOperation));
+    const invalidResult = (operation, index) => ({
+      index,
+      op: operation && operation.op,
+      id: (operation && operation.id) || null,
+      status: 422,
+      error: { message: 'Validation failed', errors: validationErrors[index] }
+    });
+    const skippedResult = (operation, index, message) => ({
+      index,
+      op: operation && operation.op,
+      id: (operation && operation.id) || null,
+      status: 424,
+      error: { message }
+    });
+
+    let results = [];
+    let rolledBack = false;
+
+    if (mode === 'atomic') {
+      if (validationErrors.some(errors => errors.length > 0)) {
+        rolledBack = true;
+        results = operations.map((operation, index) => (validationErrors[index].length > 0
+          ? invalidResult(operation, index)
+          : skippedResult(operation, index, 'Not executed: another operation is invalid')));
+      } else {
+        try {
+          storage.transaction(() => {
+            operations.forEach((operation, index) => {
+              const result = runBulkOperation(req, operation, index);
+              results.push(result);
+              if (result.status >= 400) {
+                const abort = new Error('Bulk operation failed');
+                abort.rollback = true;
+                throw abort;
+              }
+            });
+          });
+        } catch (error) {
+          if (!error.rollback) throw error;
+
+          rolledBack = true;
+          const failed = results[results.length - 1];
+          results = operations.map((operation, index) => {
+            if (index === failed.index) return failed;
+            return skippedResult(operation, index, index < failed.index
+              ? `Rolled back: operation ${failed.index} failed`
+              : `Not executed: operation ${failed.index} failed`);
+          });
+        }
+      }
+    } else {
+      results = operations.map((operation, index) => (validationErrors[index].length > 0
+        ? invalidResult(operation, index)
+        : runBulkOperation(req, operation, index)));
+    }
+
+    const failed = results.filter(result => result.status >= 400 && result.status !== 424).length;
+    const succeeded = rolledBack ? 0 : results.length - failed;
+    logger.info('Bulk data operations processed', { mode, total: operations.length, succeeded, failed, rolledBack });
+
+    let status = 200;
+    if (rolledBack) {
+      status = results.find(result => result.status >= 400 && result.status !== 424).status;
+    } else if (failed > 0) {
+      status = 207;
+    }
+
+    res.status(status).json({
+      mode,
+      total: operations.length,
+      succeeded,
+      failed,
+      rolled_back: rolledBack,
+      results,
       timestamp: new Date().toISOString()
     });
+  } catch (error) {
+    next(error);
   }
+});
 
-  const newData = {
-    id: uuidv4(),
-    content,
-    type: type || 'general',
-    metadata: metadata || {},
-    created_at: new Date().toISOString(),
-    updated_at: new Date().toISOString()
-  };
+router.get('/data/export', filterQuery(dataValidators.DATA_FILTERS, { reserved: [] }), (req, res) => {
+  sendExport(req, res, {
+    name: 'data',
+    records: applyFilters(findActiveData(), req.filters),
+    columns: dataValidators.DATA_EXPORT_FIELDS
+  });
+});
+
+router.post('/data/import', authorize('data:write'), validate(importQuery), async (req, res, next) => {
+  try {
+    await runImport(req, res, {
+      name: 'data',
+      collection: storage.data,
+      prepareRow: async (row) => {
+        const errors = await dataValidators.validateDataImport(row);
+        if (errors.length > 0) return { errors };
+
+        const now = new Date().toISOString();
+        return {
+          document: {
+            id: row.id || uuidv4(),
+            content: row.content,
+            type: row.type || 'general',
+            metadata: row.metadata || {},
+            owner_id: row.owner_id || null,
+            created_at: row.created_at || now,
+            updated_at: row.updated_at || now
+          }
+        };
+      },
+      onWrite: (document, previous) => recordRevision(req, document, 'import', { previous })
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Server-Sent Events for every data change. Clients resume with Last-Event-ID;
+// when the missed events are no longer in the backlog a "reset" event tells
+// them to reload the listing instead
+router.get('/data/stream', validate(dataValidators.streamData), (req, res) => {
+  if (dataFeed.subscriberCount >= config.stream.maxClients) {
+    return res.status(503).set('Retry-After', String(Math.ceil(config.stream.retryMs / 1000))).json({
+      error: 'Too many stream clients',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const lastEventId = req.headers['last-event-id'] !== undefined ? req.headers['last-event-id'] : req.query.last_event_id;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  req.socket.setTimeout(0);
+  req.socket.setNoDelay(true);
+  res.write(`retry: ${config.stream.retryMs}\n\n`);
+
+  if (lastEventId !== undefined) {
+    const missed = dataFeed.since(lastEventId);
+    if (missed) {
+      missed.forEach(entry => res.write(formatEvent(entry)));
+    } else {
+      res.write(formatEvent({
+        id: dataFeed.lastId,
+        event: 'reset',
+        data: { message: 'Missed events are no longer available; reload the data listing' }
+      }));
+    }
+  }
+
+  const unsubscribe = dataFeed.subscribe(entry => res.write(formatEvent(entry)));
+  const heartbeat = setInterval(() => res.write(`: heartbeat ${new Date().toISOString()}\n\n`), config.stream.heartbeatMs);
+  logger.info('Data stream opened', { requestId: req.requestId, lastEventId, clients: dataFeed.subscriberCount });
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.info('Data stream closed', { requestId: req.requestId, clients: dataFeed.subscriberCount });
+  });
+});
 
-  applicationData.push(newData);
-  logger.info('New data created', { dataId: newData.id, type: newData.type });
+router.get('/data/trash', validate(dataValidators.listTrash), filterQuery(dataValidators.TRASH_FILTERS), (req, res) => {
+  const { items, ...page } = listPage(req, res, applyFilters(findTrashedData(), req.filters));
 
-  res.status(201).json(newData);
+  sendList(res, {
+    data: items,
+    ...page,
+    retention_days: config.trash.retentionMs / (24 * 60 * 60 * 1000),
+    timestamp: new Date().toISOString()
+  });
 });
 
-router.get('/data/:id', (req, res) => {
-  const data = applicationData.find(d => d.id === req.params.id);
+router.get('/data/:id', validate(dataValidators.getData), (req, res) => {
+  const data = activeData.findById(req.params.id);
   
   if (!data) {
     return res.status(404).json({
@@ -220,56 +917,249 @@ router.get('/data/:id', (req, res) => {
     });
   }
 
-  res.json(data);
+  sendItem(res, data);
 });
 
-router.put('/data/:id', (req, res) => {
-  const dataIndex = applicationData.findIndex(d => d.id === req.params.id);
+router.put('/data/:id', authorize('data:write'), validate(dataValidators.updateData), ifMatch(activeData), (req, res) => {
+  const existing = activeData.findById(req.params.id);
   
-  if (dataIndex === -1) {
+  if (!existing) {
     return res.status(404).json({
       error: 'Data not found',
       timestamp: new Date().toISOString()
     });
   }
 
-  const { content, type, metadata } = req.body;
-  const updatedData = {
-    ...applicationData[dataIndex],
-    content: content || applicationData[dataIndex].content,
-    type: type || applicationData[dataIndex].type,
-    metadata: metadata || applicationData[dataIndex].metadata,
-    updated_at: new Date().toISOString()
-  };
+  const changed = applyDataChanges(existing, req.body);
+  const errors = typeSchemaErrors(changed);
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  const updatedData = storage.data.update(existing.id, changed);
+  recordRevision(req, updatedData, 'update', { previous: existing });
 
-  applicationData[dataIndex] = updatedData;
   logger.info('Data updated', { dataId: updatedData.id });
 
-  res.json(updatedData);
+  sendItem(res, updatedData);
 });
 
-router.delete('/data/:id', (req, res) => {
-  const dataIndex = applicationData.findIndex(d => d.id === req.params.id);
-  
-  if (dataIndex === -1) {
+const MERGE_PATCH_TYPE = 'application/merge-patch+json';
+const JSON_PATCH_TYPE = 'application/json-patch+json';
+const patchBodyParser = express.json({ limit: '10mb', type: [MERGE_PATCH_TYPE, JSON_PATCH_TYPE] });
+
+router.patch('/data/:id', authorize('data:write'), patchBodyParser, validate(dataValidators.patchData), ifMatch(activeData), (req, res) => {
+  const isMergePatch = req.is(MERGE_PATCH_TYPE);
+  const isJsonPatch = req.is(JSON_PATCH_TYPE);
+
+  if (!isMergePatch && !isJsonPatch) {
+    res.set('Accept-Patch', `${MERGE_PATCH_TYPE}, ${JSON_PATCH_TYPE}`);
+    return res.status(415).json({
+      error: `Unsupported patch format. Use ${MERGE_PATCH_TYPE} or ${JSON_PATCH_TYPE}`,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const existing = activeData.findById(req.params.id);
+
+  if (!existing) {
     return res.status(404).json({
       error: 'Data not found',
       timestamp: new Date().toISOString()
     });
   }
 
-  const deletedData = applicationData.splice(dataIndex, 1)[0];
-  logger.info('Data deleted', { dataId: deletedData.id });
+  let patched;
+  try {
+    if (isMergePatch && !dataValidators.isPlainObject(req.body)) {
+      throw new JsonPatchError('Merge patch document must be a JSON object');
+    }
+    patched = isMergePatch ? applyMergePatch(existing, req.body) : applyJsonPatch(existing, req.body);
+  } catch (error) {
+    if (error.name !== 'JsonPatchError') throw error;
+
+    logger.warn('Data patch failed', { dataId: existing.id, reason: error.message, operation: error.index });
+    return res.status(error.statusCode).json({
+      error: 'Patch failed',
+      message: error.message,
+      operation: error.index !== null ? { index: error.index, ...error.operation } : undefined,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const errors = dataValidators.validateDataDocument(patched, existing);
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  const updatedData = storage.data.update(existing.id, {
+    ...patched,
+    updated_at: new Date().toISOString()
+  });
+  recordRevision(req, updatedData, 'patch', { previous: existing });
+  logger.info('Data patched', { dataId: updatedData.id, format: isMergePatch ? 'merge-patch' : 'json-patch' });
+
+  sendItem(res, updatedData);
+});
+
+// Deletes move the item to the trash; ?hard=true (data:purge) removes it for good,
+// including items that are already in the trash
+router.delete('/data/:id', authorize('data:write'), validate(dataValidators.deleteData), (req, res, next) => (
+  req.query.hard ? authorize('data:purge')(req, res, next) : next()
+), (req, res, next) => ifMatch(req.query.hard ? storage.data : activeData)(req, res, next), (req, res) => {
+  const { hard } = req.query;
+  const existing = hard ? storage.data.findById(req.params.id) : activeData.findById(req.params.id);
+
+  if (!existing) {
+    return res.status(404).json({
+      error: 'Data not found',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const deletedData = hard
+    ? storage.data.remove(existing.id)
+    : storage.data.update(existing.id, { ...existing, deleted_at: new Date().toISOString() });
+  if (!hard) {
+    recordRevision(req, deletedData, 'delete', { previous: existing });
+  }
+  logger.info('Data deleted', { dataId: deletedData.id, hard, userId: req.user && req.user.id });
 
   res.json({
-    message: 'Data deleted successfully',
+    message: hard ? 'Data deleted permanently' : 'Data moved to trash',
     deleted_item: deletedData,
     timestamp: new Date().toISOString()
   });
 });
 
+router.post('/data/:id/restore', authorize('data:write'), validate(dataValidators.restoreData), ifMatch(storage.data), (req, res) => {
+  const existing = storage.data.findById(req.params.id);
+
+  if (!isTrashed(existing)) {
+    return res.status(404).json({
+      error: 'Data not found in trash',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const { deleted_at: deletedAt, ...restored } = existing;
+  const restoredData = storage.data.update(existing.id, { ...restored, updated_at: new Date().toISOString() });
+  recordRevision(req, restoredData, 'restore', { previous: existing });
+  logger.info('Data restored', { dataId: restoredData.id, deletedAt });
+
+  sendItem(res, restoredData);
+});
+
+// Revision history. Trashed items keep their history until they are purged.
+const summarizeRevision = ({ snapshot, ...revision }) => revision;
+
+const findRevision = (req, res) => {
+  const item = storage.data.findById(req.params.id);
+  if (!item) {
+    res.status(404).json({ error: 'Data not found', timestamp: new Date().toISOString() });
+    return null;
+  }
+
+  const revision = dataRevisions.get(item.id, req.params.rev);
+  if (!revision) {
+    res.status(404).json({
+      error: 'Revision not found',
+      available: dataRevisions.list(item.id).map(entry => entry.rev),
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+  return revision;
+};
+
+router.get('/data/:id/revisions', validate(dataValidators.listRevisions), (req, res) => {
+  const item = storage.data.findById(req.params.id);
+
+  if (!item) {
+    return res.status(404).json({
+      error: 'Data not found',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const revisions = dataRevisions.list(item.id).reverse().map(summarizeRevision);
+
+  res.json({
+    data_id: item.id,
+    current_rev: item.version,
+    revisions,
+    count: revisions.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/data/:id/revisions/:rev', validate(dataValidators.getRevision), (req, res) => {
+  const revision = findRevision(req, res);
+  if (revision) {
+    res.json(revision);
+  }
+});
+
+// Structural diff from revision :rev to ?to= (defaults to the current item)
+router.get('/data/:id/revisions/:rev/diff', validate(dataValidators.diffRevision), (req, res) => {
+  const revision = findRevision(req, res);
+  if (!revision) return;
+
+  let target = storage.data.findById(req.params.id);
+  if (req.query.to !== undefined) {
+    target = dataRevisions.get(req.params.id, req.query.to);
+    if (!target) {
+      return res.status(404).json({
+        error: 'Revision not found',
+        available: dataRevisions.list(req.params.id).map(entry => entry.rev),
+        timestamp: new Date().toISOString()
+      });
+    }
+    target = target.snapshot;
+  }
+
+  // version and updated_at change on every write and would only add noise
+  const comparable = ({ version, updated_at: updatedAt, ...document }) => document;
+
+  res.json({
+    data_id: req.params.id,
+    from: revision.rev,
+    to: target.version,
+    operations: diffDocuments(comparable(revision.snapshot), comparable(target)),
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.post('/data/:id/revert/:rev', authorize('data:write'), validate(dataValidators.revertData), ifMatch(activeData), (req, res) => {
+  const existing = activeData.findById(req.params.id);
+
+  if (!existing) {
+    return res.status(404).json({
+      error: 'Data not found',
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const revision = findRevision(req, res);
+  if (!revision) return;
+
+  // The revision must still satisfy the current schema of its type
+  const { content, type, metadata } = revision.snapshot;
+  const reverted = applyDataChanges(existing, { content, type, metadata });
+  const errors = typeSchemaErrors(reverted);
+  if (errors.length > 0) {
+    return sendValidationErrors(res, errors);
+  }
+
+  const revertedData = storage.data.update(existing.id, reverted);
+  recordRevision(req, revertedData, 'revert', { previous: existing, details: { reverted_to: revision.rev } });
+  logger.info('Data reverted', { dataId: revertedData.id, rev: revision.rev });
+
+  sendItem(res, revertedData);
+});
+
 // Logs endpoint (admin-like functionality)
-router.get('/logs', (req, res) => {
+router.get('/logs', authorize('metrics:read'), (req, res) => {
   const { level = 'info', limit = 50 } = req.query;
   
   // In a real application, you would fetch from your logging system
@@ -282,53 +1172,25 @@ router.get('/logs', (req, res) => {
   });
 });
 
-// Test endpoint for creating sample data
-router.post('/test/seed', (req, res) => {
-  const sampleUsers = [
-    { name: 'John Doe', email: 'john@example.com', role: 'admin' },
-    { name: 'Jane Smith', email: 'jane@example.com', role: 'user' },
-    { name: 'Bob Johnson', email: 'bob@example.com', role: 'user' }
-  ];
-
-  const sampleData = [
-    { content: 'Sample content 1', type: 'test', metadata: { source: 'seed' } },
-    { content: 'Sample content 2', type: 'demo', metadata: { source: 'seed' } },
-    { content: 'Sample content 3', type: 'test', metadata: { source: 'seed' } }
-  ];
-
-  // Create sample users
-  sampleUsers.forEach(userData => {
-    const user = {
-      id: uuidv4(),
-      ...userData,
-      created_at: new Date().toISOString(),
-      last_active: new Date().toISOString()
-    };
-    users.push(user);
-  });
+// Type writes are guarded in the types router; reads stay open
+router.use('/types', typesRoutes);
+router.use('/webhooks', authorize('webhooks:manage'), webhooksRoutes);
+// Seeding helpers, disabled unless features.testEndpoints is on. They only
+// serve callers who may write data; seeding also checks the user actions
+router.use('/test', authorize('data:write'), testingRoutes);
 
-  // Create sample data
-  sampleData.forEach(dataItem => {
-    const data = {
-      id: uuidv4(),
-      ...dataItem,
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-    applicationData.push(data);
-  });
-
-  logger.info('Test data seeded', { 
-    usersCreated: sampleUsers.length, 
-    dataCreated: sampleData.length 
-  });
+module.exports = router;
+module.exports.buildStatus = buildStatus;
+module.exports.buildMetrics = buildMetrics;
 
-  res.json({
-    message: 'Test data seeded successfully',
-    users_created: sampleUsers.length,
-    data_created: sampleData.length,
-    timestamp: new Date().toISOString()
-  });
+// Shared with the GraphQL endpoint, which mirrors these routes
+Object.assign(module.exports, {
+  activeData,
+  findActiveData,
+  recordRevision,
+  isEmailTaken,
+  buildUser,
+  removeUser,
+  buildDataItem,
+  applyDataChanges
 });
-
-module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const validate = require('../middleware/validate');
+const apiKeyValidators = require('../validators/apiKeys');
+const { apiKeys } = require('../middleware/apiKeyAuth');
+const { statusOf } = require('../storage/apiKeyStore');
+const { API_KEY_SCOPES } = require('../utils/permissions');
+
+// The hash never leaves the store; the key itself is only in creation responses
+const publicApiKey = ({ key_hash: keyHash, ...apiKey }) => ({ ...apiKey, status: statusOf(apiKey) });
+
+const apiKeyNotFound = (res) => res.status(404).json({
+  error: 'API key not found',
+  timestamp: new Date().toISOString()
+});
+
+const apiKeyNotActive = (res, apiKey) => res.status(409).json({
+  error: `API key is ${statusOf(apiKey)}`,
+  api_key: publicApiKey(apiKey),
+  timestamp: new Date().toISOString()
+});
+
+// A key in its grace period already has a replacement; rotating it again
+// would orphan that replacement and break the rotated_from/replaced_by chain
+const apiKeyAlreadyRotated = (res, apiKey) => res.status(409).json({
+  error: 'API key was already rotated',
+  replaced_by: apiKey.replaced_by,
+  api_key: publicApiKey(apiKey),
+  timestamp: new Date().toISOString()
+});
+
+const newestFirst = (a, b) => b.created_at.localeCompare(a.created_at);
+
+router.get('/', validate(apiKeyValidators.listApiKeys), (req, res) => {
+  const list = apiKeys.list()
+    .map(publicApiKey)
+    .filter(apiKey => !req.query.status || apiKey.status === req.query.status)
+    .sort(newestFirst);
+
+  res.json({
+    api_keys: list,
+    count: list.length,
+    scopes: API_KEY_SCOPES,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// The response is the only time the key is shown
+router.post('/', validate(apiKeyValidators.createApiKey), (req, res) => {
+  const { name, scopes, expires_at: expiresAt, rate_limit: rateLimit } = req.body;
+  const { apiKey, key } = apiKeys.create({
+    name,
+    scopes,
+    expires_at: expiresAt || null,
+    rate_limit: rateLimit || null,
+    created_by: req.auth.subject
+  });
+  logger.info('API key created', { apiKeyId: apiKey.id, prefix: apiKey.prefix, scopes, subject: req.auth.subject });
+
+  res.status(201).json({
+    ...publicApiKey(apiKey),
+    key,
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/:id', validate(apiKeyValidators.getApiKey), (req, res) => {
+  const apiKey = apiKeys.get(req.params.id);
+  if (!apiKey) return apiKeyNotFound(res);
+
+  res.json({
+    ...publicApiKey(apiKey),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Revoked keys are kept (and listed) so past use stays traceable
+router.delete('/:id', validate(apiKeyValidators.revokeApiKey), (req, res) => {
+  const existing = apiKeys.get(req.params.id);
+  if (!existing) return apiKeyNotFound(res);
+  if (statusOf(existing) === 'revoked') return apiKeyNotActive(res, existing);
+
+  const apiKey = apiKeys.revoke(existing.id);
+  logger.info('API key revoked', { apiKeyId: apiKey.id, prefix: apiKey.prefix, subject: req.auth.subject });
+
+  res.json({
+    message: 'API key revoked',
+    api_key: publicApiKey(apiKey),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Issue a replacement with the same name, scopes, expiry and rate limit.
+// The old key stops working now, or after grace_seconds; a key is rotated
+// only once (rotate its replacement instead)
+router.post('/:id/rotate', validate(apiKeyValidators.rotateApiKey), (req, res) => {
+  const existing = apiKeys.get(req.params.id);
+  if (!existing) return apiKeyNotFound(res);
+  if (statusOf(existing) !== 'active') return apiKeyNotActive(res, existing);
+  if (existing.replaced_by) return apiKeyAlreadyRotated(res, existing);
+
+  const { apiKey, key, previous } = apiKeys.rotate(existing.id, {
+    graceSeconds: req.body.grace_seconds || 0,
+    created_by: req.auth.subject
+  });
+  logger.info('API key rotated', { apiKeyId: apiKey.id, prefix: apiKey.prefix, rotatedFrom: previous.id, subject: req.auth.subject });
+
+  res.status(201).json({
+    ...publicApiKey(apiKey),
+    key,
+    rotated_key: publicApiKey(previous),
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
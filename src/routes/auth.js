@@ -0,0 +1,80 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const validate = require('../middleware/validate');
+const authValidators = require('../validators/auth');
+const { UnauthorizedError } = require('../utils/errors');
+const { bearerToken, verifyAdminToken, rejectToken } = require('../middleware/adminAuth');
+const { findSubjectUser } = require('../middleware/currentUser');
+
+const publicSession = ({ subject, role, user_id: userId, created_at: createdAt, expires_at: expiresAt }) => ({
+  subject,
+  role,
+  user_id: userId,
+  created_at: createdAt,
+  expires_at: new Date(expiresAt).toISOString()
+});
+
+// Exchange an admin JWT (the same ones /admin accepts) for a session cookie.
+// A subject that names a stored user acts as that user, with its role
+router.post('/login', validate(authValidators.login), (req, res, next) => {
+  try {
+    const token = req.body.token || bearerToken(req);
+    if (!token) {
+      throw new UnauthorizedError('Bearer token required', { code: null });
+    }
+
+    const { claims } = verifyAdminToken(token);
+    const user = findSubjectUser(claims.sub);
+    const session = req.startSession({
+      subject: claims.sub || null,
+      role: user ? user.role : (claims.role || 'admin'),
+      user_id: user ? user.id : null,
+      ip: req.ip,
+      user_agent: req.get('User-Agent') || null
+    });
+    logger.info('Session started', { requestId: req.requestId, subject: session.subject, role: session.role, userId: session.user_id });
+
+    res.json({
+      message: 'Logged in',
+      session: publicSession(session),
+      csrf_token: session.csrf_token,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.name === 'UnauthorizedError') {
+      rejectToken(req, res, error);
+    }
+    next(error);
+  }
+});
+
+router.post('/logout', (req, res) => {
+  if (req.session) {
+    logger.info('Session ended', { requestId: req.requestId, subject: req.session.subject });
+  }
+  req.endSession();
+
+  res.json({
+    message: 'Logged out',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Current session and its CSRF token, for the scripts in public/js
+router.get('/session', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+
+  if (!req.session) {
+    return res.json({ authenticated: false, timestamp: new Date().toISOString() });
+  }
+
+  res.json({
+    authenticated: true,
+    session: publicSession(req.session),
+    csrf_token: req.session.csrf_token,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,573 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const {
+  GraphQLError,
+  buildSchema,
+  execute,
+  getOperationAST,
+  parse,
+  printSchema,
+  validate: validateDocument
+} = require('graphql');
+const logger = require('../utils/logger');
+const config = require('../config');
+const metricsStore = require('../utils/metricsStore');
+const { storage } = require('../storage');
+const { runValidation } = require('../middleware/validate');
+const currentUser = require('../middleware/currentUser');
+const { permissionsOf, deniedMessage } = require('../middleware/authorize');
+const userValidators = require('../validators/users');
+const dataValidators = require('../validators/data');
+const { typeSchemaErrors } = require('../validators/types');
+const { paginate } = require('../utils/pagination');
+const { etagFor, matchesIfMatch } = require('../utils/etag');
+const { limitErrors } = require('../utils/graphqlLimits');
+const api = require('./api');
+const { buildHealth } = require('./health');
+
+// Input fields are nullable on purpose: required fields and formats are
+// checked by the same validators as the REST routes, with the same messages
+const schema = buildSchema(`
+  "Any JSON value"
+  scalar JSON
+
+  type User {
+    id: ID!
+    name: String!
+    email: String!
+    role: String!
+    version: Int
+    created_at: String
+    last_active: String
+    "Pass as if_match to update or delete only this version"
+    etag: String!
+    "Data items owned by the user, like GET /api/users/:id/data"
+    data(limit: Int, offset: Int, cursor: String, sort: String, type: String): DataPage!
+  }
+
+  type DataItem {
+    id: ID!
+    "Free text or a JSON object"
+    content: JSON
+    type: String!
+    metadata: JSON
+    owner_id: ID
+    owner: User
+    version: Int
+    created_at: String
+    updated_at: String
+    deleted_at: String
+    etag: String!
+  }
+
+  type UserPage {
+    items: [User!]!
+    total: Int!
+    limit: Int!
+    offset: Int!
+    has_more: Boolean!
+    next_cursor: String
+  }
+
+  type DataPage {
+    items: [DataItem!]!
+    total: Int!
+    limit: Int!
+    offset: Int!
+    has_more: Boolean!
+    next_cursor: String
+  }
+
+  type RequestCounts {
+    total: Int!
+    success: Int!
+    errors: Int!
+    per_minute: Int!
+    peak_per_minute: Int!
+  }
+
+  type Performance {
+    average_response_time_ms: Float!
+    "Null until the first request is recorded"
+    min_response_time_ms: Float
+    max_response_time_ms: Float!
+  }
+
+  type RecentRequest {
+    method: String!
+    path: String!
+    statusCode: Int!
+    responseTime: Float!
+    timestamp: String!
+    ip: String
+  }
+
+  type Metrics {
+    requests: RequestCounts!
+    performance: Performance!
+    "Newest first"
+    recent_requests(limit: Int): [RecentRequest!]!
+    "The full GET /api/metrics payload"
+    snapshot: JSON!
+    timestamp: String!
+  }
+
+  type Query {
+    users(limit: Int, offset: Int, cursor: String, sort: String, role: String): UserPage!
+    user(id: ID!): User
+    data(limit: Int, offset: Int, cursor: String, sort: String, type: String, owner_id: ID): DataPage!
+    dataItem(id: ID!): DataItem
+    metrics: Metrics!
+    "The GET /api/status payload"
+    status: JSON!
+    "The GET /health payload"
+    health: JSON!
+  }
+
+  input CreateUserInput {
+    name: String
+    email: String
+    role: String
+  }
+
+  input UpdateUserInput {
+    name: String
+    email: String
+    role: String
+  }
+
+  input CreateDataInput {
+    content: JSON
+    type: String
+    metadata: JSON
+    "Defaults to the authenticated user"
+    owner_id: ID
+  }
+
+  input UpdateDataInput {
+    content: JSON
+    type: String
+    metadata: JSON
+    "null clears the owner"
+    owner_id: ID
+  }
+
+  type DeleteUserResult {
+    deleted_user: User!
+    data_policy: String!
+    data_affected: Int!
+  }
+
+  type DeleteDataResult {
+    message: String!
+    deleted_item: DataItem!
+  }
+
+  type Mutation {
+    createUser(input: CreateUserInput!): User!
+    "Only the given fields change, like PATCH /api/users/:id"
+    updateUser(id: ID!, input: UpdateUserInput!, if_match: String): User!
+    deleteUser(id: ID!, if_match: String): DeleteUserResult!
+    createData(input: CreateDataInput!): DataItem!
+    "Only the given fields change, like PUT /api/data/:id"
+    updateData(id: ID!, input: UpdateDataInput!, if_match: String): DataItem!
+    "Moves the item to the trash; hard (admins only) removes it for good"
+    deleteData(id: ID!, hard: Boolean, if_match: String): DeleteDataResult!
+  }
+`);
+
+// Error codes in extensions.code, with the status the REST route would answer
+const ERROR_STATUS = {
+  BAD_USER_INPUT: 422,
+  FORBIDDEN: 403,
+  NOT_FOUND: 404,
+  CONFLICT: 409,
+  PRECONDITION_FAILED: 412,
+  PRECONDITION_REQUIRED: 428
+};
+
+const apiError = (code, message, details = {}) => new GraphQLError(message, {
+  extensions: { code, status: ERROR_STATUS[code], ...details }
+});
+
+// The authorize middleware's rule for a resolver
+const requirePermission = (req, action) => {
+  if (!permissionsOf(req).includes(action)) {
+    throw apiError('FORBIDDEN', deniedMessage(req, action), { action });
+  }
+};
+
+// Run REST validation chains over GraphQL arguments and return the sanitized
+// request-like object. JSON round-tripping turns GraphQL's prototype-less
+// input objects into plain ones before they are validated and stored.
+const validateArgs = async (chains, { body = {}, params = {}, query = {} }) => {
+  const req = { body: JSON.parse(JSON.stringify(body)), params, query };
+  const errors = await runValidation(chains, req);
+  if (errors.length > 0) {
+    throw apiError('BAD_USER_INPUT', 'Validation failed', { errors });
+  }
+  return req;
+};
+
+// The ifMatch middleware's rules, with the ETag given as the if_match argument
+const checkIfMatch = (document, ifMatchValue) => {
+  if (!ifMatchValue) {
+    if (config.concurrency.requireIfMatch) {
+      throw apiError('PRECONDITION_REQUIRED', 'Precondition required: pass if_match with the current ETag');
+    }
+    return;
+  }
+
+  if (!matchesIfMatch(ifMatchValue, etagFor(document))) {
+    throw apiError('PRECONDITION_FAILED', 'The resource was modified since you last read it', {
+      current_etag: etagFor(document)
+    });
+  }
+};
+
+const listPage = async (items, { limit, offset, cursor, sort }, chains) => {
+  const listArgs = Object.fromEntries(Object.entries({ limit, offset, cursor, sort })
+    .filter(([, value]) => value !== undefined && value !== null));
+  const { query } = await validateArgs(chains, { query: listArgs });
+  const pageLimit = query.limit || config.pagination.defaultLimit;
+  const result = paginate(items, { ...query, limit: pageLimit });
+
+  return {
+    items: result.page,
+    total: result.total,
+    limit: pageLimit,
+    offset: result.offset,
+    has_more: result.hasMore,
+    next_cursor: result.nextCursor
+  };
+};
+
+// Documents exposed with their ETag and related objects. Function-valued
+// properties are field resolvers, called with the field arguments.
+const userNode = (user) => ({
+  ...user,
+  etag: etagFor(user),
+  data: async (args) => {
+    const owned = api.findActiveData()
+      .filter(item => item.owner_id === user.id && (!args.type || item.type === args.type));
+    const page = await listPage(owned, args, dataValidators.listData);
+    return { ...page, items: page.items.map(dataNode) };
+  }
+});
+
+const dataNode = (item) => ({
+  ...item,
+  etag: etagFor(item),
+  owner: () => {
+    const owner = item.owner_id ? storage.users.findById(item.owner_id) : null;
+    return owner ? userNode(owner) : null;
+  }
+});
+
+const finiteOrNull = (value) => (Number.isFinite(value) ? value : null);
+
+const findUser = (id) => {
+  const user = storage.users.findById(id);
+  if (!user) {
+    throw apiError('NOT_FOUND', 'User not found');
+  }
+  return user;
+};
+
+const findData = (id, { includeTrash = false } = {}) => {
+  const item = includeTrash ? storage.data.findById(id) : api.activeData.findById(id);
+  if (!item) {
+    throw apiError('NOT_FOUND', 'Data not found');
+  }
+  return item;
+};
+
+const checkEmailAvailable = (email, exceptId = null) => {
+  if (email !== undefined && api.isEmailTaken(email, exceptId)) {
+    throw apiError('CONFLICT', 'Email already in use', { field: 'email', value: email });
+  }
+};
+
+const rootValue = {
+  users: async (args) => {
+    const users = storage.users.findAll().filter(user => !args.role || user.role === args.role);
+    const page = await listPage(users, args, userValidators.listUsers);
+    return { ...page, items: page.items.map(userNode) };
+  },
+
+  user: async ({ id }) => {
+    await validateArgs(userValidators.getUser, { params: { id } });
+    const user = storage.users.findById(id);
+    return user ? userNode(user) : null;
+  },
+
+  data: async (args) => {
+    const items = api.findActiveData().filter(item => (!args.type || item.type === args.type)
+      && (args.owner_id === undefined || item.owner_id === args.owner_id));
+    const page = await listPage(items, args, dataValidators.listData);
+    return { ...page, items: page.items.map(dataNode) };
+  },
+
+  dataItem: async ({ id }) => {
+    await validateArgs(dataValidators.getData, { params: { id } });
+    const item = api.activeData.findById(id);
+    return item ? dataNode(item) : null;
+  },
+
+  metrics: (args, { req }) => {
+    requirePermission(req, 'metrics:read');
+    const { requests, performance, recentRequests, timestamp } = metricsStore.getMetrics();
+    return {
+      requests: {
+        total: requests.total,
+        success: requests.success,
+        errors: requests.errors,
+        per_minute: requests.perMinute,
+        peak_per_minute: requests.peakRPM
+      },
+      performance: {
+        average_response_time_ms: performance.averageResponseTime,
+        min_response_time_ms: finiteOrNull(performance.minResponseTime),
+        max_response_time_ms: performance.maxResponseTime
+      },
+      recent_requests: ({ limit }) => recentRequests.slice(0, Math.max(limit || config.pagination.defaultLimit, 0)),
+      snapshot: () => api.buildMetrics(),
+      timestamp
+    };
+  },
+
+  status: () => api.buildStatus(),
+
+  health: () => buildHealth(),
+
+  createUser: async ({ input }, { req }) => {
+    requirePermission(req, 'users:write');
+    const { body } = await validateArgs(userValidators.createUser, { body: input });
+    checkEmailAvailable(body.email);
+
+    const createdUser = storage.users.insert(api.buildUser(body));
+    logger.info('New user created', { userId: createdUser.id, name: createdUser.name, email: createdUser.email, via: 'graphql' });
+    return userNode(createdUser);
+  },
+
+  updateUser: async ({ id, input, if_match: ifMatchValue }, { req }) => {
+    requirePermission(req, 'users:write');
+    const { body } = await validateArgs(userValidators.patchUser, { body: input, params: { id } });
+    const existing = findUser(id);
+    checkIfMatch(existing, ifMatchValue);
+    checkEmailAvailable(body.email, existing.id);
+
+    const changes = {};
+    ['name', 'email', 'role'].forEach(field => {
+      if (body[field] !== undefined) {
+        changes[field] = body[field];
+      }
+    });
+
+    const updatedUser = storage.users.update(existing.id, {
+      ...existing,
+      ...changes,
+      last_active: new Date().toISOString()
+    });
+    logger.info('User updated', { userId: updatedUser.id, fields: Object.keys(changes), via: 'graphql' });
+    return userNode(updatedUser);
+  },
+
+  deleteUser: async ({ id, if_match: ifMatchValue }, { req }) => {
+    requirePermission(req, 'users:delete');
+    await validateArgs(userValidators.deleteUser, { params: { id } });
+    const user = findUser(id);
+    checkIfMatch(user, ifMatchValue);
+
+    const { deletedUser, policy, owned } = api.removeUser(req, user);
+    if (!deletedUser) {
+      throw apiError('CONFLICT', 'User owns data items', { policy, owned_items: owned });
+    }
+
+    return { deleted_user: userNode(deletedUser), data_policy: policy, data_affected: owned };
+  },
+
+  createData: async ({ input }, { req }) => {
+    requirePermission(req, 'data:write');
+    const { body } = await validateArgs(dataValidators.createData, { body: input });
+    const item = api.buildDataItem(body, req.user);
+    const errors = typeSchemaErrors(item);
+    if (errors.length > 0) {
+      throw apiError('BAD_USER_INPUT', 'Validation failed', { errors });
+    }
+
+    const createdData = storage.data.insert(item);
+    api.recordRevision(req, createdData, 'create');
+    logger.info('New data created', { dataId: createdData.id, type: createdData.type, via: 'graphql' });
+    return dataNode(createdData);
+  },
+
+  updateData: async ({ id, input, if_match: ifMatchValue }, { req }) => {
+    requirePermission(req, 'data:write');
+    const { body } = await validateArgs(dataValidators.updateData, { body: input, params: { id } });
+    const existing = findData(id);
+    checkIfMatch(existing, ifMatchValue);
+
+    const changed = api.applyDataChanges(existing, body);
+    const errors = typeSchemaErrors(changed);
+    if (errors.length > 0) {
+      throw apiError('BAD_USER_INPUT', 'Validation failed', { errors });
+    }
+
+    const updatedData = storage.data.update(existing.id, changed);
+    api.recordRevision(req, updatedData, 'update', { previous: existing });
+    logger.info('Data updated', { dataId: updatedData.id, via: 'graphql' });
+    return dataNode(updatedData);
+  },
+
+  deleteData: async ({ id, hard = false, if_match: ifMatchValue }, { req }) => {
+    requirePermission(req, 'data:write');
+    await validateArgs(dataValidators.getData, { params: { id } });
+    if (hard) {
+      requirePermission(req, 'data:purge');
+    }
+
+    const existing = findData(id, { includeTrash: hard });
+    checkIfMatch(existing, ifMatchValue);
+
+    const deletedData = hard
+      ? storage.data.remove(existing.id)
+      : storage.data.update(existing.id, { ...existing, deleted_at: new Date().toISOString() });
+    if (!hard) {
+      api.recordRevision(req, deletedData, 'delete', { previous: existing });
+    }
+    logger.info('Data deleted', { dataId: deletedData.id, hard, userId: req.user && req.user.id, via: 'graphql' });
+
+    return {
+      message: hard ? 'Data deleted permanently' : 'Data moved to trash',
+      deleted_item: dataNode(deletedData)
+    };
+  }
+};
+
+const sendErrors = (res, status, errors) => res.status(status).json({ errors });
+
+// Errors thrown by resolvers that are not GraphQLErrors are bugs: log them
+// and hide their message from the client
+const maskError = (req, error) => {
+  if (!error.originalError || error.originalError instanceof GraphQLError) {
+    return error;
+  }
+
+  logger.error('GraphQL resolver failed', { requestId: req.requestId, path: error.path, error: error.originalError.message });
+  return new GraphQLError('Internal server error', {
+    nodes: error.nodes,
+    path: error.path,
+    extensions: { code: 'INTERNAL_SERVER_ERROR' }
+  });
+};
+
+/**
+ * Parse, validate and execute one GraphQL request. Syntax errors, schema
+ * validation errors and operations over the depth or complexity limits
+ * answer 400 without running anything; once execution starts the answer is
+ * 200 with `data` and any field `errors`.
+ */
+const runOperation = async (req, res, { query, variables, operationName }, { allowMutations }) => {
+  if (typeof query !== 'string' || query.trim() === '') {
+    return sendErrors(res, 400, [{ message: 'A "query" string is required' }]);
+  }
+  if (variables !== undefined && variables !== null && (typeof variables !== 'object' || Array.isArray(variables))) {
+    return sendErrors(res, 400, [{ message: '"variables" must be an object' }]);
+  }
+  if (operationName !== undefined && operationName !== null && typeof operationName !== 'string') {
+    return sendErrors(res, 400, [{ message: '"operationName" must be a string' }]);
+  }
+
+  let document;
+  try {
+    document = parse(query, { maxTokens: config.graphql.maxTokens });
+  } catch (error) {
+    return sendErrors(res, 400, [error]);
+  }
+
+  const validationErrors = validateDocument(schema, document);
+  if (validationErrors.length > 0) {
+    return sendErrors(res, 400, validationErrors);
+  }
+
+  const tooExpensive = limitErrors(schema, document, { variables: variables || {} });
+  if (tooExpensive.length > 0) {
+    logger.warn('GraphQL operation rejected', { requestId: req.requestId, reasons: tooExpensive.map(error => error.message) });
+    return sendErrors(res, 400, tooExpensive);
+  }
+
+  const operation = getOperationAST(document, operationName);
+  if (operation && operation.operation === 'mutation' && !allowMutations) {
+    res.set('Allow', 'POST');
+    return sendErrors(res, 405, [{ message: 'Mutations must be sent with POST' }]);
+  }
+
+  logger.info('GraphQL operation', {
+    requestId: req.requestId,
+    operation: operation ? operation.operation : null,
+    operationName: operationName || (operation && operation.name ? operation.name.value : null)
+  });
+
+  const result = await execute({
+    schema,
+    document,
+    rootValue,
+    contextValue: { req },
+    variableValues: variables,
+    operationName
+  });
+
+  if (result.errors) {
+    result.errors = result.errors.map(error => maskError(req, error));
+  }
+  res.json(result);
+};
+
+router.use(currentUser);
+
+// GET runs queries from the query string; without one, browsers get the explorer
+router.get('/', async (req, res, next) => {
+  const { query, operationName } = req.query;
+
+  if (query === undefined) {
+    if (config.graphql.explorer && req.accepts(['json', 'html']) === 'html') {
+      return res.sendFile(path.join(__dirname, '../../public/graphql.html'));
+    }
+    return sendErrors(res, 400, [{ message: 'A "query" string is required' }]);
+  }
+
+  let variables;
+  try {
+    variables = req.query.variables ? JSON.parse(req.query.variables) : undefined;
+  } catch (error) {
+    return sendErrors(res, 400, [{ message: '"variables" must be valid JSON' }]);
+  }
+
+  try {
+    await runOperation(req, res, { query, variables, operationName }, { allowMutations: false });
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post('/', async (req, res, next) => {
+  if (!req.is('application/json')) {
+    return sendErrors(res, 415, [{ message: 'Send the request as application/json' }]);
+  }
+
+  try {
+    await runOperation(req, res, req.body || {}, { allowMutations: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Schema in SDL, for the explorer and client code generation
+router.get('/schema', (req, res) => {
+  res.type('text/plain').send(printSchema(schema));
+});
+
+module.exports = router;
+module.exports.schema = schema;
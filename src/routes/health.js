@@ -4,33 +4,36 @@ const os = require('os');
 const process = require('process');
 const logger = require('../utils/logger');
 
+// Health check payload, also pushed over the live metrics socket
+const buildHealth = () => ({
+  status: 'healthy',
+  timestamp: new Date().toISOString(),
+  uptime: process.uptime(),
+  version: process.env.APP_VERSION || '1.0.0',
+  environment: process.env.NODE_ENV || 'development',
+  node_version: process.version,
+  platform: process.platform,
+  architecture: process.arch,
+  memory: {
+    used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
+    total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024),
+    external: Math.round(process.memoryUsage().external / 1024 / 1024)
+  },
+  system: {
+    hostname: os.hostname(),
+    platform: os.platform(),
+    arch: os.arch(),
+    cpus: os.cpus().length,
+    total_memory: Math.round(os.totalmem() / 1024 / 1024),
+    free_memory: Math.round(os.freemem() / 1024 / 1024),
+    load_average: os.loadavg()
+  }
+});
+
 // Health check endpoint
 router.get('/', (req, res) => {
   try {
-    const healthCheck = {
-      status: 'healthy',
-      timestamp: new Date().toISOString(),
-      uptime: process.uptime(),
-      version: process.env.APP_VERSION || '1.0.0',
-      environment: process.env.NODE_ENV || 'development',
-      node_version: process.version,
-      platform: process.platform,
-      architecture: process.arch,
-      memory: {
-        used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
-        total: Math.round(process.memoryUsage().heapTotal / 1024 / 1024),
-        external: Math.round(process.memoryUsage().external / 1024 / 1024)
-      },
-      system: {
-        hostname: os.hostname(),
-        platform: os.platform(),
-        arch: os.arch(),
-        cpus: os.cpus().length,
-        total_memory: Math.round(os.totalmem() / 1024 / 1024),
-        free_memory: Math.round(os.freemem() / 1024 / 1024),
-        load_average: os.loadavg()
-      }
-    };
+    const healthCheck = buildHealth();
 
     logger.info('Health check requested', { 
       ip: req.ip, 
@@ -115,3 +118,4 @@ router.get('/ready', (req, res) => {
 });
 
 module.exports = router;
+module.exports.buildHealth = buildHealth;
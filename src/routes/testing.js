@@ -0,0 +1,213 @@
+const express = require('express');
+const router = express.Router();
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { storage } = require('../storage');
+const validate = require('../middleware/validate');
+const authorize = require('../middleware/authorize');
+const testingValidators = require('../validators/testing');
+const userValidators = require('../validators/users');
+const dataValidators = require('../validators/data');
+const { createRandom } = require('../utils/random');
+const { generateUsers, generateData, listFixtures, loadFixture } = require('../utils/fixtures');
+
+// Every record created by POST /seed is tracked here so DELETE /seed removes only those
+const seedRecords = storage.collection('seed_records');
+
+const fixturesDir = () => path.resolve(config.testing.fixturesDir);
+
+// The whole namespace looks like an unknown route unless explicitly enabled
+router.use((req, res, next) => {
+  if (config.features.testEndpoints) {
+    return next();
+  }
+
+  res.status(404).json({
+    error: 'Route not found',
+    method: req.method,
+    path: req.originalUrl,
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/fixtures', (req, res) => {
+  res.json({
+    fixtures: listFixtures(fixturesDir()),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Fixture rows without an id get one derived from the fixture name and
+// position, so seeding the same fixture twice skips instead of duplicating
+const fixtureRows = (fixture, collection, rows) => rows.map((row, index) => ({
+  ...row,
+  id: row.id || createRandom(`${fixture}:${collection}:${index}`).uuid()
+}));
+
+// Seeding creates users, admins included, so it needs what creating them does
+router.post('/seed', authorize('users:write'), validate(testingValidators.seedData), async (req, res, next) => {
+  try {
+    const { fixture } = req.body;
+    const defaultCount = fixture ? 0 : 3;
+    const { users: userCount = defaultCount, data: dataCount = defaultCount } = req.body;
+    const random = createRandom(req.body.seed);
+
+    const candidates = { users: [], data: [] };
+    if (fixture) {
+      let loaded;
+      try {
+        loaded = loadFixture(fixturesDir(), fixture);
+      } catch (error) {
+        return res.status(422).json({
+          error: 'Invalid fixture',
+          message: `Fixture "${fixture}" is not valid JSON: ${error.message}`,
+          timestamp: new Date().toISOString()
+        });
+      }
+
+      if (!loaded) {
+        return res.status(404).json({
+          error: 'Fixture not found',
+          available: listFixtures(fixturesDir()),
+          timestamp: new Date().toISOString()
+        });
+      }
+      candidates.users.push(...fixtureRows(fixture, 'users', loaded.users));
+      candidates.data.push(...fixtureRows(fixture, 'data', loaded.data));
+    }
+    candidates.users.push(...generateUsers(random, userCount));
+    candidates.data.push(...generateData(random, dataCount));
+
+    // Validate every row before writing anything
+    const errors = [];
+    for (const [index, row] of candidates.users.entries()) {
+      const rowErrors = await userValidators.validateUserImport(row);
+      if (rowErrors.length > 0) errors.push({ collection: 'users', index, errors: rowErrors });
+    }
+    for (const [index, row] of candidates.data.entries()) {
+      const rowErrors = await dataValidators.validateDataImport(row);
+      if (rowErrors.length > 0) errors.push({ collection: 'data', index, errors: rowErrors });
+    }
+    if (errors.length > 0) {
+      return res.status(422).json({
+        error: 'Invalid fixture',
+        errors,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const now = new Date().toISOString();
+    const emails = new Set(storage.users.findAll().map(user => user.email.toLowerCase()));
+    const result = { users_created: 0, users_skipped: 0, data_created: 0, data_skipped: 0 };
+    const track = (collection, id) => seedRecords.insert({
+      id: `${collection}:${id}`,
+      collection,
+      record_id: id,
+      seed: random.seed,
+      fixture: fixture || null,
+      created_at: now
+    });
+
+    storage.transaction(() => {
+      candidates.users.forEach(row => {
+        const id = row.id || uuidv4();
+        const email = row.email.toLowerCase();
+        if (storage.users.findById(id) || emails.has(email)) {
+          result.users_skipped += 1;
+          return;
+        }
+
+        emails.add(email);
+        storage.users.insert({
+          id,
+          name: row.name,
+          email: row.email,
+          role: row.role || 'user',
+          created_at: row.created_at || now,
+          last_active: row.last_active || now
+        });
+        track('users', id);
+        result.users_created += 1;
+      });
+
+      candidates.data.forEach(row => {
+        const id = row.id || uuidv4();
+        if (storage.data.findById(id)) {
+          result.data_skipped += 1;
+          return;
+        }
+
+        storage.data.insert({
+          id,
+          content: row.content,
+          type: row.type || 'general',
+          metadata: { source: 'seed', ...row.metadata },
+          owner_id: row.owner_id || null,
+          created_at: row.created_at || now,
+          updated_at: row.updated_at || now
+        });
+        track('data', id);
+        result.data_created += 1;
+      });
+    });
+
+    logger.info('Test data seeded', { seed: random.seed, fixture, ...result });
+
+    res.json({
+      message: 'Test data seeded successfully',
+      seed: random.seed,
+      fixture: fixture || null,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Seeded users go last and through the same removal as DELETE /api/users/:id,
+// so config.ownership.onUserDelete applies to items created outside the seed.
+// Users the policy keeps stay tracked and are reported as users_kept
+router.delete('/seed', authorize('users:delete'), (req, res) => {
+  // Loaded here: the api router requires this one
+  const { removeUser } = require('./api');
+  const removed = { users: 0, data: 0 };
+  const [seededUsers, seededData] = ['users', 'data']
+    .map(name => seedRecords.findAll().filter(record => record.collection === name));
+
+  storage.transaction(() => {
+    seededData.forEach(record => {
+      if (storage.data.remove(record.record_id)) {
+        removed.data += 1;
+      }
+      seedRecords.remove(record.id);
+    });
+  });
+
+  let kept = 0;
+  seededUsers.forEach(record => {
+    const user = storage.users.findById(record.record_id);
+    if (user && !removeUser(req, user).deletedUser) {
+      kept += 1;
+      return;
+    }
+    if (user) {
+      removed.users += 1;
+    }
+    seedRecords.remove(record.id);
+  });
+
+  logger.info('Seeded test data removed', { ...removed, usersKept: kept });
+
+  res.json({
+    message: 'Seeded test data removed',
+    users_removed: removed.users,
+    users_kept: kept,
+    data_removed: removed.data,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const logger = require('../utils/logger');
+const { storage } = require('../storage');
+const validate = require('../middleware/validate');
+const ifMatch = require('../middleware/ifMatch');
+const authorize = require('../middleware/authorize');
+const typeValidators = require('../validators/types');
+const { etagFor, listEtag } = require('../utils/etag');
+
+const { dataTypes, typeSchemaErrors } = typeValidators;
+
+const typeNotFound = (res) => res.status(404).json({
+  error: 'Type not found',
+  timestamp: new Date().toISOString()
+});
+
+const sendType = (res, type, status = 200) => res.status(status).set('ETag', etagFor(type)).json(type);
+
+router.get('/', (req, res) => {
+  const types = dataTypes.findAll().sort((a, b) => a.name.localeCompare(b.name));
+  const payload = {
+    types,
+    count: types.length,
+    timestamp: new Date().toISOString()
+  };
+
+  res.set('ETag', listEtag(payload)).json(payload);
+});
+
+router.post('/', authorize('types:write'), validate(typeValidators.createType), (req, res) => {
+  const { name, description, schema } = req.body;
+
+  if (dataTypes.findById(name)) {
+    return res.status(409).json({
+      error: 'Type already exists',
+      name,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const now = new Date().toISOString();
+  const type = dataTypes.insert({
+    id: name,
+    name,
+    description: description || '',
+    schema,
+    created_at: now,
+    updated_at: now
+  });
+  logger.info('Data type registered', { type: name });
+
+  sendType(res, type, 201);
+});
+
+router.get('/:name', validate(typeValidators.getType), (req, res) => {
+  const type = dataTypes.findById(req.params.name);
+
+  if (!type) {
+    return typeNotFound(res);
+  }
+
+  sendType(res, type);
+});
+
+// Existing items are not rewritten; the response counts the ones that no
+// longer match so they can be fixed before their next update
+router.put('/:name', authorize('types:write'), validate(typeValidators.replaceType), ifMatch(dataTypes, { param: 'name' }), (req, res) => {
+  const existing = dataTypes.findById(req.params.name);
+
+  if (!existing) {
+    return typeNotFound(res);
+  }
+
+  const { description, schema } = req.body;
+  const type = dataTypes.update(existing.id, {
+    ...existing,
+    description: description !== undefined ? description : existing.description,
+    schema,
+    updated_at: new Date().toISOString()
+  });
+
+  const nonconforming = storage.data.findAll()
+    .filter(item => !item.deleted_at && item.type === type.name && typeSchemaErrors(item).length > 0);
+  logger.info('Data type updated', { type: type.name, nonconforming: nonconforming.length });
+
+  res.set('ETag', etagFor(type)).json({
+    ...type,
+    nonconforming_items: nonconforming.length
+  });
+});
+
+// Types still used by any item (trashed ones included) cannot be removed
+router.delete('/:name', authorize('types:write'), validate(typeValidators.deleteType), ifMatch(dataTypes, { param: 'name' }), (req, res) => {
+  const existing = dataTypes.findById(req.params.name);
+
+  if (!existing) {
+    return typeNotFound(res);
+  }
+
+  const inUse = storage.data.findAll().filter(item => item.type === existing.name).length;
+  if (inUse > 0) {
+    return res.status(409).json({
+      error: 'Type is in use',
+      name: existing.name,
+      items: inUse,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  dataTypes.remove(existing.id);
+  logger.info('Data type removed', { type: existing.name });
+
+  res.json({
+    message: 'Type deleted successfully',
+    deleted_type: existing,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,198 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const config = require('../config');
+const { storage } = require('../storage');
+const validate = require('../middleware/validate');
+const ifMatch = require('../middleware/ifMatch');
+const webhookValidators = require('../validators/webhooks');
+const { etagFor } = require('../utils/etag');
+const { WebhookDispatcher, WEBHOOK_EVENTS } = require('../utils/webhookDispatcher');
+
+const webhooks = storage.collection('webhooks');
+const deliveries = storage.collection('webhook_deliveries');
+const dispatcher = new WebhookDispatcher({ webhooks, deliveries });
+
+// Every committed change to users and data is offered to the subscribers
+storage.events.on('change', change => dispatcher.handleChange(change));
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Secrets are only returned when they are set; afterwards a hint identifies them
+const publicWebhook = ({ secret, ...webhook }) => ({ ...webhook, secret_hint: `...${secret.slice(-4)}` });
+
+const sendWebhook = (res, webhook, status = 200, extra = {}) => res.status(status)
+  .set('ETag', etagFor(webhook))
+  .json({ ...publicWebhook(webhook), ...extra });
+
+const webhookNotFound = (res) => res.status(404).json({
+  error: 'Webhook not found',
+  timestamp: new Date().toISOString()
+});
+
+const newestFirst = (a, b) => b.created_at.localeCompare(a.created_at);
+
+router.get('/', (req, res) => {
+  const list = webhooks.findAll().map(publicWebhook);
+  res.json({
+    webhooks: list,
+    count: list.length,
+    events: WEBHOOK_EVENTS,
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.post('/', validate(webhookValidators.createWebhook), (req, res) => {
+  const { url, events, description, active } = req.body;
+  const secret = req.body.secret || generateSecret();
+  const now = new Date().toISOString();
+
+  const webhook = webhooks.insert({
+    id: uuidv4(),
+    url,
+    events,
+    description: description || '',
+    active: active !== undefined ? active : true,
+    secret,
+    created_at: now,
+    updated_at: now
+  });
+  logger.info('Webhook created', { webhookId: webhook.id, events });
+
+  sendWebhook(res, webhook, 201, { secret });
+});
+
+// Deliveries of every webhook that exhausted their attempts
+router.get('/dead-letters', (req, res) => {
+  const dead = deliveries.findAll().filter(delivery => delivery.status === 'dead').sort(newestFirst);
+  res.json({
+    deliveries: dead,
+    count: dead.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/:id', validate(webhookValidators.getWebhook), (req, res) => {
+  const webhook = webhooks.findById(req.params.id);
+  if (!webhook) return webhookNotFound(res);
+
+  sendWebhook(res, webhook);
+});
+
+// Omitting `secret` keeps the current one
+router.put('/:id', validate(webhookValidators.replaceWebhook), ifMatch(webhooks), (req, res) => {
+  const existing = webhooks.findById(req.params.id);
+  if (!existing) return webhookNotFound(res);
+
+  const { url, events, description, active, secret } = req.body;
+  const webhook = webhooks.update(existing.id, {
+    ...existing,
+    url,
+    events,
+    description: description !== undefined ? description : existing.description,
+    active: active !== undefined ? active : existing.active,
+    secret: secret || existing.secret,
+    updated_at: new Date().toISOString()
+  });
+  logger.info('Webhook updated', { webhookId: webhook.id, events, active: webhook.active });
+
+  sendWebhook(res, webhook, 200, secret ? { secret } : {});
+});
+
+router.delete('/:id', validate(webhookValidators.deleteWebhook), ifMatch(webhooks), (req, res) => {
+  const existing = webhooks.findById(req.params.id);
+  if (!existing) return webhookNotFound(res);
+
+  dispatcher.cancel(existing.id);
+  webhooks.remove(existing.id);
+  logger.info('Webhook deleted', { webhookId: existing.id });
+
+  res.json({
+    message: 'Webhook deleted successfully',
+    deleted_webhook: publicWebhook(existing),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Send a "ping" event regardless of the event filter, to check a receiver
+router.post('/:id/ping', validate(webhookValidators.pingWebhook), (req, res) => {
+  const webhook = webhooks.findById(req.params.id);
+  if (!webhook) return webhookNotFound(res);
+
+  const delivery = dispatcher.enqueue(webhook, {
+    id: uuidv4(),
+    event: 'ping',
+    created_at: new Date().toISOString(),
+    data: { webhook_id: webhook.id }
+  });
+
+  res.status(202).json({
+    message: 'Ping queued',
+    delivery,
+    timestamp: new Date().toISOString()
+  });
+});
+
+router.get('/:id/deliveries', validate(webhookValidators.listDeliveries), (req, res) => {
+  const webhook = webhooks.findById(req.params.id);
+  if (!webhook) return webhookNotFound(res);
+
+  const { status, limit = config.pagination.defaultLimit } = req.query;
+  const history = deliveries.findAll()
+    .filter(delivery => delivery.webhook_id === webhook.id && (!status || delivery.status === status))
+    .sort(newestFirst);
+
+  res.json({
+    webhook_id: webhook.id,
+    deliveries: history.slice(0, limit),
+    total: history.length,
+    limit,
+    timestamp: new Date().toISOString()
+  });
+});
+
+const findDelivery = (req, res) => {
+  const delivery = deliveries.findById(req.params.deliveryId);
+  if (!delivery || delivery.webhook_id !== req.params.id) {
+    res.status(404).json({
+      error: 'Delivery not found',
+      timestamp: new Date().toISOString()
+    });
+    return null;
+  }
+  return delivery;
+};
+
+router.get('/:id/deliveries/:deliveryId', validate(webhookValidators.getDelivery), (req, res) => {
+  const delivery = findDelivery(req, res);
+  if (!delivery) return;
+
+  res.json(delivery);
+});
+
+router.post('/:id/deliveries/:deliveryId/redeliver', validate(webhookValidators.redeliver), (req, res) => {
+  const delivery = findDelivery(req, res);
+  if (!delivery) return;
+
+  if (delivery.status === 'pending') {
+    return res.status(409).json({
+      error: 'Delivery is still pending',
+      next_attempt_at: delivery.next_attempt_at,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  const requeued = dispatcher.redeliver(delivery.id);
+  logger.info('Webhook delivery requeued', { webhookId: delivery.webhook_id, deliveryId: delivery.id });
+
+  res.status(202).json({
+    message: 'Delivery requeued',
+    delivery: requeued,
+    timestamp: new Date().toISOString()
+  });
+});
+
+module.exports = router;
+module.exports.dispatcher = dispatcher;
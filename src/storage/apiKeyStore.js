@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+
+const KEY_PATTERN = /^rsk_([0-9a-f]{12})_([\w-]{32})$/;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const hashesMatch = (a, b) => crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+
+// active, revoked or expired at `now` (ms)
+const statusOf = (apiKey, now = Date.now()) => {
+  if (apiKey.revoked_at && Date.parse(apiKey.revoked_at) <= now) return 'revoked';
+  if (apiKey.expires_at && Date.parse(apiKey.expires_at) <= now) return 'expired';
+  return 'active';
+};
+
+/**
+ * API keys for machine clients, kept in a collection with the storage
+ * interface. A key reads "rsk_<prefix>_<secret>": the prefix finds the stored
+ * record and identifies the key in listings and logs, and only a SHA-256 hash
+ * of the whole key is stored, so a key is shown once, when it is created.
+ * Keys are never removed: revoked and expired ones stay listed for audit.
+ */
+class ApiKeyStore {
+  constructor(collection, { touchIntervalMs = config.apiKeys.touchIntervalMs } = {}) {
+    this.collection = collection;
+    this.touchIntervalMs = touchIntervalMs;
+  }
+
+  list() {
+    return this.collection.findAll();
+  }
+
+  get(id) {
+    return this.collection.findById(id);
+  }
+
+  newPrefix() {
+    const taken = new Set(this.list().map(apiKey => apiKey.prefix));
+    let prefix;
+    do {
+      prefix = crypto.randomBytes(6).toString('hex');
+    } while (taken.has(prefix));
+    return prefix;
+  }
+
+  /**
+   * Store a new key and return { apiKey, key }; `key` is the only copy of the
+   * secret. `fields` are name, scopes, expires_at, rate_limit, created_by and
+   * rotated_from.
+   */
+  create({ name, scopes, expires_at: expiresAt = null, rate_limit: rateLimit = null, created_by: createdBy = null, rotated_from: rotatedFrom = null }) {
+    const prefix = this.newPrefix();
+    const key = `rsk_${prefix}_${crypto.randomBytes(24).toString('base64url')}`;
+
+    const apiKey = this.collection.insert({
+      id: uuidv4(),
+      name,
+      prefix,
+      key_hash: hashKey(key),
+      scopes,
+      rate_limit: rateLimit,
+      expires_at: expiresAt,
+      created_at: new Date().toISOString(),
+      created_by: createdBy,
+      last_used_at: null,
+      revoked_at: null,
+      rotated_from: rotatedFrom,
+      replaced_by: null
+    });
+    return { apiKey, key };
+  }
+
+  /**
+   * Look a presented key up. Returns { apiKey, reason }: the stored key when
+   * it is active, else null and why it was refused.
+   */
+  authenticate(key, now = Date.now()) {
+    const match = KEY_PATTERN.exec(key || '');
+    const apiKey = match && this.list().find(candidate => candidate.prefix === match[1]);
+    if (!apiKey || !hashesMatch(apiKey.key_hash, hashKey(key))) {
+      return { apiKey: null, reason: 'Invalid API key' };
+    }
+
+    const status = statusOf(apiKey, now);
+    if (status !== 'active') {
+      return { apiKey: null, reason: `API key ${status}` };
+    }
+    return { apiKey, reason: null };
+  }
+
+  // Record a use. Writes at most once per touchIntervalMs, so busy keys do
+  // not write to storage on every request
+  touch(apiKey, now = Date.now()) {
+    if (apiKey.last_used_at && now - Date.parse(apiKey.last_used_at) < this.touchIntervalMs) {
+      return apiKey;
+    }
+    const current = this.get(apiKey.id);
+    return current ? this.collection.update(apiKey.id, { ...current, last_used_at: new Date(now).toISOString() }) : apiKey;
+  }
+
+  // Null when the key does not exist
+  revoke(id, now = Date.now()) {
+    const apiKey = this.get(id);
+    if (!apiKey) return null;
+    return this.collection.update(id, { ...apiKey, revoked_at: new Date(now).toISOString() });
+  }
+
+  /**
+   * Replace a key with a new one carrying the same name, scopes, expiry and
+   * rate limit. The old key is revoked at once, or keeps working for
+   * `graceSeconds` so clients can switch over. Returns { apiKey, key, previous }
+   * or null when the key does not exist.
+   */
+  rotate(id, { graceSeconds = 0, created_by: createdBy = null } = {}, now = Date.now()) {
+    const previous = this.get(id);
+    if (!previous) return null;
+
+    const { apiKey, key } = this.create({ ...previous, created_by: createdBy, rotated_from: previous.id });
+    const revokedAt = new Date(now + graceSeconds * 1000).toISOString();
+    const updated = this.collection.update(id, { ...previous, revoked_at: revokedAt, replaced_by: apiKey.id });
+    return { apiKey, key, previous: updated };
+  }
+}
+
+module.exports = { ApiKeyStore, statusOf, hashKey, KEY_PATTERN };
@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Fields written by the log itself or by the storage layer, left out of the hash
+const UNHASHED_FIELDS = ['hash', 'version'];
+
+// JSON with object keys sorted at every level, so equal entries hash equally
+// whatever order their fields were built in
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashEntry = (entry) => {
+  const hashed = Object.fromEntries(Object.entries(entry).filter(([key]) => !UNHASHED_FIELDS.includes(key)));
+  return crypto.createHash('sha256').update(canonicalJson(hashed)).digest('hex');
+};
+
+/**
+ * Append-only audit trail kept in its own storage collection. Entries are
+ * numbered by `seq` and chained: each one stores the hash of the previous
+ * entry (`prev_hash`) and its own `hash` over every field, so editing,
+ * removing or reordering entries breaks verify() from that point on.
+ * There is deliberately no way to change or delete entries through it.
+ */
+class AuditLog {
+  constructor(collection) {
+    this.collection = collection;
+    this.last = this.collection.findAll().reduce((latest, entry) => (!latest || entry.seq > latest.seq ? entry : latest), null);
+  }
+
+  append(fields) {
+    const entry = {
+      ...fields,
+      id: uuidv4(),
+      seq: this.last ? this.last.seq + 1 : 1,
+      timestamp: fields.timestamp || new Date().toISOString(),
+      prev_hash: this.last ? this.last.hash : GENESIS_HASH
+    };
+    entry.hash = hashEntry(entry);
+
+    this.last = this.collection.insert(entry);
+    return this.last;
+  }
+
+  // Oldest first
+  entries() {
+    return this.collection.findAll().sort((a, b) => a.seq - b.seq);
+  }
+
+  /**
+   * Walk the chain from the first entry. Returns { valid, checked, broken }
+   * where `broken` names the first entry that does not match
+   * ({ seq, reason }) or is null.
+   */
+  verify() {
+    let previous = null;
+    let checked = 0;
+
+    for (const entry of this.entries()) {
+      const expectedSeq = previous ? previous.seq + 1 : 1;
+      let reason = null;
+      if (entry.seq !== expectedSeq) {
+        reason = `Expected entry ${expectedSeq}`;
+      } else if (entry.prev_hash !== (previous ? previous.hash : GENESIS_HASH)) {
+        reason = 'Previous hash does not match';
+      } else if (entry.hash !== hashEntry(entry)) {
+        reason = 'Entry hash does not match its contents';
+      }
+
+      if (reason) {
+        return { valid: false, checked, broken: { seq: entry.seq, reason } };
+      }
+      previous = entry;
+      checked += 1;
+    }
+
+    // Entries removed from the end leave a valid chain behind; the newest
+    // entry this process appended tells them apart
+    const lastSeq = previous ? previous.seq : 0;
+    if (this.last && this.last.seq > lastSeq) {
+      return { valid: false, checked, broken: { seq: lastSeq + 1, reason: 'Entry is missing' } };
+    }
+
+    return { valid: true, checked, broken: null };
+  }
+}
+
+module.exports = AuditLog;
+module.exports.canonicalJson = canonicalJson;
+module.exports.GENESIS_HASH = GENESIS_HASH;
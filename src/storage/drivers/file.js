@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const { MemoryDriver, MemoryCollection } = require('./memory');
+
+// Write to a temp file in the same directory, flush it and rename it over the
+// target so readers never observe a partially written database file.
+const writeFileAtomic = (filePath, contents) => {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+
+  try {
+    fs.writeFileSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    fs.renameSync(tempPath, filePath);
+  } catch (error) {
+    fs.rmSync(tempPath, { force: true });
+    throw error;
+  }
+};
+
+class FileDriver extends MemoryDriver {
+  constructor({ path: filePath }) {
+    super();
+    this.name = 'file';
+    this.filePath = path.resolve(filePath);
+    this.state = this.read();
+    this.batching = false;
+    this.dirty = false;
+  }
+
+  read() {
+    if (!fs.existsSync(this.filePath)) {
+      return {};
+    }
+
+    const raw = fs.readFileSync(this.filePath, 'utf8');
+    return raw.trim() ? JSON.parse(raw) : {};
+  }
+
+  createCollection(name) {
+    const collection = new MemoryCollection(name, () => this.persist());
+    collection.load(this.state[name]);
+    return collection;
+  }
+
+  resetCollection(collection) {
+    collection.load(this.state[collection.name]);
+  }
+
+  // Writes inside a transaction are flushed once on commit and never on rollback
+  transaction(fn) {
+    this.batching = true;
+    this.dirty = false;
+
+    let result;
+    try {
+      result = super.transaction(fn);
+    } finally {
+      this.batching = false;
+    }
+
+    if (this.dirty) {
+      this.persist();
+    }
+    return result;
+  }
+
+  persist() {
+    if (this.batching) {
+      this.dirty = true;
+      return;
+    }
+
+    const snapshot = { ...this.state };
+    this.collections.forEach((collection, name) => {
+      snapshot[name] = collection.toJSON();
+    });
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    writeFileAtomic(this.filePath, JSON.stringify(snapshot, null, 2));
+    this.state = snapshot;
+  }
+}
+
+module.exports = { FileDriver, writeFileAtomic };
@@ -0,0 +1,115 @@
+// Return detached copies so callers can never mutate stored documents in place
+const clone = (value) => (value === undefined || value === null ? null : structuredClone(value));
+
+class MemoryCollection {
+  constructor(name, onChange = () => {}) {
+    this.name = name;
+    this.documents = new Map();
+    this.onChange = onChange;
+  }
+
+  findAll() {
+    return Array.from(this.documents.values(), clone);
+  }
+
+  findById(id) {
+    return clone(this.documents.get(id));
+  }
+
+  insert(document) {
+    if (this.documents.has(document.id)) {
+      throw new Error(`Duplicate id "${document.id}" in collection "${this.name}"`);
+    }
+
+    this.documents.set(document.id, clone(document));
+    this.onChange(this.name);
+    return clone(document);
+  }
+
+  update(id, document) {
+    if (!this.documents.has(id)) {
+      return null;
+    }
+
+    this.documents.set(id, clone({ ...document, id }));
+    this.onChange(this.name);
+    return this.findById(id);
+  }
+
+  remove(id) {
+    const document = this.documents.get(id);
+    if (!document) {
+      return null;
+    }
+
+    this.documents.delete(id);
+    this.onChange(this.name);
+    return document;
+  }
+
+  count() {
+    return this.documents.size;
+  }
+
+  clear() {
+    this.documents.clear();
+    this.onChange(this.name);
+  }
+
+  // Used by the file driver to hydrate and serialize the collection
+  load(documents = []) {
+    this.documents = new Map(documents.map(document => [document.id, document]));
+  }
+
+  toJSON() {
+    return Array.from(this.documents.values());
+  }
+}
+
+class MemoryDriver {
+  constructor() {
+    this.name = 'memory';
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, this.createCollection(name));
+    }
+    return this.collections.get(name);
+  }
+
+  createCollection(name) {
+    return new MemoryCollection(name);
+  }
+
+  // Stored documents are never mutated in place, so copying each Map is a full snapshot
+  transaction(fn) {
+    const snapshots = new Map();
+    this.collections.forEach((collection, name) => {
+      snapshots.set(name, new Map(collection.documents));
+    });
+
+    try {
+      return fn();
+    } catch (error) {
+      this.collections.forEach((collection, name) => {
+        if (snapshots.has(name)) {
+          collection.documents = snapshots.get(name);
+        } else {
+          this.resetCollection(collection);
+        }
+      });
+      throw error;
+    }
+  }
+
+  // Restore a collection first opened inside a rolled back transaction
+  resetCollection(collection) {
+    collection.load([]);
+  }
+
+  close() {}
+}
+
+module.exports = { MemoryDriver, MemoryCollection, clone };
@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+
+class SqliteCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.name = name;
+    this.statements = {
+      all: db.prepare('SELECT body FROM documents WHERE collection = ? ORDER BY seq'),
+      get: db.prepare('SELECT body FROM documents WHERE collection = ? AND id = ?'),
+      insert: db.prepare('INSERT INTO documents (collection, id, body) VALUES (?, ?, ?)'),
+      update: db.prepare('UPDATE documents SET body = ? WHERE collection = ? AND id = ?'),
+      remove: db.prepare('DELETE FROM documents WHERE collection = ? AND id = ?'),
+      count: db.prepare('SELECT COUNT(*) AS total FROM documents WHERE collection = ?'),
+      clear: db.prepare('DELETE FROM documents WHERE collection = ?')
+    };
+  }
+
+  findAll() {
+    return this.statements.all.all(this.name).map(row => JSON.parse(row.body));
+  }
+
+  findById(id) {
+    const row = this.statements.get.get(this.name, id);
+    return row ? JSON.parse(row.body) : null;
+  }
+
+  insert(document) {
+    try {
+      this.statements.insert.run(this.name, document.id, JSON.stringify(document));
+    } catch (error) {
+      if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY' || error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+        throw new Error(`Duplicate id "${document.id}" in collection "${this.name}"`);
+      }
+      throw error;
+    }
+    return this.findById(document.id);
+  }
+
+  update(id, document) {
+    const result = this.statements.update.run(JSON.stringify({ ...document, id }), this.name, id);
+    return result.changes > 0 ? this.findById(id) : null;
+  }
+
+  remove(id) {
+    const document = this.findById(id);
+    if (!document) {
+      return null;
+    }
+
+    this.statements.remove.run(this.name, id);
+    return document;
+  }
+
+  count() {
+    return this.statements.count.get(this.name).total;
+  }
+
+  clear() {
+    this.statements.clear.run(this.name);
+  }
+}
+
+class SqliteDriver {
+  constructor({ filename }) {
+    // Loaded lazily so the native module is only required when SQLite is selected
+    const Database = require('better-sqlite3');
+
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+    }
+
+    this.name = 'sqlite';
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS documents (
+        seq INTEGER PRIMARY KEY AUTOINCREMENT,
+        collection TEXT NOT NULL,
+        id TEXT NOT NULL,
+        body TEXT NOT NULL,
+        UNIQUE (collection, id)
+      )
+    `);
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, new SqliteCollection(this.db, name));
+    }
+    return this.collections.get(name);
+  }
+
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = { SqliteDriver };
@@ -0,0 +1,92 @@
+const { EventEmitter } = require('events');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { MemoryDriver } = require('./drivers/memory');
+const { FileDriver } = require('./drivers/file');
+const { SqliteDriver } = require('./drivers/sqlite');
+const ObservedCollection = require('./observedCollection');
+
+/**
+ * Storage backend for the API resources.
+ *
+ * Every driver exposes named collections of JSON documents keyed by `id`
+ * with the same synchronous interface:
+ *   findAll()          -> documents in insertion order
+ *   findById(id)       -> document or null
+ *   insert(document)   -> stored document (throws on duplicate id)
+ *   update(id, doc)    -> stored document or null when missing
+ *   remove(id)         -> removed document or null when missing
+ *   count() / clear()
+ *
+ * Documents returned by a collection are copies; write changes back with
+ * update() instead of mutating them. Inserts start documents at `version` 1
+ * and every update increments it. Every write emits a "change" event on
+ * `storage.events` with { type, collection, document, previous }.
+ *
+ * storage.transaction(fn) runs fn atomically: if it throws, every write made
+ * inside it is rolled back and none of its change events are emitted.
+ */
+const drivers = {
+  memory: () => new MemoryDriver(),
+  file: (options) => new FileDriver(options.file),
+  sqlite: (options) => new SqliteDriver(options.sqlite)
+};
+
+const createStorage = (options = config.database) => {
+  const factory = drivers[options.driver];
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${options.driver}". Use one of: ${Object.keys(drivers).join(', ')}`);
+  }
+
+  const driver = factory(options);
+  const events = new EventEmitter();
+  const collections = new Map();
+  let pendingChanges = null;
+  logger.info('Storage initialized', { driver: driver.name });
+
+  const publish = (change) => {
+    if (pendingChanges) {
+      pendingChanges.push(change);
+    } else {
+      events.emit('change', change);
+    }
+  };
+
+  const collection = (name) => {
+    if (!collections.has(name)) {
+      collections.set(name, new ObservedCollection(driver.collection(name), publish));
+    }
+    return collections.get(name);
+  };
+
+  const transaction = (fn) => {
+    if (pendingChanges) {
+      throw new Error('Nested storage transactions are not supported');
+    }
+
+    pendingChanges = [];
+    let committed;
+    try {
+      const result = driver.transaction(fn);
+      committed = pendingChanges;
+      return result;
+    } finally {
+      pendingChanges = null;
+      (committed || []).forEach(change => events.emit('change', change));
+    }
+  };
+
+  return {
+    driver: driver.name,
+    events,
+    users: collection('users'),
+    data: collection('data'),
+    collection,
+    transaction,
+    close: () => driver.close()
+  };
+};
+
+const storage = createStorage();
+
+module.exports = { storage, createStorage, drivers };
@@ -0,0 +1,60 @@
+// Wraps a driver collection, keeps a per-document version counter (used for
+// ETags) and emits a "change" event after every write so in-process consumers
+// (search index, change feeds) stay in sync with storage.
+class ObservedCollection {
+  constructor(collection, publish) {
+    this.collection = collection;
+    this.publish = publish;
+    this.name = collection.name;
+  }
+
+  emit(type, document, previous = null) {
+    this.publish({ type, collection: this.name, document, previous });
+  }
+
+  findAll() {
+    return this.collection.findAll();
+  }
+
+  findById(id) {
+    return this.collection.findById(id);
+  }
+
+  count() {
+    return this.collection.count();
+  }
+
+  insert(document) {
+    const stored = this.collection.insert({ ...document, version: 1 });
+    this.emit('insert', stored);
+    return stored;
+  }
+
+  update(id, document) {
+    const previous = this.collection.findById(id);
+    if (!previous) {
+      return null;
+    }
+
+    const stored = this.collection.update(id, { ...document, version: (previous.version || 0) + 1 });
+    if (stored) {
+      this.emit('update', stored, previous);
+    }
+    return stored;
+  }
+
+  remove(id) {
+    const removed = this.collection.remove(id);
+    if (removed) {
+      this.emit('remove', removed);
+    }
+    return removed;
+  }
+
+  clear() {
+    this.collection.clear();
+    this.emit('clear', null);
+  }
+}
+
+module.exports = ObservedCollection;
@@ -0,0 +1,114 @@
+const config = require('../config');
+
+/**
+ * Bounded per-document revision history kept in its own storage collection.
+ * A revision is a snapshot of the document right after a write, numbered by
+ * the document version, so revision N is exactly what ETag "vN" referred to.
+ * Only the newest `maxPerDocument` revisions of each document are kept.
+ *
+ * Revision ids are indexed by document, so a write only reads that
+ * document's revisions. The index is built from one scan on first use and
+ * then follows the log's own writes (it must be the collection's only
+ * writer). Ids whose revision is gone, such as inserts a storage transaction
+ * rolled back, are dropped when next listed; pruning leaves ids in place, so
+ * a pruned revision that a rollback restores stays listed.
+ */
+class RevisionLog {
+  constructor(collection, { maxPerDocument = config.revisions.maxPerDocument } = {}) {
+    this.collection = collection;
+    this.maxPerDocument = maxPerDocument;
+    this.index = null; // document id -> Set of revision ids
+  }
+
+  idsOf(documentId) {
+    if (!this.index) {
+      this.index = new Map();
+      this.collection.findAll().forEach(revision => this.track(revision));
+    }
+    if (!this.index.has(documentId)) {
+      this.index.set(documentId, new Set());
+    }
+    return this.index.get(documentId);
+  }
+
+  track(revision) {
+    this.idsOf(revision.document_id).add(revision.id);
+  }
+
+  // Oldest first
+  list(documentId) {
+    const ids = this.idsOf(documentId);
+    const revisions = [];
+    ids.forEach(id => {
+      const revision = this.collection.findById(id);
+      if (revision) {
+        revisions.push(revision);
+      } else {
+        ids.delete(id);
+      }
+    });
+    return revisions.sort((a, b) => a.rev - b.rev);
+  }
+
+  get(documentId, rev) {
+    return this.collection.findById(`${documentId}:${rev}`);
+  }
+
+  /**
+   * Record a snapshot of `document` along with who changed it and why.
+   * When a document has no history yet (it predates the log), `previous` is
+   * recorded first so the content being overwritten is not lost.
+   */
+  record(document, { action, actor = null, requestId = null, previous = null, details = {} }) {
+    if (previous && this.list(document.id).length === 0) {
+      this.insert(previous, { action: 'initial', actor: null, requestId: null, details: {} });
+    }
+
+    const revision = this.insert(document, { action, actor, requestId, details });
+    this.prune(document.id);
+    return revision;
+  }
+
+  insert(document, { action, actor, requestId, details }) {
+    const rev = document.version || 0;
+    const id = `${document.id}:${rev}`;
+
+    // The same version can only be recorded once; keep the first record
+    const existing = this.collection.findById(id);
+    if (existing) {
+      return existing;
+    }
+
+    const revision = this.collection.insert({
+      id,
+      document_id: document.id,
+      rev,
+      action,
+      actor,
+      request_id: requestId,
+      ...details,
+      created_at: new Date().toISOString(),
+      snapshot: document
+    });
+    this.track(revision);
+    return revision;
+  }
+
+  prune(documentId) {
+    const revisions = this.list(documentId);
+    revisions.slice(0, Math.max(0, revisions.length - this.maxPerDocument))
+      .forEach(revision => this.collection.remove(revision.id));
+  }
+
+  removeAll(documentId) {
+    this.list(documentId).forEach(revision => this.collection.remove(revision.id));
+    this.index.delete(documentId);
+  }
+
+  clear() {
+    this.collection.clear();
+    this.index = new Map();
+  }
+}
+
+module.exports = RevisionLog;
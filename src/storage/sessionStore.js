@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { storage } = require('./index');
+const { MemoryCollection } = require('./drivers/memory');
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const newId = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Login sessions kept in a collection with the storage interface. Each
+ * session has a random id (the cookie value), a CSRF token and an absolute
+ * expiry; expired sessions read as missing and are swept from time to time.
+ * Any object with findById/findAll/insert/remove can back it.
+ */
+class SessionStore {
+  constructor(collection, { maxAgeMs = config.security.session.maxAge } = {}) {
+    this.collection = collection;
+    this.maxAgeMs = maxAgeMs;
+    this.nextSweep = 0;
+  }
+
+  get(id) {
+    const session = this.collection.findById(id);
+    if (!session) return null;
+
+    if (session.expires_at <= Date.now()) {
+      this.collection.remove(id);
+      return null;
+    }
+    return session;
+  }
+
+  // A new session always gets fresh ids, so a login never reuses one that
+  // may have been planted before it
+  create(data) {
+    const now = Date.now();
+    this.sweepExpired(now);
+
+    return this.collection.insert({
+      ...data,
+      id: newId(),
+      csrf_token: newId(),
+      created_at: new Date(now).toISOString(),
+      expires_at: now + this.maxAgeMs
+    });
+  }
+
+  destroy(id) {
+    return this.collection.remove(id);
+  }
+
+  sweepExpired(now) {
+    if (now < this.nextSweep) return;
+    this.nextSweep = now + SWEEP_INTERVAL_MS;
+    this.collection.findAll()
+      .filter(session => session.expires_at <= now)
+      .forEach(session => this.collection.remove(session.id));
+  }
+}
+
+// `memory` keeps sessions in the process; `storage` keeps them in the
+// configured storage driver, so file and sqlite keep them across restarts
+const stores = {
+  memory: () => new SessionStore(new MemoryCollection('sessions')),
+  storage: () => new SessionStore(storage.collection('sessions'))
+};
+
+const createSessionStore = (name = config.security.session.store) => {
+  const factory = stores[name];
+  if (!factory) {
+    throw new Error(`Unknown session store "${name}". Use one of: ${Object.keys(stores).join(', ')}`);
+  }
+  return factory();
+};
+
+module.exports = { SessionStore, createSessionStore, stores };
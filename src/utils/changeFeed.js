@@ -0,0 +1,57 @@
+const { EventEmitter } = require('events');
+const config = require('../config');
+
+/**
+ * In-process feed of change events with increasing numeric ids. The newest
+ * `backlogSize` events are kept so a reconnecting client can ask for what it
+ * missed since the last id it saw (the SSE Last-Event-ID).
+ */
+class ChangeFeed {
+  constructor({ backlogSize = config.stream.backlogSize } = {}) {
+    this.backlogSize = backlogSize;
+    this.backlog = [];
+    this.lastId = 0;
+    this.emitter = new EventEmitter();
+    // One listener per connected client
+    this.emitter.setMaxListeners(0);
+  }
+
+  publish(event, data) {
+    this.lastId += 1;
+    const entry = { id: this.lastId, event, data };
+    this.backlog.push(entry);
+    if (this.backlog.length > this.backlogSize) {
+      this.backlog.shift();
+    }
+    this.emitter.emit('event', entry);
+    return entry;
+  }
+
+  // Events after `lastEventId`, or null when some of them already left the
+  // backlog (or the id was never issued, e.g. before a restart)
+  since(lastEventId) {
+    if (!Number.isInteger(lastEventId) || lastEventId < 0 || lastEventId > this.lastId) {
+      return null;
+    }
+
+    const oldest = this.backlog.length > 0 ? this.backlog[0].id : this.lastId + 1;
+    if (lastEventId < oldest - 1) {
+      return null;
+    }
+    return this.backlog.filter(entry => entry.id > lastEventId);
+  }
+
+  subscribe(listener) {
+    this.emitter.on('event', listener);
+    return () => this.emitter.off('event', listener);
+  }
+
+  get subscriberCount() {
+    return this.emitter.listenerCount('event');
+  }
+}
+
+// Serialize one entry in the text/event-stream format
+const formatEvent = ({ id, event, data }) => `id: ${id}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+module.exports = { ChangeFeed, formatEvent };
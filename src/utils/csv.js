@@ -0,0 +1,105 @@
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+
+// RFC 4180: quote fields containing a delimiter, quote or line break; double embedded quotes
+const formatCsvValue = (value) => {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const formatCsvRow = (values) => `${values.map(formatCsvValue).join(',')}\r\n`;
+
+/**
+ * Streaming RFC 4180 parser. Accepts text chunks and pushes one object per
+ * record: { line, values } where `line` is the physical line the record
+ * starts on (quoted fields may span lines). Blank lines are skipped.
+ * Records longer than `maxRecordLength` characters fail the stream.
+ */
+class CsvParser extends Transform {
+  constructor({ maxRecordLength = 1024 * 1024 } = {}) {
+    super({ readableObjectMode: true });
+    this.decoder = new StringDecoder('utf8');
+    this.maxRecordLength = maxRecordLength;
+    this.state = 'start';
+    this.field = '';
+    this.values = [];
+    this.recordLength = 0;
+    this.line = 1;
+    this.recordLine = 1;
+  }
+
+  _transform(chunk, encoding, callback) {
+    try {
+      this.consume(this.decoder.write(chunk));
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  _flush(callback) {
+    try {
+      this.consume(this.decoder.end());
+      if (this.state === 'quoted') {
+        throw new Error(`Unterminated quoted field starting on line ${this.recordLine}`);
+      }
+      if (this.field !== '' || this.values.length > 0) {
+        this.endRecord();
+      }
+      callback();
+    } catch (error) {
+      callback(error);
+    }
+  }
+
+  consume(text) {
+    for (const char of text) {
+      this.recordLength += 1;
+      if (this.recordLength > this.maxRecordLength) {
+        throw new Error(`Record starting on line ${this.recordLine} exceeds ${this.maxRecordLength} characters`);
+      }
+
+      if (this.state === 'quoted') {
+        if (char === '"') {
+          this.state = 'quote';
+        } else {
+          if (char === '\n') this.line += 1;
+          this.field += char;
+        }
+      } else if (this.state === 'quote' && char === '"') {
+        // Escaped quote inside a quoted field
+        this.field += char;
+        this.state = 'quoted';
+      } else if (char === ',') {
+        this.values.push(this.field);
+        this.field = '';
+        this.state = 'start';
+      } else if (char === '\n') {
+        this.endRecord();
+        this.line += 1;
+        this.recordLine = this.line;
+      } else if (char === '\r') {
+        // CRLF line endings: the \n ends the record
+      } else if (char === '"' && this.state === 'start') {
+        this.state = 'quoted';
+      } else {
+        this.field += char;
+        this.state = 'unquoted';
+      }
+    }
+  }
+
+  endRecord() {
+    this.values.push(this.field);
+    if (!(this.values.length === 1 && this.values[0] === '')) {
+      this.push({ line: this.recordLine, values: this.values });
+    }
+    this.field = '';
+    this.values = [];
+    this.state = 'start';
+    this.recordLength = 0;
+  }
+}
+
+module.exports = { CsvParser, formatCsvRow, formatCsvValue };
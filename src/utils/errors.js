@@ -0,0 +1,26 @@
+/**
+ * Errors that carry their own HTTP status. The errorHandler middleware
+ * recognizes them by name; `reason` explains the failure to the caller
+ * without going through the generic error message.
+ */
+class UnauthorizedError extends Error {
+  constructor(reason = 'Authentication required', { code = 'invalid_token' } = {}) {
+    super(reason);
+    this.name = 'UnauthorizedError';
+    this.statusCode = 401;
+    this.code = code;
+  }
+}
+
+// Settings the server cannot work with. The response stays generic; `detail`
+// carries the cause for the logs
+class ConfigurationError extends Error {
+  constructor(reason, detail = null) {
+    super(reason);
+    this.name = 'ConfigurationError';
+    this.statusCode = 503;
+    this.detail = detail;
+  }
+}
+
+module.exports = { UnauthorizedError, ConfigurationError };
@@ -0,0 +1,18 @@
+const crypto = require('crypto');
+
+// Strong validator derived from the document version counter
+const etagFor = (document) => `"v${document.version || 0}"`;
+
+// Weak validator over a list payload; the volatile timestamp is left out
+const listEtag = (payload) => {
+  const { timestamp, ...stable } = payload;
+  const digest = crypto.createHash('sha1').update(JSON.stringify(stable)).digest('base64url');
+  return `W/"${digest}"`;
+};
+
+const parseEtagList = (header) => header.split(',').map(tag => tag.trim()).filter(Boolean);
+
+// If-Match uses strong comparison, so weak validators never match
+const matchesIfMatch = (header, etag) => parseEtagList(header).some(tag => tag === '*' || tag === etag);
+
+module.exports = { etagFor, listEtag, parseEtagList, matchesIfMatch };
@@ -0,0 +1,157 @@
+/**
+ * Query-string filters for list endpoints.
+ *
+ *   type=demo                   equality (shorthand for type[eq]=demo)
+ *   type[in]=a,b                operator form, parsed by Express' query parser
+ *   created_at[gte]=2024-01-01  dates compare chronologically
+ *   metadata.source=seed        nested paths on fields declared `nested`
+ *
+ * A schema maps each filterable field to { type, operators, nested, values, pattern }.
+ * Paths are resolved with own-property lookups only, so "__proto__" and friends
+ * can neither be filtered on nor reached.
+ */
+
+const OPERATORS = ['eq', 'ne', 'in', 'nin', 'contains', 'exists', 'gt', 'gte', 'lt', 'lte'];
+const FORBIDDEN_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+const LIST_OPERATORS = ['in', 'nin'];
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const parseValue = (spec, operator, raw) => {
+  if (operator === 'exists') {
+    if (raw !== 'true' && raw !== 'false') {
+      throw new Error('Value must be true or false');
+    }
+    return raw === 'true';
+  }
+
+  const values = LIST_OPERATORS.includes(operator)
+    ? raw.split(',').map(value => value.trim()).filter(Boolean)
+    : [raw];
+  if (values.length === 0) {
+    throw new Error('Provide at least one comma-separated value');
+  }
+
+  values.forEach(value => {
+    if (spec.type === 'date' && Number.isNaN(Date.parse(value))) {
+      throw new Error(`"${value}" is not a valid date`);
+    }
+    if (spec.values && !spec.values.includes(value)) {
+      throw new Error(`Value must be one of: ${spec.values.join(', ')}`);
+    }
+    if (spec.pattern && operator !== 'contains' && !spec.pattern.test(value)) {
+      throw new Error(`"${value}" is not a valid value`);
+    }
+  });
+
+  return LIST_OPERATORS.includes(operator) ? values : values[0];
+};
+
+/**
+ * Parse every non-reserved query parameter as a filter. Returns the parsed
+ * filters and field errors shaped like the validate middleware's; a request
+ * with any error should be rejected as a whole.
+ */
+const parseFilters = (query, schema, { reserved = [] } = {}) => {
+  const filters = [];
+  const errors = [];
+  const filterable = Object.keys(schema).map(field => (schema[field].nested ? `${field}.<path>` : field));
+  const addError = (field, message, value) => errors.push({ field, location: 'query', message, value });
+
+  Object.keys(query).forEach(key => {
+    if (reserved.includes(key)) return;
+
+    const path = key.split('.');
+    const [root] = path;
+    const spec = hasOwn(schema, root) ? schema[root] : null;
+
+    if (path.some(segment => segment === '' || FORBIDDEN_SEGMENTS.includes(segment))) {
+      return addError(key, `"${key}" is not a valid filter path`, query[key]);
+    }
+    if (!spec || (path.length > 1 && !spec.nested)) {
+      return addError(key, `Unknown filter "${key}". Filterable fields: ${filterable.join(', ')}`, query[key]);
+    }
+    if (spec.nested && path.length === 1) {
+      return addError(key, `Filter on a nested path such as "${root}.source"`, query[key]);
+    }
+
+    const raw = query[key];
+    let conditions;
+    if (typeof raw === 'string') {
+      conditions = [['eq', raw]];
+    } else if (isPlainObject(raw)) {
+      conditions = Object.keys(raw).map(operator => [operator, raw[operator]]);
+    } else {
+      return addError(key, `Use a single "${key}" value or "${key}[in]=a,b" for several values`, raw);
+    }
+
+    conditions.forEach(([operator, value]) => {
+      const field = operator === 'eq' && typeof raw === 'string' ? key : `${key}[${operator}]`;
+
+      if (!OPERATORS.includes(operator) || !spec.operators.includes(operator)) {
+        return addError(field, `Unknown operator "${operator}" for "${key}". Allowed operators: ${spec.operators.join(', ')}`, value);
+      }
+      if (typeof value !== 'string') {
+        return addError(field, 'Filter value must be a single string', value);
+      }
+
+      try {
+        filters.push({ field: key, path, type: spec.type, operator, value: parseValue(spec, operator, value) });
+      } catch (error) {
+        addError(field, error.message, value);
+      }
+    });
+  });
+
+  return { filters, errors };
+};
+
+const resolvePath = (item, path) => path.reduce(
+  (value, segment) => (value !== null && typeof value === 'object' && hasOwn(value, segment) ? value[segment] : undefined),
+  item
+);
+
+// Dates compare as timestamps; numeric strings against numbers compare numerically
+const compare = (actual, expected, type) => {
+  if (type === 'date') {
+    return Date.parse(actual) - Date.parse(expected);
+  }
+  if (typeof actual === 'number' && expected.trim() !== '' && !Number.isNaN(Number(expected))) {
+    return actual - Number(expected);
+  }
+  const text = typeof actual === 'string' ? actual : JSON.stringify(actual);
+  if (text === expected) return 0;
+  return text < expected ? -1 : 1;
+};
+
+const matchesFilter = (item, { path, type, operator, value }) => {
+  const actual = resolvePath(item, path);
+
+  if (operator === 'exists') {
+    return (actual !== undefined && actual !== null) === value;
+  }
+  if (actual === undefined || actual === null) {
+    return operator === 'ne' || operator === 'nin';
+  }
+
+  switch (operator) {
+    case 'eq': return compare(actual, value, type) === 0;
+    case 'ne': return compare(actual, value, type) !== 0;
+    case 'in': return value.some(candidate => compare(actual, candidate, type) === 0);
+    case 'nin': return value.every(candidate => compare(actual, candidate, type) !== 0);
+    case 'contains': {
+      const haystack = typeof actual === 'string' ? actual : JSON.stringify(actual);
+      return haystack.toLowerCase().includes(value.toLowerCase());
+    }
+    case 'gt': return compare(actual, value, type) > 0;
+    case 'gte': return compare(actual, value, type) >= 0;
+    case 'lt': return compare(actual, value, type) < 0;
+    case 'lte': return compare(actual, value, type) <= 0;
+    default: return false;
+  }
+};
+
+const applyFilters = (items, filters = []) => items.filter(item => filters.every(filter => matchesFilter(item, filter)));
+
+module.exports = { OPERATORS, parseFilters, applyFilters, matchesFilter };
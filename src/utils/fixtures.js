@@ -0,0 +1,70 @@
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURE_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+
+const FIRST_NAMES = ['Ada', 'Alan', 'Grace', 'Linus', 'Margaret', 'Dennis', 'Barbara', 'Ken', 'Frances', 'Edsger'];
+const LAST_NAMES = ['Lovelace', 'Turing', 'Hopper', 'Torvalds', 'Hamilton', 'Ritchie', 'Liskov', 'Thompson', 'Allen', 'Dijkstra'];
+const DATA_TYPES = ['note', 'task', 'event', 'metric', 'log'];
+const WORDS = ['deploy', 'pipeline', 'build', 'release', 'docker', 'health', 'metrics', 'rollback', 'cache', 'staging',
+  'production', 'latency', 'alert', 'backup', 'cluster', 'node', 'service', 'queue', 'token', 'review'];
+const TAGS = ['ci', 'cd', 'ops', 'infra', 'qa', 'perf'];
+
+// Deterministic users for a PRNG created with createRandom(seed)
+const generateUsers = (random, count) => Array.from({ length: count }, (_, index) => {
+  const first = random.pick(FIRST_NAMES);
+  const last = random.pick(LAST_NAMES);
+  return {
+    id: random.uuid(),
+    name: `${first} ${last}`,
+    email: `${first}.${last}.${random.int(1000, 9999)}${index}@example.com`.toLowerCase(),
+    role: random.next() < 0.2 ? 'admin' : 'user'
+  };
+});
+
+// Deterministic data items for a PRNG created with createRandom(seed)
+const generateData = (random, count) => Array.from({ length: count }, () => {
+  const words = Array.from({ length: random.int(3, 8) }, () => random.pick(WORDS));
+  return {
+    id: random.uuid(),
+    content: `${words[0].charAt(0).toUpperCase()}${words.join(' ').slice(1)}`,
+    type: random.pick(DATA_TYPES),
+    metadata: {
+      priority: random.int(1, 5),
+      tags: Array.from(new Set([random.pick(TAGS), random.pick(TAGS)]))
+    }
+  };
+});
+
+// Fixture sets are <name>.json files holding { "users": [...], "data": [...] }
+const listFixtures = (directory) => {
+  if (!fs.existsSync(directory)) {
+    return [];
+  }
+
+  return fs.readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .filter(name => FIXTURE_NAME_PATTERN.test(name))
+    .sort();
+};
+
+// Returns null when the fixture does not exist; throws when it is not valid JSON
+const loadFixture = (directory, name) => {
+  if (!FIXTURE_NAME_PATTERN.test(name)) {
+    return null;
+  }
+
+  const file = path.join(directory, `${name}.json`);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return {
+    users: Array.isArray(fixture.users) ? fixture.users : [],
+    data: Array.isArray(fixture.data) ? fixture.data : []
+  };
+};
+
+module.exports = { FIXTURE_NAME_PATTERN, generateUsers, generateData, listFixtures, loadFixture };
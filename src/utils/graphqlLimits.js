@@ -0,0 +1,120 @@
+const { GraphQLError, Kind, getNamedType } = require('graphql');
+const config = require('../config');
+
+// Page size a paginated field (one that takes `limit`) asks for: the
+// argument (literal or variable), else the default, clamped to the allowed range
+const pageSize = (fieldDef, field, variables, { defaultLimit, maxLimit }) => {
+  if (!fieldDef || !fieldDef.args.some(arg => arg.name === 'limit')) return 1;
+
+  let value = defaultLimit;
+  const arg = (field.arguments || []).find(argument => argument.name.value === 'limit');
+  if (arg && arg.value.kind === Kind.INT) {
+    value = parseInt(arg.value.value, 10);
+  } else if (arg && arg.value.kind === Kind.VARIABLE && Number.isInteger(variables[arg.value.name.value])) {
+    value = variables[arg.value.name.value];
+  }
+  return Math.min(Math.max(value, 1), maxLimit);
+};
+
+// Integer defaults declared by an operation's variables, e.g. ($n: Int = 50)
+const variableDefaults = (operation) => Object.fromEntries((operation.variableDefinitions || [])
+  .filter(definition => definition.defaultValue && definition.defaultValue.kind === Kind.INT)
+  .map(definition => [definition.variable.name.value, parseInt(definition.defaultValue.value, 10)]));
+
+const ROOT_TYPES = {
+  query: schema => schema.getQueryType(),
+  mutation: schema => schema.getMutationType(),
+  subscription: schema => schema.getSubscriptionType()
+};
+
+/**
+ * Depth and complexity of every operation in a parsed document. Depth is the
+ * deepest nesting of fields (top-level fields are 1). Complexity counts each
+ * selected field once, with the selections under a field that takes `limit`
+ * counted once per requested item. Fragments are inlined; each one is
+ * measured once, and cyclic or unknown spreads (rejected by the standard
+ * validation rules) count as empty.
+ */
+const measureDocument = (schema, document, { variables = {}, defaultLimit, maxLimit } = {}) => {
+  const limits = {
+    defaultLimit: defaultLimit || config.pagination.defaultLimit,
+    maxLimit: maxLimit || config.pagination.maxLimit
+  };
+  const fragments = {};
+  document.definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .forEach(definition => { fragments[definition.name.value] = definition; });
+
+  // Reset for every operation, since variable defaults may differ
+  let values = {};
+  let measuredFragments = new Map();
+  const visiting = new Set();
+  const typeNamed = (namedType) => (namedType ? schema.getType(namedType.name.value) : null);
+
+  const measureFragment = (name) => {
+    if (measuredFragments.has(name)) return measuredFragments.get(name);
+    if (!fragments[name] || visiting.has(name)) return { depth: 0, complexity: 0 };
+
+    visiting.add(name);
+    const fragment = fragments[name];
+    const result = measureSelections(fragment.selectionSet, typeNamed(fragment.typeCondition));
+    visiting.delete(name);
+    measuredFragments.set(name, result);
+    return result;
+  };
+
+  // Depth and complexity of a selection set on parentType, relative to its parent field
+  const measureSelections = (selectionSet, parentType) => selectionSet.selections.reduce((total, selection) => {
+    let result;
+    if (selection.kind === Kind.FIELD) {
+      const fieldDef = parentType && parentType.getFields ? parentType.getFields()[selection.name.value] : null;
+      const nested = selection.selectionSet
+        ? measureSelections(selection.selectionSet, fieldDef ? getNamedType(fieldDef.type) : null)
+        : { depth: 0, complexity: 0 };
+      result = {
+        depth: nested.depth + 1,
+        complexity: 1 + pageSize(fieldDef, selection, values, limits) * nested.complexity
+      };
+    } else if (selection.kind === Kind.INLINE_FRAGMENT) {
+      result = measureSelections(selection.selectionSet, typeNamed(selection.typeCondition) || parentType);
+    } else {
+      result = measureFragment(selection.name.value);
+    }
+
+    return {
+      depth: Math.max(total.depth, result.depth),
+      complexity: total.complexity + result.complexity
+    };
+  }, { depth: 0, complexity: 0 });
+
+  return document.definitions
+    .filter(definition => definition.kind === Kind.OPERATION_DEFINITION)
+    .map(operation => {
+      values = { ...variableDefaults(operation), ...variables };
+      measuredFragments = new Map();
+      return {
+        name: operation.name ? operation.name.value : null,
+        ...measureSelections(operation.selectionSet, ROOT_TYPES[operation.operation](schema))
+      };
+    });
+};
+
+// Errors for every operation over the configured depth or complexity
+const limitErrors = (schema, document, { variables, maxDepth = config.graphql.maxDepth, maxComplexity = config.graphql.maxComplexity } = {}) =>
+  measureDocument(schema, document, { variables }).flatMap(({ name, depth, complexity }) => {
+    const label = name ? `Operation "${name}"` : 'Operation';
+    const errors = [];
+    if (depth > maxDepth) {
+      errors.push(new GraphQLError(`${label} has depth ${depth}, above the limit of ${maxDepth}`, {
+        extensions: { code: 'QUERY_TOO_DEEP', depth, maxDepth }
+      }));
+    }
+    if (complexity > maxComplexity) {
+      errors.push(new GraphQLError(`${label} has complexity ${complexity}, above the limit of ${maxComplexity}`, {
+        extensions: { code: 'QUERY_TOO_COMPLEX', complexity, maxComplexity }
+      }));
+    }
+    return errors;
+  });
+
+module.exports = { measureDocument, limitErrors };
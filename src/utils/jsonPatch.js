@@ -0,0 +1,245 @@
+/**
+ * JSON Merge Patch (RFC 7396) and JSON Patch (RFC 6902) for plain JSON documents.
+ * Neither function mutates its input; both return a new document.
+ */
+
+class JsonPatchError extends Error {
+  constructor(message, { status = 422, index = null, operation = null } = {}) {
+    super(message);
+    this.name = 'JsonPatchError';
+    this.statusCode = status;
+    this.index = index;
+    this.operation = operation;
+  }
+}
+
+const FORBIDDEN_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+const JSON_PATCH_OPERATIONS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const deepEqual = (a, b) => {
+  if (a === b) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((value, i) => deepEqual(value, b[i]));
+  }
+  if (isObject(a) && isObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => hasOwn(b, key) && deepEqual(a[key], b[key]));
+  }
+  return false;
+};
+
+const applyMergePatch = (target, patch) => {
+  if (!isObject(patch)) {
+    return structuredClone(patch);
+  }
+
+  const result = isObject(target) ? structuredClone(target) : {};
+  Object.keys(patch).forEach(key => {
+    if (FORBIDDEN_SEGMENTS.includes(key)) {
+      throw new JsonPatchError(`Member "${key}" is not allowed`);
+    }
+
+    if (patch[key] === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], patch[key]);
+    }
+  });
+  return result;
+};
+
+// RFC 6901: "/metadata/a~1b" -> ['metadata', 'a/b']
+const parsePointer = (pointer) => {
+  if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+    throw new Error(`"${pointer}" is not a valid JSON Pointer`);
+  }
+
+  return pointer === '' ? [] : pointer.slice(1).split('/').map(segment => {
+    const decoded = segment.replace(/~1/g, '/').replace(/~0/g, '~');
+    if (FORBIDDEN_SEGMENTS.includes(decoded)) {
+      throw new Error(`Path segment "${decoded}" is not allowed`);
+    }
+    return decoded;
+  });
+};
+
+const arrayIndex = (array, segment, { allowEnd }) => {
+  if (allowEnd && segment === '-') return array.length;
+  if (!/^(0|[1-9][0-9]*)$/.test(segment)) {
+    throw new Error(`"${segment}" is not a valid array index`);
+  }
+
+  const index = Number(segment);
+  if (index > array.length || (!allowEnd && index === array.length)) {
+    throw new Error(`Array index ${index} is out of bounds`);
+  }
+  return index;
+};
+
+const getValue = (document, segments) => segments.reduce((value, segment) => {
+  if (Array.isArray(value)) {
+    return value[arrayIndex(value, segment, { allowEnd: false })];
+  }
+  if (isObject(value) && hasOwn(value, segment)) {
+    return value[segment];
+  }
+  throw new Error(`Path "/${segments.join('/')}" does not exist`);
+}, document);
+
+const resolveParent = (document, segments) => {
+  const parent = getValue(document, segments.slice(0, -1));
+  if (!Array.isArray(parent) && !isObject(parent)) {
+    throw new Error(`Parent of "/${segments.join('/')}" is not a container`);
+  }
+  return { parent, key: segments[segments.length - 1] };
+};
+
+const addValue = (document, segments, value) => {
+  if (segments.length === 0) return value;
+
+  const { parent, key } = resolveParent(document, segments);
+  if (Array.isArray(parent)) {
+    parent.splice(arrayIndex(parent, key, { allowEnd: true }), 0, value);
+  } else {
+    parent[key] = value;
+  }
+  return document;
+};
+
+const removeValue = (document, segments) => {
+  if (segments.length === 0) {
+    throw new Error('Cannot remove the whole document');
+  }
+
+  const { parent, key } = resolveParent(document, segments);
+  if (Array.isArray(parent)) {
+    return parent.splice(arrayIndex(parent, key, { allowEnd: false }), 1)[0];
+  }
+  if (!hasOwn(parent, key)) {
+    throw new Error(`Path "/${segments.join('/')}" does not exist`);
+  }
+
+  const removed = parent[key];
+  delete parent[key];
+  return removed;
+};
+
+const applyOperation = (document, operation) => {
+  const segments = parsePointer(operation.path);
+
+  switch (operation.op) {
+    case 'add':
+      return addValue(document, segments, structuredClone(operation.value));
+    case 'remove':
+      removeValue(document, segments);
+      return document;
+    case 'replace':
+      getValue(document, segments);
+      if (segments.length === 0) return structuredClone(operation.value);
+      removeValue(document, segments);
+      return addValue(document, segments, structuredClone(operation.value));
+    case 'move': {
+      const from = parsePointer(operation.from);
+      if (operation.path.startsWith(`${operation.from}/`)) {
+        throw new Error('Cannot move a value into one of its own children');
+      }
+      const value = removeValue(document, from);
+      return addValue(document, segments, value);
+    }
+    case 'copy': {
+      const value = structuredClone(getValue(document, parsePointer(operation.from)));
+      return addValue(document, segments, value);
+    }
+    case 'test':
+      if (!deepEqual(getValue(document, segments), operation.value)) {
+        throw new JsonPatchError(`Test failed: value at "${operation.path}" does not match`, { status: 409 });
+      }
+      return document;
+    default:
+      throw new Error(`Unsupported operation "${operation.op}"`);
+  }
+};
+
+const checkOperation = (operation) => {
+  if (!isObject(operation)) {
+    throw new Error('Operation must be an object');
+  }
+  if (!JSON_PATCH_OPERATIONS.includes(operation.op)) {
+    throw new Error(`"op" must be one of: ${JSON_PATCH_OPERATIONS.join(', ')}`);
+  }
+  if (typeof operation.path !== 'string') {
+    throw new Error('"path" is required');
+  }
+  if (['add', 'replace', 'test'].includes(operation.op) && !hasOwn(operation, 'value')) {
+    throw new Error('"value" is required');
+  }
+  if (['move', 'copy'].includes(operation.op) && typeof operation.from !== 'string') {
+    throw new Error('"from" is required');
+  }
+};
+
+// Operations apply in order on a copy; the first failure aborts the whole patch
+const applyJsonPatch = (target, operations) => {
+  if (!Array.isArray(operations)) {
+    throw new JsonPatchError('JSON Patch document must be an array of operations');
+  }
+
+  return operations.reduce((document, operation, index) => {
+    try {
+      checkOperation(operation);
+      return applyOperation(document, operation);
+    } catch (error) {
+      throw new JsonPatchError(error.message, {
+        status: error.statusCode || 422,
+        index,
+        operation
+      });
+    }
+  }, structuredClone(target));
+};
+
+const escapePointerSegment = (segment) => String(segment).replace(/~/g, '~0').replace(/\//g, '~1');
+
+/**
+ * Structural diff: the JSON Patch operations (add, remove, replace) that turn
+ * `from` into `to`. Objects are compared member by member; arrays and scalars
+ * are replaced whole. remove/replace carry the previous value as `old_value`,
+ * which JSON Patch processors ignore.
+ */
+const diffDocuments = (from, to, pointer = '') => {
+  if (deepEqual(from, to)) {
+    return [];
+  }
+
+  if (!isObject(from) || !isObject(to)) {
+    return [{ op: 'replace', path: pointer, value: to, old_value: from }];
+  }
+
+  const operations = [];
+  Object.keys(from).forEach(key => {
+    if (!hasOwn(to, key)) {
+      operations.push({ op: 'remove', path: `${pointer}/${escapePointerSegment(key)}`, old_value: from[key] });
+    }
+  });
+  Object.keys(to).forEach(key => {
+    const path = `${pointer}/${escapePointerSegment(key)}`;
+    if (!hasOwn(from, key)) {
+      operations.push({ op: 'add', path, value: to[key] });
+    } else {
+      operations.push(...diffDocuments(from[key], to[key], path));
+    }
+  });
+  return operations;
+};
+
+module.exports = {
+  JsonPatchError,
+  applyMergePatch,
+  applyJsonPatch,
+  diffDocuments,
+  parsePointer,
+  deepEqual
+};
@@ -0,0 +1,227 @@
+/**
+ * Validator for the subset of JSON Schema (draft 2020-12 keywords) used by
+ * the data type registry. Schemas are checked up front with schemaErrors, so
+ * validate can assume a well-formed schema. Unsupported keywords are rejected
+ * rather than silently ignored.
+ */
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+const FORMATS = {
+  'date-time': value => !Number.isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => /^[a-zA-Z][a-zA-Z0-9+.-]*:\S+$/.test(value),
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+const MAX_DEPTH = 16;
+const MAX_PATTERN_LENGTH = 200;
+
+const ANNOTATIONS = ['$schema', '$comment', 'title', 'description', 'default', 'examples', 'readOnly', 'writeOnly'];
+const NUMBER_KEYWORDS = ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum'];
+const COUNT_KEYWORDS = ['minLength', 'maxLength', 'minItems', 'maxItems', 'minProperties', 'maxProperties'];
+const SCHEMA_LIST_KEYWORDS = ['anyOf', 'oneOf', 'allOf'];
+const KEYWORDS = [
+  ...ANNOTATIONS, ...NUMBER_KEYWORDS, ...COUNT_KEYWORDS, ...SCHEMA_LIST_KEYWORDS,
+  'type', 'enum', 'const', 'multipleOf', 'pattern', 'format',
+  'properties', 'required', 'additionalProperties', 'items', 'uniqueItems', 'not'
+];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+};
+
+// Deep equality for JSON values (enum, const, uniqueItems)
+const isEqual = (a, b) => {
+  if (a === b) return true;
+  if (typeOf(a) !== typeOf(b) || typeof a !== 'object' || a === null) return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+};
+
+const joinPath = (path, segment) => (path ? `${path}.${segment}` : String(segment));
+
+/**
+ * Check that `schema` is a schema this module can evaluate. Returns a list
+ * of { path, message } problems; an empty list means usable.
+ */
+const schemaErrors = (schema, path = '', depth = 0) => {
+  if (typeof schema === 'boolean') return [];
+  if (!isPlainObject(schema)) return [{ path, message: 'Schema must be an object or a boolean' }];
+  if (depth > MAX_DEPTH) return [{ path, message: `Schemas may nest at most ${MAX_DEPTH} levels` }];
+
+  const errors = [];
+  const fail = (keyword, message) => errors.push({ path: joinPath(path, keyword), message });
+  const nested = (keyword, subschema) => errors.push(...schemaErrors(subschema, joinPath(path, keyword), depth + 1));
+
+  Object.keys(schema).forEach(keyword => {
+    if (!KEYWORDS.includes(keyword)) fail(keyword, `Unsupported keyword "${keyword}"`);
+  });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (types.length === 0 || !types.every(type => TYPES.includes(type))) {
+      fail('type', `Type must be one or more of: ${TYPES.join(', ')}`);
+    }
+  }
+  if (schema.enum !== undefined && (!Array.isArray(schema.enum) || schema.enum.length === 0)) {
+    fail('enum', 'enum must be a non-empty array');
+  }
+  NUMBER_KEYWORDS.forEach(keyword => {
+    if (schema[keyword] !== undefined && !matchesType(schema[keyword], 'number')) fail(keyword, `${keyword} must be a number`);
+  });
+  COUNT_KEYWORDS.forEach(keyword => {
+    if (schema[keyword] !== undefined && !(Number.isInteger(schema[keyword]) && schema[keyword] >= 0)) {
+      fail(keyword, `${keyword} must be a non-negative integer`);
+    }
+  });
+  if (schema.multipleOf !== undefined && !(matchesType(schema.multipleOf, 'number') && schema.multipleOf > 0)) {
+    fail('multipleOf', 'multipleOf must be a positive number');
+  }
+  if (schema.pattern !== undefined) {
+    if (typeof schema.pattern !== 'string' || schema.pattern.length > MAX_PATTERN_LENGTH) {
+      fail('pattern', `pattern must be a string of at most ${MAX_PATTERN_LENGTH} characters`);
+    } else {
+      try {
+        RegExp(schema.pattern, 'u');
+      } catch (error) {
+        fail('pattern', `pattern is not a valid regular expression: ${error.message}`);
+      }
+    }
+  }
+  if (schema.format !== undefined && !Object.keys(FORMATS).includes(schema.format)) {
+    fail('format', `format must be one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  if (schema.uniqueItems !== undefined && typeof schema.uniqueItems !== 'boolean') {
+    fail('uniqueItems', 'uniqueItems must be a boolean');
+  }
+  if (schema.required !== undefined
+    && !(Array.isArray(schema.required) && schema.required.every(name => typeof name === 'string'))) {
+    fail('required', 'required must be an array of property names');
+  }
+  if (schema.properties !== undefined) {
+    if (!isPlainObject(schema.properties)) {
+      fail('properties', 'properties must be an object');
+    } else {
+      Object.entries(schema.properties).forEach(([name, subschema]) => nested(`properties.${name}`, subschema));
+    }
+  }
+  ['additionalProperties', 'items', 'not'].forEach(keyword => {
+    if (schema[keyword] !== undefined) nested(keyword, schema[keyword]);
+  });
+  SCHEMA_LIST_KEYWORDS.forEach(keyword => {
+    if (schema[keyword] === undefined) return;
+    if (!Array.isArray(schema[keyword]) || schema[keyword].length === 0) {
+      fail(keyword, `${keyword} must be a non-empty array of schemas`);
+    } else {
+      schema[keyword].forEach((subschema, index) => nested(`${keyword}.${index}`, subschema));
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validate `value` against a schema accepted by schemaErrors. Returns a list
+ * of { path, message, value } errors, where path is a dotted path below
+ * `path` and value is the offending value.
+ */
+const validate = (schema, value, path = '') => {
+  if (schema === true) return [];
+  if (schema === false) return [{ path, message: 'No value is allowed here', value }];
+
+  const errors = [];
+  const fail = (message) => errors.push({ path, message, value });
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`Must be of type ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+  if (schema.enum !== undefined && !schema.enum.some(option => isEqual(option, value))) {
+    fail(`Must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    fail(`Must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    const length = Array.from(value).length;
+    if (schema.minLength !== undefined && length < schema.minLength) fail(`Must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && length > schema.maxLength) fail(`Must be at most ${schema.maxLength} characters`);
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) fail(`Must match pattern ${schema.pattern}`);
+    if (schema.format !== undefined && !FORMATS[schema.format](value)) fail(`Must be a valid ${schema.format}`);
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`Must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`Must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`Must be > ${schema.exclusiveMinimum}`);
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`Must be < ${schema.exclusiveMaximum}`);
+    if (schema.multipleOf !== undefined && !Number.isInteger(Number((value / schema.multipleOf).toPrecision(12)))) {
+      fail(`Must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`Must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`Must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && value.some((item, index) => value.findIndex(other => isEqual(other, item)) !== index)) {
+      fail('Items must be unique');
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => errors.push(...validate(schema.items, item, joinPath(path, index))));
+    }
+  }
+
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) fail(`Must have at least ${schema.minProperties} properties`);
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) fail(`Must have at most ${schema.maxProperties} properties`);
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) errors.push({ path: joinPath(path, name), message: 'Is required', value: undefined });
+    });
+
+    const properties = schema.properties || {};
+    keys.forEach(key => {
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        errors.push(...validate(properties[key], value[key], joinPath(path, key)));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: joinPath(path, key), message: 'Is not an allowed property', value: value[key] });
+      } else if (schema.additionalProperties !== undefined) {
+        errors.push(...validate(schema.additionalProperties, value[key], joinPath(path, key)));
+      }
+    });
+  }
+
+  if (schema.allOf !== undefined) {
+    schema.allOf.forEach(subschema => errors.push(...validate(subschema, value, path)));
+  }
+  if (schema.anyOf !== undefined && !schema.anyOf.some(subschema => validate(subschema, value, path).length === 0)) {
+    fail('Must match at least one of the allowed schemas');
+  }
+  if (schema.oneOf !== undefined && schema.oneOf.filter(subschema => validate(subschema, value, path).length === 0).length !== 1) {
+    fail('Must match exactly one of the allowed schemas');
+  }
+  if (schema.not !== undefined && validate(schema.not, value, path).length === 0) {
+    fail('Must not match the excluded schema');
+  }
+
+  return errors;
+};
+
+module.exports = { schemaErrors, validate };
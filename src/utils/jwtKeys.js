@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { UnauthorizedError, ConfigurationError } = require('./errors');
+
+// Signing algorithms accepted per JWK key type
+const ALGORITHMS = {
+  oct: ['HS256', 'HS384', 'HS512'],
+  RSA: ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512'],
+  EC: ['ES256', 'ES384', 'ES512']
+};
+const MIN_SECRET_BYTES = 32;
+const PRIVATE_MEMBERS = ['d', 'p', 'q', 'dp', 'dq', 'qi'];
+
+const importKey = (jwk) => {
+  if (jwk.kty === 'oct') {
+    const key = crypto.createSecretKey(Buffer.from(typeof jwk.k === 'string' ? jwk.k : '', 'base64url'));
+    if (key.symmetricKeySize < MIN_SECRET_BYTES) {
+      throw new Error(`must have at least ${MIN_SECRET_BYTES * 8} bits`);
+    }
+    return key;
+  }
+
+  // Only the public half is kept, even if the set carries private members
+  const publicJwk = Object.fromEntries(Object.entries(jwk).filter(([member]) => !PRIVATE_MEMBERS.includes(member)));
+  return crypto.createPublicKey({ key: publicJwk, format: 'jwk' });
+};
+
+/**
+ * Import a JWK Set ({ "keys": [...] }, as an object or JSON text) into a Map
+ * of kid -> { kid, alg, key }. Every key needs a unique kid and the alg it
+ * verifies; tokens are only accepted with that algorithm.
+ */
+const parseKeySet = (jwks) => {
+  const set = typeof jwks === 'string' ? JSON.parse(jwks) : jwks;
+  if (!set || !Array.isArray(set.keys)) {
+    throw new Error('JWK Set must be an object with a "keys" array');
+  }
+
+  const keys = new Map();
+  set.keys.forEach((jwk, index) => {
+    if (!jwk || typeof jwk.kid !== 'string' || jwk.kid === '') {
+      throw new Error(`JWK Set key ${index} has no kid`);
+    }
+    if (keys.has(jwk.kid)) {
+      throw new Error(`JWK Set has more than one key "${jwk.kid}"`);
+    }
+
+    const allowed = ALGORITHMS[jwk.kty];
+    if (!allowed) {
+      throw new Error(`JWK Set key "${jwk.kid}" has unsupported kty "${jwk.kty}"`);
+    }
+    if (!allowed.includes(jwk.alg)) {
+      throw new Error(`JWK Set key "${jwk.kid}" needs alg one of: ${allowed.join(', ')}`);
+    }
+
+    try {
+      keys.set(jwk.kid, { kid: jwk.kid, alg: jwk.alg, key: importKey(jwk) });
+    } catch (error) {
+      throw new Error(`JWK Set key "${jwk.kid}" is invalid: ${error.message}`);
+    }
+  });
+  return keys;
+};
+
+let cached = null;
+
+// Key set for { jwks, jwksFile } (see config.adminAuth), parsed again only
+// when the configured source changes. No source means an empty set; one that
+// cannot be read or parsed throws ConfigurationError.
+const loadKeySet = ({ jwks, jwksFile }) => {
+  if (cached && cached.jwks === jwks && cached.jwksFile === jwksFile) {
+    return cached.keys;
+  }
+
+  let keys;
+  try {
+    const source = jwks || (jwksFile ? fs.readFileSync(jwksFile, 'utf8') : null);
+    keys = source ? parseKeySet(source) : new Map();
+  } catch (error) {
+    throw new ConfigurationError('Admin authentication is misconfigured', `${jwks ? 'ADMIN_JWKS' : `ADMIN_JWKS_FILE ${jwksFile}`}: ${error.message}`);
+  }
+  cached = { jwks, jwksFile, keys };
+  return keys;
+};
+
+const verifyFailure = (error) => {
+  if (error.name === 'TokenExpiredError') return 'Token expired';
+  if (error.name === 'NotBeforeError') return 'Token not yet valid';
+  return 'Invalid token';
+};
+
+/**
+ * Verify a compact JWS against the key set and return { kid, claims }.
+ * The key is picked by the token's kid (a set with a single key also accepts
+ * tokens without one). exp is required; exp, nbf and iat are checked with
+ * clockSkewSeconds of tolerance. Failures throw UnauthorizedError, with the
+ * library's message in `detail` for logging.
+ */
+const verifyToken = (token, keys, { issuer = null, audience = null, clockSkewSeconds = 0, now = Date.now() } = {}) => {
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded || !decoded.payload || typeof decoded.payload !== 'object') {
+    throw new UnauthorizedError('Malformed token');
+  }
+
+  const { kid } = decoded.header;
+  const entry = kid !== undefined ? keys.get(kid) : (keys.size === 1 ? keys.values().next().value : undefined);
+  if (!entry) {
+    throw new UnauthorizedError('Unknown signing key');
+  }
+
+  const nowSeconds = Math.floor(now / 1000);
+  let claims;
+  try {
+    claims = jwt.verify(token, entry.key, {
+      algorithms: [entry.alg],
+      clockTolerance: clockSkewSeconds,
+      clockTimestamp: nowSeconds,
+      issuer: issuer || undefined,
+      audience: audience || undefined
+    });
+  } catch (error) {
+    const failure = new UnauthorizedError(verifyFailure(error));
+    failure.detail = error.message;
+    throw failure;
+  }
+
+  if (typeof claims.exp !== 'number') {
+    throw new UnauthorizedError('Token has no expiry');
+  }
+  if (typeof claims.iat === 'number' && claims.iat > nowSeconds + clockSkewSeconds) {
+    throw new UnauthorizedError('Token issued in the future');
+  }
+
+  return { kid: entry.kid, claims };
+};
+
+module.exports = { ALGORITHMS, parseKeySet, loadKeySet, verifyToken };
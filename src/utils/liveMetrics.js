@@ -0,0 +1,198 @@
+const WebSocket = require('ws');
+const config = require('../config');
+const logger = require('./logger');
+
+const REQUESTS_TOPIC = 'requests';
+const MAX_MESSAGE_BYTES = 4096;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * WebSocket channel for the dashboard. Clients subscribe to topics:
+ *   - one per snapshot builder (e.g. "metrics", "status", "health"), pushed
+ *     after traffic at most once per snapshotIntervalMs and every
+ *     idleIntervalMs otherwise, with the same payload as the HTTP endpoint
+ *   - "requests", pushed as each request is recorded by the metrics store
+ *
+ * Client messages: { type: "subscribe" | "unsubscribe", topics: [...] } and
+ * { type: "ping" }; topics can also be given as ?topics=a,b on connect.
+ * Server messages: welcome, subscribed, event ({ topic, data }), pong, error.
+ *
+ * `authorize(req)` checks each upgrade request (see middleware/upgradeAuth):
+ * it returns null to accept it, or { status, message } to refuse the
+ * handshake with that HTTP status.
+ */
+class LiveMetricsServer {
+  constructor({ server, store, snapshots, authorize, path = config.live.path, settings = {} }) {
+    this.store = store;
+    this.snapshots = snapshots;
+    this.topics = [...Object.keys(snapshots), REQUESTS_TOPIC];
+    this.overrides = settings;
+    this.clients = new Map();
+    this.pendingSnapshot = null;
+    this.lastSnapshotAt = 0;
+
+    this.wss = new WebSocket.Server({
+      server,
+      path,
+      maxPayload: MAX_MESSAGE_BYTES,
+      verifyClient: ({ req }, done) => {
+        const refusal = authorize(req);
+        if (refusal) {
+          done(false, refusal.status, refusal.message);
+        } else {
+          done(true);
+        }
+      }
+    });
+    this.wss.on('connection', (socket, req) => this.handleConnection(socket, req));
+
+    this.onRequest = (request) => this.handleRequest(request);
+    store.on('request', this.onRequest);
+
+    // Timers never keep the process alive on their own
+    this.idleTimer = setInterval(() => this.pushSnapshots(), this.settings.idleIntervalMs).unref();
+    this.pingTimer = setInterval(() => this.pingClients(), this.settings.pingIntervalMs).unref();
+  }
+
+  get settings() {
+    return { ...config.live, ...this.overrides };
+  }
+
+  handleConnection(socket, req) {
+    if (this.clients.size >= this.settings.maxClients) {
+      socket.close(1013, 'Too many clients');
+      return;
+    }
+
+    this.clients.set(socket, new Set());
+    socket.isAlive = true;
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('message', raw => this.handleMessage(socket, raw));
+    socket.on('close', () => this.clients.delete(socket));
+    socket.on('error', error => logger.warn('Live metrics socket error', { error: error.message }));
+
+    logger.info('Live metrics client connected', { ip: req.socket.remoteAddress, clients: this.clients.size });
+    this.send(socket, { type: 'welcome', topics: this.topics });
+
+    const requested = new URL(req.url, 'http://localhost').searchParams.get('topics');
+    if (requested) {
+      this.subscribe(socket, requested.split(',').map(topic => topic.trim()).filter(Boolean));
+    }
+  }
+
+  handleMessage(socket, raw) {
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch (error) {
+      return this.send(socket, { type: 'error', message: 'Messages must be JSON' });
+    }
+
+    const type = isPlainObject(message) ? message.type : undefined;
+    if (type === 'subscribe') return this.subscribe(socket, message.topics);
+    if (type === 'unsubscribe') return this.unsubscribe(socket, message.topics);
+    if (type === 'ping') return this.send(socket, { type: 'pong', timestamp: new Date().toISOString() });
+
+    this.send(socket, { type: 'error', message: 'Message type must be one of: subscribe, unsubscribe, ping' });
+  }
+
+  // Unknown topics reject the whole message so typos are not silently ignored
+  checkTopics(socket, topics) {
+    if (!Array.isArray(topics) || topics.length === 0) {
+      this.send(socket, { type: 'error', message: 'topics must be a non-empty array' });
+      return false;
+    }
+
+    const unknown = topics.filter(topic => !this.topics.includes(topic));
+    if (unknown.length > 0) {
+      this.send(socket, { type: 'error', message: `Unknown topics: ${unknown.join(', ')}`, topics: this.topics });
+      return false;
+    }
+    return true;
+  }
+
+  // New subscriptions get the current state right away
+  subscribe(socket, topics) {
+    if (!this.checkTopics(socket, topics)) return;
+
+    const subscriptions = this.clients.get(socket);
+    const added = topics.filter(topic => !subscriptions.has(topic));
+    added.forEach(topic => subscriptions.add(topic));
+    this.send(socket, { type: 'subscribed', topics: Array.from(subscriptions) });
+
+    added.forEach(topic => {
+      const data = topic === REQUESTS_TOPIC
+        ? this.store.getMetrics().recentRequests
+        : this.snapshots[topic]();
+      this.send(socket, { type: 'event', topic, data });
+    });
+  }
+
+  unsubscribe(socket, topics) {
+    if (!this.checkTopics(socket, topics)) return;
+
+    const subscriptions = this.clients.get(socket);
+    topics.forEach(topic => subscriptions.delete(topic));
+    this.send(socket, { type: 'subscribed', topics: Array.from(subscriptions) });
+  }
+
+  handleRequest(request) {
+    this.broadcast(REQUESTS_TOPIC, () => [request]);
+
+    if (!this.pendingSnapshot) {
+      const wait = Math.max(0, this.lastSnapshotAt + this.settings.snapshotIntervalMs - Date.now());
+      this.pendingSnapshot = setTimeout(() => {
+        this.pendingSnapshot = null;
+        this.pushSnapshots();
+      }, wait).unref();
+    }
+  }
+
+  pushSnapshots() {
+    this.lastSnapshotAt = Date.now();
+    Object.entries(this.snapshots).forEach(([topic, build]) => this.broadcast(topic, build));
+  }
+
+  // The payload is only built when someone is subscribed to the topic
+  broadcast(topic, build) {
+    const recipients = Array.from(this.clients)
+      .filter(([socket, subscriptions]) => subscriptions.has(topic) && socket.readyState === WebSocket.OPEN)
+      .map(([socket]) => socket);
+    if (recipients.length === 0) return;
+
+    const message = JSON.stringify({ type: 'event', topic, data: build() });
+    recipients.forEach(socket => socket.send(message));
+  }
+
+  send(socket, message) {
+    if (socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(message));
+    }
+  }
+
+  // Drop clients that did not answer the previous ping
+  pingClients() {
+    this.clients.forEach((subscriptions, socket) => {
+      if (!socket.isAlive) {
+        socket.terminate();
+        return;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+  }
+
+  close() {
+    clearInterval(this.idleTimer);
+    clearInterval(this.pingTimer);
+    clearTimeout(this.pendingSnapshot);
+    this.store.off('request', this.onRequest);
+    this.clients.forEach((subscriptions, socket) => socket.terminate());
+    this.clients.clear();
+    return new Promise(resolve => this.wss.close(resolve));
+  }
+}
+
+module.exports = { LiveMetricsServer, REQUESTS_TOPIC };
@@ -1,5 +1,10 @@
-class MetricsStore {
+const { EventEmitter } = require('events');
+
+// Emits "request" with each recorded request (the live metrics socket listens)
+class MetricsStore extends EventEmitter {
   constructor() {
+    super();
+    this.setMaxListeners(0);
     this.metrics = {
       requests: {
         total: 0,
@@ -81,6 +86,8 @@ class MetricsStore {
     if (this.metrics.recentRequests.length > 50) {
       this.metrics.recentRequests = this.metrics.recentRequests.slice(0, 50);
     }
+
+    this.emit('request', recentRequest);
   }
 
   calculateRequestsPerMinute() {
@@ -0,0 +1,125 @@
+const config = require('../config');
+
+const isMissing = (value) => value === undefined || value === null;
+
+// Missing values sort first; numbers numerically, everything else as strings
+const compareValues = (a, b) => {
+  if (isMissing(a) || isMissing(b)) return Number(!isMissing(a)) - Number(!isMissing(b));
+  if (a === b) return 0;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a) < String(b) ? -1 : 1;
+};
+
+// "created_at,-updated_at" -> [{ field: 'created_at', direction: 1 }, { field: 'updated_at', direction: -1 }]
+const parseSort = (sort, defaultSort = 'created_at') => {
+  const value = sort || defaultSort;
+  return value.split(',').map(part => part.trim()).filter(Boolean).map(part => (
+    part.startsWith('-')
+      ? { field: part.slice(1), direction: -1 }
+      : { field: part.replace(/^\+/, ''), direction: 1 }
+  ));
+};
+
+const sortKey = (sortSpec) => sortSpec.map(({ field, direction }) => (direction < 0 ? `-${field}` : field)).join(',');
+
+// The id is always the final tiebreaker so the order is total and cursors are stable
+const compareItems = (sortSpec) => (a, b) => {
+  for (const { field, direction } of sortSpec) {
+    const result = compareValues(a[field], b[field]);
+    if (result !== 0) return result * direction;
+  }
+  return compareValues(a.id, b.id);
+};
+
+const encodeCursor = (item, sortSpec) => Buffer.from(JSON.stringify({
+  s: sortKey(sortSpec),
+  v: sortSpec.map(({ field }) => item[field] ?? null),
+  id: item.id
+})).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Cursor is malformed');
+  }
+
+  if (!decoded || typeof decoded.s !== 'string' || !Array.isArray(decoded.v) || typeof decoded.id !== 'string') {
+    throw new Error('Cursor is malformed');
+  }
+  return decoded;
+};
+
+/**
+ * Sort and slice a list of documents.
+ * Cursor (keyset) pagination resumes strictly after the item the cursor was
+ * issued for, so inserts between requests do not shift or repeat items.
+ * Offset pagination is kept for older clients.
+ */
+const paginate = (items, { sort, cursor, offset = 0, limit = config.pagination.defaultLimit } = {}) => {
+  const sortSpec = parseSort(sort);
+  const compare = compareItems(sortSpec);
+  const sorted = [...items].sort(compare);
+
+  let start = offset;
+  if (cursor) {
+    const { s, v, id } = decodeCursor(cursor);
+    if (s !== sortKey(sortSpec)) {
+      throw new Error('Cursor was issued for a different sort order');
+    }
+
+    const anchor = { id };
+    sortSpec.forEach(({ field }, index) => {
+      anchor[field] = v[index];
+    });
+    start = sorted.findIndex(item => compare(item, anchor) > 0);
+    if (start === -1) start = sorted.length;
+  }
+
+  const page = sorted.slice(start, start + limit);
+  const hasMore = start + limit < sorted.length;
+
+  return {
+    page,
+    total: sorted.length,
+    offset: start,
+    hasMore,
+    nextCursor: hasMore && page.length > 0 ? encodeCursor(page[page.length - 1], sortSpec) : null
+  };
+};
+
+const projectFields = (item, fields) => {
+  if (!fields) return item;
+
+  return fields.split(',').map(field => field.trim()).filter(Boolean).reduce((projected, field) => {
+    if (Object.prototype.hasOwnProperty.call(item, field)) {
+      projected[field] = item[field];
+    }
+    return projected;
+  }, {});
+};
+
+// RFC 8288 Link header pointing at the first and next pages of the current query
+const buildLinkHeader = (req, nextCursor) => {
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host') || 'localhost'}`);
+  url.searchParams.delete('cursor');
+  url.searchParams.delete('offset');
+
+  const links = [`<${url.pathname}${url.search}>; rel="first"`];
+  if (nextCursor) {
+    url.searchParams.set('cursor', nextCursor);
+    links.push(`<${url.pathname}${url.search}>; rel="next"`);
+  }
+  return links.join(', ');
+};
+
+module.exports = {
+  parseSort,
+  sortKey,
+  paginate,
+  projectFields,
+  buildLinkHeader,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,34 @@
+// Actions a caller may be allowed to perform. Reads of users and data stay open
+const ACTIONS = [
+  'metrics:read',   // metrics, logs and system details (api and admin)
+  'data:write',     // create, change, delete, restore and revert data items
+  'data:purge',     // delete data items permanently (?hard=true)
+  'users:write',    // create, change (roles included) and import users
+  'users:delete',
+  'types:write',    // register, replace and delete data types and their schemas
+  'webhooks:manage', // list, register, change and replay webhooks (they receive user and data changes)
+  'admin:cache',    // clear the application cache
+  'admin:restart',
+  'audit:read',     // read and verify the audit log
+  'keys:manage'     // create, revoke and rotate API keys
+];
+
+// Actions an API key can be scoped to. Keys cannot manage keys, so a leaked
+// key cannot mint others
+const API_KEY_SCOPES = ACTIONS.filter(action => action !== 'keys:manage');
+
+// Roles map to the actions they grant. `admin` and `user` are the values of
+// the user `role` field; `guest` grants nothing and can only be given to
+// anonymous callers (config.rbac.anonymousRole)
+const ROLE_PERMISSIONS = {
+  admin: ACTIONS,
+  user: ['metrics:read', 'data:write'],
+  guest: []
+};
+
+// Unknown roles grant nothing
+const permissionsFor = (role) => ROLE_PERMISSIONS[role] || [];
+
+const can = (role, action) => permissionsFor(role).includes(action);
+
+module.exports = { ACTIONS, API_KEY_SCOPES, ROLE_PERMISSIONS, permissionsFor, can };
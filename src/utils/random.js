@@ -0,0 +1,44 @@
+const crypto = require('crypto');
+
+// FNV-1a: turns any seed (number or string) into a 32-bit PRNG state
+const hashSeed = (seed) => {
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Small deterministic PRNG (mulberry32). The same seed always produces the
+ * same sequence, which is what makes seeded test data reproducible. Not
+ * suitable for anything security related.
+ */
+const createRandom = (seed = crypto.randomInt(2 ** 31)) => {
+  let state = hashSeed(seed);
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (values) => values[int(0, values.length - 1)];
+
+  // RFC 4122 version 4 layout built from the seeded sequence
+  const uuid = () => {
+    const bytes = Array.from({ length: 16 }, () => int(0, 255));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = bytes.map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  };
+
+  return { seed, next, int, pick, uuid };
+};
+
+module.exports = { createRandom };
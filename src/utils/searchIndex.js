@@ -0,0 +1,224 @@
+// Ranking parameters (BM25) and per-field weights
+const K1 = 1.2;
+const B = 0.75;
+const PREFIX_WEIGHT = 0.5;
+const FIELD_WEIGHTS = { content: 1, metadata: 0.5 };
+const SNIPPET_RADIUS = 60;
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Lowercase and strip diacritics so "Café" matches "cafe"
+const normalize = (text) => text.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+
+const tokenize = (text) => normalize(String(text)).match(TOKEN_PATTERN) || [];
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Collect every string value under a root as [fieldPath, text] pairs
+const collectStrings = (value, path, out = []) => {
+  if (typeof value === 'string') {
+    out.push([path, value]);
+  } else if (value && typeof value === 'object') {
+    Object.keys(value).forEach(key => collectStrings(value[key], `${path}.${key}`, out));
+  }
+  return out;
+};
+
+const searchableFields = (item) => [
+  ...collectStrings(item.content, 'content'),
+  ...collectStrings(item.metadata, 'metadata')
+];
+
+const fieldWeight = (field) => FIELD_WEIGHTS[field.split('.')[0]] || 1;
+
+class SearchIndex {
+  constructor() {
+    this.postings = new Map(); // term -> Map(docId -> { tf, weight })
+    this.documents = new Map(); // docId -> { length, fields, item }
+    this.totalLength = 0;
+    this.sortedTerms = null;
+  }
+
+  get size() {
+    return this.documents.size;
+  }
+
+  add(item) {
+    if (this.documents.has(item.id)) {
+      this.remove(item.id);
+    }
+
+    const fields = searchableFields(item);
+    const termStats = new Map();
+    let length = 0;
+
+    fields.forEach(([field, text]) => {
+      const weight = fieldWeight(field);
+      tokenize(text).forEach(term => {
+        const stats = termStats.get(term) || { tf: 0, weight: 0 };
+        stats.tf++;
+        stats.weight = Math.max(stats.weight, weight);
+        termStats.set(term, stats);
+        length++;
+      });
+    });
+
+    termStats.forEach((stats, term) => {
+      if (!this.postings.has(term)) {
+        this.postings.set(term, new Map());
+        this.sortedTerms = null;
+      }
+      this.postings.get(term).set(item.id, stats);
+    });
+
+    this.documents.set(item.id, { length, fields, terms: Array.from(termStats.keys()), item });
+    this.totalLength += length;
+  }
+
+  remove(id) {
+    const document = this.documents.get(id);
+    if (!document) return false;
+
+    document.terms.forEach(term => {
+      const posting = this.postings.get(term);
+      posting.delete(id);
+      if (posting.size === 0) {
+        this.postings.delete(term);
+        this.sortedTerms = null;
+      }
+    });
+
+    this.documents.delete(id);
+    this.totalLength -= document.length;
+    return true;
+  }
+
+  clear() {
+    this.postings.clear();
+    this.documents.clear();
+    this.totalLength = 0;
+    this.sortedTerms = null;
+  }
+
+  rebuild(items) {
+    this.clear();
+    items.forEach(item => this.add(item));
+  }
+
+  // Exact term plus every indexed term that starts with it (binary search over sorted terms)
+  expand(token) {
+    if (!this.sortedTerms) {
+      this.sortedTerms = Array.from(this.postings.keys()).sort();
+    }
+
+    const terms = this.sortedTerms;
+    let low = 0;
+    let high = terms.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (terms[mid] < token) low = mid + 1;
+      else high = mid;
+    }
+
+    const matches = [];
+    for (let i = low; i < terms.length && terms[i].startsWith(token); i++) {
+      matches.push({ term: terms[i], exact: terms[i] === token });
+    }
+    return matches;
+  }
+
+  /**
+   * Search with AND semantics: every query token must match a term exactly
+   * or as a prefix. Results are ranked with BM25, exact matches weigh more
+   * than prefix matches and content weighs more than metadata.
+   */
+  search(query, { limit = 10, filter = () => true } = {}) {
+    const tokens = Array.from(new Set(tokenize(query)));
+    if (tokens.length === 0 || this.documents.size === 0) {
+      return { total: 0, results: [] };
+    }
+
+    const averageLength = this.totalLength / this.documents.size || 1;
+    let scores = null;
+
+    tokens.forEach(token => {
+      const tokenScores = new Map();
+
+      this.expand(token).forEach(({ term, exact }) => {
+        const posting = this.postings.get(term);
+        const idf = Math.log(1 + (this.documents.size - posting.size + 0.5) / (posting.size + 0.5));
+
+        posting.forEach(({ tf, weight }, id) => {
+          const { length } = this.documents.get(id);
+          const termScore = idf * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * (length / averageLength)));
+          const score = termScore * weight * (exact ? 1 : PREFIX_WEIGHT);
+          tokenScores.set(id, Math.max(tokenScores.get(id) || 0, score));
+        });
+      });
+
+      if (scores === null) {
+        scores = tokenScores;
+      } else {
+        const merged = new Map();
+        scores.forEach((score, id) => {
+          if (tokenScores.has(id)) merged.set(id, score + tokenScores.get(id));
+        });
+        scores = merged;
+      }
+    });
+
+    const ranked = Array.from(scores.entries())
+      .map(([id, score]) => ({ id, score, document: this.documents.get(id) }))
+      .filter(({ document }) => filter(document.item))
+      .sort((a, b) => b.score - a.score || (a.id < b.id ? -1 : 1));
+
+    return {
+      total: ranked.length,
+      results: ranked.slice(0, limit).map(({ id, score, document }) => ({
+        id,
+        score: Math.round(score * 1000) / 1000,
+        highlights: this.highlight(document.fields, tokens),
+        item: document.item
+      }))
+    };
+  }
+
+  // HTML-escaped snippets around the first match in each field, matches wrapped in <mark>
+  highlight(fields, tokens) {
+    const matchesToken = (word) => {
+      const normalized = normalize(word);
+      return tokens.some(token => normalized.startsWith(token));
+    };
+
+    return fields.reduce((highlights, [field, text]) => {
+      const matches = Array.from(text.matchAll(TOKEN_PATTERN)).filter(match => matchesToken(match[0]));
+      if (matches.length === 0) return highlights;
+
+      const start = Math.max(0, matches[0].index - SNIPPET_RADIUS);
+      const end = Math.min(text.length, matches[0].index + matches[0][0].length + SNIPPET_RADIUS);
+      let snippet = start > 0 ? '…' : '';
+      let cursor = start;
+
+      matches
+        .filter(match => match.index >= start && match.index + match[0].length <= end)
+        .forEach(match => {
+          snippet += escapeHtml(text.slice(cursor, match.index));
+          snippet += `<mark>${escapeHtml(match[0])}</mark>`;
+          cursor = match.index + match[0].length;
+        });
+
+      snippet += escapeHtml(text.slice(cursor, end));
+      if (end < text.length) snippet += '…';
+
+      highlights.push({ field, snippet });
+      return highlights;
+    }, []);
+  }
+}
+
+module.exports = { SearchIndex, tokenize };
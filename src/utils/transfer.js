@@ -0,0 +1,161 @@
+const { Readable, Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { CsvParser, formatCsvRow } = require('./csv');
+
+/**
+ * Line-oriented export and import formats. Both directions stream: exports
+ * yield one line at a time (respecting backpressure) and imports emit one
+ * record per line, so neither side holds the whole file as text.
+ */
+const FORMATS = {
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  csv: { contentType: 'text/csv', extension: 'csv' }
+};
+const NDJSON_TYPES = ['application/x-ndjson', 'application/ndjson', 'application/jsonl'];
+const CSV_TYPES = ['text/csv'];
+
+// Export format from the Accept header; NDJSON when the client accepts anything
+const exportFormat = (req) => {
+  const accepted = req.accepts([...NDJSON_TYPES, ...CSV_TYPES]);
+  if (!accepted) return null;
+  return CSV_TYPES.includes(accepted) ? 'csv' : 'ndjson';
+};
+
+// Import format from the Content-Type header
+const importFormat = (req) => {
+  if (req.is(NDJSON_TYPES)) return 'ndjson';
+  if (req.is(CSV_TYPES)) return 'csv';
+  return null;
+};
+
+const createExportStream = (records, { format, columns }) => {
+  const pick = (record) => Object.fromEntries(columns.map(column => [column, record[column]]));
+
+  function* lines() {
+    if (format === 'csv') {
+      yield formatCsvRow(columns);
+      for (const record of records) {
+        yield formatCsvRow(columns.map(column => record[column]));
+      }
+    } else {
+      for (const record of records) {
+        yield `${JSON.stringify(pick(record))}\n`;
+      }
+    }
+  }
+
+  return Readable.from(lines());
+};
+
+// Splits text into { line, text } objects; blank lines are skipped
+class LineSplitter extends Transform {
+  constructor({ maxLineLength = 1024 * 1024 } = {}) {
+    super({ readableObjectMode: true });
+    this.decoder = new StringDecoder('utf8');
+    this.maxLineLength = maxLineLength;
+    this.buffer = '';
+    this.line = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.buffer += this.decoder.write(chunk);
+    const parts = this.buffer.split('\n');
+    this.buffer = parts.pop();
+    parts.forEach(part => this.emitLine(part));
+
+    if (this.buffer.length > this.maxLineLength) {
+      return callback(new Error(`Line ${this.line + 1} exceeds ${this.maxLineLength} characters`));
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    this.buffer += this.decoder.end();
+    if (this.buffer !== '') {
+      this.emitLine(this.buffer);
+    }
+    callback();
+  }
+
+  emitLine(text) {
+    this.line += 1;
+    const trimmed = text.replace(/\r$/, '');
+    if (trimmed.trim() !== '') {
+      this.push({ line: this.line, text: trimmed });
+    }
+  }
+}
+
+// Like input.pipe(parser), but a failing or aborted input also fails the parser
+const pipeInto = (input, parser) => {
+  input.on('error', error => parser.destroy(error));
+  return input.pipe(parser);
+};
+
+/**
+ * Turn an upload stream into an async iterable of { line, record } or
+ * { line, error } entries. CSV uploads must start with a header row naming
+ * the columns; every value arrives as a string. Malformed input that makes
+ * the rest of the file unreadable (e.g. an unterminated quote) rejects.
+ */
+async function* readRecords(input, { format, maxLineLength }) {
+  if (format === 'ndjson') {
+    for await (const { line, text } of pipeInto(input, new LineSplitter({ maxLineLength }))) {
+      let record;
+      try {
+        record = JSON.parse(text);
+      } catch (error) {
+        yield { line, error: 'Invalid JSON' };
+        continue;
+      }
+      if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+        yield { line, error: 'Each line must be a JSON object' };
+        continue;
+      }
+      yield { line, record };
+    }
+    return;
+  }
+
+  let header = null;
+  for await (const { line, values } of pipeInto(input, new CsvParser({ maxRecordLength: maxLineLength }))) {
+    if (!header) {
+      header = values.map(value => value.trim());
+      continue;
+    }
+    if (values.length !== header.length) {
+      yield { line, error: `Expected ${header.length} columns, found ${values.length}` };
+      continue;
+    }
+    yield { line, record: Object.fromEntries(header.map((column, index) => [column, values[index]])) };
+  }
+}
+
+/**
+ * CSV cells are strings: empty cells become undefined, `json` columns are
+ * parsed as JSON and `maybeJson` columns only when they hold a JSON object.
+ * Unparseable JSON is left as text so row validation can report it.
+ */
+const decodeCsvRecord = (record, { json = [], maybeJson = [] } = {}) => Object.fromEntries(
+  Object.entries(record).map(([column, value]) => {
+    if (value === '') return [column, undefined];
+    if (json.includes(column) || (maybeJson.includes(column) && value.trim().startsWith('{'))) {
+      try {
+        return [column, JSON.parse(value)];
+      } catch (error) {
+        return [column, value];
+      }
+    }
+    return [column, value];
+  })
+);
+
+module.exports = {
+  FORMATS,
+  exportFormat,
+  importFormat,
+  createExportStream,
+  readRecords,
+  decodeCsvRecord,
+  LineSplitter
+};
@@ -0,0 +1,54 @@
+const config = require('../config');
+const logger = require('./logger');
+
+// Permanently remove soft-deleted documents whose deleted_at is older than the retention period
+const purgeExpired = (collection, { retentionMs = config.trash.retentionMs, now = Date.now() } = {}) => {
+  const cutoff = now - retentionMs;
+  const expired = collection.findAll()
+    .filter(document => document.deleted_at && Date.parse(document.deleted_at) <= cutoff);
+
+  expired.forEach(document => collection.remove(document.id));
+
+  if (expired.length > 0) {
+    logger.info('Trash purged', { collection: collection.name, purged: expired.length });
+  }
+  return expired.length;
+};
+
+class TrashPurger {
+  constructor(collection, { retentionMs = config.trash.retentionMs, intervalMs = config.trash.purgeIntervalMs } = {}) {
+    this.collection = collection;
+    this.retentionMs = retentionMs;
+    this.intervalMs = intervalMs;
+    this.intervalId = null;
+  }
+
+  start() {
+    if (this.intervalId) {
+      return;
+    }
+
+    this.run();
+    this.intervalId = setInterval(() => this.run(), this.intervalMs);
+    // Never keep the process alive just to purge the trash
+    this.intervalId.unref();
+  }
+
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+    }
+  }
+
+  run() {
+    try {
+      return purgeExpired(this.collection, { retentionMs: this.retentionMs });
+    } catch (error) {
+      logger.error('Trash purge failed', { collection: this.collection.name, error: error.message });
+      return 0;
+    }
+  }
+}
+
+module.exports = { TrashPurger, purgeExpired };
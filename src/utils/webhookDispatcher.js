@@ -0,0 +1,265 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('./logger');
+
+const WEBHOOK_EVENTS = [
+  'data.created', 'data.updated', 'data.deleted', 'data.restored', 'data.purged',
+  'users.created', 'users.updated', 'users.deleted'
+];
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+// Webhook event for a storage change, or null when the change is not published.
+// Moving a data item to the trash is "deleted"; removing it for good is "purged".
+const eventForChange = ({ type, collection, document, previous }) => {
+  if (collection !== 'data' && collection !== 'users') return null;
+
+  if (type === 'insert') return `${collection}.created`;
+  if (type === 'remove') {
+    return collection === 'data' && document.deleted_at ? 'data.purged' : `${collection}.deleted`;
+  }
+  if (type !== 'update') return null;
+
+  if (collection === 'data' && !previous.deleted_at && document.deleted_at) return 'data.deleted';
+  if (collection === 'data' && previous.deleted_at && !document.deleted_at) return 'data.restored';
+  return `${collection}.updated`;
+};
+
+// Filters list exact event names, "<collection>.*" or "*"
+const matchesEvent = (filters, event) => filters.some(filter => filter === '*'
+  || filter === event
+  || (filter.endsWith('.*') && event.startsWith(filter.slice(0, -1))));
+
+/**
+ * Signature header value for a delivery: `t=<unix seconds>,v1=<hex>` where
+ * v1 is HMAC-SHA256(secret, "<t>.<raw body>"). Receivers recompute it and
+ * should reject timestamps that are too old to prevent replays.
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+};
+
+// Delay before the next attempt after `attempt` failed ones: base, 2x base, 4x base...
+const retryDelay = (attempt, { baseDelayMs, maxDelayMs }) =>
+  Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+
+// POST the body and resolve with the response status; network errors and timeouts reject
+const sendRequest = async ({ url, headers, body, timeoutMs }) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+  await response.body?.cancel();
+  return response.status;
+};
+
+/**
+ * Delivers webhook events to subscribers. Every delivery is a document in
+ * the `deliveries` collection holding its payload and attempt history, so
+ * pending retries survive a restart (see start()). Deliveries that keep
+ * failing end up with status "dead" (the dead-letter list) until redelivered.
+ */
+class WebhookDispatcher {
+  constructor({ webhooks, deliveries, transport = sendRequest, settings = {} }) {
+    this.webhooks = webhooks;
+    this.deliveries = deliveries;
+    this.transport = transport;
+    this.overrides = settings;
+    this.timers = new Map();
+    this.inFlight = new Set();
+  }
+
+  // Read on every use so configuration changes apply to the next attempt
+  get settings() {
+    return { ...config.webhooks, ...this.overrides };
+  }
+
+  handleChange(change) {
+    const event = eventForChange(change);
+    if (!event) return [];
+
+    const data = { [change.collection === 'users' ? 'user' : 'item']: change.document };
+    if (change.previous) {
+      data.previous = change.previous;
+    }
+    return this.publish(event, data);
+  }
+
+  // Queue one delivery per active webhook subscribed to the event
+  publish(event, data) {
+    const payload = { id: uuidv4(), event, created_at: new Date().toISOString(), data };
+    return this.webhooks.findAll()
+      .filter(webhook => webhook.active && matchesEvent(webhook.events, event))
+      .map(webhook => this.enqueue(webhook, payload));
+  }
+
+  enqueue(webhook, payload) {
+    const now = new Date().toISOString();
+    const delivery = this.deliveries.insert({
+      id: uuidv4(),
+      webhook_id: webhook.id,
+      event: payload.event,
+      payload,
+      status: 'pending',
+      attempt_count: 0,
+      attempts: [],
+      next_attempt_at: now,
+      created_at: now,
+      updated_at: now
+    });
+    this.schedule(delivery.id, 0);
+    return delivery;
+  }
+
+  schedule(deliveryId, delayMs) {
+    clearTimeout(this.timers.get(deliveryId));
+    const timer = setTimeout(() => {
+      this.timers.delete(deliveryId);
+      this.attempt(deliveryId).catch(error => {
+        logger.error('Webhook delivery crashed', { deliveryId, error: error.message });
+      });
+    }, delayMs);
+    // Never keep the process alive just to retry a webhook
+    timer.unref();
+    this.timers.set(deliveryId, timer);
+  }
+
+  async attempt(deliveryId) {
+    const delivery = this.deliveries.findById(deliveryId);
+    if (!delivery || delivery.status !== 'pending' || this.inFlight.has(deliveryId)) return null;
+
+    const webhook = this.webhooks.findById(delivery.webhook_id);
+    if (!webhook) return null;
+
+    const { timeoutMs, maxAttempts } = this.settings;
+    const body = JSON.stringify(delivery.payload);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'roxs-stack-webhooks/1.0',
+      'X-Webhook-Id': webhook.id,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Event': delivery.event,
+      [SIGNATURE_HEADER]: signPayload(webhook.secret, body)
+    };
+
+    const startedAt = Date.now();
+    let responseStatus = null;
+    let error = null;
+    this.inFlight.add(deliveryId);
+    try {
+      responseStatus = await this.transport({ url: webhook.url, headers, body, timeoutMs });
+      if (responseStatus < 200 || responseStatus >= 300) {
+        error = `Receiver answered ${responseStatus}`;
+      }
+    } catch (failure) {
+      error = failure.cause ? `${failure.message}: ${failure.cause.message}` : failure.message;
+    } finally {
+      this.inFlight.delete(deliveryId);
+    }
+
+    // The webhook may have been deleted while the request was in flight
+    const current = this.deliveries.findById(deliveryId);
+    if (!current) return null;
+
+    const attemptCount = current.attempt_count + 1;
+    const now = new Date().toISOString();
+    const attempts = [...current.attempts, {
+      attempt: attemptCount,
+      at: new Date(startedAt).toISOString(),
+      response_status: responseStatus,
+      error,
+      duration_ms: Date.now() - startedAt
+    }];
+
+    let changes;
+    if (!error) {
+      changes = { status: 'succeeded', delivered_at: now, next_attempt_at: null };
+    } else if (attemptCount >= maxAttempts) {
+      changes = { status: 'dead', dead_at: now, next_attempt_at: null };
+      logger.warn('Webhook delivery dead-lettered', { webhookId: webhook.id, deliveryId, event: current.event, error });
+    } else {
+      const delayMs = retryDelay(attemptCount, this.settings);
+      changes = { next_attempt_at: new Date(Date.now() + delayMs).toISOString() };
+      this.schedule(deliveryId, delayMs);
+    }
+
+    const updated = this.deliveries.update(deliveryId, {
+      ...current,
+      ...changes,
+      attempt_count: attemptCount,
+      attempts,
+      updated_at: now
+    });
+    if (updated.status !== 'pending') {
+      this.prune(webhook.id);
+    }
+    return updated;
+  }
+
+  // Start a fresh round of attempts for a dead (or any finished) delivery
+  redeliver(deliveryId) {
+    const delivery = this.deliveries.findById(deliveryId);
+    if (!delivery) return null;
+
+    const now = new Date().toISOString();
+    const updated = this.deliveries.update(deliveryId, {
+      ...delivery,
+      status: 'pending',
+      attempt_count: 0,
+      next_attempt_at: now,
+      dead_at: null,
+      updated_at: now
+    });
+    this.schedule(deliveryId, 0);
+    return updated;
+  }
+
+  // Drop every delivery of a webhook that is being removed
+  cancel(webhookId) {
+    this.deliveries.findAll()
+      .filter(delivery => delivery.webhook_id === webhookId)
+      .forEach(delivery => {
+        clearTimeout(this.timers.get(delivery.id));
+        this.timers.delete(delivery.id);
+        this.deliveries.remove(delivery.id);
+      });
+  }
+
+  // Keep the newest `historyLimit` successful deliveries per webhook; dead letters stay
+  prune(webhookId) {
+    const succeeded = this.deliveries.findAll()
+      .filter(delivery => delivery.webhook_id === webhookId && delivery.status === 'succeeded')
+      .sort((a, b) => a.created_at.localeCompare(b.created_at));
+    succeeded.slice(0, Math.max(0, succeeded.length - this.settings.historyLimit))
+      .forEach(delivery => this.deliveries.remove(delivery.id));
+  }
+
+  // Resume deliveries that were pending when the process stopped
+  start() {
+    const now = Date.now();
+    const pending = this.deliveries.findAll().filter(delivery => delivery.status === 'pending');
+    pending.forEach(delivery => {
+      this.schedule(delivery.id, Math.max(0, Date.parse(delivery.next_attempt_at) - now));
+    });
+    return pending.length;
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+  }
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  SIGNATURE_HEADER,
+  WebhookDispatcher,
+  eventForChange,
+  matchesEvent,
+  signPayload,
+  retryDelay
+};
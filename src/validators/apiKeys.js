@@ -0,0 +1,58 @@
+const { body, param, query } = require('express-validator');
+const config = require('../config');
+const { API_KEY_SCOPES } = require('../utils/permissions');
+
+const API_KEY_STATUSES = ['active', 'revoked', 'expired'];
+const NAME_MAX_LENGTH = 100;
+const MAX_GRACE_SECONDS = 7 * 24 * 60 * 60;
+
+const apiKeyIdParam = param('id')
+  .isUUID().withMessage('API key id must be a valid UUID');
+
+const createApiKey = [
+  body('name')
+    .exists({ values: 'null' }).withMessage('Name is required').bail()
+    .isString().withMessage('Name must be a string').bail()
+    .trim()
+    .isLength({ min: 1, max: NAME_MAX_LENGTH }).withMessage(`Name must be 1 to ${NAME_MAX_LENGTH} characters`),
+  body('scopes')
+    .exists({ values: 'null' }).withMessage('Scopes are required').bail()
+    .isArray({ min: 1, max: API_KEY_SCOPES.length }).withMessage('Scopes must be a non-empty array').bail()
+    .custom(scopes => scopes.every(scope => API_KEY_SCOPES.includes(scope)))
+    .withMessage(`Scopes must be among: ${API_KEY_SCOPES.join(', ')}`).bail()
+    .customSanitizer(scopes => Array.from(new Set(scopes))),
+  body('expires_at').optional({ values: 'null' })
+    .isISO8601({ strict: true }).withMessage('Expiry must be an ISO 8601 date').bail()
+    .custom(value => Date.parse(value) > Date.now()).withMessage('Expiry must be in the future').bail()
+    .customSanitizer(value => new Date(value).toISOString()),
+  body('rate_limit').optional({ values: 'null' })
+    .isInt({ min: 1, max: config.apiKeys.maxRateLimit })
+    .withMessage(`Rate limit must be an integer between 1 and ${config.apiKeys.maxRateLimit}`)
+    .toInt()
+];
+
+const listApiKeys = [
+  query('status').optional()
+    .isIn(API_KEY_STATUSES).withMessage(`Status must be one of: ${API_KEY_STATUSES.join(', ')}`)
+];
+
+const getApiKey = [apiKeyIdParam];
+
+const revokeApiKey = [apiKeyIdParam];
+
+const rotateApiKey = [
+  apiKeyIdParam,
+  body('grace_seconds').optional()
+    .isInt({ min: 0, max: MAX_GRACE_SECONDS })
+    .withMessage(`Grace period must be an integer between 0 and ${MAX_GRACE_SECONDS} seconds`)
+    .toInt()
+];
+
+module.exports = {
+  API_KEY_STATUSES,
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  revokeApiKey,
+  rotateApiKey
+};
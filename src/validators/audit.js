@@ -0,0 +1,36 @@
+const { query } = require('express-validator');
+const config = require('../config');
+
+const OUTCOMES = ['success', 'denied', 'failure', 'aborted'];
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+const textFilter = (name, label) => query(name).optional()
+  .isString().withMessage(`${label} must be a single value`).bail()
+  .trim()
+  .isLength({ min: 1, max: 200 }).withMessage(`${label} must be 1 to 200 characters`);
+
+const dateFilter = (name, label) => query(name).optional()
+  .isISO8601({ strict: true }).withMessage(`${label} must be an ISO 8601 date`);
+
+const listAudit = [
+  textFilter('actor', 'Actor'),
+  textFilter('action', 'Action'),
+  textFilter('target_type', 'Target type'),
+  textFilter('target_id', 'Target id'),
+  textFilter('request_id', 'Request id'),
+  query('method').optional()
+    .isIn(METHODS).withMessage(`Method must be one of: ${METHODS.join(', ')}`),
+  query('outcome').optional()
+    .isIn(OUTCOMES).withMessage(`Outcome must be one of: ${OUTCOMES.join(', ')}`),
+  dateFilter('since', 'Since'),
+  dateFilter('until', 'Until'),
+  query('limit').optional()
+    .isInt({ min: 1, max: config.pagination.maxLimit })
+    .withMessage(`Limit must be an integer between 1 and ${config.pagination.maxLimit}`)
+    .toInt(),
+  query('offset').optional()
+    .isInt({ min: 0 }).withMessage('Offset must be a non-negative integer')
+    .toInt()
+];
+
+module.exports = { OUTCOMES, listAudit };
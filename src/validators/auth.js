@@ -0,0 +1,12 @@
+const { body } = require('express-validator');
+
+const TOKEN_MAX_LENGTH = 8192;
+
+// The token may also come as "Authorization: Bearer <jwt>"
+const login = [
+  body('token').optional()
+    .isString().withMessage('Token must be a string').bail()
+    .isLength({ min: 1, max: TOKEN_MAX_LENGTH }).withMessage(`Token must be 1 to ${TOKEN_MAX_LENGTH} characters`)
+];
+
+module.exports = { login };
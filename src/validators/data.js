@@ -0,0 +1,306 @@
+const { body, header, param, query } = require('express-validator');
+const { validate: isUuid } = require('uuid');
+const { listQuery } = require('./listing');
+const { unknownFieldErrors } = require('./transfer');
+const { TYPE_PATTERN, typeSchemaErrors } = require('./types');
+const { runValidation } = require('../middleware/validate');
+const config = require('../config');
+const { storage } = require('../storage');
+
+const CONTENT_MAX_LENGTH = 10000;
+const DATA_FIELDS = ['id', 'content', 'type', 'metadata', 'owner_id', 'version', 'created_at', 'updated_at', 'deleted_at'];
+const DATA_SORTABLE = ['id', 'type', 'owner_id', 'created_at', 'updated_at'];
+const TRASH_SORTABLE = [...DATA_SORTABLE, 'deleted_at'];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Content is either free text or a structured JSON object, bounded in size.
+// Patches may deliberately clear text content, so they allow an empty string.
+const checkContent = (value, { allowEmpty = false } = {}) => {
+  if (typeof value === 'string') {
+    const minLength = allowEmpty ? 0 : 1;
+    if (value.trim().length < minLength || value.length > CONTENT_MAX_LENGTH) {
+      throw new Error(`Content must be between ${minLength} and ${CONTENT_MAX_LENGTH} characters`);
+    }
+    return true;
+  }
+
+  if (isPlainObject(value)) {
+    if (JSON.stringify(value).length > CONTENT_MAX_LENGTH) {
+      throw new Error(`Content must serialize to at most ${CONTENT_MAX_LENGTH} characters`);
+    }
+    return true;
+  }
+
+  throw new Error('Content must be a string or an object');
+};
+
+const dataIdParam = param('id')
+  .isUUID().withMessage('Data id must be a valid UUID');
+
+const contentField = () => body('content')
+  .exists({ values: 'null' }).withMessage('Content is required').bail()
+  .custom(value => checkContent(value));
+
+const typeField = () => body('type')
+  .isString().withMessage('Type must be a string').bail()
+  .matches(TYPE_PATTERN).withMessage('Type must be 1-50 letters, digits, "-" or "_"');
+
+const metadataField = () => body('metadata')
+  .custom(isPlainObject).withMessage('Metadata must be an object');
+
+// owner_id links an item to a user; null clears it
+const checkOwner = (ownerId) => {
+  if (typeof ownerId !== 'string' || !isUuid(ownerId)) {
+    throw new Error('Owner id must be a valid UUID');
+  }
+  if (!storage.users.findById(ownerId)) {
+    throw new Error('Owner does not exist');
+  }
+  return true;
+};
+
+const ownerField = () => body('owner_id')
+  .optional({ values: 'null' })
+  .custom(checkOwner);
+
+const DATE_OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'exists'];
+
+// Filter grammar for data listings (see utils/filters)
+const DATA_FILTERS = {
+  type: { type: 'string', operators: ['eq', 'ne', 'in', 'nin'], pattern: TYPE_PATTERN },
+  owner_id: { type: 'string', operators: ['eq', 'ne', 'in', 'nin', 'exists'] },
+  content: { type: 'string', operators: ['eq', 'ne', 'contains'] },
+  metadata: { type: 'any', nested: true, operators: ['eq', 'ne', 'in', 'nin', 'contains', 'exists', 'gt', 'gte', 'lt', 'lte'] },
+  created_at: { type: 'date', operators: DATE_OPERATORS },
+  updated_at: { type: 'date', operators: DATE_OPERATORS }
+};
+
+const TRASH_FILTERS = {
+  ...DATA_FILTERS,
+  deleted_at: { type: 'date', operators: DATE_OPERATORS }
+};
+
+const listData = listQuery({ sortable: DATA_SORTABLE, fields: DATA_FIELDS });
+
+const searchData = [
+  query('q')
+    .exists().withMessage('Query is required').bail()
+    .isString().withMessage('Query must be a single value').bail()
+    .trim()
+    .isLength({ min: 1, max: 200 }).withMessage('Query must be between 1 and 200 characters'),
+  query('limit').optional()
+    .isInt({ min: 1, max: config.pagination.maxLimit })
+    .withMessage(`Limit must be an integer between 1 and ${config.pagination.maxLimit}`)
+    .toInt(),
+  query('type').optional()
+    .matches(TYPE_PATTERN).withMessage('Type must be 1-50 letters, digits, "-" or "_"')
+];
+
+// Resume point for the change feed: the standard header, or a query
+// parameter for clients that cannot set headers
+const streamData = [
+  header('Last-Event-ID').optional()
+    .isInt({ min: 0 }).withMessage('Last-Event-ID must be a non-negative integer')
+    .toInt(),
+  query('last_event_id').optional()
+    .isInt({ min: 0 }).withMessage('last_event_id must be a non-negative integer')
+    .toInt()
+];
+
+const createData = [
+  contentField(),
+  typeField().optional(),
+  metadataField().optional(),
+  ownerField()
+];
+
+const getData = [dataIdParam];
+
+const updateDataBody = [
+  contentField().optional(),
+  typeField().optional(),
+  metadataField().optional(),
+  ownerField()
+];
+
+const updateData = [dataIdParam, ...updateDataBody];
+
+const patchData = [dataIdParam];
+
+const deleteData = [
+  dataIdParam,
+  query('hard').optional()
+    .isBoolean().withMessage('Hard must be true or false')
+    .toBoolean()
+];
+
+const listTrash = listQuery({ sortable: TRASH_SORTABLE, fields: DATA_FIELDS });
+
+const restoreData = [dataIdParam];
+
+const revisionParam = param('rev')
+  .isInt({ min: 1 }).withMessage('Revision must be a positive integer')
+  .toInt();
+
+const listRevisions = [dataIdParam];
+
+const getRevision = [dataIdParam, revisionParam];
+
+const diffRevision = [
+  dataIdParam,
+  revisionParam,
+  query('to').optional()
+    .isInt({ min: 1 }).withMessage('Revision must be a positive integer')
+    .toInt()
+];
+
+const revertData = [dataIdParam, revisionParam];
+
+const BULK_OPERATIONS = ['create', 'update', 'delete'];
+const BULK_MODES = ['partial', 'atomic'];
+
+const bulkData = [
+  query('mode').optional()
+    .isIn(BULK_MODES).withMessage(`Mode must be one of: ${BULK_MODES.join(', ')}`)
+];
+
+/**
+ * Validate one bulk operation ({ op, id, data, if_match }) with the same
+ * rules as the single-item routes. Returns field errors; empty means valid.
+ */
+const validateBulkOperation = async (operation) => {
+  if (!isPlainObject(operation) || !BULK_OPERATIONS.includes(operation.op)) {
+    return [{
+      field: 'op',
+      location: 'body',
+      message: `Operation must be one of: ${BULK_OPERATIONS.join(', ')}`,
+      value: isPlainObject(operation) ? operation.op : operation
+    }];
+  }
+
+  const errors = [];
+  if (operation.op !== 'create' && !(typeof operation.id === 'string' && isUuid(operation.id))) {
+    errors.push({ field: 'id', location: 'body', message: 'Data id must be a valid UUID', value: operation.id });
+  }
+
+  if (operation.if_match !== undefined && typeof operation.if_match !== 'string') {
+    errors.push({ field: 'if_match', location: 'body', message: 'if_match must be an ETag string', value: operation.if_match });
+  }
+
+  if (operation.op !== 'delete') {
+    if (!isPlainObject(operation.data)) {
+      errors.push({ field: 'data', location: 'body', message: 'Data must be an object', value: operation.data });
+    } else {
+      const chains = operation.op === 'create' ? createData : updateDataBody;
+      const dataErrors = await runValidation(chains, { body: operation.data });
+      dataErrors.forEach(error => errors.push({ ...error, field: `data.${error.field}` }));
+    }
+  }
+
+  return errors;
+};
+
+// Columns written by the export endpoint and accepted back by the import
+// endpoint; version is informational and ignored on import
+const DATA_EXPORT_FIELDS = ['id', 'content', 'type', 'metadata', 'owner_id', 'version', 'created_at', 'updated_at'];
+
+const importDataRow = [
+  body('id').optional()
+    .isUUID().withMessage('Data id must be a valid UUID'),
+  ...createData,
+  body('created_at').optional()
+    .isISO8601().withMessage('created_at must be an ISO 8601 date'),
+  body('updated_at').optional()
+    .isISO8601().withMessage('updated_at must be an ISO 8601 date')
+];
+
+// Validate one imported row with the same rules as POST /api/data,
+// including the schema of its registered type
+const validateDataImport = async (row) => {
+  const errors = [
+    ...unknownFieldErrors(row, DATA_EXPORT_FIELDS),
+    ...await runValidation(importDataRow, { body: row })
+  ];
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  return typeSchemaErrors({ ...row, type: row.type || 'general', metadata: row.metadata || {} });
+};
+
+const READ_ONLY_FIELDS = ['id', 'version', 'created_at', 'updated_at', 'deleted_at'];
+
+/**
+ * Validate a whole data document produced by a patch. Returns field errors
+ * in the same shape as the validate middleware; an empty array means valid.
+ */
+const validateDataDocument = (document, original) => {
+  const errors = [];
+  const addError = (field, message) => errors.push({ field, location: 'body', message, value: document[field] });
+
+  READ_ONLY_FIELDS.forEach(field => {
+    if (document[field] !== original[field]) {
+      addError(field, `Field "${field}" is read-only`);
+    }
+  });
+
+  if (document.content === undefined || document.content === null) {
+    addError('content', 'Content is required');
+  } else {
+    try {
+      checkContent(document.content, { allowEmpty: true });
+    } catch (error) {
+      addError('content', error.message);
+    }
+  }
+
+  if (document.type !== undefined && (typeof document.type !== 'string' || !TYPE_PATTERN.test(document.type))) {
+    addError('type', 'Type must be 1-50 letters, digits, "-" or "_"');
+  }
+
+  if (document.metadata !== undefined && !isPlainObject(document.metadata)) {
+    addError('metadata', 'Metadata must be an object');
+  }
+
+  if (document.owner_id !== undefined && document.owner_id !== null && document.owner_id !== original.owner_id) {
+    try {
+      checkOwner(document.owner_id);
+    } catch (error) {
+      addError('owner_id', error.message);
+    }
+  }
+
+  const unknown = Object.keys(document).filter(field => !DATA_FIELDS.includes(field));
+  unknown.forEach(field => addError(field, `Unknown field "${field}"`));
+
+  return errors.length > 0 ? errors : typeSchemaErrors(document);
+};
+
+module.exports = {
+  CONTENT_MAX_LENGTH,
+  DATA_FIELDS,
+  DATA_FILTERS,
+  DATA_EXPORT_FIELDS,
+  TRASH_FILTERS,
+  isPlainObject,
+  listData,
+  searchData,
+  streamData,
+  createData,
+  getData,
+  updateData,
+  patchData,
+  deleteData,
+  listTrash,
+  restoreData,
+  listRevisions,
+  getRevision,
+  diffRevision,
+  revertData,
+  bulkData,
+  validateBulkOperation,
+  validateDataImport,
+  validateDataDocument
+};
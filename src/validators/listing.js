@@ -0,0 +1,56 @@
+const { query } = require('express-validator');
+const config = require('../config');
+const { parseSort, sortKey, decodeCursor } = require('../utils/pagination');
+
+// Query parameters owned by listQuery; everything else on a list endpoint is a filter
+const LIST_PARAMS = ['limit', 'offset', 'cursor', 'sort', 'fields'];
+
+const splitList = (value) => value.split(',').map(part => part.trim()).filter(Boolean);
+
+// Shared query chains for paginated list endpoints (limit, offset, cursor, sort, fields)
+const listQuery = ({ sortable, fields }) => [
+  query('limit').optional()
+    .isInt({ min: 1, max: config.pagination.maxLimit })
+    .withMessage(`Limit must be an integer between 1 and ${config.pagination.maxLimit}`)
+    .toInt(),
+  query('offset').optional()
+    .isInt({ min: 0 }).withMessage('Offset must be a non-negative integer')
+    .toInt(),
+  query('cursor').optional()
+    .isString().withMessage('Cursor must be a single value').bail()
+    .custom((cursor, { req }) => {
+      if (req.query.offset !== undefined) {
+        throw new Error('Use either cursor or offset, not both');
+      }
+      if (decodeCursor(cursor).s !== sortKey(parseSort(req.query.sort))) {
+        throw new Error('Cursor was issued for a different sort order');
+      }
+      return true;
+    }),
+  query('sort').optional()
+    .isString().withMessage('Sort must be a single comma-separated value').bail()
+    .custom((sort) => {
+      const sortSpec = parseSort(sort);
+      if (sortSpec.length === 0) {
+        throw new Error('Sort must name at least one field');
+      }
+      sortSpec.forEach(({ field }) => {
+        if (!sortable.includes(field)) {
+          throw new Error(`Cannot sort by "${field}". Sortable fields: ${sortable.join(', ')}`);
+        }
+      });
+      return true;
+    }),
+  query('fields').optional()
+    .isString().withMessage('Fields must be a single comma-separated value').bail()
+    .custom((value) => {
+      const requested = splitList(value);
+      const unknown = requested.filter(field => !fields.includes(field));
+      if (requested.length === 0 || unknown.length > 0) {
+        throw new Error(`Unknown fields requested. Available fields: ${fields.join(', ')}`);
+      }
+      return true;
+    })
+];
+
+module.exports = { LIST_PARAMS, listQuery };
@@ -0,0 +1,21 @@
+const { body } = require('express-validator');
+const config = require('../config');
+const { FIXTURE_NAME_PATTERN } = require('../utils/fixtures');
+
+const countField = (field) => body(field).optional()
+  .isInt({ min: 0, max: config.testing.maxSeedCount })
+  .withMessage(`${field} must be an integer between 0 and ${config.testing.maxSeedCount}`)
+  .toInt();
+
+const seedData = [
+  countField('users'),
+  countField('data'),
+  body('seed').optional()
+    .custom(value => (typeof value === 'string' && value.length > 0 && value.length <= 100) || Number.isInteger(value))
+    .withMessage('Seed must be an integer or a string of up to 100 characters'),
+  body('fixture').optional()
+    .isString().withMessage('Fixture must be a string').bail()
+    .matches(FIXTURE_NAME_PATTERN).withMessage('Fixture must be a fixture file name without extension')
+];
+
+module.exports = { seedData };
@@ -0,0 +1,19 @@
+const { query } = require('express-validator');
+
+const IMPORT_CONFLICT_MODES = ['error', 'skip', 'replace'];
+
+// Query options shared by the import endpoints
+const importQuery = [
+  query('dry_run').optional()
+    .isBoolean().withMessage('dry_run must be true or false')
+    .toBoolean(),
+  query('on_conflict').optional()
+    .isIn(IMPORT_CONFLICT_MODES).withMessage(`on_conflict must be one of: ${IMPORT_CONFLICT_MODES.join(', ')}`)
+];
+
+// Columns outside `allowed` are reported as field errors
+const unknownFieldErrors = (row, allowed) => Object.keys(row)
+  .filter(field => !allowed.includes(field))
+  .map(field => ({ field, location: 'body', message: `Unknown field "${field}"`, value: row[field] }));
+
+module.exports = { IMPORT_CONFLICT_MODES, importQuery, unknownFieldErrors };
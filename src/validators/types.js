@@ -0,0 +1,97 @@
+const { body, param } = require('express-validator');
+const { storage } = require('../storage');
+const jsonSchema = require('../utils/jsonSchema');
+
+const TYPE_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9_-]{0,49}$/;
+const DESCRIPTION_MAX_LENGTH = 500;
+const SCHEMA_MAX_LENGTH = 20000;
+// Item fields a type can constrain, each with its own JSON Schema
+const SCHEMA_FIELDS = ['content', 'metadata'];
+
+// Registered data types; the type name is the document id
+const dataTypes = storage.collection('data_types');
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const checkSchemas = (schema) => {
+  if (!isPlainObject(schema)) {
+    throw new Error('Schema must be an object with "content" and/or "metadata" schemas');
+  }
+
+  const unknown = Object.keys(schema).filter(field => !SCHEMA_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown schema field "${unknown[0]}"; use ${SCHEMA_FIELDS.join(' or ')}`);
+  }
+
+  if (JSON.stringify(schema).length > SCHEMA_MAX_LENGTH) {
+    throw new Error(`Schema must serialize to at most ${SCHEMA_MAX_LENGTH} characters`);
+  }
+
+  const problems = SCHEMA_FIELDS
+    .filter(field => schema[field] !== undefined)
+    .flatMap(field => jsonSchema.schemaErrors(schema[field], field));
+  if (problems.length > 0) {
+    throw new Error(problems.map(problem => `${problem.path}: ${problem.message}`).join('; '));
+  }
+  return true;
+};
+
+const typeNameParam = param('name')
+  .matches(TYPE_PATTERN).withMessage('Type must be 1-50 letters, digits, "-" or "_"');
+
+const descriptionField = () => body('description')
+  .isString().withMessage('Description must be a string').bail()
+  .trim()
+  .isLength({ max: DESCRIPTION_MAX_LENGTH }).withMessage(`Description must be at most ${DESCRIPTION_MAX_LENGTH} characters`);
+
+const schemaField = () => body('schema')
+  .exists({ values: 'null' }).withMessage('Schema is required').bail()
+  .custom(checkSchemas);
+
+const createType = [
+  body('name')
+    .exists({ values: 'null' }).withMessage('Name is required').bail()
+    .isString().withMessage('Name must be a string').bail()
+    .matches(TYPE_PATTERN).withMessage('Type must be 1-50 letters, digits, "-" or "_"'),
+  descriptionField().optional(),
+  schemaField()
+];
+
+const getType = [typeNameParam];
+
+const replaceType = [
+  typeNameParam,
+  descriptionField().optional(),
+  schemaField()
+];
+
+const deleteType = [typeNameParam];
+
+/**
+ * Validate a data item against the schemas of its registered type. Items
+ * whose type is not registered are unconstrained. Returns field errors in
+ * the same shape as the validate middleware; an empty array means valid.
+ */
+const typeSchemaErrors = (document) => {
+  const type = dataTypes.findById(document.type);
+  if (!type) {
+    return [];
+  }
+
+  return SCHEMA_FIELDS
+    .filter(field => type.schema[field] !== undefined)
+    .flatMap(field => jsonSchema.validate(type.schema[field], document[field], field))
+    .map(({ path, message, value }) => ({ field: path, location: 'body', message, value }));
+};
+
+module.exports = {
+  TYPE_PATTERN,
+  SCHEMA_FIELDS,
+  dataTypes,
+  createType,
+  getType,
+  replaceType,
+  deleteType,
+  typeSchemaErrors
+};
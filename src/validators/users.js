@@ -0,0 +1,91 @@
+const { body, param } = require('express-validator');
+const { listQuery } = require('./listing');
+const { unknownFieldErrors } = require('./transfer');
+const { runValidation } = require('../middleware/validate');
+
+const USER_ROLES = ['admin', 'user'];
+const NAME_MAX_LENGTH = 100;
+const EMAIL_MAX_LENGTH = 254;
+const USER_FIELDS = ['id', 'name', 'email', 'role', 'version', 'created_at', 'last_active'];
+const USER_SORTABLE = ['id', 'name', 'email', 'role', 'created_at', 'last_active'];
+
+const userIdParam = param('id')
+  .isUUID().withMessage('User id must be a valid UUID');
+
+const nameField = () => body('name')
+  .exists({ values: 'null' }).withMessage('Name is required').bail()
+  .isString().withMessage('Name must be a string').bail()
+  .trim()
+  .isLength({ min: 1, max: NAME_MAX_LENGTH }).withMessage(`Name must be between 1 and ${NAME_MAX_LENGTH} characters`);
+
+const emailField = () => body('email')
+  .exists({ values: 'null' }).withMessage('Email is required').bail()
+  .isString().withMessage('Email must be a string').bail()
+  .trim()
+  .isLength({ max: EMAIL_MAX_LENGTH }).withMessage(`Email must be at most ${EMAIL_MAX_LENGTH} characters`).bail()
+  .isEmail().withMessage('Email must be a valid email address');
+
+const roleField = () => body('role')
+  .isIn(USER_ROLES).withMessage(`Role must be one of: ${USER_ROLES.join(', ')}`);
+
+// Filter grammar for user listings (see utils/filters)
+const USER_FILTERS = {
+  role: { type: 'string', operators: ['eq', 'ne', 'in', 'nin'], values: USER_ROLES },
+  created_at: { type: 'date', operators: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'] }
+};
+
+const listUsers = listQuery({ sortable: USER_SORTABLE, fields: USER_FIELDS });
+
+const createUser = [
+  nameField(),
+  emailField(),
+  roleField().optional()
+];
+
+const getUser = [userIdParam];
+
+const replaceUser = [
+  userIdParam,
+  nameField(),
+  emailField(),
+  roleField().optional()
+];
+
+const patchUser = [
+  userIdParam,
+  nameField().optional(),
+  emailField().optional(),
+  roleField().optional()
+];
+
+const deleteUser = [userIdParam];
+
+const importUserRow = [
+  body('id').optional()
+    .isUUID().withMessage('User id must be a valid UUID'),
+  ...createUser,
+  body('created_at').optional()
+    .isISO8601().withMessage('created_at must be an ISO 8601 date'),
+  body('last_active').optional()
+    .isISO8601().withMessage('last_active must be an ISO 8601 date')
+];
+
+// Validate one imported row with the same rules as POST /api/users.
+// Exported columns (USER_FIELDS) are accepted; version is ignored.
+const validateUserImport = async (row) => [
+  ...unknownFieldErrors(row, USER_FIELDS),
+  ...await runValidation(importUserRow, { body: row })
+];
+
+module.exports = {
+  USER_ROLES,
+  USER_FIELDS,
+  USER_FILTERS,
+  listUsers,
+  createUser,
+  getUser,
+  replaceUser,
+  patchUser,
+  deleteUser,
+  validateUserImport
+};
@@ -0,0 +1,83 @@
+const { body, param, query } = require('express-validator');
+const config = require('../config');
+const { WEBHOOK_EVENTS } = require('../utils/webhookDispatcher');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'dead'];
+const URL_MAX_LENGTH = 2048;
+const DESCRIPTION_MAX_LENGTH = 200;
+const MAX_EVENT_FILTERS = 20;
+const EVENT_FILTERS = [...WEBHOOK_EVENTS, 'data.*', 'users.*', '*'];
+
+const webhookIdParam = param('id')
+  .isUUID().withMessage('Webhook id must be a valid UUID');
+
+const deliveryIdParam = param('deliveryId')
+  .isUUID().withMessage('Delivery id must be a valid UUID');
+
+const urlField = () => body('url')
+  .exists({ values: 'null' }).withMessage('URL is required').bail()
+  .isString().withMessage('URL must be a string').bail()
+  .isLength({ max: URL_MAX_LENGTH }).withMessage(`URL must be at most ${URL_MAX_LENGTH} characters`).bail()
+  .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+  .withMessage('URL must be an absolute http(s) URL');
+
+const eventsField = () => body('events')
+  .exists({ values: 'null' }).withMessage('Events are required').bail()
+  .isArray({ min: 1, max: MAX_EVENT_FILTERS }).withMessage(`Events must be an array of 1 to ${MAX_EVENT_FILTERS} event names`).bail()
+  .custom(events => events.every(event => EVENT_FILTERS.includes(event)))
+  .withMessage(`Events must be among: ${EVENT_FILTERS.join(', ')}`);
+
+const secretField = () => body('secret').optional()
+  .isString().withMessage('Secret must be a string').bail()
+  .isLength({ min: 16, max: 256 }).withMessage('Secret must be between 16 and 256 characters');
+
+const descriptionField = () => body('description').optional()
+  .isString().withMessage('Description must be a string').bail()
+  .trim()
+  .isLength({ max: DESCRIPTION_MAX_LENGTH }).withMessage(`Description must be at most ${DESCRIPTION_MAX_LENGTH} characters`);
+
+const activeField = () => body('active').optional()
+  .isBoolean({ strict: true }).withMessage('Active must be true or false');
+
+const createWebhook = [
+  urlField(),
+  eventsField(),
+  secretField(),
+  descriptionField(),
+  activeField()
+];
+
+const getWebhook = [webhookIdParam];
+
+const replaceWebhook = [webhookIdParam, ...createWebhook];
+
+const deleteWebhook = [webhookIdParam];
+
+const pingWebhook = [webhookIdParam];
+
+const listDeliveries = [
+  webhookIdParam,
+  query('status').optional()
+    .isIn(DELIVERY_STATUSES).withMessage(`Status must be one of: ${DELIVERY_STATUSES.join(', ')}`),
+  query('limit').optional()
+    .isInt({ min: 1, max: config.pagination.maxLimit })
+    .withMessage(`Limit must be an integer between 1 and ${config.pagination.maxLimit}`)
+    .toInt()
+];
+
+const getDelivery = [webhookIdParam, deliveryIdParam];
+
+const redeliver = [webhookIdParam, deliveryIdParam];
+
+module.exports = {
+  DELIVERY_STATUSES,
+  EVENT_FILTERS,
+  createWebhook,
+  getWebhook,
+  replaceWebhook,
+  deleteWebhook,
+  pingWebhook,
+  listDeliveries,
+  getDelivery,
+  redeliver
+};
@@ -1,6 +1,8 @@
 const request = require('supertest');
 const app = require('../../src/app');
 
+const { asAdmin } = global.testUtils;
+
 describe('API Documentation and Contract Tests', () => {
   describe('API Schema Validation', () => {
     it('should return consistent user object schema', async () => {
@@ -11,6 +13,7 @@ describe('API Documentation and Contract Tests', () => {
       
       const response = await request(app)
         .post('/api/users')
+        .set(asAdmin())
         .send(userData)
         .expect(201);
       
@@ -33,6 +36,7 @@ describe('API Documentation and Contract Tests', () => {
       // First create a user
       const userResponse = await request(app)
         .post('/api/users')
+        .set(asAdmin())
         .send({ name: 'Data Test User', email: 'data@example.com' })
         .expect(201);
       
@@ -86,24 +90,26 @@ describe('API Documentation and Contract Tests', () => {
       expect([404, 405]).toContain(patchResponse.status);
     });
 
-    it('should handle validation errors with 400 status', async () => {
+    it('should handle validation errors with 422 status', async () => {
       // Invalid user data
       await request(app)
         .post('/api/users')
+        .set(asAdmin())
         .send({ name: '', email: 'invalid' })
-        .expect(400);
+        .expect(422);
       
       // Missing required fields
       await request(app)
         .post('/api/users')
+        .set(asAdmin())
         .send({})
-        .expect(400);
+        .expect(422);
       
       // Invalid data structure
       await request(app)
         .post('/api/data')
         .send({ invalid: 'structure' })
-        .expect(400);
+        .expect(422);
     });
   });
 
@@ -163,8 +169,9 @@ describe('API Documentation and Contract Tests', () => {
     it('should return consistent error format', async () => {
       const response = await request(app)
         .post('/api/users')
+        .set(asAdmin())
         .send({ name: '', email: 'invalid' })
-        .expect(400);
+        .expect(422);
       
       // Standard error response format
       expect(response.body).toHaveProperty('error');
@@ -1,6 +1,8 @@
 const request = require('supertest');
 const app = require('../../src/app');
 
+const { asAdmin } = global.testUtils;
+
 describe('E2E User Workflow Tests', () => {
   describe('Complete User Journey', () => {
     it('should handle complete user lifecycle', async () => {
@@ -19,6 +21,7 @@ describe('E2E User Workflow Tests', () => {
       
       const createResponse = await request(app)
         .post('/api/users')
+        .set(asAdmin())
         .send(userData)
         .expect(201);
       
@@ -95,8 +98,9 @@ describe('E2E User Workflow Tests', () => {
       
       const errorResponse = await request(app)
         .post('/api/users')
+        .set(asAdmin())
         .send(invalidUser)
-        .expect(400);
+        .expect(422);
       
       expect(errorResponse.body).toHaveProperty('error');
       
@@ -115,6 +119,7 @@ describe('E2E User Workflow Tests', () => {
       
       const successResponse = await request(app)
         .post('/api/users')
+        .set(asAdmin())
         .send(validUser)
         .expect(201);
       
@@ -122,7 +127,7 @@ describe('E2E User Workflow Tests', () => {
       
       // 4. Try to access non-existent resource
       const notFoundResponse = await request(app)
-        .get('/api/users/999999')
+        .get('/api/users/00000000-0000-4000-8000-000000000000')
         .expect(404);
       
       expect(notFoundResponse.body).toHaveProperty('error');
@@ -148,6 +153,7 @@ describe('E2E User Workflow Tests', () => {
       const userCreationPromises = users.map(user =>
         request(app)
           .post('/api/users')
+          .set(asAdmin())
           .send(user)
       );
       
@@ -205,7 +211,7 @@ describe('E2E User Workflow Tests', () => {
           () => request(app).get('/health'),
           () => request(app).get('/api/status'),
           () => request(app).get('/api/metrics'),
-          () => request(app).post('/api/users').send({
+          () => request(app).post('/api/users').set(asAdmin()).send({
             name: `Load Test User ${i}`,
             email: `loadtest${i}@example.com`
           }),
@@ -1,6 +1,8 @@
 const request = require('supertest');
 const app = require('../../src/app');
 
+const { asAdmin } = global.testUtils;
+
 describe('Application Integration Tests', () => {
   describe('User Workflow Integration', () => {
     test('should handle complete user data workflow', async () => {
@@ -30,6 +32,7 @@ describe('Application Integration Tests', () => {
       // Try to create user - might not be implemented
       const createResponse = await request(app)
         .post('/api/users')
+        .set(asAdmin())
         .send(newUser);
       
       // Accept either success or not implemented
@@ -72,8 +75,8 @@ describe('Application Integration Tests', () => {
         
         expect([200, 404]).toContain(getResponse.status);
       } else {
-        // Route might not be implemented, which is okay
-        expect([400, 404, 501]).toContain(createResponse.status);
+        // Payload without content is rejected by validation
+        expect([404, 422, 501]).toContain(createResponse.status);
       }
     });
   });
@@ -87,6 +90,7 @@ describe('Application Integration Tests', () => {
     test('should handle invalid JSON input', async () => {
       const response = await request(app)
         .post('/api/users')
+        .set(asAdmin())
         .send('invalid-json')
         .set('Content-Type', 'application/json');
       
@@ -98,7 +102,7 @@ describe('Application Integration Tests', () => {
       const response = await request(app)
         .get('/api/users/invalid-id-format');
       
-      expect([400, 404, 500]).toContain(response.status);
+      expect(response.status).toBe(422);
     });
   });
 
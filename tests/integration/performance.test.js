@@ -1,6 +1,8 @@
 const request = require('supertest');
 const app = require('../../src/app');
 
+const { asAdmin } = global.testUtils;
+
 describe('Performance Integration Tests', () => {
   describe('Response Times', () => {
     it('should respond to health check within acceptable time', async () => {
@@ -83,7 +85,7 @@ describe('Performance Integration Tests', () => {
       
       // Should handle large payload within reasonable time
       expect(responseTime).toBeLessThan(2000); // 2 seconds max
-      expect([200, 201, 400]).toContain(response.status); // Valid response
+      expect([200, 201, 422]).toContain(response.status); // Valid response
     });
   });
 
@@ -96,6 +98,7 @@ describe('Performance Integration Tests', () => {
         operations.push(
           request(app)
             .post('/api/users')
+            .set(asAdmin())
             .send({
               name: `Test User ${i}`,
               email: `test${i}@example.com`
@@ -119,6 +122,7 @@ describe('Performance Integration Tests', () => {
       // First, ensure we have some data
       await request(app)
         .post('/api/users')
+        .set(asAdmin())
         .send({ name: 'Performance Test User', email: 'perf@example.com' });
       
       const retrievalOperations = [];
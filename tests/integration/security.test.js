@@ -1,6 +1,8 @@
 const request = require('supertest');
 const app = require('../../src/app');
 
+const { asAdmin } = global.testUtils;
+
 describe('Security Integration Tests', () => {
   describe('Rate Limiting', () => {
     it('should handle rate limiting appropriately', async () => {
@@ -63,15 +65,16 @@ describe('Security Integration Tests', () => {
       for (const input of maliciousInputs) {
         const response = await request(app)
           .post('/api/users')
+          .set(asAdmin())
           .send(input);
 
-        // Should either reject with 400 or sanitize the input
+        // Should either reject with 422 or sanitize the input
         if (response.status === 201) {
           // If accepted, should be sanitized (adjust based on actual behavior)
           // Some APIs might accept but sanitize, others might reject
           console.log('User created with:', response.body);
         } else {
-          expect(response.status).toBe(400);
+          expect(response.status).toBe(422);
         }
       }
     });
@@ -79,9 +82,10 @@ describe('Security Integration Tests', () => {
     it('should reject requests with invalid content types', async () => {
       await request(app)
         .post('/api/users')
+        .set(asAdmin())
         .set('Content-Type', 'text/plain')
         .send('invalid data')
-        .expect(400);
+        .expect(422);
     });
   });
 
@@ -90,8 +94,9 @@ describe('Security Integration Tests', () => {
       // Try to trigger a server error
       const response = await request(app)
         .post('/api/users')
+        .set(asAdmin())
         .send({ name: null, email: null })
-        .expect(400);
+        .expect(422);
 
       expect(response.body).toHaveProperty('error');
       if (response.body.error) {
@@ -1,6 +1,15 @@
 // Jest Setup Configuration
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 const { performance } = require('perf_hooks');
 const { metricsStore } = require('../src/utils/metricsStore');
+const config = require('../src/config');
+
+// Key that signs the bearer tokens of testUtils.asAdmin()/asUser(). Suites
+// that configure their own admin keys keep this one in the set
+const suiteSecret = crypto.randomBytes(32);
+const suiteKey = { kty: 'oct', kid: 'suite-hs', alg: 'HS256', k: suiteSecret.toString('base64url') };
+const suiteToken = (sub) => jwt.sign({ sub }, suiteSecret, { algorithm: 'HS256', keyid: suiteKey.kid, expiresIn: '1h' });
 
 // Global test configuration
 global.testConfig = {
@@ -21,6 +30,7 @@ beforeAll(async () => {
   process.env.PORT = '0'; // Use port 0 for dynamic port assignment
   process.env.LOG_LEVEL = 'error'; // Reduce logging during tests
   process.env.DISABLE_RATE_LIMIT = 'true'; // Disable rate limiting for tests
+  config.adminAuth.jwks = { keys: [suiteKey] }; // Accept testUtils.asAdmin()/asUser() tokens
   
   // Start performance monitoring
   global.testStartTime = performance.now();
@@ -99,6 +109,11 @@ global.testUtils = {
     }
   }),
   
+  // Credentials: an admin token, or a token acting as a stored user
+  suiteKey,
+  asAdmin: () => ({ Authorization: `Bearer ${suiteToken('suite-admin@example.com')}` }),
+  asUser: (userId) => ({ Authorization: `Bearer ${suiteToken(userId)}` }),
+
   // Wait utility for async operations
   wait: (ms) => new Promise(resolve => setTimeout(resolve, ms)),
   
@@ -1,6 +1,8 @@
 const request = require('supertest');
 const app = require('../../src/app');
 
+const { suiteKey, asAdmin, asUser } = global.testUtils;
+
 describe('API Routes Tests', () => {
   describe('GET /api/status', () => {
     it('should return API status information', async () => {
@@ -38,6 +40,20 @@ describe('API Routes Tests', () => {
     });
   });
 
+  describe('GET /docs', () => {
+    it('should announce the configured live metrics path', async () => {
+      const config = require('../../src/config');
+      const original = config.live.path;
+      config.live.path = '/ws/custom-metrics';
+      try {
+        const response = await request(app).get('/docs').expect(200);
+        expect(response.body.endpoints.api.live_metrics).toBe('/ws/custom-metrics');
+      } finally {
+        config.live.path = original;
+      }
+    });
+  });
+
   describe('GET /api/metrics', () => {
     it('should return metrics data', async () => {
       const response = await request(app)
@@ -73,6 +89,7 @@ describe('API Routes Tests', () => {
 
         const response = await request(app)
           .post('/api/users')
+          .set(asAdmin())
           .send(newUser)
           .expect(201);
 
@@ -91,23 +108,133 @@ describe('API Routes Tests', () => {
 
         const response = await request(app)
           .post('/api/users')
-          .send(invalidUser);
-          
-        // API currently accepts this, so we check if it was sanitized or rejected
-        expect([200, 201, 400]).toContain(response.status);
+          .set(asAdmin())
+          .send(invalidUser)
+          .expect(422);
+
+        expect(response.body.errors).toEqual([
+          expect.objectContaining({ field: 'email', location: 'body' })
+        ]);
       });
 
       it('should reject user creation without required fields', async () => {
         const response = await request(app)
           .post('/api/users')
+          .set(asAdmin())
           .send({})
-          .expect(400);
+          .expect(422);
 
         expect(response.body).toHaveProperty('error');
       });
     });
   });
 
+  describe('Users Management', () => {
+    const createUser = (overrides = {}) => request(app)
+      .post('/api/users')
+      .set(asAdmin())
+      .send({ ...global.testUtils.generateRandomUser(), ...overrides })
+      .expect(201);
+
+    it('should reject duplicate emails regardless of case', async () => {
+      await createUser({ email: 'Unique.Person@example.com' });
+
+      const response = await request(app)
+        .post('/api/users')
+        .set(asAdmin())
+        .send({ name: 'Copy', email: 'unique.person@EXAMPLE.com' })
+        .expect(409);
+
+      expect(response.body).toMatchObject({ error: 'Email already in use', field: 'email' });
+    });
+
+    it('should replace a user with PUT', async () => {
+      const created = await createUser({ role: 'admin' });
+
+      const response = await request(app)
+        .put(`/api/users/${created.body.id}`)
+        .set(asAdmin())
+        .send({ name: 'Replaced Name', email: 'replaced@example.com' })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        id: created.body.id,
+        name: 'Replaced Name',
+        email: 'replaced@example.com',
+        role: 'user',
+        created_at: created.body.created_at
+      });
+    });
+
+    it('should require every field on PUT', async () => {
+      const created = await createUser();
+
+      const response = await request(app)
+        .put(`/api/users/${created.body.id}`)
+        .set(asAdmin())
+        .send({ name: 'Only Name' })
+        .expect(422);
+
+      expect(response.body.errors.map(e => e.field)).toEqual(['email']);
+    });
+
+    it('should partially update a user with PATCH and refresh last_active', async () => {
+      const created = await createUser();
+      await global.testUtils.wait(5);
+
+      const response = await request(app)
+        .patch(`/api/users/${created.body.id}`)
+        .set(asAdmin())
+        .send({ role: 'admin' })
+        .expect(200);
+
+      expect(response.body.role).toBe('admin');
+      expect(response.body.name).toBe(created.body.name);
+      expect(new Date(response.body.last_active).getTime())
+        .toBeGreaterThan(new Date(created.body.last_active).getTime());
+    });
+
+    it('should return 409 when changing to an email owned by another user', async () => {
+      const first = await createUser();
+      const second = await createUser();
+
+      await request(app)
+        .patch(`/api/users/${second.body.id}`)
+        .set(asAdmin())
+        .send({ email: first.body.email.toUpperCase() })
+        .expect(409);
+
+      // Keeping your own email is not a conflict
+      await request(app)
+        .patch(`/api/users/${second.body.id}`)
+        .set(asAdmin())
+        .send({ email: second.body.email })
+        .expect(200);
+    });
+
+    it('should delete a user', async () => {
+      const created = await createUser();
+      const admin = await createUser({ role: 'admin' });
+
+      const response = await request(app)
+        .delete(`/api/users/${created.body.id}`)
+        .set(asUser(admin.body.id))
+        .expect(200);
+
+      expect(response.body.deleted_user.id).toBe(created.body.id);
+      await request(app).get(`/api/users/${created.body.id}`).expect(404);
+      await request(app).delete(`/api/users/${created.body.id}`).set(asUser(admin.body.id)).expect(404);
+    });
+
+    it('should return 404 when updating a missing user', async () => {
+      await request(app)
+        .patch('/api/users/00000000-0000-4000-8000-000000000000')
+        .set(asAdmin())
+        .send({ name: 'Nobody' })
+        .expect(404);
+    });
+  });
+
   describe('Data API', () => {
     describe('GET /api/data', () => {
       it('should return data list', async () => {
@@ -143,13 +270,2017 @@ describe('API Routes Tests', () => {
         const response = await request(app)
           .post('/api/data')
           .send({})
-          .expect(400);
+          .expect(422);
 
         expect(response.body).toHaveProperty('error');
       });
     });
   });
 
+  describe('Request Validation', () => {
+    it('should list every invalid user field', async () => {
+      const response = await request(app)
+        .post('/api/users')
+        .set(asAdmin())
+        .send({ name: '', email: 'not-an-email', role: 'superuser' })
+        .expect(422);
+
+      expect(response.body.error).toBe('Validation failed');
+      expect(response.body.errors.map(e => e.field).sort()).toEqual(['email', 'name', 'role']);
+      response.body.errors.forEach(error => {
+        expect(error).toHaveProperty('location', 'body');
+        expect(typeof error.message).toBe('string');
+      });
+    });
+
+    it('should trim user names before storing them', async () => {
+      const response = await request(app)
+        .post('/api/users')
+        .set(asAdmin())
+        .send({ name: '  Padded Name  ', email: 'padded@example.com', role: 'admin' })
+        .expect(201);
+
+      expect(response.body.name).toBe('Padded Name');
+      expect(response.body.role).toBe('admin');
+    });
+
+    it('should reject non-UUID ids in route params', async () => {
+      const response = await request(app)
+        .get('/api/data/not-a-uuid')
+        .expect(422);
+
+      expect(response.body.errors[0]).toMatchObject({ field: 'id', location: 'params' });
+    });
+
+    it('should validate data content, type and metadata', async () => {
+      const response = await request(app)
+        .post('/api/data')
+        .send({ content: 'x'.repeat(10001), type: 'has spaces', metadata: ['not', 'object'] })
+        .expect(422);
+
+      expect(response.body.errors.map(e => e.field).sort()).toEqual(['content', 'metadata', 'type']);
+    });
+
+    it('should validate data update payloads', async () => {
+      const created = await request(app)
+        .post('/api/data')
+        .send({ content: 'Valid content' })
+        .expect(201);
+
+      const response = await request(app)
+        .put(`/api/data/${created.body.id}`)
+        .send({ metadata: 'not-an-object' })
+        .expect(422);
+
+      expect(response.body.errors[0].field).toBe('metadata');
+    });
+
+    it('should validate list query parameters', async () => {
+      const response = await request(app)
+        .get('/api/data?limit=0&offset=-1')
+        .expect(422);
+
+      expect(response.body.errors.map(e => e.location)).toEqual(['query', 'query']);
+    });
+  });
+
+  describe('Pagination, Sorting and Projection', () => {
+    beforeAll(async () => {
+      for (let i = 0; i < 5; i++) {
+        await request(app)
+          .post('/api/data')
+          .send({ content: `Paged item ${i}`, type: 'paged' })
+          .expect(201);
+        // Distinct created_at values keep the expected order deterministic
+        await global.testUtils.wait(2);
+      }
+    });
+
+    it('should page through data with cursors and Link headers', async () => {
+      const first = await request(app)
+        .get('/api/data?type=paged&limit=2')
+        .expect(200);
+
+      expect(first.body.data).toHaveLength(2);
+      expect(first.body.total).toBe(5);
+      expect(first.body.has_more).toBe(true);
+      expect(typeof first.body.next_cursor).toBe('string');
+      expect(first.headers.link).toContain('rel="next"');
+
+      const second = await request(app)
+        .get(`/api/data?type=paged&limit=2&cursor=${first.body.next_cursor}`)
+        .expect(200);
+
+      const firstIds = first.body.data.map(item => item.id);
+      second.body.data.forEach(item => expect(firstIds).not.toContain(item.id));
+      expect(second.body.data[0].content).toBe('Paged item 2');
+    });
+
+    it('should compute has_more numerically for offsets', async () => {
+      const response = await request(app)
+        .get('/api/data?type=paged&limit=2&offset=1')
+        .expect(200);
+
+      expect(response.body.offset).toBe(1);
+      expect(response.body.has_more).toBe(true);
+      expect(response.body.data[0].content).toBe('Paged item 1');
+    });
+
+    it('should sort descending and project fields', async () => {
+      const response = await request(app)
+        .get('/api/data?type=paged&sort=-created_at,id&fields=id,content')
+        .expect(200);
+
+      expect(Object.keys(response.body.data[0]).sort()).toEqual(['content', 'id']);
+      expect(response.body.data[0].content).toBe('Paged item 4');
+    });
+
+    it('should reject invalid listing parameters', async () => {
+      const response = await request(app)
+        .get('/api/data?limit=1000&sort=password&fields=secret&cursor=bogus')
+        .expect(422);
+
+      expect(response.body.errors.map(e => e.field).sort()).toEqual(['cursor', 'fields', 'limit', 'sort']);
+    });
+
+    it('should reject cursors reused with a different sort', async () => {
+      const first = await request(app).get('/api/data?limit=1').expect(200);
+
+      await request(app)
+        .get(`/api/data?limit=1&sort=-created_at&cursor=${first.body.next_cursor}`)
+        .expect(422);
+    });
+
+    it('should paginate users the same way', async () => {
+      const response = await request(app)
+        .get('/api/users?limit=1&fields=id,email')
+        .expect(200);
+
+      expect(response.body).toHaveProperty('next_cursor');
+      expect(response.body).toHaveProperty('total');
+      expect(response.headers.link).toContain('rel="first"');
+      if (response.body.users.length > 0) {
+        expect(Object.keys(response.body.users[0]).sort()).toEqual(['email', 'id']);
+      }
+    });
+  });
+
+  describe('Data Patching', () => {
+    let item;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/data')
+        .send({ content: 'Patch me', type: 'patchable', metadata: { source: 'test', nested: { a: 1, b: 2 } } })
+        .expect(201);
+      item = response.body;
+    });
+
+    it('should apply merge patches that clear fields and change nested keys', async () => {
+      const response = await request(app)
+        .patch(`/api/data/${item.id}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify({ content: '', type: null, metadata: { nested: { b: 3 } } }))
+        .expect(200);
+
+      expect(response.body.content).toBe('');
+      expect(response.body).not.toHaveProperty('type');
+      expect(response.body.metadata).toEqual({ source: 'test', nested: { a: 1, b: 3 } });
+    });
+
+    it('should apply JSON Patch operations with tests', async () => {
+      const response = await request(app)
+        .patch(`/api/data/${item.id}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify([
+          { op: 'test', path: '/content', value: 'Patch me' },
+          { op: 'replace', path: '/metadata/nested/a', value: 10 },
+          { op: 'remove', path: '/metadata/source' }
+        ]))
+        .expect(200);
+
+      expect(response.body.metadata).toEqual({ nested: { a: 10, b: 2 } });
+    });
+
+    it('should answer 409 with the failed test operation', async () => {
+      const response = await request(app)
+        .patch(`/api/data/${item.id}`)
+        .set('Content-Type', 'application/json-patch+json')
+        .send(JSON.stringify([
+          { op: 'replace', path: '/content', value: 'Lost update' },
+          { op: 'test', path: '/type', value: 'other' }
+        ]))
+        .expect(409);
+
+      expect(response.body.operation).toMatchObject({ index: 1, op: 'test', path: '/type' });
+
+      const unchanged = await request(app).get(`/api/data/${item.id}`).expect(200);
+      expect(unchanged.body.content).toBe('Patch me');
+    });
+
+    it('should reject patches that touch read-only fields or produce invalid documents', async () => {
+      const response = await request(app)
+        .patch(`/api/data/${item.id}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify({ id: 'changed', metadata: 'flat' }))
+        .expect(422);
+
+      expect(response.body.errors.map(e => e.field).sort()).toEqual(['id', 'metadata']);
+    });
+
+    it('should reject unsupported patch content types', async () => {
+      const response = await request(app)
+        .patch(`/api/data/${item.id}`)
+        .send({ content: 'plain json' })
+        .expect(415);
+
+      expect(response.headers['accept-patch']).toContain('application/merge-patch+json');
+    });
+
+    it('should only replace the fields sent on PUT', async () => {
+      const response = await request(app)
+        .put(`/api/data/${item.id}`)
+        .send({ metadata: {} })
+        .expect(200);
+
+      expect(response.body.metadata).toEqual({});
+      expect(response.body.content).toBe('Patch me');
+    });
+  });
+
+  describe('Conditional Requests', () => {
+    const config = require('../../src/config');
+    let item;
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/data')
+        .send({ content: 'Versioned item', type: 'versioned' })
+        .expect(201);
+      item = response.body;
+    });
+
+    afterEach(() => {
+      config.concurrency.requireIfMatch = false;
+    });
+
+    it('should expose a version ETag and answer 304 to If-None-Match', async () => {
+      expect(item.version).toBe(1);
+
+      const response = await request(app).get(`/api/data/${item.id}`).expect(200);
+      expect(response.headers.etag).toBe('"v1"');
+
+      await request(app)
+        .get(`/api/data/${item.id}`)
+        .set('If-None-Match', '"v1"')
+        .expect(304);
+    });
+
+    it('should return list ETags that change when data changes', async () => {
+      const url = '/api/data?type=versioned&limit=100';
+      const first = await request(app).get(url).expect(200);
+      await request(app).get(url).set('If-None-Match', first.headers.etag).expect(304);
+
+      await request(app).put(`/api/data/${item.id}`).send({ content: 'Changed' }).expect(200);
+      await request(app).get(url).set('If-None-Match', first.headers.etag).expect(200);
+    });
+
+    it('should reject stale If-Match writes with 412', async () => {
+      const updated = await request(app)
+        .put(`/api/data/${item.id}`)
+        .set('If-Match', '"v1"')
+        .send({ content: 'First writer' })
+        .expect(200);
+      expect(updated.headers.etag).toBe('"v2"');
+
+      const stale = await request(app)
+        .put(`/api/data/${item.id}`)
+        .set('If-Match', '"v1"')
+        .send({ content: 'Second writer' })
+        .expect(412);
+      expect(stale.body.current_etag).toBe('"v2"');
+
+      await request(app).delete(`/api/data/${item.id}`).set('If-Match', '"v1"').expect(412);
+      await request(app).delete(`/api/data/${item.id}`).set('If-Match', '*').expect(200);
+    });
+
+    it('should guard user writes with If-Match too', async () => {
+      const user = await request(app)
+        .post('/api/users')
+        .set(asAdmin())
+        .send(global.testUtils.generateRandomUser())
+        .expect(201);
+
+      expect(user.headers.etag).toBe('"v1"');
+      await request(app)
+        .patch(`/api/users/${user.body.id}`)
+        .set(asAdmin())
+        .set('If-Match', '"v9"')
+        .send({ role: 'admin' })
+        .expect(412);
+    });
+
+    it('should require If-Match with 428 when configured', async () => {
+      config.concurrency.requireIfMatch = true;
+
+      await request(app)
+        .patch(`/api/data/${item.id}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify({ content: 'No precondition' }))
+        .expect(428);
+
+      await request(app)
+        .patch(`/api/data/${item.id}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .set('If-Match', '"v1"')
+        .send(JSON.stringify({ content: 'With precondition' }))
+        .expect(200);
+    });
+  });
+
+  describe('Data Search', () => {
+    it('should find created items and follow updates and deletes', async () => {
+      const created = await request(app)
+        .post('/api/data')
+        .send({ content: 'Searchable zeppelin manual', type: 'docs', metadata: { source: 'hangar' } })
+        .expect(201);
+
+      let response = await request(app).get('/api/data/search?q=zepp').expect(200);
+      expect(response.body.total).toBe(1);
+      expect(response.body.results[0].id).toBe(created.body.id);
+      expect(response.body.results[0].highlights[0].snippet).toContain('<mark>zeppelin</mark>');
+
+      response = await request(app).get('/api/data/search?q=hangar&type=docs').expect(200);
+      expect(response.body.results[0].highlights[0].field).toBe('metadata.source');
+
+      await request(app)
+        .put(`/api/data/${created.body.id}`)
+        .send({ content: 'Airship manual' })
+        .expect(200);
+      response = await request(app).get('/api/data/search?q=zeppelin').expect(200);
+      expect(response.body.total).toBe(0);
+
+      await request(app).delete(`/api/data/${created.body.id}`).expect(200);
+      response = await request(app).get('/api/data/search?q=airship').expect(200);
+      expect(response.body.total).toBe(0);
+    });
+
+    it('should require a query', async () => {
+      const response = await request(app).get('/api/data/search').expect(422);
+      expect(response.body.errors[0].field).toBe('q');
+    });
+  });
+
+  describe('Bulk Data Operations', () => {
+    const config = require('../../src/config');
+    const createItem = async (content) => {
+      const response = await request(app).post('/api/data').send({ content, type: 'bulk' }).expect(201);
+      return response.body;
+    };
+
+    afterEach(() => {
+      config.bulk.maxOperations = 500;
+    });
+
+    it('should apply mixed operations and report each result', async () => {
+      const toUpdate = await createItem('Bulk update target');
+      const toDelete = await createItem('Bulk delete target');
+
+      const response = await request(app)
+        .post('/api/data/bulk')
+        .send({
+          operations: [
+            { op: 'create', data: { content: 'Bulk created', type: 'bulk' } },
+            { op: 'update', id: toUpdate.id, if_match: '"v1"', data: { content: 'Bulk updated' } },
+            { op: 'delete', id: toDelete.id }
+          ]
+        })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ mode: 'partial', total: 3, succeeded: 3, failed: 0, rolled_back: false });
+      expect(response.body.results.map(result => result.status)).toEqual([201, 200, 200]);
+      expect(response.body.results[1].etag).toBe('"v2"');
+
+      const updated = await request(app).get(`/api/data/${toUpdate.id}`).expect(200);
+      expect(updated.body.content).toBe('Bulk updated');
+      await request(app).get(`/api/data/${toDelete.id}`).expect(404);
+    });
+
+    it('should answer 207 with per-item errors in partial mode', async () => {
+      const existing = await createItem('Partial target');
+
+      const response = await request(app)
+        .post('/api/data/bulk')
+        .send([
+          { op: 'create', data: { content: 'Partial created' } },
+          { op: 'create', data: { content: '' } },
+          { op: 'update', id: existing.id, if_match: '"v9"', data: { content: 'Stale' } },
+          { op: 'delete', id: '00000000-0000-4000-8000-000000000000' },
+          { op: 'rename', id: existing.id }
+        ])
+        .expect(207);
+
+      expect(response.body.succeeded).toBe(1);
+      expect(response.body.failed).toBe(4);
+      expect(response.body.results.map(result => result.status)).toEqual([201, 422, 412, 404, 422]);
+      expect(response.body.results[1].error.errors[0].field).toBe('data.content');
+      expect(response.body.results[2].error.current_etag).toBe('"v1"');
+    });
+
+    it('should roll back every operation in atomic mode', async () => {
+      const before = await request(app).get('/api/data?type=bulk&limit=100').expect(200);
+
+      const response = await request(app)
+        .post('/api/data/bulk?mode=atomic')
+        .send([
+          { op: 'create', data: { content: 'Atomic created', type: 'bulk' } },
+          { op: 'delete', id: '00000000-0000-4000-8000-000000000000' },
+          { op: 'create', data: { content: 'Never created', type: 'bulk' } }
+        ])
+        .expect(404);
+
+      expect(response.body.rolled_back).toBe(true);
+      expect(response.body.succeeded).toBe(0);
+      expect(response.body.results.map(result => result.status)).toEqual([424, 404, 424]);
+
+      const after = await request(app).get('/api/data?type=bulk&limit=100').expect(200);
+      expect(after.body.total).toBe(before.body.total);
+    });
+
+    it('should not execute anything in atomic mode when an operation is invalid', async () => {
+      const response = await request(app)
+        .post('/api/data/bulk?mode=atomic')
+        .send([
+          { op: 'create', data: { content: 'Valid but skipped' } },
+          { op: 'update', id: 'not-a-uuid', data: {} }
+        ])
+        .expect(422);
+
+      expect(response.body.results.map(result => result.status)).toEqual([424, 422]);
+      expect(response.body.results[1].error.errors[0].field).toBe('id');
+    });
+
+    it('should reject empty, oversized and badly configured requests', async () => {
+      await request(app).post('/api/data/bulk').send({ operations: [] }).expect(422);
+      await request(app).post('/api/data/bulk?mode=eventual').send([{ op: 'delete' }]).expect(422);
+
+      config.bulk.maxOperations = 1;
+      const response = await request(app)
+        .post('/api/data/bulk')
+        .send([{ op: 'create', data: { content: 'a' } }, { op: 'create', data: { content: 'b' } }])
+        .expect(413);
+      expect(response.body.received).toBe(2);
+    });
+  });
+
+  describe('Data Trash', () => {
+    let admin;
+    let member;
+
+    const createItem = async (content) => {
+      const response = await request(app).post('/api/data').send({ content, type: 'trash-test' }).expect(201);
+      return response.body;
+    };
+
+    beforeAll(async () => {
+      admin = (await request(app).post('/api/users').set(asAdmin()).send({ name: 'Trash Admin', email: 'trash-admin@example.com', role: 'admin' })).body;
+      member = (await request(app).post('/api/users').set(asAdmin()).send({ name: 'Trash Member', email: 'trash-member@example.com' })).body;
+    });
+
+    it('should soft delete items and hide them from normal reads', async () => {
+      const item = await createItem('Soft deleted item');
+
+      const response = await request(app).delete(`/api/data/${item.id}`).expect(200);
+      expect(response.body.message).toBe('Data moved to trash');
+      expect(response.body.deleted_item.deleted_at).toBeDefined();
+
+      await request(app).get(`/api/data/${item.id}`).expect(404);
+      await request(app).put(`/api/data/${item.id}`).send({ content: 'Edit in trash' }).expect(404);
+      await request(app).delete(`/api/data/${item.id}`).expect(404);
+
+      const list = await request(app).get('/api/data?type=trash-test&limit=100').expect(200);
+      expect(list.body.data.map(entry => entry.id)).not.toContain(item.id);
+
+      const trash = await request(app).get('/api/data/trash?type=trash-test&limit=100').expect(200);
+      expect(trash.body.data.map(entry => entry.id)).toContain(item.id);
+      expect(trash.body.retention_days).toBe(30);
+    });
+
+    it('should restore items from the trash', async () => {
+      const item = await createItem('Restorable item');
+      await request(app).delete(`/api/data/${item.id}`).expect(200);
+
+      const response = await request(app).post(`/api/data/${item.id}/restore`).expect(200);
+      expect(response.body).not.toHaveProperty('deleted_at');
+      expect(response.body.version).toBe(3);
+      expect(response.headers.etag).toBe('"v3"');
+
+      await request(app).get(`/api/data/${item.id}`).expect(200);
+      await request(app).post(`/api/data/${item.id}/restore`).expect(404);
+    });
+
+    it('should allow hard deletes for admins only', async () => {
+      const item = await createItem('Hard deleted item');
+
+      await request(app).delete(`/api/data/${item.id}?hard=true`).expect(403);
+      await request(app).delete(`/api/data/${item.id}?hard=true`).set(asUser(member.id)).expect(403);
+
+      await request(app).delete(`/api/data/${item.id}`).expect(200);
+      const response = await request(app)
+        .delete(`/api/data/${item.id}?hard=true`)
+        .set(asUser(admin.id))
+        .expect(200);
+      expect(response.body.message).toBe('Data deleted permanently');
+
+      const trash = await request(app).get('/api/data/trash?type=trash-test&limit=100').expect(200);
+      expect(trash.body.data.map(entry => entry.id)).not.toContain(item.id);
+      await request(app).post(`/api/data/${item.id}/restore`).expect(404);
+    });
+
+    it('should validate the hard flag', async () => {
+      const item = await createItem('Flag check');
+      await request(app).delete(`/api/data/${item.id}?hard=yes`).expect(422);
+    });
+  });
+
+  describe('Data Revisions', () => {
+    let editor;
+    let item;
+
+    beforeAll(async () => {
+      editor = (await request(app).post('/api/users').set(asAdmin()).send({ name: 'Revision Editor', email: 'editor@example.com' })).body;
+      item = (await request(app).post('/api/data').send({ content: 'First draft', metadata: { stage: 'draft' } })).body;
+
+      await request(app)
+        .put(`/api/data/${item.id}`)
+        .set(asUser(editor.id))
+        .send({ content: 'Second draft', metadata: { stage: 'review' } })
+        .expect(200);
+      await request(app)
+        .patch(`/api/data/${item.id}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send(JSON.stringify({ content: 'Final' }))
+        .expect(200);
+    });
+
+    it('should list revisions newest first with actor and request id', async () => {
+      const response = await request(app).get(`/api/data/${item.id}/revisions`).expect(200);
+
+      expect(response.body.current_rev).toBe(3);
+      expect(response.body.revisions.map(revision => [revision.rev, revision.action])).toEqual([
+        [3, 'patch'], [2, 'update'], [1, 'create']
+      ]);
+      expect(response.body.revisions[1].actor).toEqual({ id: editor.id, name: 'Revision Editor' });
+      expect(response.body.revisions[1].request_id).toMatch(/^[0-9a-f-]{36}$/);
+      expect(response.body.revisions[0]).not.toHaveProperty('snapshot');
+    });
+
+    it('should fetch a single revision with its snapshot', async () => {
+      const response = await request(app).get(`/api/data/${item.id}/revisions/1`).expect(200);
+      expect(response.body.snapshot.content).toBe('First draft');
+
+      const missing = await request(app).get(`/api/data/${item.id}/revisions/99`).expect(404);
+      expect(missing.body.available).toEqual([1, 2, 3]);
+      await request(app).get(`/api/data/${item.id}/revisions/zero`).expect(422);
+    });
+
+    it('should diff a revision against the current item or another revision', async () => {
+      let response = await request(app).get(`/api/data/${item.id}/revisions/1/diff`).expect(200);
+      expect(response.body).toMatchObject({ from: 1, to: 3 });
+      expect(response.body.operations).toEqual([
+        { op: 'replace', path: '/content', value: 'Final', old_value: 'First draft' },
+        { op: 'replace', path: '/metadata/stage', value: 'review', old_value: 'draft' }
+      ]);
+
+      response = await request(app).get(`/api/data/${item.id}/revisions/2/diff?to=3`).expect(200);
+      expect(response.body.operations).toEqual([
+        { op: 'replace', path: '/content', value: 'Final', old_value: 'Second draft' }
+      ]);
+    });
+
+    it('should revert to an earlier revision as a new revision', async () => {
+      const response = await request(app).post(`/api/data/${item.id}/revert/1`).set('If-Match', '"v3"').expect(200);
+      expect(response.body).toMatchObject({ content: 'First draft', metadata: { stage: 'draft' }, version: 4 });
+
+      const history = await request(app).get(`/api/data/${item.id}/revisions`).expect(200);
+      expect(history.body.revisions[0]).toMatchObject({ rev: 4, action: 'revert', reverted_to: 1 });
+
+      await request(app).post(`/api/data/${item.id}/revert/1`).set('If-Match', '"v3"').expect(412);
+      await request(app).post(`/api/data/${item.id}/revert/42`).expect(404);
+    });
+
+    it('should drop the history when an item is deleted permanently', async () => {
+      const admin = (await request(app).post('/api/users').set(asAdmin()).send({ name: 'History Admin', email: 'history-admin@example.com', role: 'admin' })).body;
+      const doomed = (await request(app).post('/api/data').send({ content: 'Short lived' })).body;
+
+      await request(app).delete(`/api/data/${doomed.id}`).expect(200);
+      const trashed = await request(app).get(`/api/data/${doomed.id}/revisions`).expect(200);
+      expect(trashed.body.revisions[0].action).toBe('delete');
+
+      await request(app).delete(`/api/data/${doomed.id}?hard=true`).set(asUser(admin.id)).expect(200);
+      await request(app).get(`/api/data/${doomed.id}/revisions`).expect(404);
+    });
+  });
+
+  describe('Idempotent Requests', () => {
+    it('should not create duplicates when a POST is retried with the same key', async () => {
+      const payload = { content: 'Created once', type: 'idempotent' };
+      const first = await request(app).post('/api/data').set('Idempotency-Key', 'smoke-run-1').send(payload).expect(201);
+      const retry = await request(app).post('/api/data').set('Idempotency-Key', 'smoke-run-1').send(payload).expect(201);
+
+      expect(retry.body.id).toBe(first.body.id);
+      expect(retry.headers.etag).toBe(first.headers.etag);
+      expect(retry.headers['idempotent-replayed']).toBe('true');
+
+      const list = await request(app).get('/api/data?type=idempotent').expect(200);
+      expect(list.body.total).toBe(1);
+
+      await request(app).post('/api/users').set('Idempotency-Key', 'smoke-run-1').send({ name: 'Other', email: 'other@example.com' }).expect(422);
+    });
+  });
+
+  describe('List Filtering', () => {
+    beforeAll(async () => {
+      await request(app).post('/api/data').send({ content: 'Filter alpha report', type: 'filter-a', metadata: { source: 'seed' } });
+      await request(app).post('/api/data').send({ content: 'Filter beta notes', type: 'filter-b', metadata: { source: 'manual' } });
+    });
+
+    it('should combine metadata, operator and date filters on data', async () => {
+      let response = await request(app).get('/api/data?type[in]=filter-a,filter-b&metadata.source=seed').expect(200);
+      expect(response.body.data.map(item => item.content)).toEqual(['Filter alpha report']);
+
+      response = await request(app).get('/api/data?type[in]=filter-a,filter-b&content[contains]=BETA').expect(200);
+      expect(response.body.data.map(item => item.type)).toEqual(['filter-b']);
+
+      response = await request(app).get('/api/data?type[in]=filter-a,filter-b&created_at[gte]=2000-01-01&created_at[lt]=2000-01-02').expect(200);
+      expect(response.body.total).toBe(0);
+    });
+
+    it('should filter users by role and creation date', async () => {
+      const response = await request(app).get(`/api/users?role=admin&created_at[lt]=${encodeURIComponent(new Date(Date.now() + 60000).toISOString())}&limit=100`).expect(200);
+      expect(response.body.users.length).toBeGreaterThan(0);
+      expect(response.body.users.every(user => user.role === 'admin')).toBe(true);
+    });
+
+    it('should reject unknown filters and operators', async () => {
+      let response = await request(app).get('/api/data?created_at[since]=2024-01-01').expect(422);
+      expect(response.body.errors[0]).toMatchObject({ field: 'created_at[since]', location: 'query' });
+
+      response = await request(app).get('/api/users?email=a@b.c').expect(422);
+      expect(response.body.errors[0].message).toMatch(/Filterable fields: role, created_at/);
+
+      await request(app).get('/api/data?metadata.__proto__.polluted=1').expect(422);
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+
+  describe('Export and Import', () => {
+    beforeAll(async () => {
+      await request(app).post('/api/data').send({ content: 'Exported, "quoted"', type: 'export-test', metadata: { source: 'export' } });
+      await request(app).post('/api/data').send({ content: { text: 'structured' }, type: 'export-test' });
+    });
+
+    it('should export data as NDJSON by default and CSV on request', async () => {
+      let response = await request(app).get('/api/data/export?type=export-test').expect(200);
+      expect(response.headers['content-type']).toMatch(/application\/x-ndjson/);
+      expect(response.headers['content-disposition']).toMatch(/attachment; filename="data-.*\.ndjson"/);
+      const lines = response.text.trim().split('\n').map(line => JSON.parse(line));
+      expect(lines.map(line => line.content)).toEqual(['Exported, "quoted"', { text: 'structured' }]);
+
+      response = await request(app).get('/api/data/export?type=export-test').set('Accept', 'text/csv').expect(200);
+      expect(response.headers['content-type']).toMatch(/text\/csv/);
+      expect(response.text.split('\r\n')[0]).toBe('id,content,type,metadata,owner_id,version,created_at,updated_at');
+      expect(response.text).toContain('"Exported, ""quoted"""');
+
+      await request(app).get('/api/data/export').set('Accept', 'application/xml').expect(406);
+      await request(app).get('/api/data/export?limit=5').expect(422);
+    });
+
+    it('should round-trip a CSV export through a dry run and an import', async () => {
+      const exported = await request(app).get('/api/data/export?type=export-test').set('Accept', 'text/csv').expect(200);
+
+      let response = await request(app)
+        .post('/api/data/import?dry_run=true&on_conflict=skip')
+        .set('Content-Type', 'text/csv')
+        .send(exported.text)
+        .expect(200);
+      expect(response.body).toMatchObject({ dry_run: true, total: 2, imported: 0, skipped: 2, failed: 0 });
+
+      const renamed = exported.text.replace(/export-test/g, 'import-test').replace(/[0-9a-f]{8}-[0-9a-f-]{27}/g, '');
+      response = await request(app)
+        .post('/api/data/import')
+        .set('Content-Type', 'text/csv')
+        .send(renamed)
+        .expect(200);
+      expect(response.body).toMatchObject({ format: 'csv', total: 2, imported: 2, failed: 0 });
+
+      const imported = await request(app).get('/api/data?type=import-test').expect(200);
+      expect(imported.body.data.map(item => item.content)).toEqual(['Exported, "quoted"', { text: 'structured' }]);
+      expect(imported.body.data[0].metadata).toEqual({ source: 'export' });
+    });
+
+    it('should report per-line errors for NDJSON imports', async () => {
+      const upload = [
+        JSON.stringify({ content: 'Good row', type: 'ndjson-import' }),
+        JSON.stringify({ content: '', type: 'ndjson-import' }),
+        '{broken',
+        JSON.stringify({ content: 'Extra', secret: true })
+      ].join('\n');
+
+      const response = await request(app)
+        .post('/api/data/import')
+        .set('Content-Type', 'application/x-ndjson')
+        .send(upload)
+        .expect(207);
+
+      expect(response.body).toMatchObject({ total: 4, imported: 1, failed: 3 });
+      expect(response.body.errors.map(error => error.line)).toEqual([2, 3, 4]);
+      expect(response.body.errors[0].errors[0].field).toBe('content');
+      expect(response.body.errors[2].errors[0].message).toBe('Unknown field "secret"');
+    });
+
+    it('should export and import users with unique emails', async () => {
+      const exported = await request(app).get('/api/users/export?role=admin').expect(200);
+      const firstAdmin = JSON.parse(exported.text.split('\n')[0]);
+      expect(Object.keys(firstAdmin)).toEqual(['id', 'name', 'email', 'role', 'version', 'created_at', 'last_active']);
+
+      const upload = [
+        JSON.stringify({ name: 'Imported One', email: 'imported@example.com' }),
+        JSON.stringify({ name: 'Imported Twin', email: 'IMPORTED@example.com' }),
+        JSON.stringify(firstAdmin)
+      ].join('\n');
+
+      const response = await request(app)
+        .post('/api/users/import?on_conflict=error')
+        .set(asAdmin())
+        .set('Content-Type', 'application/x-ndjson')
+        .send(upload)
+        .expect(207);
+
+      expect(response.body).toMatchObject({ imported: 1, failed: 2 });
+      expect(response.body.errors[0].errors[0].field).toBe('email');
+      expect(response.body.errors[1].errors[0].field).toBe('id');
+    });
+
+    it('should reject unsupported formats and abort on unreadable CSV', async () => {
+      await request(app).post('/api/data/import').send({ content: 'json' }).expect(415);
+
+      const response = await request(app)
+        .post('/api/data/import')
+        .set('Content-Type', 'text/csv')
+        .send('content\n"never closed')
+        .expect(422);
+      expect(response.body.message).toMatch(/Unterminated/);
+    });
+  });
+
+  describe('Test Seeding', () => {
+    const config = require('../../src/config');
+
+    beforeEach(() => {
+      config.features.testEndpoints = true;
+    });
+
+    afterEach(() => {
+      config.features.testEndpoints = false;
+    });
+
+    it('should hide the /api/test namespace unless enabled', async () => {
+      config.features.testEndpoints = false;
+      await request(app).post('/api/test/seed').expect(404);
+      await request(app).delete('/api/test/seed').expect(404);
+    });
+
+    it('should refuse members the user actions of seeding', async () => {
+      const member = (await request(app).post('/api/users').set(asAdmin()).send({ name: 'Seeding Member', email: 'seeding-member@example.com' })).body;
+      await request(app).get('/api/test/fixtures').set(asUser(member.id)).expect(200);
+      const removal = await request(app).delete('/api/test/seed').set(asUser(member.id)).expect(403);
+      expect(removal.body.action).toBe('users:delete');
+    });
+
+    it('should keep seeding to callers who may create users and data', async () => {
+      const anonymous = await request(app).post('/api/test/seed').send({ users: 1 }).expect(403);
+      expect(anonymous.body).toMatchObject({ error: 'Forbidden', action: 'users:write' });
+
+      config.rbac.anonymousRole = 'guest';
+      try {
+        await request(app).post('/api/test/seed').send({ fixture: 'demo' }).expect(403);
+        const removal = await request(app).delete('/api/test/seed').expect(403);
+        expect(removal.body.action).toBe('data:write');
+        await request(app).get('/api/test/fixtures').expect(403);
+      } finally {
+        config.rbac.anonymousRole = 'user';
+      }
+    });
+
+    it('should generate deterministic records from a seed and skip repeats', async () => {
+      const first = await request(app).post('/api/test/seed').set(asAdmin()).send({ users: 2, data: 4, seed: 'ci-123' }).expect(200);
+      expect(first.body).toMatchObject({ seed: 'ci-123', users_created: 2, data_created: 4 });
+
+      const repeat = await request(app).post('/api/test/seed').set(asAdmin()).send({ users: 2, data: 4, seed: 'ci-123' }).expect(200);
+      expect(repeat.body).toMatchObject({ users_created: 0, users_skipped: 2, data_created: 0, data_skipped: 4 });
+
+      const seeded = await request(app).get('/api/data?metadata.source=seed&limit=100').expect(200);
+      expect(seeded.body.total).toBeGreaterThanOrEqual(4);
+    });
+
+    it('should load named fixtures and report unknown ones', async () => {
+      const fixtures = await request(app).get('/api/test/fixtures').expect(200);
+      expect(fixtures.body.fixtures).toContain('demo');
+
+      const response = await request(app).post('/api/test/seed').set(asAdmin()).send({ fixture: 'demo' }).expect(200);
+      expect(response.body).toMatchObject({ fixture: 'demo', data_created: 3 });
+
+      const missing = await request(app).post('/api/test/seed').set(asAdmin()).send({ fixture: 'nope' }).expect(404);
+      expect(missing.body.available).toContain('demo');
+      await request(app).post('/api/test/seed').set(asAdmin()).send({ fixture: '../package' }).expect(422);
+      await request(app).post('/api/test/seed').set(asAdmin()).send({ users: -1 }).expect(422);
+    });
+
+    it('should remove only seeded records', async () => {
+      const kept = await request(app).post('/api/data').send({ content: 'Not seeded', metadata: { source: 'seed' } }).expect(201);
+      await request(app).post('/api/test/seed').set(asAdmin()).send({ users: 1, data: 1, seed: 'cleanup' }).expect(200);
+
+      const response = await request(app).delete('/api/test/seed').set(asAdmin()).expect(200);
+      expect(response.body.data_removed).toBeGreaterThanOrEqual(1);
+      expect(response.body.users_removed).toBeGreaterThanOrEqual(1);
+
+      await request(app).get(`/api/data/${kept.body.id}`).expect(200);
+      const seeded = await request(app).get('/api/data?metadata.source=seed&limit=100').expect(200);
+      expect(seeded.body.data.map(item => item.id)).toContain(kept.body.id);
+      // Generated and fixture types are all gone; the item created through the API stays
+      const seededTypes = ['note', 'task', 'event', 'metric', 'log', 'test', 'demo'];
+      expect(seeded.body.data.filter(item => seededTypes.includes(item.type))).toEqual([]);
+    });
+
+    it('should apply the user delete policy to seeded users that own other items', async () => {
+      const { storage } = require('../../src/storage');
+      const seededUserIds = () => storage.collection('seed_records').findAll()
+        .filter(record => record.collection === 'users')
+        .map(record => record.record_id);
+
+      await request(app).delete('/api/test/seed').set(asAdmin()).expect(200);
+      await request(app).post('/api/test/seed').set(asAdmin()).send({ users: 1, data: 0, seed: 'owner-policy' }).expect(200);
+      const [ownerId] = seededUserIds();
+      const owned = await request(app).post('/api/data').send({ content: 'Owned by a seeded user', owner_id: ownerId }).expect(201);
+
+      const restricted = await request(app).delete('/api/test/seed').set(asAdmin()).expect(200);
+      expect(restricted.body).toMatchObject({ users_removed: 0, users_kept: 1 });
+      await request(app).get(`/api/users/${ownerId}`).expect(200);
+      expect(seededUserIds()).toEqual([ownerId]);
+
+      config.ownership.onUserDelete = 'orphan';
+      try {
+        const orphaned = await request(app).delete('/api/test/seed').set(asAdmin()).expect(200);
+        expect(orphaned.body).toMatchObject({ users_removed: 1, users_kept: 0 });
+      } finally {
+        config.ownership.onUserDelete = 'restrict';
+      }
+      await request(app).get(`/api/users/${ownerId}`).expect(404);
+      const item = await request(app).get(`/api/data/${owned.body.id}`).expect(200);
+      expect(item.body.owner_id).toBeNull();
+      expect(seededUserIds()).toEqual([]);
+    });
+  });
+
+  describe('Data Ownership', () => {
+    const config = require('../../src/config');
+    let owner;
+    let admin;
+
+    beforeAll(async () => {
+      admin = (await request(app).post('/api/users').set(asAdmin()).send({ name: 'Ownership Admin', email: 'ownership-admin@example.com', role: 'admin' })).body;
+    });
+
+    beforeEach(async () => {
+      const response = await request(app)
+        .post('/api/users')
+        .set(asAdmin())
+        .send({ name: 'Owner', email: `owner.${Date.now()}.${Math.random().toString(36).slice(2)}@example.com` })
+        .expect(201);
+      owner = response.body;
+    });
+
+    afterEach(() => {
+      config.ownership.onUserDelete = 'restrict';
+    });
+
+    it('should validate owner_id and default it to the acting user', async () => {
+      const invalid = await request(app).post('/api/data').send({ content: 'x', owner_id: 'nope' }).expect(422);
+      expect(invalid.body.errors[0].field).toBe('owner_id');
+      await request(app)
+        .post('/api/data')
+        .send({ content: 'x', owner_id: '00000000-0000-4000-8000-000000000000' })
+        .expect(422);
+
+      const implicit = await request(app).post('/api/data').set(asUser(owner.id)).send({ content: 'Mine' }).expect(201);
+      expect(implicit.body.owner_id).toBe(owner.id);
+
+      const anonymous = await request(app).post('/api/data').send({ content: 'Nobody' }).expect(201);
+      expect(anonymous.body.owner_id).toBeNull();
+    });
+
+    it('should list the data owned by a user', async () => {
+      const owned = await request(app).post('/api/data').send({ content: 'Owned', type: 'note', owner_id: owner.id }).expect(201);
+      await request(app).post('/api/data').send({ content: 'Other' }).expect(201);
+
+      const response = await request(app).get(`/api/users/${owner.id}/data`).expect(200);
+      expect(response.body.owner_id).toBe(owner.id);
+      expect(response.body.data.map(item => item.id)).toEqual([owned.body.id]);
+
+      const filtered = await request(app).get(`/api/users/${owner.id}/data?type=task`).expect(200);
+      expect(filtered.body.data).toEqual([]);
+
+      await request(app).get('/api/users/00000000-0000-4000-8000-000000000000/data').expect(404);
+    });
+
+    it('should refuse to delete owners under the restrict policy', async () => {
+      await request(app).post('/api/data').send({ content: 'Owned', owner_id: owner.id }).expect(201);
+
+      const response = await request(app).delete(`/api/users/${owner.id}`).set(asUser(admin.id)).expect(409);
+      expect(response.body).toMatchObject({ policy: 'restrict', owned_items: 1 });
+      await request(app).get(`/api/users/${owner.id}`).expect(200);
+    });
+
+    it('should delete owned items under the cascade policy', async () => {
+      config.ownership.onUserDelete = 'cascade';
+      const item = await request(app).post('/api/data').send({ content: 'Owned', owner_id: owner.id }).expect(201);
+
+      const response = await request(app).delete(`/api/users/${owner.id}`).set(asUser(admin.id)).expect(200);
+      expect(response.body).toMatchObject({ data_policy: 'cascade', data_affected: 1 });
+      await request(app).get(`/api/data/${item.body.id}`).expect(404);
+    });
+
+    it('should keep owned items without owner under the orphan policy', async () => {
+      config.ownership.onUserDelete = 'orphan';
+      const item = await request(app).post('/api/data').send({ content: 'Owned', owner_id: owner.id }).expect(201);
+
+      await request(app).delete(`/api/users/${owner.id}`).set(asUser(admin.id)).expect(200);
+      const orphaned = await request(app).get(`/api/data/${item.body.id}`).expect(200);
+      expect(orphaned.body.owner_id).toBeNull();
+
+      const revisions = await request(app).get(`/api/data/${item.body.id}/revisions`).expect(200);
+      expect(revisions.body.revisions.map(revision => revision.action)).toContain('orphan');
+    });
+
+    it('should break data counts down per owner in the status', async () => {
+      await request(app).post('/api/data').send({ content: 'Owned', owner_id: owner.id }).expect(201);
+
+      const response = await request(app).get('/api/status').expect(200);
+      expect(typeof response.body.data_by_owner.unowned).toBe('number');
+      expect(response.body.data_by_owner.owners).toContainEqual({ owner_id: owner.id, name: 'Owner', count: 1 });
+    });
+  });
+
+  describe('Data Types', () => {
+    const taskSchema = {
+      content: { type: 'object', required: ['title'], properties: { title: { type: 'string', minLength: 1 } } },
+      metadata: { type: 'object', properties: { priority: { type: 'integer', minimum: 1, maximum: 5 } } }
+    };
+
+    it('should register types and expose their schema', async () => {
+      const created = await request(app)
+        .post('/api/types')
+        .set(asAdmin())
+        .send({ name: 'schema-task', description: 'Tasks', schema: taskSchema })
+        .expect(201);
+      expect(created.headers.etag).toBe('"v1"');
+
+      const response = await request(app).get('/api/types/schema-task').expect(200);
+      expect(response.body).toMatchObject({ name: 'schema-task', description: 'Tasks', schema: taskSchema });
+
+      const list = await request(app).get('/api/types').expect(200);
+      expect(list.body.types.map(type => type.name)).toContain('schema-task');
+
+      await request(app).post('/api/types').set(asAdmin()).send({ name: 'schema-task', schema: {} }).expect(409);
+      await request(app).get('/api/types/unknown-type').expect(404);
+    });
+
+    it('should keep type changes to callers granted types:write', async () => {
+      const refused = await request(app).post('/api/types').send({ name: 'schema-anonymous', schema: {} }).expect(403);
+      expect(refused.body).toMatchObject({ error: 'Forbidden', action: 'types:write' });
+      await request(app).put('/api/types/schema-task').send({ schema: {} }).expect(403);
+      await request(app).delete('/api/types/schema-task').expect(403);
+      await request(app).get('/api/types/schema-task').expect(200);
+    });
+
+    it('should reject schemas it cannot evaluate', async () => {
+      const response = await request(app)
+        .post('/api/types')
+        .set(asAdmin())
+        .send({ name: 'bad-schema', schema: { content: { $ref: '#/x' } } })
+        .expect(422);
+      expect(response.body.errors[0].field).toBe('schema');
+      expect(response.body.errors[0].message).toMatch(/content\.\$ref/);
+
+      await request(app).post('/api/types').set(asAdmin()).send({ name: 'bad-field', schema: { owner: {} } }).expect(422);
+      await request(app).post('/api/types').set(asAdmin()).send({ name: 'bad name!', schema: {} }).expect(422);
+    });
+
+    it('should validate creates and updates against the type schema', async () => {
+      await request(app).post('/api/types').set(asAdmin()).send({ name: 'schema-checked', schema: taskSchema }).expect(201);
+
+      const invalid = await request(app)
+        .post('/api/data')
+        .send({ type: 'schema-checked', content: { title: '' }, metadata: { priority: 9 } })
+        .expect(422);
+      expect(invalid.body.errors.map(error => error.field)).toEqual(['content.title', 'metadata.priority']);
+
+      const created = await request(app)
+        .post('/api/data')
+        .send({ type: 'schema-checked', content: { title: 'Deploy' }, metadata: { priority: 2 } })
+        .expect(201);
+
+      const put = await request(app).put(`/api/data/${created.body.id}`).send({ content: 'plain text' }).expect(422);
+      expect(put.body.errors[0]).toMatchObject({ field: 'content', message: 'Must be of type object' });
+
+      await request(app)
+        .patch(`/api/data/${created.body.id}`)
+        .set('Content-Type', 'application/merge-patch+json')
+        .send({ metadata: { priority: 0 } })
+        .expect(422);
+
+      const bulk = await request(app)
+        .post('/api/data/bulk')
+        .send([{ op: 'update', id: created.body.id, data: { content: { title: 'Ok' } } }, { op: 'create', data: { type: 'schema-checked', content: 'text' } }])
+        .expect(207);
+      expect(bulk.body.results.map(result => result.status)).toEqual([200, 422]);
+
+      // Types without a registered schema stay free-form
+      await request(app).post('/api/data').send({ type: 'unregistered', content: 'anything' }).expect(201);
+    });
+
+    it('should report nonconforming items on update and refuse to delete types in use', async () => {
+      await request(app).post('/api/types').set(asAdmin()).send({ name: 'schema-evolving', schema: {} }).expect(201);
+      await request(app).post('/api/data').send({ type: 'schema-evolving', content: 'short' }).expect(201);
+
+      const updated = await request(app)
+        .put('/api/types/schema-evolving')
+        .set(asAdmin())
+        .set('If-Match', '"v1"')
+        .send({ schema: { content: { type: 'string', minLength: 10 } } })
+        .expect(200);
+      expect(updated.body).toMatchObject({ version: 2, nonconforming_items: 1 });
+
+      await request(app).put('/api/types/schema-evolving').set(asAdmin()).set('If-Match', '"v1"').send({ schema: {} }).expect(412);
+
+      const inUse = await request(app).delete('/api/types/schema-evolving').set(asAdmin()).expect(409);
+      expect(inUse.body.items).toBe(1);
+
+      await request(app).post('/api/types').set(asAdmin()).send({ name: 'schema-unused', schema: {} }).expect(201);
+      await request(app).delete('/api/types/schema-unused').set(asAdmin()).expect(200);
+      await request(app).get('/api/types/schema-unused').expect(404);
+    });
+  });
+
+  describe('Webhooks', () => {
+    const http = require('http');
+    const crypto = require('crypto');
+    const config = require('../../src/config');
+    let receiver;
+    let received;
+    let failuresLeft;
+
+    const waitFor = async (condition, timeoutMs = 3000) => {
+      const deadline = Date.now() + timeoutMs;
+      while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for webhook delivery');
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    };
+
+    // Let the dispatcher record the attempt after the receiver answered
+    const settle = () => new Promise(resolve => setTimeout(resolve, 50));
+
+    const subscribe = async (events, extra = {}) => {
+      const response = await request(app)
+        .post('/api/webhooks')
+        .set(asAdmin())
+        .send({ url: `http://127.0.0.1:${receiver.address().port}/hook`, events, ...extra })
+        .expect(201);
+      return response.body;
+    };
+
+    beforeAll(async () => {
+      receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+          received.push({ headers: req.headers, body });
+          if (failuresLeft > 0) {
+            failuresLeft -= 1;
+            res.writeHead(500).end();
+          } else {
+            res.writeHead(204).end();
+          }
+        });
+      });
+      await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => receiver.close(resolve));
+    });
+
+    beforeEach(() => {
+      received = [];
+      failuresLeft = 0;
+      config.webhooks.baseDelayMs = 5;
+    });
+
+    afterEach(async () => {
+      config.webhooks.baseDelayMs = 1000;
+      config.webhooks.maxAttempts = 6;
+      const list = await request(app).get('/api/webhooks').set(asAdmin());
+      for (const webhook of list.body.webhooks) {
+        await request(app).delete(`/api/webhooks/${webhook.id}`).set(asAdmin()).expect(200);
+      }
+    });
+
+    it('should keep webhooks to callers granted webhooks:manage', async () => {
+      const refused = await request(app).post('/api/webhooks').send({ url: 'http://127.0.0.1:9/hook', events: ['user.*'] }).expect(403);
+      expect(refused.body).toMatchObject({ error: 'Forbidden', action: 'webhooks:manage' });
+      await request(app).get('/api/webhooks').expect(403);
+      await request(app).get('/api/webhooks/dead-letters').expect(403);
+
+      const list = await request(app).get('/api/webhooks').set(asAdmin()).expect(200);
+      expect(list.body.count).toBe(0);
+    });
+
+    it('should validate subscriptions and hide the secret', async () => {
+      const invalid = await request(app)
+        .post('/api/webhooks')
+        .set(asAdmin())
+        .send({ url: 'ftp://example.com', events: ['data.exploded'], secret: 'short' })
+        .expect(422);
+      expect(invalid.body.errors.map(error => error.field).sort()).toEqual(['events', 'secret', 'url']);
+
+      const webhook = await subscribe(['data.*']);
+      expect(webhook.secret).toMatch(/^whsec_/);
+
+      const fetched = await request(app).get(`/api/webhooks/${webhook.id}`).set(asAdmin()).expect(200);
+      expect(fetched.body.secret).toBeUndefined();
+      expect(fetched.body.secret_hint).toBe(`...${webhook.secret.slice(-4)}`);
+    });
+
+    it('should deliver signed events for matching changes', async () => {
+      const secret = 'local-receiver-secret';
+      const webhook = await subscribe(['data.created'], { secret });
+
+      const created = await request(app).post('/api/data').send({ content: 'Webhook me' }).expect(201);
+      await request(app).post('/api/users').set(asAdmin()).send({ name: 'Not subscribed', email: `hook.${Date.now()}@example.com` }).expect(201);
+      await waitFor(() => received.length === 1);
+
+      const [{ headers, body }] = received;
+      const payload = JSON.parse(body);
+      expect(payload).toMatchObject({ event: 'data.created', data: { item: { id: created.body.id } } });
+      expect(headers['x-webhook-event']).toBe('data.created');
+
+      const [, timestamp, digest] = headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+      expect(crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')).toBe(digest);
+
+      await settle();
+      const history = await request(app).get(`/api/webhooks/${webhook.id}/deliveries`).set(asAdmin()).expect(200);
+      expect(history.body.deliveries).toHaveLength(1);
+      expect(history.body.deliveries[0]).toMatchObject({ status: 'succeeded', attempt_count: 1, event: 'data.created' });
+    });
+
+    it('should retry failed deliveries with backoff', async () => {
+      const webhook = await subscribe(['users.*']);
+      failuresLeft = 2;
+
+      await request(app).post('/api/users').set(asAdmin()).send({ name: 'Retry', email: `retry.${Date.now()}@example.com` }).expect(201);
+      await waitFor(() => received.length === 3);
+      await settle();
+
+      const history = await request(app).get(`/api/webhooks/${webhook.id}/deliveries?status=succeeded`).set(asAdmin()).expect(200);
+      const [delivery] = history.body.deliveries;
+      expect(delivery.attempts.map(attempt => attempt.response_status)).toEqual([500, 500, 204]);
+      expect(new Set(received.map(entry => entry.headers['x-webhook-delivery']))).toEqual(new Set([delivery.id]));
+    });
+
+    it('should dead-letter deliveries that keep failing and allow redelivery', async () => {
+      config.webhooks.maxAttempts = 2;
+      const webhook = await subscribe(['*']);
+      failuresLeft = 2;
+
+      const ping = await request(app).post(`/api/webhooks/${webhook.id}/ping`).set(asAdmin()).expect(202);
+      await waitFor(() => received.length === 2);
+      await settle();
+
+      const dead = await request(app).get('/api/webhooks/dead-letters').set(asAdmin()).expect(200);
+      expect(dead.body.deliveries.map(delivery => delivery.id)).toContain(ping.body.delivery.id);
+
+      await request(app).post(`/api/webhooks/${webhook.id}/deliveries/${ping.body.delivery.id}/redeliver`).set(asAdmin()).expect(202);
+      await waitFor(() => received.length === 3);
+      await settle();
+
+      const delivery = await request(app).get(`/api/webhooks/${webhook.id}/deliveries/${ping.body.delivery.id}`).set(asAdmin()).expect(200);
+      expect(delivery.body).toMatchObject({ status: 'succeeded', event: 'ping' });
+      expect(delivery.body.attempts).toHaveLength(3);
+    });
+  });
+
+  describe('Data Change Stream', () => {
+    const http = require('http');
+    const config = require('../../src/config');
+    let server;
+
+    // Open the stream and collect parsed events until `done` returns true
+    const openStream = (headers = {}, path = '/api/data/stream') => new Promise((resolve, reject) => {
+      const req = http.get({ port: server.address().port, path, headers }, (res) => {
+        const stream = { res, text: '', events: [], close: () => req.destroy() };
+        res.setEncoding('utf8');
+        res.on('data', chunk => {
+          stream.text += chunk;
+          stream.events = stream.text.split('\n\n')
+            .filter(block => block.includes('event: '))
+            .map(block => Object.fromEntries(block.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)])))
+            .map(({ id, event, data }) => ({ id: Number(id), event, data: JSON.parse(data) }));
+        });
+        resolve(stream);
+      });
+      req.on('error', reject);
+    });
+
+    const waitFor = async (condition, timeoutMs = 3000) => {
+      const deadline = Date.now() + timeoutMs;
+      while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for stream events');
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+    };
+
+    beforeAll(async () => {
+      server = http.createServer(app);
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    afterEach(() => {
+      config.stream.heartbeatMs = 15000;
+    });
+
+    it('should stream creates, updates and deletes uncompressed', async () => {
+      const stream = await openStream({ 'Accept-Encoding': 'gzip' });
+      expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(stream.res.headers['content-encoding']).toBeUndefined();
+
+      const created = await request(app).post('/api/data').send({ content: 'Streamed' }).expect(201);
+      await request(app).put(`/api/data/${created.body.id}`).send({ content: 'Streamed again' }).expect(200);
+      await request(app).delete(`/api/data/${created.body.id}`).expect(200);
+      await waitFor(() => stream.events.length === 3);
+      stream.close();
+
+      expect(stream.events.map(event => event.event)).toEqual(['data.created', 'data.updated', 'data.deleted']);
+      expect(stream.events.every(event => event.data.item.id === created.body.id)).toBe(true);
+      expect(stream.events[1].id).toBe(stream.events[0].id + 1);
+      expect(stream.text.startsWith('retry: ')).toBe(true);
+    });
+
+    it('should resume after Last-Event-ID and reset when the backlog cannot cover it', async () => {
+      const first = await openStream();
+      await request(app).post('/api/data').send({ content: 'Before reconnect' }).expect(201);
+      await waitFor(() => first.events.length === 1);
+      first.close();
+      const lastSeen = first.events[0].id;
+
+      const missed = await request(app).post('/api/data').send({ content: 'While disconnected' }).expect(201);
+      const resumed = await openStream({ 'Last-Event-ID': String(lastSeen) });
+      await waitFor(() => resumed.events.length === 1);
+      resumed.close();
+      expect(resumed.events[0]).toMatchObject({ id: lastSeen + 1, event: 'data.created' });
+      expect(resumed.events[0].data.item.id).toBe(missed.body.id);
+
+      const reset = await openStream({}, '/api/data/stream?last_event_id=999999');
+      await waitFor(() => reset.events.length === 1);
+      reset.close();
+      expect(reset.events[0].event).toBe('reset');
+
+      await request(app).get('/api/data/stream').set('Last-Event-ID', 'abc').expect(422);
+    });
+
+    it('should send heartbeats', async () => {
+      config.stream.heartbeatMs = 20;
+      const stream = await openStream();
+      await waitFor(() => stream.text.includes(': heartbeat'));
+      stream.close();
+    });
+  });
+
+  describe('GraphQL', () => {
+    const config = require('../../src/config');
+    const uniqueEmail = (name) => `${name}.${Date.now()}.${Math.random().toString(36).slice(2)}@example.com`;
+
+    const graphql = (query, variables, headers = {}) => request(app)
+      .post('/graphql')
+      .set(headers)
+      .send({ query, variables });
+
+    afterEach(() => {
+      config.concurrency.requireIfMatch = false;
+    });
+
+    it('should fetch users, their data and metrics in one request', async () => {
+      const owner = await request(app).post('/api/users').set(asAdmin()).send({ name: 'Graph Owner', email: uniqueEmail('graph') }).expect(201);
+      const item = await request(app).post('/api/data').send({ content: 'Graph item', type: 'note', owner_id: owner.body.id }).expect(201);
+
+      const response = await graphql(`query Overview($id: ID!) {
+        user(id: $id) {
+          name
+          etag
+          data { total items { id content owner { id } } }
+        }
+        metrics { requests { total } recent_requests(limit: 1) { method } snapshot }
+        status
+      }`, { id: owner.body.id }).expect(200);
+
+      expect(response.body.errors).toBeUndefined();
+      const { user, metrics, status } = response.body.data;
+      expect(user).toMatchObject({ name: 'Graph Owner', etag: owner.headers.etag });
+      expect(user.data).toEqual({ total: 1, items: [{ id: item.body.id, content: 'Graph item', owner: { id: owner.body.id } }] });
+      expect(metrics.requests.total).toBeGreaterThan(0);
+      expect(metrics.recent_requests).toHaveLength(1);
+      expect(metrics.snapshot).toHaveProperty('application.requests.total');
+      expect(status.status).toBe('running');
+    });
+
+    it('should page and filter lists with the REST list rules', async () => {
+      await request(app).post('/api/data').send({ content: 'Paged', type: 'graphpage' }).expect(201);
+      await request(app).post('/api/data').send({ content: 'Paged', type: 'graphpage' }).expect(201);
+
+      const response = await graphql('{ data(type: "graphpage", limit: 1) { total limit has_more next_cursor items { type } } }').expect(200);
+      expect(response.body.data.data).toMatchObject({ total: 2, limit: 1, has_more: true, items: [{ type: 'graphpage' }] });
+
+      const invalid = await graphql('{ users(limit: 0, sort: "password") { total } }').expect(200);
+      expect(invalid.body.data).toBeNull();
+      expect(invalid.body.errors[0].extensions).toMatchObject({ code: 'BAD_USER_INPUT', status: 422 });
+      expect(invalid.body.errors[0].extensions.errors.map(error => error.field).sort()).toEqual(['limit', 'sort']);
+    });
+
+    it('should create, update and delete like the REST routes', async () => {
+      const created = await graphql(`mutation {
+        createUser(input: { name: "  Graph User  ", email: "${uniqueEmail('gql')}" }) { id name role etag }
+      }`, {}, asAdmin()).expect(200);
+      const user = created.body.data.createUser;
+      expect(user).toMatchObject({ name: 'Graph User', role: 'user', etag: '"v1"' });
+
+      const item = await graphql(`mutation Create($input: CreateDataInput!) {
+        createData(input: $input) { id owner_id metadata }
+      }`, { input: { content: { title: 'From GraphQL' }, metadata: { source: 'graphql' } } }, asUser(user.id)).expect(200);
+      const { id } = item.body.data.createData;
+      expect(item.body.data.createData).toMatchObject({ owner_id: user.id, metadata: { source: 'graphql' } });
+
+      const updated = await graphql(`mutation { updateData(id: "${id}", input: { type: "graphql" }, if_match: "\\"v1\\"") { type content etag } }`).expect(200);
+      expect(updated.body.data.updateData).toEqual({ type: 'graphql', content: { title: 'From GraphQL' }, etag: '"v2"' });
+
+      const revisions = await request(app).get(`/api/data/${id}/revisions`).expect(200);
+      expect(revisions.body.revisions.map(revision => revision.action)).toEqual(['update', 'create']);
+
+      const admin = await request(app).post('/api/users').set(asAdmin()).send({ name: 'Graph Admin', email: uniqueEmail('gql-admin'), role: 'admin' }).expect(201);
+      const blocked = await graphql(`mutation { deleteUser(id: "${user.id}") { data_policy } }`, {}, asUser(admin.body.id)).expect(200);
+      expect(blocked.body.errors[0].extensions).toMatchObject({ code: 'CONFLICT', status: 409, owned_items: 1 });
+
+      const trashed = await graphql(`mutation { deleteData(id: "${id}") { message deleted_item { deleted_at } } }`).expect(200);
+      expect(trashed.body.data.deleteData.message).toBe('Data moved to trash');
+      await request(app).get(`/api/data/${id}`).expect(404);
+
+      const hard = await graphql(`mutation { deleteData(id: "${id}", hard: true) { message } }`).expect(200);
+      expect(hard.body.errors[0].extensions.code).toBe('FORBIDDEN');
+    });
+
+    it('should report validation, conflicts and stale writes as errors', async () => {
+      const email = uniqueEmail('taken');
+      const existing = await request(app).post('/api/users').set(asAdmin()).send({ name: 'Taken', email }).expect(201);
+
+      const invalid = await graphql('mutation { createData(input: { content: 42 }) { id } }').expect(200);
+      expect(invalid.body.errors[0].extensions.errors).toEqual([
+        expect.objectContaining({ field: 'content', message: 'Content must be a string or an object' })
+      ]);
+
+      const conflict = await graphql(`mutation { createUser(input: { name: "Dup", email: "${email.toUpperCase()}" }) { id } }`, {}, asAdmin()).expect(200);
+      expect(conflict.body.errors[0].extensions).toMatchObject({ code: 'CONFLICT', field: 'email' });
+
+      const stale = await graphql(`mutation { updateUser(id: "${existing.body.id}", input: { role: "admin" }, if_match: "\\"v9\\"") { id } }`, {}, asAdmin()).expect(200);
+      expect(stale.body.errors[0].extensions).toMatchObject({ code: 'PRECONDITION_FAILED', current_etag: '"v1"' });
+
+      config.concurrency.requireIfMatch = true;
+      const missing = await graphql(`mutation { updateUser(id: "${existing.body.id}", input: { role: "admin" }) { id } }`, {}, asAdmin()).expect(200);
+      expect(missing.body.errors[0].extensions.code).toBe('PRECONDITION_REQUIRED');
+
+      const notFound = await graphql('mutation { deleteData(id: "00000000-0000-4000-8000-000000000000") { message } }').expect(200);
+      expect(notFound.body.errors[0].extensions).toMatchObject({ code: 'NOT_FOUND', status: 404 });
+    });
+
+    it('should reject queries over the depth or complexity limits', async () => {
+      const deep = await graphql('{ data { items { owner { data { items { owner { data { items { id } } } } } } } } }').expect(400);
+      expect(deep.body.errors[0].extensions).toMatchObject({ code: 'QUERY_TOO_DEEP', depth: 9, maxDepth: config.graphql.maxDepth });
+
+      const complex = await graphql('query($n: Int) { users(limit: $n) { items { data(limit: $n) { items { id } } } } }', { n: 100 }).expect(400);
+      expect(complex.body.errors[0].extensions.code).toBe('QUERY_TOO_COMPLEX');
+    });
+
+    it('should answer malformed requests with 400', async () => {
+      await graphql('{ users { total ').expect(400);
+      const unknown = await graphql('{ passwords }').expect(400);
+      expect(unknown.body.errors[0].message).toMatch(/passwords/);
+      await request(app).post('/graphql').send({}).expect(400);
+      await request(app).post('/graphql').send({ query: '{ status }', variables: [1] }).expect(400);
+    });
+
+    it('should run queries but not mutations over GET', async () => {
+      const query = await request(app).get('/graphql').query({ query: '{ health }' }).expect(200);
+      expect(query.body.data.health.status).toBe('healthy');
+
+      const mutation = await request(app)
+        .get('/graphql')
+        .query({ query: 'mutation { createData(input: { content: "x" }) { id } }' })
+        .expect(405);
+      expect(mutation.headers.allow).toBe('POST');
+    });
+
+    it('should serve the explorer and the schema', async () => {
+      const explorer = await request(app).get('/graphql').set('Accept', 'text/html').expect(200);
+      expect(explorer.text).toContain('GraphQL Explorer');
+
+      const schema = await request(app).get('/graphql/schema').expect(200);
+      expect(schema.text).toContain('type Query');
+    });
+  });
+
+  describe('Admin Authentication', () => {
+    const crypto = require('crypto');
+    const jwt = require('jsonwebtoken');
+    const config = require('../../src/config');
+    const secret = crypto.randomBytes(32);
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+
+    const token = (claims = {}, { kid = 'test-hs', key = secret, algorithm = 'HS256', expiresIn = '5m' } = {}) =>
+      jwt.sign({ sub: 'ops@example.com', ...claims }, key, { algorithm, keyid: kid, ...(expiresIn && { expiresIn }) });
+
+    beforeEach(() => {
+      config.adminAuth.jwks = {
+        keys: [
+          { kty: 'oct', kid: 'test-hs', alg: 'HS256', k: secret.toString('base64url') },
+          { ...publicKey.export({ format: 'jwk' }), kid: 'test-es', alg: 'ES256' },
+          suiteKey
+        ]
+      };
+    });
+
+    afterEach(() => {
+      config.adminAuth.jwks = { keys: [suiteKey] };
+      config.adminAuth.issuer = null;
+    });
+
+    it('should answer 503 when the configured key set is unusable', async () => {
+      config.adminAuth.jwks = '{"keys": [';
+      const response = await request(app).get('/admin/api/stats').set('Authorization', `Bearer ${token()}`).expect(503);
+      expect(response.body.error).toMatchObject({ message: 'Admin authentication is misconfigured', status: 503 });
+      expect(JSON.stringify(response.body)).not.toContain('ADMIN_JWKS');
+    });
+
+    it('should refuse admin endpoints without a bearer token', async () => {
+      for (const [method, path] of [['get', '/admin/api/system'], ['post', '/admin/api/restart'], ['post', '/admin/api/cache/clear']]) {
+        const response = await request(app)[method](path).expect(401);
+        expect(response.headers['www-authenticate']).toBe('Bearer realm="admin"');
+        expect(response.body.error).toMatchObject({ message: 'Unauthorized', status: 401 });
+        expect(response.body.error.stack).toBeUndefined();
+      }
+
+      await request(app).get('/admin/api/stats').set('Authorization', `Basic ${Buffer.from('a:b').toString('base64')}`).expect(401);
+    });
+
+    it('should accept tokens signed by any configured key', async () => {
+      const response = await request(app)
+        .get('/admin/api/system')
+        .set('Authorization', `Bearer ${token()}`)
+        .expect(200);
+      expect(response.body).toHaveProperty('network');
+
+      await request(app)
+        .post('/admin/api/restart')
+        .set('Authorization', `Bearer ${token({}, { kid: 'test-es', key: privateKey, algorithm: 'ES256' })}`)
+        .expect(200);
+    });
+
+    it('should explain why a token was rejected', async () => {
+      const expired = await request(app)
+        .get('/admin/api/stats')
+        .set('Authorization', `Bearer ${token({ exp: Math.floor(Date.now() / 1000) - 3600 }, { expiresIn: null })}`)
+        .expect(401);
+      expect(expired.headers['www-authenticate']).toBe('Bearer realm="admin", error="invalid_token", error_description="Token expired"');
+
+      const forged = await request(app)
+        .get('/admin/api/stats')
+        .set('Authorization', `Bearer ${token({}, { key: crypto.randomBytes(32) })}`)
+        .expect(401);
+      expect(forged.headers['www-authenticate']).toContain('error_description="Invalid token"');
+
+      config.adminAuth.issuer = 'https://login.example.com';
+      await request(app).get('/admin/api/stats').set('Authorization', `Bearer ${token()}`).expect(401);
+      await request(app)
+        .get('/admin/api/stats')
+        .set('Authorization', `Bearer ${token({ iss: 'https://login.example.com' })}`)
+        .expect(200);
+    });
+
+    it('should apply the role claim to admin actions', async () => {
+      const operator = `Bearer ${token({ role: 'user' })}`;
+
+      await request(app).get('/admin/api/stats').set('Authorization', operator).expect(200);
+      const restart = await request(app).post('/admin/api/restart').set('Authorization', operator).expect(403);
+      expect(restart.body).toMatchObject({ error: 'Forbidden', action: 'admin:restart' });
+      await request(app).post('/admin/api/cache/clear').set('Authorization', operator).expect(403);
+      await request(app).post('/admin/api/cache/clear').set('Authorization', `Bearer ${token()}`).expect(200);
+    });
+
+    it('should refuse every token when no keys are configured', async () => {
+      config.adminAuth.jwks = null;
+
+      await request(app).get('/admin/api/health').set('Authorization', `Bearer ${token()}`).expect(401);
+    });
+  });
+
+  describe('Permissions', () => {
+    const config = require('../../src/config');
+    let admin;
+    let member;
+
+    beforeAll(async () => {
+      admin = (await request(app).post('/api/users').set(asAdmin()).send({ name: 'Permission Admin', email: 'permission-admin@example.com', role: 'admin' })).body;
+      member = (await request(app).post('/api/users').set(asAdmin()).send({ name: 'Permission Member', email: 'permission-member@example.com' })).body;
+    });
+
+    afterEach(() => {
+      config.rbac.anonymousRole = 'user';
+    });
+
+    it('should list the permissions of the caller', async () => {
+      const anonymous = await request(app).get('/api/me/permissions').expect(200);
+      expect(anonymous.body).toMatchObject({ user: null, role: 'user', permissions: ['metrics:read', 'data:write'] });
+      expect(anonymous.body.actions).toMatchObject({ 'data:write': true, 'users:delete': false, 'admin:restart': false });
+
+      const promoted = await request(app).get('/api/me/permissions').set(asUser(admin.id)).expect(200);
+      expect(promoted.body.user).toEqual({ id: admin.id, name: 'Permission Admin', role: 'admin' });
+      expect(Object.values(promoted.body.actions).every(Boolean)).toBe(true);
+    });
+
+    it('should refuse actions the role does not grant', async () => {
+      const target = (await request(app).post('/api/users').set(asAdmin()).send({ name: 'Target', email: 'permission-target@example.com' })).body;
+
+      const response = await request(app).delete(`/api/users/${target.id}`).set(asUser(member.id)).expect(403);
+      expect(response.body).toMatchObject({ error: 'Forbidden', action: 'users:delete' });
+      await request(app).get(`/api/users/${target.id}`).expect(200);
+
+      await request(app).delete(`/api/users/${target.id}`).set(asUser(admin.id)).expect(200);
+    });
+
+    it('should take the caller from credentials and not from the X-User-Id header', async () => {
+      const forged = await request(app).get('/api/me/permissions').set('X-User-Id', admin.id).expect(200);
+      expect(forged.body).toMatchObject({ user: null, role: 'user' });
+
+      const escalation = await request(app)
+        .post('/api/users')
+        .set('X-User-Id', admin.id)
+        .send({ name: 'Self Made Admin', email: 'self-made-admin@example.com', role: 'admin' })
+        .expect(403);
+      expect(escalation.body).toMatchObject({ error: 'Forbidden', action: 'users:write' });
+
+      await request(app).get('/api/me/permissions').set('Authorization', 'Bearer not-a-token').expect(401);
+    });
+
+    it('should keep user creation, changes and imports to admins', async () => {
+      const anonymous = await request(app).patch(`/api/users/${member.id}`).send({ role: 'admin' }).expect(403);
+      expect(anonymous.body).toMatchObject({ error: 'Forbidden', action: 'users:write' });
+      await request(app).put(`/api/users/${member.id}`).set(asUser(member.id)).send({ name: 'Member', email: member.email, role: 'admin' }).expect(403);
+      await request(app).post('/api/users/import').set(asUser(member.id)).send([]).expect(403);
+      await request(app).post('/api/users').set(asUser(member.id)).send({ name: 'Other', email: 'permission-other@example.com' }).expect(403);
+      expect((await request(app).get(`/api/users/${member.id}`).expect(200)).body.role).toBe('user');
+
+      const promoted = await request(app).patch(`/api/users/${member.id}`).set(asUser(admin.id)).send({ role: 'admin' }).expect(200);
+      expect(promoted.body.role).toBe('admin');
+      await request(app).patch(`/api/users/${member.id}`).set(asAdmin()).send({ role: 'user' }).expect(200);
+    });
+
+    it('should make the API read-only for anonymous guests', async () => {
+      const item = (await request(app).post('/api/data').send({ content: 'Before lockdown' }).expect(201)).body;
+      config.rbac.anonymousRole = 'guest';
+
+      await request(app).post('/api/data').send({ content: 'Blocked' }).expect(403);
+      await request(app).put(`/api/data/${item.id}`).send({ content: 'Blocked' }).expect(403);
+      await request(app).delete(`/api/data/${item.id}`).expect(403);
+      await request(app).get('/api/metrics').expect(403);
+      await request(app).get(`/api/data/${item.id}`).expect(200);
+      await request(app).post('/api/data').set(asUser(member.id)).send({ content: 'Allowed' }).expect(201);
+
+      const graphql = await request(app)
+        .post('/graphql')
+        .send({ query: `mutation { deleteData(id: "${item.id}") { message } }` })
+        .expect(200);
+      expect(graphql.body.errors[0].extensions).toMatchObject({ code: 'FORBIDDEN', status: 403, action: 'data:write' });
+
+      const permissions = await request(app).get('/api/me/permissions').expect(200);
+      expect(permissions.body).toMatchObject({ role: 'guest', permissions: [] });
+    });
+  });
+
+  describe('Sessions', () => {
+    const crypto = require('crypto');
+    const jwt = require('jsonwebtoken');
+    const config = require('../../src/config');
+    const secret = crypto.randomBytes(32);
+
+    const token = (claims = {}) => jwt.sign({ sub: 'ops@example.com', ...claims }, secret, { algorithm: 'HS256', keyid: 'session-hs', expiresIn: '5m' });
+    const sessionCookie = (response) => (response.headers['set-cookie'] || []).find(cookie => cookie.startsWith('sid='));
+    const login = async (agent, claims) => {
+      const response = await agent.post('/auth/login').send({ token: token(claims) }).expect(200);
+      return response.body.csrf_token;
+    };
+
+    beforeEach(() => {
+      config.adminAuth.jwks = { keys: [{ kty: 'oct', kid: 'session-hs', alg: 'HS256', k: secret.toString('base64url') }, suiteKey] };
+    });
+
+    afterEach(() => {
+      config.adminAuth.jwks = { keys: [suiteKey] };
+    });
+
+    it('should issue a signed HttpOnly cookie for a valid token', async () => {
+      const agent = request.agent(app);
+      const response = await agent.post('/auth/login').send({ token: token() }).expect(200);
+
+      expect(response.body.session).toMatchObject({ subject: 'ops@example.com', role: 'admin', user_id: null });
+      expect(response.body.csrf_token).toEqual(expect.any(String));
+      const cookie = sessionCookie(response);
+      expect(cookie).toMatch(/^sid=s%3A/);
+      expect(cookie).toMatch(/HttpOnly/);
+      expect(cookie).toMatch(/SameSite=Lax/);
+
+      const current = await agent.get('/auth/session').expect(200);
+      expect(current.body).toMatchObject({ authenticated: true, csrf_token: response.body.csrf_token });
+      await agent.get('/admin/api/stats').expect(200);
+    });
+
+    it('should refuse invalid tokens and tampered cookies', async () => {
+      const refused = await request(app).post('/auth/login').send({ token: jwt.sign({ sub: 'x' }, crypto.randomBytes(32), { expiresIn: '5m' }) }).expect(401);
+      expect(refused.headers['www-authenticate']).toContain('error="invalid_token"');
+      expect(sessionCookie(refused)).toBeUndefined();
+      await request(app).post('/auth/login').send({}).expect(401);
+      await request(app).post('/auth/login').send({ token: 42 }).expect(422);
+
+      const response = await request(app).post('/auth/login').set('Authorization', `Bearer ${token()}`).expect(200);
+      const forged = sessionCookie(response).split(';')[0].replace(/.$/, char => (char === 'A' ? 'B' : 'A'));
+      const current = await request(app).get('/auth/session').set('Cookie', forged).expect(200);
+      expect(current.body.authenticated).toBe(false);
+      await request(app).get('/admin/api/stats').set('Cookie', forged).expect(401);
+    });
+
+    it('should require the CSRF token for state-changing requests', async () => {
+      const agent = request.agent(app);
+      const csrfToken = await login(agent);
+
+      const blocked = await agent.post('/admin/api/restart').expect(403);
+      expect(blocked.body.error).toBe('Invalid CSRF token');
+      await agent.post('/admin/api/restart').set('X-CSRF-Token', 'wrong').expect(403);
+      await agent.post('/api/data').send({ content: 'No token' }).expect(403);
+
+      await agent.post('/admin/api/restart').set('X-CSRF-Token', csrfToken).expect(200);
+      await agent.post('/api/data').set('X-CSRF-Token', csrfToken).send({ content: 'With token' }).expect(201);
+      await agent.get('/api/data?limit=1').expect(200);
+    });
+
+    it('should refresh the session id on login and forget it on logout', async () => {
+      const agent = request.agent(app);
+      const first = await agent.post('/auth/login').send({ token: token() }).expect(200);
+      const oldCookie = sessionCookie(first).split(';')[0];
+
+      const second = await agent.post('/auth/login').set('X-CSRF-Token', first.body.csrf_token).send({ token: token() }).expect(200);
+      expect(sessionCookie(second).split(';')[0]).not.toBe(oldCookie);
+      expect(second.body.csrf_token).not.toBe(first.body.csrf_token);
+      const stale = await request(app).get('/auth/session').set('Cookie', oldCookie).expect(200);
+      expect(stale.body.authenticated).toBe(false);
+
+      const logout = await agent.post('/auth/logout').set('X-CSRF-Token', second.body.csrf_token).expect(200);
+      expect(sessionCookie(logout)).toMatch(/^sid=;/);
+      await agent.get('/admin/api/stats').expect(401);
+      expect((await agent.get('/auth/session').expect(200)).body.authenticated).toBe(false);
+    });
+
+    it('should act as the stored user a token names', async () => {
+      const user = (await request(app).post('/api/users').set(asAdmin()).send({ name: 'Session User', email: 'session-user@example.com' })).body;
+      const agent = request.agent(app);
+      const csrfToken = await login(agent, { sub: 'Session-User@example.com', role: 'admin' });
+
+      const permissions = await agent.get('/api/me/permissions').expect(200);
+      expect(permissions.body).toMatchObject({ role: 'user', user: { id: user.id } });
+
+      const item = await agent.post('/api/data').set('X-CSRF-Token', csrfToken).send({ content: 'Mine' }).expect(201);
+      expect(item.body.owner_id).toBe(user.id);
+      await agent.post('/admin/api/restart').set('X-CSRF-Token', csrfToken).expect(403);
+    });
+
+    it('should apply role changes to open sessions at once', async () => {
+      const user = (await request(app).post('/api/users').set(asAdmin()).send({ name: 'Demoted Admin', email: 'demoted-admin@example.com', role: 'admin' })).body;
+      const agent = request.agent(app);
+      const csrfToken = await login(agent, { sub: user.id });
+      await agent.get('/admin/api/keys').expect(200);
+
+      await request(app).patch(`/api/users/${user.id}`).set(asAdmin()).send({ role: 'user' }).expect(200);
+
+      const listed = await agent.get('/admin/api/keys').expect(403);
+      expect(listed.body).toMatchObject({ error: 'Forbidden', action: 'keys:manage' });
+      await agent.post('/admin/api/keys').set('X-CSRF-Token', csrfToken).send({ name: 'escalation', scopes: ['users:write'] }).expect(403);
+      await agent.patch(`/api/users/${user.id}`).set('X-CSRF-Token', csrfToken).send({ role: 'admin' }).expect(403);
+      expect((await agent.get('/api/me/permissions').expect(200)).body).toMatchObject({ role: 'user', user: { id: user.id } });
+    });
+
+    it('should end the sessions of deleted users', async () => {
+      const user = (await request(app).post('/api/users').set(asAdmin()).send({ name: 'Deleted Admin', email: 'deleted-admin@example.com', role: 'admin' })).body;
+      const agent = request.agent(app);
+      await login(agent, { sub: user.id });
+      await agent.get('/admin/api/stats').expect(200);
+
+      await request(app).delete(`/api/users/${user.id}`).set(asAdmin()).expect(200);
+
+      const refused = await agent.get('/api/me/permissions').expect(401);
+      expect(sessionCookie(refused)).toMatch(/^sid=;/);
+      await agent.get('/admin/api/stats').expect(401);
+      expect((await agent.get('/api/me/permissions').expect(200)).body).toMatchObject({ user: null, role: 'user' });
+    });
+  });
+
+  describe('Audit Log', () => {
+    const crypto = require('crypto');
+    const jwt = require('jsonwebtoken');
+    const config = require('../../src/config');
+    const { auditLog } = require('../../src/middleware/audit');
+    const secret = crypto.randomBytes(32);
+    let admin;
+    let member;
+
+    const bearer = (claims = {}) => `Bearer ${jwt.sign({ sub: 'auditor@example.com', ...claims }, secret, { algorithm: 'HS256', keyid: 'audit-hs', expiresIn: '5m' })}`;
+    const auditFor = async (response) => {
+      const listed = await request(app)
+        .get(`/admin/api/audit?request_id=${response.headers['x-request-id']}`)
+        .set('Authorization', bearer())
+        .expect(200);
+      expect(listed.body.total).toBe(1);
+      return listed.body.entries[0];
+    };
+
+    beforeAll(async () => {
+      admin = (await request(app).post('/api/users').set(asAdmin()).send({ name: 'Audit Admin', email: 'audit-admin@example.com', role: 'admin' })).body;
+      member = (await request(app).post('/api/users').set(asAdmin()).send({ name: 'Audit Member', email: 'audit-member@example.com' })).body;
+    });
+
+    beforeEach(() => {
+      config.adminAuth.jwks = { keys: [{ kty: 'oct', kid: 'audit-hs', alg: 'HS256', k: secret.toString('base64url') }, suiteKey] };
+    });
+
+    afterEach(() => {
+      config.adminAuth.jwks = { keys: [suiteKey] };
+    });
+
+    it('should record who changed what, with a before/after summary', async () => {
+      const created = await request(app).post('/api/data').set(asUser(member.id)).send({ content: 'Audited', type: 'audit' }).expect(201);
+      const creation = await auditFor(created);
+      expect(creation).toMatchObject({
+        actor: { user_id: member.id, name: 'Audit Member', subject: member.id, role: 'user', via: 'token' },
+        action: 'POST /api/data',
+        target: { type: 'data', id: null },
+        request_id: created.headers['x-request-id'],
+        outcome: 'success',
+        status: 201
+      });
+      expect(creation.ip).toBeDefined();
+      expect(creation.changes).toEqual([
+        expect.objectContaining({ collection: 'data', id: created.body.id, change: 'insert', after: expect.objectContaining({ content: 'Audited', type: 'audit' }) })
+      ]);
+
+      const deleted = await request(app).delete(`/api/data/${created.body.id}`).set(asUser(member.id)).expect(200);
+      const deletion = await auditFor(deleted);
+      expect(deletion).toMatchObject({ action: 'DELETE /api/data/:id', target: { type: 'data', id: created.body.id } });
+      expect(deletion.changes).toEqual([{
+        collection: 'data',
+        id: created.body.id,
+        change: 'update',
+        before: { deleted_at: null, version: 1 },
+        after: expect.objectContaining({ deleted_at: expect.any(String), version: 2 })
+      }]);
+    });
+
+    it('should ignore a claimed X-User-Id when recording the actor', async () => {
+      const created = await request(app).post('/api/data').set('X-User-Id', admin.id).send({ content: 'Claimed' }).expect(201);
+      const entry = await auditFor(created);
+      expect(entry.actor).toEqual({ user_id: null, name: null, subject: null, role: 'user', via: 'anonymous' });
+      expect(JSON.stringify(entry)).not.toContain(admin.id);
+
+      const byActor = await request(app).get(`/admin/api/audit?actor=${admin.id}&request_id=${created.headers['x-request-id']}`).set('Authorization', bearer()).expect(200);
+      expect(byActor.body.total).toBe(0);
+    });
+
+    it('should record refused requests and admin actions', async () => {
+      const refused = await request(app).delete(`/api/users/${admin.id}`).set(asUser(member.id)).expect(403);
+      expect(await auditFor(refused)).toMatchObject({ outcome: 'denied', status: 403, changes: [], target: { type: 'users', id: admin.id } });
+
+      const cleared = await request(app).post('/admin/api/cache/clear').set('Authorization', bearer()).expect(200);
+      const entry = await auditFor(cleared);
+      expect(entry).toMatchObject({
+        actor: { user_id: null, subject: 'auditor@example.com', role: 'admin', via: 'token' },
+        action: 'POST /admin/api/cache/clear',
+        target: { type: 'cache' }
+      });
+      expect(entry.changes[0]).toMatchObject({ collection: 'metrics', change: 'reset', after: { requests_total: 0 } });
+      expect(entry.changes[0].before.requests_total).toBeGreaterThan(0);
+    });
+
+    it('should filter entries', async () => {
+      await request(app).post('/api/data').set(asUser(admin.id)).send({ content: 'Filtered' }).expect(201);
+
+      const byActor = await request(app).get(`/admin/api/audit?actor=${admin.id}&method=POST&limit=1`).set('Authorization', bearer()).expect(200);
+      expect(byActor.body.entries).toHaveLength(1);
+      expect(byActor.body.entries[0]).toMatchObject({ action: 'POST /api/data', actor: { user_id: admin.id } });
+
+      const denied = await request(app).get('/admin/api/audit?outcome=denied&target_type=users').set('Authorization', bearer()).expect(200);
+      expect(denied.body.total).toBeGreaterThan(0);
+      expect(denied.body.entries.every(entry => entry.outcome === 'denied' && entry.target.type === 'users')).toBe(true);
+
+      const future = await request(app).get('/admin/api/audit?since=2999-01-01T00:00:00Z').set('Authorization', bearer()).expect(200);
+      expect(future.body).toMatchObject({ entries: [], total: 0 });
+
+      const invalid = await request(app).get('/admin/api/audit?outcome=maybe&since=yesterday').set('Authorization', bearer()).expect(422);
+      expect(invalid.body.errors.map(error => error.field).sort()).toEqual(['outcome', 'since']);
+      await request(app).get('/admin/api/audit').set('Authorization', bearer({ role: 'user' })).expect(403);
+    });
+
+    it('should detect tampering through the hash chain', async () => {
+      const verified = await request(app).get('/admin/api/audit/verify').set('Authorization', bearer()).expect(200);
+      expect(verified.body).toMatchObject({ valid: true, broken: null });
+      expect(verified.body.checked).toBeGreaterThan(0);
+
+      const [first] = auditLog.entries();
+      auditLog.collection.update(first.id, { ...first, outcome: 'failure' });
+      try {
+        const tampered = await request(app).get('/admin/api/audit/verify').set('Authorization', bearer()).expect(409);
+        expect(tampered.body).toMatchObject({ valid: false, broken: { seq: 1, reason: 'Entry hash does not match its contents' } });
+      } finally {
+        auditLog.collection.update(first.id, first);
+      }
+    });
+  });
+
+  describe('API Keys', () => {
+    const crypto = require('crypto');
+    const jwt = require('jsonwebtoken');
+    const config = require('../../src/config');
+    const { auditLog } = require('../../src/middleware/audit');
+    const secret = crypto.randomBytes(32);
+
+    const bearer = (claims = {}) => `Bearer ${jwt.sign({ sub: 'keymaster@example.com', ...claims }, secret, { algorithm: 'HS256', keyid: 'keys-hs', expiresIn: '5m' })}`;
+    const createKey = async (fields = {}) => (await request(app)
+      .post('/admin/api/keys')
+      .set('Authorization', bearer())
+      .send({ name: 'ci pipeline', scopes: ['data:write'], ...fields })
+      .expect(201)).body;
+
+    beforeEach(() => {
+      config.adminAuth.jwks = { keys: [{ kty: 'oct', kid: 'keys-hs', alg: 'HS256', k: secret.toString('base64url') }, suiteKey] };
+    });
+
+    afterEach(() => {
+      config.adminAuth.jwks = { keys: [suiteKey] };
+    });
+
+    it('should create keys that are shown once and listed without secrets', async () => {
+      const created = await createKey({ scopes: ['data:write', 'metrics:read', 'data:write'], rate_limit: 500 });
+      expect(created).toMatchObject({
+        name: 'ci pipeline',
+        scopes: ['data:write', 'metrics:read'],
+        rate_limit: 500,
+        expires_at: null,
+        created_by: 'keymaster@example.com',
+        last_used_at: null,
+        revoked_at: null,
+        status: 'active'
+      });
+      expect(created.key).toMatch(new RegExp(`^rsk_${created.prefix}_[\\w-]{32}$`));
+      expect(created.key_hash).toBeUndefined();
+
+      const listed = await request(app).get('/admin/api/keys').set('Authorization', bearer()).expect(200);
+      const entry = listed.body.api_keys.find(apiKey => apiKey.id === created.id);
+      expect(entry).toMatchObject({ prefix: created.prefix, status: 'active' });
+      expect(JSON.stringify(listed.body)).not.toContain(created.key);
+      expect(JSON.stringify(listed.body)).not.toContain('key_hash');
+      expect(listed.body.scopes).not.toContain('keys:manage');
+
+      const fetched = await request(app).get(`/admin/api/keys/${created.id}`).set('Authorization', bearer()).expect(200);
+      expect(fetched.body.key).toBeUndefined();
+      await request(app).get(`/admin/api/keys/${crypto.randomUUID()}`).set('Authorization', bearer()).expect(404);
+    });
+
+    it('should validate new keys and only let admins manage them', async () => {
+      const invalid = await request(app)
+        .post('/admin/api/keys')
+        .set('Authorization', bearer())
+        .send({ name: '', scopes: ['keys:manage'], expires_at: '2001-01-01T00:00:00Z', rate_limit: 0 })
+        .expect(422);
+      expect(invalid.body.errors.map(error => error.field).sort()).toEqual(['expires_at', 'name', 'rate_limit', 'scopes']);
+
+      await request(app).get('/admin/api/keys').set('Authorization', bearer({ role: 'user' })).expect(403);
+      await request(app).get('/admin/api/keys').expect(401);
+
+      const { key } = await createKey({ scopes: ['metrics:read', 'admin:cache'] });
+      const refused = await request(app).post('/admin/api/keys').set('Authorization', `ApiKey ${key}`).send({ name: 'minted', scopes: ['data:write'] }).expect(403);
+      expect(refused.body.action).toBe('keys:manage');
+    });
+
+    it('should authenticate requests with the key scopes as permissions', async () => {
+      const apiKey = await createKey({ scopes: ['data:write', 'metrics:read'] });
+      const auth = `ApiKey ${apiKey.key}`;
+
+      const permissions = await request(app).get('/api/me/permissions').set('Authorization', auth).expect(200);
+      expect(permissions.body).toMatchObject({
+        role: 'api_key',
+        api_key: { id: apiKey.id, name: 'ci pipeline', prefix: apiKey.prefix },
+        permissions: ['data:write', 'metrics:read'],
+        actions: { 'data:write': true, 'users:delete': false, 'keys:manage': false }
+      });
+
+      const created = await request(app).post('/api/data').set('Authorization', auth).send({ content: 'From CI' }).expect(201);
+      await request(app).get('/admin/api/stats').set('Authorization', auth).expect(200);
+
+      const user = (await request(app).post('/api/users').set(asAdmin()).send({ name: 'Key Target', email: 'key-target@example.com' })).body;
+      const refused = await request(app).delete(`/api/users/${user.id}`).set('Authorization', auth).expect(403);
+      expect(refused.body.message).toBe(`API key ${apiKey.prefix} is not scoped for users:delete`);
+      await request(app).post('/admin/api/cache/clear').set('Authorization', auth).expect(403);
+
+      const used = await request(app).get(`/admin/api/keys/${apiKey.id}`).set('Authorization', bearer()).expect(200);
+      expect(used.body.last_used_at).toEqual(expect.any(String));
+
+      // The audit trail names the key, without the use bookkeeping as a change
+      const entry = auditLog.entries().find(candidate => candidate.request_id === created.headers['x-request-id']);
+      expect(entry.actor).toMatchObject({ subject: `apikey:${apiKey.prefix}`, role: 'api_key', via: 'api_key' });
+      expect(entry.changes.map(change => change.collection)).toEqual(['data']);
+    });
+
+    it('should refuse unknown, revoked and expired keys', async () => {
+      const unknown = await request(app).get('/api/status').set('Authorization', 'ApiKey rsk_nope').expect(401);
+      expect(unknown.headers['www-authenticate']).toBe('ApiKey realm="api", error="invalid_key", error_description="Invalid API key"');
+
+      const apiKey = await createKey();
+      await request(app).get('/api/status').set('Authorization', `ApiKey ${apiKey.key}`).expect(200);
+
+      const revoked = await request(app).delete(`/admin/api/keys/${apiKey.id}`).set('Authorization', bearer()).expect(200);
+      expect(revoked.body.api_key).toMatchObject({ id: apiKey.id, status: 'revoked', revoked_at: expect.any(String) });
+      await request(app).delete(`/admin/api/keys/${apiKey.id}`).set('Authorization', bearer()).expect(409);
+
+      const refused = await request(app).post('/api/data').set('Authorization', `ApiKey ${apiKey.key}`).send({ content: 'Too late' }).expect(401);
+      expect(refused.headers['www-authenticate']).toContain('error_description="API key revoked"');
+
+      const listed = await request(app).get('/admin/api/keys?status=revoked').set('Authorization', bearer()).expect(200);
+      expect(listed.body.api_keys.map(entry => entry.id)).toContain(apiKey.id);
+
+      const expiring = await createKey({ expires_at: new Date(Date.now() + 60 * 1000).toISOString() });
+      const now = Date.now();
+      const clock = jest.spyOn(Date, 'now').mockReturnValue(now + 60 * 1000);
+      try {
+        const expired = await request(app).get('/api/status').set('Authorization', `ApiKey ${expiring.key}`).expect(401);
+        expect(expired.headers['www-authenticate']).toContain('error_description="API key expired"');
+      } finally {
+        clock.mockRestore();
+      }
+    });
+
+    it('should rotate keys, keeping the old one only for the grace period', async () => {
+      const original = await createKey({ scopes: ['metrics:read'], rate_limit: 50 });
+
+      const rotated = await request(app).post(`/admin/api/keys/${original.id}/rotate`).set('Authorization', bearer()).send({ grace_seconds: 60 }).expect(201);
+      expect(rotated.body).toMatchObject({ name: 'ci pipeline', scopes: ['metrics:read'], rate_limit: 50, rotated_from: original.id, status: 'active' });
+      expect(rotated.body.key).not.toBe(original.key);
+      expect(rotated.body.rotated_key).toMatchObject({ id: original.id, replaced_by: rotated.body.id, status: 'active' });
+
+      await request(app).get('/api/metrics').set('Authorization', `ApiKey ${original.key}`).expect(200);
+      await request(app).get('/api/metrics').set('Authorization', `ApiKey ${rotated.body.key}`).expect(200);
+
+      const twice = await request(app).post(`/admin/api/keys/${original.id}/rotate`).set('Authorization', bearer()).expect(409);
+      expect(twice.body).toMatchObject({ error: 'API key was already rotated', replaced_by: rotated.body.id });
+      const chain = await request(app).get(`/admin/api/keys/${original.id}`).set('Authorization', bearer()).expect(200);
+      expect(chain.body).toMatchObject({ replaced_by: rotated.body.id, status: 'active' });
+      expect((await request(app).get('/admin/api/keys').set('Authorization', bearer())).body.api_keys.filter(apiKey => apiKey.rotated_from === original.id)).toHaveLength(1);
+
+      const again = await request(app).post(`/admin/api/keys/${rotated.body.id}/rotate`).set('Authorization', bearer()).expect(201);
+      await request(app).get('/api/metrics').set('Authorization', `ApiKey ${rotated.body.key}`).expect(401);
+      await request(app).get('/api/metrics').set('Authorization', `ApiKey ${again.body.key}`).expect(200);
+
+      await request(app).post(`/admin/api/keys/${rotated.body.id}/rotate`).set('Authorization', bearer()).expect(409);
+      await request(app).post(`/admin/api/keys/${again.body.id}/rotate`).set('Authorization', bearer()).send({ grace_seconds: -1 }).expect(422);
+    });
+  });
+
   describe('Error Handling', () => {
     it('should return 404 for non-existent routes', async () => {
       const response = await request(app)
@@ -162,6 +2293,7 @@ describe('API Routes Tests', () => {
     it('should handle malformed JSON', async () => {
       const response = await request(app)
         .post('/api/users')
+        .set(asAdmin())
         .set('Content-Type', 'application/json')
         .send('{"invalid": json}')
         .expect(400);
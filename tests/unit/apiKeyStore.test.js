@@ -0,0 +1,124 @@
+const express = require('express');
+const request = require('supertest');
+const { createStorage } = require('../../src/storage');
+const { ApiKeyStore, statusOf, hashKey, KEY_PATTERN } = require('../../src/storage/apiKeyStore');
+const rateLimiter = require('../../src/middleware/rateLimiter');
+
+describe('API Key Store Tests', () => {
+  let collection;
+  let store;
+
+  beforeEach(() => {
+    collection = createStorage({ driver: 'memory' }).collection('api_keys');
+    store = new ApiKeyStore(collection, { touchIntervalMs: 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should create keys that are only stored hashed', () => {
+    const { apiKey, key } = store.create({ name: 'ci', scopes: ['data:write'], created_by: 'ops' });
+
+    expect(key).toMatch(KEY_PATTERN);
+    expect(key.split('_')[1]).toBe(apiKey.prefix);
+    expect(apiKey).toMatchObject({ name: 'ci', scopes: ['data:write'], created_by: 'ops', expires_at: null, last_used_at: null, revoked_at: null });
+    expect(apiKey.key_hash).toBe(hashKey(key));
+    expect(JSON.stringify(collection.findAll())).not.toContain(key);
+
+    const other = store.create({ name: 'cron', scopes: ['metrics:read'] });
+    expect(other.key).not.toBe(key);
+    expect(other.apiKey.prefix).not.toBe(apiKey.prefix);
+  });
+
+  it('should authenticate active keys and refuse unknown, wrong, revoked and expired ones', () => {
+    const { apiKey, key } = store.create({ name: 'ci', scopes: ['data:write'] });
+
+    expect(store.authenticate(key).apiKey).toMatchObject({ id: apiKey.id });
+    expect(store.authenticate('not-a-key')).toEqual({ apiKey: null, reason: 'Invalid API key' });
+    expect(store.authenticate(`rsk_${apiKey.prefix}_${'x'.repeat(32)}`).reason).toBe('Invalid API key');
+    expect(store.authenticate(`rsk_${'0'.repeat(12)}_${'x'.repeat(32)}`).reason).toBe('Invalid API key');
+
+    store.revoke(apiKey.id);
+    expect(store.authenticate(key)).toEqual({ apiKey: null, reason: 'API key revoked' });
+
+    const expiring = store.create({ name: 'temp', scopes: ['metrics:read'], expires_at: new Date(Date.now() + 1000).toISOString() });
+    expect(store.authenticate(expiring.key).apiKey).not.toBeNull();
+    expect(store.authenticate(expiring.key, Date.now() + 1000).reason).toBe('API key expired');
+  });
+
+  it('should write last_used_at at most once per touch interval', () => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+    const { apiKey } = store.create({ name: 'ci', scopes: [] });
+
+    const used = store.touch(apiKey);
+    expect(used.last_used_at).toBe('2024-01-01T00:00:00.000Z');
+
+    jest.advanceTimersByTime(999);
+    expect(store.touch(used)).toBe(used);
+    expect(store.get(apiKey.id).version).toBe(used.version);
+
+    jest.advanceTimersByTime(1);
+    expect(store.touch(used).last_used_at).toBe('2024-01-01T00:00:01.000Z');
+  });
+
+  it('should rotate keys with an optional grace period', () => {
+    const now = Date.now();
+    const original = store.create({ name: 'ci', scopes: ['data:write'], rate_limit: 10 });
+
+    const rotated = store.rotate(original.apiKey.id, { graceSeconds: 60, created_by: 'ops' }, now);
+    expect(rotated.apiKey).toMatchObject({ name: 'ci', scopes: ['data:write'], rate_limit: 10, rotated_from: original.apiKey.id, created_by: 'ops', revoked_at: null });
+    expect(rotated.key).not.toBe(original.key);
+    expect(rotated.previous).toMatchObject({ replaced_by: rotated.apiKey.id, revoked_at: new Date(now + 60000).toISOString() });
+
+    expect(statusOf(rotated.previous, now)).toBe('active');
+    expect(store.authenticate(original.key, now).apiKey).not.toBeNull();
+    expect(store.authenticate(original.key, now + 60000).reason).toBe('API key revoked');
+    expect(store.authenticate(rotated.key, now + 60000).apiKey).toMatchObject({ id: rotated.apiKey.id });
+
+    const immediate = store.rotate(rotated.apiKey.id);
+    expect(store.authenticate(rotated.key).reason).toBe('API key revoked');
+    expect(store.authenticate(immediate.key).apiKey).not.toBeNull();
+
+    expect(store.rotate('missing')).toBeNull();
+    expect(store.revoke('missing')).toBeNull();
+  });
+
+  describe('rateLimiter', () => {
+    // req.apiKey as apiKeyAuth would set it, from a test header
+    const limitedApp = (keys) => {
+      const app = express();
+      app.use((req, res, next) => {
+        req.apiKey = keys[req.get('X-Test-Key')] || undefined;
+        next();
+      });
+      app.use(rateLimiter({ windowMs: 60 * 1000, max: 2 }));
+      app.get('/', (req, res) => res.json({ ok: true }));
+      return app;
+    };
+
+    it('should count each API key separately from the IP and from other keys', async () => {
+      const app = limitedApp({
+        a: { id: 'a', prefix: 'aaaaaaaaaaaa', rate_limit: null },
+        b: { id: 'b', prefix: 'bbbbbbbbbbbb', rate_limit: 3 }
+      });
+
+      await request(app).get('/').expect(200);
+      await request(app).get('/').expect(200);
+      const refused = await request(app).get('/').expect(429);
+      expect(refused.body.error).toBe('Too many requests from this IP, please try again later.');
+
+      await request(app).get('/').set('X-Test-Key', 'a').expect(200);
+      await request(app).get('/').set('X-Test-Key', 'a').expect(200);
+      const refusedKey = await request(app).get('/').set('X-Test-Key', 'a').expect(429);
+      expect(refusedKey.body).toEqual({ error: 'Too many requests with this API key, please try again later.', retryAfter: 60 });
+
+      // A key's own rate_limit replaces the default
+      for (let i = 0; i < 3; i += 1) {
+        const response = await request(app).get('/').set('X-Test-Key', 'b').expect(200);
+        expect(response.headers['ratelimit-limit']).toBe('3');
+      }
+      await request(app).get('/').set('X-Test-Key', 'b').expect(429);
+    });
+  });
+});
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { createStorage } = require('../../src/storage');
+const AuditLog = require('../../src/storage/auditLog');
+const { canonicalJson, GENESIS_HASH } = require('../../src/storage/auditLog');
+
+describe('Audit Log Tests', () => {
+  let collection;
+  let log;
+
+  const appendAll = (count) => Array.from({ length: count }, (_, i) => log.append({ action: 'POST /api/data', target: { type: 'data', id: `item-${i + 1}` }, outcome: 'success' }));
+
+  beforeEach(() => {
+    collection = createStorage({ driver: 'memory' }).collection('audit');
+    log = new AuditLog(collection);
+  });
+
+  it('should number and chain entries', () => {
+    const [first, second] = appendAll(2);
+
+    expect(first).toMatchObject({ seq: 1, prev_hash: GENESIS_HASH });
+    expect(first.hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(second).toMatchObject({ seq: 2, prev_hash: first.hash });
+    expect(log.verify()).toEqual({ valid: true, checked: 2, broken: null });
+  });
+
+  it('should continue the chain of an existing collection', () => {
+    const [, second] = appendAll(2);
+
+    const reopened = new AuditLog(collection);
+    expect(reopened.append({ action: 'DELETE /api/data/:id' })).toMatchObject({ seq: 3, prev_hash: second.hash });
+    expect(reopened.verify().valid).toBe(true);
+  });
+
+  it('should detect edited, removed and reordered entries', () => {
+    const entries = appendAll(4);
+
+    collection.update(entries[1].id, { ...entries[1], outcome: 'failure' });
+    expect(log.verify()).toEqual({ valid: false, checked: 1, broken: { seq: 2, reason: 'Entry hash does not match its contents' } });
+    collection.update(entries[1].id, entries[1]);
+    expect(log.verify().valid).toBe(true);
+
+    collection.remove(entries[2].id);
+    expect(log.verify().broken).toEqual({ seq: 4, reason: 'Expected entry 3' });
+    collection.insert(entries[2]);
+
+    collection.remove(entries[3].id);
+    expect(log.verify().broken).toEqual({ seq: 4, reason: 'Entry is missing' });
+  });
+
+  it('should detect an entry rewritten with a matching hash', () => {
+    const entries = appendAll(3);
+    const { hash, version, ...fields } = { ...entries[1], outcome: 'failure' };
+    const rehashed = crypto.createHash('sha256').update(canonicalJson(fields)).digest('hex');
+
+    collection.update(entries[1].id, { ...fields, hash: rehashed });
+    expect(log.verify().broken).toEqual({ seq: 3, reason: 'Previous hash does not match' });
+  });
+
+  it('should serialize objects with sorted keys', () => {
+    expect(canonicalJson({ b: 1, a: { d: [2, { f: null, e: 'x' }], c: undefined } })).toBe('{"a":{"d":[2,{"e":"x","f":null}]},"b":1}');
+  });
+});
@@ -0,0 +1,33 @@
+const { ChangeFeed, formatEvent } = require('../../src/utils/changeFeed');
+
+describe('Change Feed Tests', () => {
+  it('should number events and notify subscribers', () => {
+    const feed = new ChangeFeed({ backlogSize: 10 });
+    const seen = [];
+    const unsubscribe = feed.subscribe(entry => seen.push(entry.id));
+
+    feed.publish('data.created', { item: { id: 'a' } });
+    feed.publish('data.updated', { item: { id: 'a' } });
+    unsubscribe();
+    feed.publish('data.deleted', { item: { id: 'a' } });
+
+    expect(seen).toEqual([1, 2]);
+    expect(feed.subscriberCount).toBe(0);
+  });
+
+  it('should replay from the backlog and report gaps', () => {
+    const feed = new ChangeFeed({ backlogSize: 3 });
+    [1, 2, 3, 4, 5].forEach(n => feed.publish('data.created', { n }));
+
+    expect(feed.since(2).map(entry => entry.id)).toEqual([3, 4, 5]);
+    expect(feed.since(5)).toEqual([]);
+    expect(feed.since(1)).toBeNull();
+    expect(feed.since(9)).toBeNull();
+    expect(new ChangeFeed().since(0)).toEqual([]);
+  });
+
+  it('should format entries as text/event-stream messages', () => {
+    expect(formatEvent({ id: 7, event: 'data.created', data: { item: { id: 'a' } } }))
+      .toBe('id: 7\nevent: data.created\ndata: {"item":{"id":"a"}}\n\n');
+  });
+});
@@ -0,0 +1,70 @@
+const { parseFilters, applyFilters } = require('../../src/utils/filters');
+
+describe('List Filter Tests', () => {
+  const schema = {
+    type: { type: 'string', operators: ['eq', 'ne', 'in', 'nin'], pattern: /^[a-z]+$/ },
+    content: { type: 'string', operators: ['eq', 'contains'] },
+    role: { type: 'string', operators: ['eq', 'in'], values: ['admin', 'user'] },
+    metadata: { type: 'any', nested: true, operators: ['eq', 'in', 'exists', 'gt', 'lte'] },
+    created_at: { type: 'date', operators: ['gte', 'lt'] }
+  };
+
+  const items = [
+    { id: '1', type: 'test', content: 'Hello World', metadata: { source: 'seed', score: 5 }, created_at: '2024-01-10T00:00:00.000Z' },
+    { id: '2', type: 'demo', content: { text: 'structured hello' }, metadata: { source: 'api', score: 12 }, created_at: '2024-02-10T00:00:00.000Z' },
+    { id: '3', type: 'note', content: 'Other', metadata: {}, created_at: '2024-03-10T00:00:00.000Z' }
+  ];
+
+  const ids = (query) => {
+    const { filters, errors } = parseFilters(query, schema, { reserved: ['limit'] });
+    expect(errors).toEqual([]);
+    return applyFilters(items, filters).map(item => item.id);
+  };
+
+  it('should filter by equality, lists and substrings', () => {
+    expect(ids({ type: 'demo', limit: '5' })).toEqual(['2']);
+    expect(ids({ type: { in: 'test, note' } })).toEqual(['1', '3']);
+    expect(ids({ type: { nin: 'test' } })).toEqual(['2', '3']);
+    expect(ids({ content: { contains: 'HELLO' } })).toEqual(['1', '2']);
+  });
+
+  it('should filter nested metadata paths', () => {
+    expect(ids({ 'metadata.source': 'seed' })).toEqual(['1']);
+    expect(ids({ 'metadata.source': { exists: 'false' } })).toEqual(['3']);
+    expect(ids({ 'metadata.score': { gt: '6' } })).toEqual(['2']);
+    expect(ids({ 'metadata.score': { lte: '5' } })).toEqual(['1']);
+  });
+
+  it('should compare dates chronologically', () => {
+    expect(ids({ created_at: { gte: '2024-02-01', lt: '2024-03-10T00:00:00.000Z' } })).toEqual(['2']);
+  });
+
+  it('should reject unknown fields, operators and values with clear errors', () => {
+    const { errors } = parseFilters({
+      password: 'x',
+      type: { regex: '.*' },
+      role: 'root',
+      created_at: { gte: 'yesterday' },
+      metadata: 'flat',
+      'content.length': '3'
+    }, schema);
+
+    expect(errors.map(error => error.field)).toEqual([
+      'password', 'type[regex]', 'role', 'created_at[gte]', 'metadata', 'content.length'
+    ]);
+    expect(errors[1].message).toBe('Unknown operator "regex" for "type". Allowed operators: eq, ne, in, nin');
+  });
+
+  it('should never resolve prototype paths', () => {
+    const { filters, errors } = parseFilters({ 'metadata.__proto__': 'x', 'metadata.constructor.name': 'Object' }, schema);
+    expect(filters).toEqual([]);
+    expect(errors).toHaveLength(2);
+
+    const parsed = parseFilters({ 'metadata.toString': { exists: 'true' } }, schema);
+    expect(applyFilters(items, parsed.filters)).toEqual([]);
+  });
+
+  it('should reject repeated parameters', () => {
+    expect(parseFilters({ type: ['a', 'b'] }, schema).errors[0].message).toMatch(/type\[in\]=a,b/);
+  });
+});
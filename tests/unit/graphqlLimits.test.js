@@ -0,0 +1,53 @@
+const { buildSchema, parse } = require('graphql');
+const { measureDocument, limitErrors } = require('../../src/utils/graphqlLimits');
+
+const schema = buildSchema(`
+  type Page { total: Int items: [User] }
+  type User { id: ID name: String email: String data(limit: Int): Page }
+  type Requests { total: Int errors: Int }
+  type Metrics { requests: Requests }
+  type Nested { a: Nested b: Nested c: Nested d: Int }
+  type Query {
+    status: String
+    health: String
+    users(limit: Int): Page
+    user(id: ID): User
+    metrics: Metrics
+    a: Nested
+  }
+`);
+
+const measure = (query, options = {}) => measureDocument(schema, parse(query), { defaultLimit: 10, maxLimit: 100, ...options });
+
+describe('GraphQL Limits Tests', () => {
+  it('should measure depth and count fields', () => {
+    expect(measure('{ status health }')).toEqual([{ name: null, depth: 1, complexity: 2 }]);
+    expect(measure('query Q { metrics { requests { total errors } } }')).toEqual([{ name: 'Q', depth: 3, complexity: 4 }]);
+  });
+
+  it('should multiply paginated selections by their limit', () => {
+    expect(measure('{ users(limit: 5) { items { id } } }')[0].complexity).toBe(1 + 5 * 2);
+    expect(measure('{ users { items { id } } }')[0].complexity).toBe(1 + 10 * 2);
+    expect(measure('query($n: Int) { users(limit: $n) { items { id } } }', { variables: { n: 50 } })[0].complexity).toBe(1 + 50 * 2);
+    expect(measure('query($n: Int = 30) { users(limit: $n) { items { id } } }')[0].complexity).toBe(1 + 30 * 2);
+    expect(measure('{ users(limit: 5000) { total } }')[0].complexity).toBe(1 + 100);
+  });
+
+  it('should inline fragments and ignore cycles', () => {
+    const query = `
+      { user(id: "1") { ...Fields ... on User { email } } }
+      fragment Fields on User { name data { total } }
+      fragment Loop on User { ...Loop }
+    `;
+    expect(measure(query)).toEqual([{ name: null, depth: 3, complexity: 1 + 1 + 1 + 10 * 1 + 1 }]);
+    expect(measure('{ user(id: "1") { ...A } } fragment A on User { ...B } fragment B on User { ...A }')[0].complexity).toBe(1);
+  });
+
+  it('should report every limit an operation exceeds', () => {
+    const document = parse('{ a { b { c { d } } } }');
+
+    expect(limitErrors(schema, document, { maxDepth: 4, maxComplexity: 4 })).toEqual([]);
+    expect(limitErrors(schema, document, { maxDepth: 3, maxComplexity: 3 }).map(error => error.extensions.code))
+      .toEqual(['QUERY_TOO_DEEP', 'QUERY_TOO_COMPLEX']);
+  });
+});
@@ -0,0 +1,149 @@
+const express = require('express');
+const request = require('supertest');
+const { createStorage } = require('../../src/storage');
+const idempotency = require('../../src/middleware/idempotency');
+
+describe('Idempotency Middleware Tests', () => {
+  let app;
+  let calls;
+
+  const buildApp = (options) => {
+    const storage = createStorage({ driver: 'memory' });
+    const testApp = express();
+    testApp.use(express.json());
+    // Stands in for the authenticated caller
+    testApp.use((req, res, next) => {
+      req.user = req.get('X-Test-User') ? { id: req.get('X-Test-User') } : null;
+      next();
+    });
+    testApp.use(idempotency({ collection: storage.collection('idempotency_keys'), ...options }));
+    testApp.post('/items', (req, res) => {
+      calls += 1;
+      res.status(201).set('Location', `/items/${calls}`).json({ call: calls, ...req.body });
+    });
+    testApp.post('/slow', (req, res) => {
+      setTimeout(() => res.status(201).json({ done: true }), 50);
+    });
+    // Refuses callers without X-Test-Role: admin, like an authorize() guard
+    testApp.post('/guarded', (req, res) => {
+      if (req.get('X-Test-Role') !== 'admin') {
+        return res.status(403).json({ error: 'Forbidden' });
+      }
+      calls += 1;
+      res.status(201).json({ call: calls });
+    });
+    testApp.post('/broken', (req, res) => {
+      calls += 1;
+      res.status(503).json({ error: 'Unavailable' });
+    });
+    return testApp;
+  };
+
+  beforeEach(() => {
+    calls = 0;
+    app = buildApp({ ttlMs: 60 * 1000 });
+  });
+
+  it('should replay the first response for a repeated key', async () => {
+    const first = await request(app).post('/items').set('Idempotency-Key', 'abc').send({ name: 'one' }).expect(201);
+    const second = await request(app).post('/items').set('Idempotency-Key', 'abc').send({ name: 'one' }).expect(201);
+
+    expect(second.body).toEqual(first.body);
+    expect(second.headers.location).toBe('/items/1');
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(calls).toBe(1);
+  });
+
+  it('should reject a reused key with a different body', async () => {
+    await request(app).post('/items').set('Idempotency-Key', 'abc').send({ name: 'one' }).expect(201);
+    const response = await request(app).post('/items').set('Idempotency-Key', 'abc').send({ name: 'two' }).expect(422);
+
+    expect(response.body.error).toBe('Idempotency-Key reused');
+    expect(calls).toBe(1);
+  });
+
+  it('should treat the same body with its keys reordered as the same request', async () => {
+    await request(app).post('/items').set('Idempotency-Key', 'abc').send({ name: 'one', tags: { a: 1, b: 2 } }).expect(201);
+    const repeat = await request(app).post('/items').set('Idempotency-Key', 'abc').send({ tags: { b: 2, a: 1 }, name: 'one' }).expect(201);
+
+    expect(repeat.headers['idempotent-replayed']).toBe('true');
+    expect(calls).toBe(1);
+  });
+
+  it('should reject a reused key with a different query string', async () => {
+    await request(app).post('/items?dry_run=true&on_conflict=skip').set('Idempotency-Key', 'query').send({}).expect(201);
+    const reordered = await request(app).post('/items?on_conflict=skip&dry_run=true').set('Idempotency-Key', 'query').send({}).expect(201);
+    expect(reordered.headers['idempotent-replayed']).toBe('true');
+
+    await request(app).post('/items?dry_run=false&on_conflict=skip').set('Idempotency-Key', 'query').send({}).expect(422);
+    await request(app).post('/items').set('Idempotency-Key', 'query').send({}).expect(422);
+    expect(calls).toBe(1);
+  });
+
+  it('should keep the keys of each caller apart', async () => {
+    const first = await request(app).post('/items').set('X-Test-User', 'alice').set('Idempotency-Key', 'shared').send({ name: 'one' }).expect(201);
+    const other = await request(app).post('/items').set('X-Test-User', 'bob').set('Idempotency-Key', 'shared').send({ name: 'one' }).expect(201);
+
+    expect(other.headers['idempotent-replayed']).toBeUndefined();
+    expect(other.body.call).not.toBe(first.body.call);
+    await request(app).post('/items').set('Idempotency-Key', 'shared').send({ name: 'two' }).expect(201);
+
+    const replayed = await request(app).post('/items').set('X-Test-User', 'alice').set('Idempotency-Key', 'shared').send({ name: 'one' }).expect(201);
+    expect(replayed.body).toEqual(first.body);
+    expect(calls).toBe(3);
+  });
+
+  it('should refuse keys on streamed uploads', async () => {
+    const response = await request(app)
+      .post('/items')
+      .set('Idempotency-Key', 'upload')
+      .set('Content-Type', 'application/x-ndjson')
+      .send('{"name":"one"}\n')
+      .expect(422);
+
+    expect(response.body.errors[0]).toMatchObject({ field: 'Idempotency-Key', location: 'headers' });
+    expect(calls).toBe(0);
+  });
+
+  it('should answer 409 while the first request is still running', async () => {
+    const first = request(app).post('/slow').set('Idempotency-Key', 'slow').send({});
+    const firstDone = first.then(response => response);
+    await new Promise(resolve => setTimeout(resolve, 10));
+
+    await request(app).post('/slow').set('Idempotency-Key', 'slow').send({}).expect(409);
+    expect((await firstDone).status).toBe(201);
+  });
+
+  it('should run the request again once the key expires', async () => {
+    app = buildApp({ ttlMs: 20 });
+
+    await request(app).post('/items').set('Idempotency-Key', 'short').send({}).expect(201);
+    await new Promise(resolve => setTimeout(resolve, 30));
+    const response = await request(app).post('/items').set('Idempotency-Key', 'short').send({}).expect(201);
+
+    expect(response.headers['idempotent-replayed']).toBeUndefined();
+    expect(calls).toBe(2);
+  });
+
+  it('should not store server errors', async () => {
+    await request(app).post('/broken').set('Idempotency-Key', 'retry').send({}).expect(503);
+    await request(app).post('/broken').set('Idempotency-Key', 'retry').send({}).expect(503);
+    expect(calls).toBe(2);
+  });
+
+  it('should not store refusals from permission guards', async () => {
+    await request(app).post('/guarded').set('Idempotency-Key', 'grant').send({}).expect(403);
+    const granted = await request(app).post('/guarded').set('Idempotency-Key', 'grant').set('X-Test-Role', 'admin').send({}).expect(201);
+
+    expect(granted.headers['idempotent-replayed']).toBeUndefined();
+    expect(calls).toBe(1);
+  });
+
+  it('should ignore requests without a key and reject malformed keys', async () => {
+    await request(app).post('/items').send({}).expect(201);
+    await request(app).post('/items').send({}).expect(201);
+    expect(calls).toBe(2);
+
+    await request(app).post('/items').set('Idempotency-Key', 'has space').send({}).expect(422);
+  });
+});
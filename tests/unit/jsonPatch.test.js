@@ -0,0 +1,108 @@
+const { applyMergePatch, applyJsonPatch, diffDocuments, parsePointer } = require('../../src/utils/jsonPatch');
+
+describe('JSON Patch Utilities Tests', () => {
+  const document = {
+    content: 'Original',
+    metadata: { source: 'seed', tags: ['a', 'b'], nested: { keep: true } }
+  };
+
+  describe('applyMergePatch (RFC 7396)', () => {
+    it('should merge nested objects and remove null members', () => {
+      const result = applyMergePatch(document, { content: '', metadata: { source: null, nested: { added: 1 } } });
+
+      expect(result).toEqual({
+        content: '',
+        metadata: { tags: ['a', 'b'], nested: { keep: true, added: 1 } }
+      });
+      expect(document.metadata.source).toBe('seed');
+    });
+
+    it('should replace arrays wholesale', () => {
+      expect(applyMergePatch(document, { metadata: { tags: ['c'] } }).metadata.tags).toEqual(['c']);
+    });
+
+    it('should refuse prototype members', () => {
+      expect(() => applyMergePatch({}, JSON.parse('{"__proto__": {"polluted": true}}'))).toThrow(/not allowed/);
+      expect({}.polluted).toBeUndefined();
+    });
+  });
+
+  describe('applyJsonPatch (RFC 6902)', () => {
+    it('should apply add, remove, replace, move and copy in order', () => {
+      const result = applyJsonPatch(document, [
+        { op: 'replace', path: '/content', value: 'Changed' },
+        { op: 'add', path: '/metadata/tags/-', value: 'c' },
+        { op: 'remove', path: '/metadata/tags/0' },
+        { op: 'copy', from: '/metadata/source', path: '/metadata/origin' },
+        { op: 'move', from: '/metadata/nested', path: '/metadata/moved' }
+      ]);
+
+      expect(result).toEqual({
+        content: 'Changed',
+        metadata: { source: 'seed', origin: 'seed', tags: ['b', 'c'], moved: { keep: true } }
+      });
+      expect(document.content).toBe('Original');
+    });
+
+    it('should pass matching test operations', () => {
+      const result = applyJsonPatch(document, [
+        { op: 'test', path: '/metadata/tags', value: ['a', 'b'] },
+        { op: 'replace', path: '/content', value: 'Tested' }
+      ]);
+      expect(result.content).toBe('Tested');
+    });
+
+    it('should fail test operations with 409 and report the operation', () => {
+      expect(() => applyJsonPatch(document, [
+        { op: 'replace', path: '/content', value: 'Changed' },
+        { op: 'test', path: '/metadata/source', value: 'other' }
+      ])).toThrow(expect.objectContaining({
+        name: 'JsonPatchError',
+        statusCode: 409,
+        index: 1,
+        operation: { op: 'test', path: '/metadata/source', value: 'other' }
+      }));
+    });
+
+    it('should reject malformed operations and missing paths with 422', () => {
+      const cases = [
+        [{ op: 'explode', path: '/content' }],
+        [{ op: 'add', path: '/content' }],
+        [{ op: 'remove', path: '/missing' }],
+        [{ op: 'add', path: '/metadata/tags/9', value: 'x' }],
+        [{ op: 'add', path: '/__proto__/polluted', value: true }]
+      ];
+
+      cases.forEach(operations => {
+        expect(() => applyJsonPatch(document, operations)).toThrow(expect.objectContaining({ statusCode: 422, index: 0 }));
+      });
+    });
+  });
+
+  describe('parsePointer (RFC 6901)', () => {
+    it('should unescape ~1 and ~0', () => {
+      expect(parsePointer('/a~1b/c~0d')).toEqual(['a/b', 'c~d']);
+      expect(parsePointer('')).toEqual([]);
+      expect(() => parsePointer('no-slash')).toThrow();
+    });
+  });
+
+  describe('diffDocuments', () => {
+    it('should describe changes as JSON Patch operations that reproduce the target', () => {
+      const from = { content: 'old', metadata: { source: 'seed', 'a/b': 1, tags: ['x'] }, type: 'note' };
+      const to = { content: 'new', metadata: { source: 'seed', 'a/b': 2, tags: ['x', 'y'], added: true } };
+
+      const operations = diffDocuments(from, to);
+
+      expect(operations).toEqual([
+        { op: 'remove', path: '/type', old_value: 'note' },
+        { op: 'replace', path: '/content', value: 'new', old_value: 'old' },
+        { op: 'replace', path: '/metadata/a~1b', value: 2, old_value: 1 },
+        { op: 'replace', path: '/metadata/tags', value: ['x', 'y'], old_value: ['x'] },
+        { op: 'add', path: '/metadata/added', value: true }
+      ]);
+      expect(applyJsonPatch(from, operations)).toEqual(to);
+      expect(diffDocuments(to, structuredClone(to))).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,58 @@
+const { schemaErrors, validate } = require('../../src/utils/jsonSchema');
+
+describe('JSON Schema Tests', () => {
+  const schema = {
+    type: 'object',
+    required: ['title', 'priority'],
+    additionalProperties: false,
+    properties: {
+      title: { type: 'string', minLength: 1, maxLength: 20 },
+      priority: { type: 'integer', minimum: 1, maximum: 5 },
+      status: { enum: ['open', 'done'] },
+      due: { type: 'string', format: 'date' },
+      tags: { type: 'array', items: { type: 'string', pattern: '^[a-z]+$' }, uniqueItems: true, maxItems: 3 }
+    }
+  };
+
+  const paths = (value) => validate(schema, value).map(error => error.path);
+
+  it('should accept values that match', () => {
+    expect(validate(schema, { title: 'Ship it', priority: 2, status: 'open', due: '2024-05-01', tags: ['ops', 'ci'] })).toEqual([]);
+    expect(validate(true, 'anything')).toEqual([]);
+  });
+
+  it('should report every violation with its path and value', () => {
+    expect(paths({ title: '', priority: 9, status: 'later', tags: ['ok', 'ok', 'Bad'], extra: 1 }))
+      .toEqual(['title', 'priority', 'status', 'tags', 'tags.2', 'extra']);
+    expect(paths({ title: 'x' })).toEqual(['priority']);
+    expect(validate(schema, 'text')).toEqual([{ path: '', message: 'Must be of type object', value: 'text' }]);
+    expect(validate(schema, { title: 'x', priority: 1.5 })[0]).toMatchObject({ path: 'priority', value: 1.5 });
+  });
+
+  it('should combine schemas with anyOf, oneOf, allOf and not', () => {
+    const text = { anyOf: [{ type: 'string' }, { type: 'object', required: ['text'] }] };
+    expect(validate(text, 'hello')).toEqual([]);
+    expect(validate(text, { text: 'hi' })).toEqual([]);
+    expect(validate(text, 5)).toHaveLength(1);
+
+    const exclusive = { oneOf: [{ type: 'number' }, { type: 'integer' }] };
+    expect(validate(exclusive, 1.5)).toEqual([]);
+    expect(validate(exclusive, 2)).toHaveLength(1);
+
+    expect(validate({ allOf: [{ minimum: 0 }, { multipleOf: 0.1 }] }, 0.3)).toEqual([]);
+    expect(validate({ not: { const: 'draft' } }, 'draft')).toHaveLength(1);
+  });
+
+  it('should reject schemas it cannot evaluate', () => {
+    expect(schemaErrors(schema)).toEqual([]);
+    expect(schemaErrors({ $ref: '#/defs/x' })[0].message).toMatch(/Unsupported keyword "\$ref"/);
+    expect(schemaErrors({ type: 'text' })[0].path).toBe('type');
+    expect(schemaErrors({ properties: { a: { pattern: '(' } } })[0].path).toBe('properties.a.pattern');
+    expect(schemaErrors({ minLength: -1, anyOf: [] }).map(error => error.path)).toEqual(['minLength', 'anyOf']);
+    expect(schemaErrors('string')).toHaveLength(1);
+
+    let deep = { type: 'string' };
+    for (let i = 0; i < 20; i += 1) deep = { items: deep };
+    expect(schemaErrors(deep)).not.toEqual([]);
+  });
+});
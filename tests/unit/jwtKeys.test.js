@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { parseKeySet, loadKeySet, verifyToken } = require('../../src/utils/jwtKeys');
+
+describe('JWT Key Set Tests', () => {
+  const secret = crypto.randomBytes(32);
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const keys = parseKeySet({
+    keys: [
+      { kty: 'oct', kid: 'hs', alg: 'HS256', k: secret.toString('base64url') },
+      { ...publicKey.export({ format: 'jwk' }), kid: 'es', alg: 'ES256' }
+    ]
+  });
+  const now = Date.parse('2026-01-01T00:00:00Z');
+  const seconds = Math.floor(now / 1000);
+
+  // Claims set to undefined are left out of the token
+  const sign = (claims, { kid = 'hs', key = secret, algorithm = 'HS256' } = {}) => {
+    const payload = Object.fromEntries(Object.entries({ sub: 'ops', iat: seconds, exp: seconds + 300, ...claims })
+      .filter(([, value]) => value !== undefined));
+    return jwt.sign(payload, key, { algorithm, keyid: kid });
+  };
+
+  const reasonFor = (token, options = {}) => {
+    try {
+      verifyToken(token, keys, { now, clockSkewSeconds: 30, ...options });
+      return null;
+    } catch (error) {
+      expect(error.name).toBe('UnauthorizedError');
+      return error.message;
+    }
+  };
+
+  it('should verify tokens from any key in the set', () => {
+    expect(verifyToken(sign({}), keys, { now })).toMatchObject({ kid: 'hs', claims: { sub: 'ops' } });
+    const es = sign({}, { kid: 'es', key: privateKey, algorithm: 'ES256' });
+    expect(verifyToken(es, keys, { now }).kid).toBe('es');
+  });
+
+  it('should tolerate clock skew on exp, nbf and iat', () => {
+    expect(reasonFor(sign({ exp: seconds - 10 }))).toBeNull();
+    expect(reasonFor(sign({ exp: seconds - 60 }))).toBe('Token expired');
+    expect(reasonFor(sign({ nbf: seconds + 10 }))).toBeNull();
+    expect(reasonFor(sign({ nbf: seconds + 60 }))).toBe('Token not yet valid');
+    expect(reasonFor(sign({ iat: seconds + 60 }))).toBe('Token issued in the future');
+    expect(reasonFor(sign({ exp: undefined }))).toBe('Token has no expiry');
+  });
+
+  it('should reject tokens not signed by the named key', () => {
+    expect(reasonFor(sign({}, { kid: 'other' }))).toBe('Unknown signing key');
+    expect(reasonFor(sign({}, { kid: 'es' }))).toBe('Invalid token');
+    expect(reasonFor(sign({}, { key: crypto.randomBytes(32) }))).toBe('Invalid token');
+    expect(reasonFor(jwt.sign({ exp: seconds + 60 }, null, { algorithm: 'none', keyid: 'hs' }))).toBe('Invalid token');
+    expect(reasonFor('not-a-token')).toBe('Malformed token');
+  });
+
+  it('should check issuer and audience when configured', () => {
+    const token = sign({ iss: 'https://issuer.example', aud: 'admin' });
+
+    expect(reasonFor(token, { issuer: 'https://issuer.example', audience: 'admin' })).toBeNull();
+    expect(reasonFor(token, { issuer: 'https://other.example' })).toBe('Invalid token');
+    expect(reasonFor(token, { audience: 'api' })).toBe('Invalid token');
+  });
+
+  it('should reject invalid key sets', () => {
+    expect(() => parseKeySet({})).toThrow('"keys" array');
+    expect(() => parseKeySet({ keys: [{ kty: 'oct', alg: 'HS256', k: 'x' }] })).toThrow('has no kid');
+    expect(() => parseKeySet({ keys: [{ kty: 'oct', kid: 'a', alg: 'RS256', k: 'x' }] })).toThrow('needs alg');
+    expect(() => parseKeySet({ keys: [{ kty: 'oct', kid: 'a', alg: 'HS256', k: 'c2hvcnQ' }] })).toThrow('at least 256 bits');
+    expect(() => parseKeySet({ keys: [{ kty: 'OKP', kid: 'a', alg: 'EdDSA' }] })).toThrow('unsupported kty');
+    expect(() => parseKeySet(JSON.stringify({ keys: [
+      { kty: 'oct', kid: 'a', alg: 'HS256', k: secret.toString('base64url') },
+      { kty: 'oct', kid: 'a', alg: 'HS256', k: secret.toString('base64url') }
+    ] }))).toThrow('more than one key');
+  });
+
+  it('should report unusable configured key sets as configuration errors', () => {
+    const failureFor = (source) => {
+      try {
+        loadKeySet(source);
+        return null;
+      } catch (error) {
+        return error;
+      }
+    };
+
+    expect(failureFor({ jwks: '{not json' })).toMatchObject({
+      name: 'ConfigurationError',
+      statusCode: 503,
+      message: 'Admin authentication is misconfigured',
+      detail: expect.stringMatching(/^ADMIN_JWKS: /)
+    });
+    expect(failureFor({ jwksFile: '/nonexistent/jwks.json' }).detail).toMatch(/^ADMIN_JWKS_FILE \/nonexistent\/jwks\.json: .*ENOENT/);
+    expect(loadKeySet({ jwks: null, jwksFile: null }).size).toBe(0);
+  });
+});
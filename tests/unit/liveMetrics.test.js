@@ -0,0 +1,178 @@
+const http = require('http');
+const WebSocket = require('ws');
+const request = require('supertest');
+const app = require('../../src/app');
+const metricsStore = require('../../src/utils/metricsStore');
+const apiRoutes = require('../../src/routes/api');
+const healthRoutes = require('../../src/routes/health');
+const config = require('../../src/config');
+const { apiKeys } = require('../../src/middleware/apiKeyAuth');
+const { LiveMetricsServer } = require('../../src/utils/liveMetrics');
+
+const { asAdmin } = global.testUtils;
+
+describe('Live Metrics Tests', () => {
+  let server;
+  let live;
+  let sockets = [];
+
+  const waitFor = async (condition, timeoutMs = 3000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+      if (Date.now() > deadline) throw new Error('Timed out waiting for live messages');
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+  };
+
+  // HTTP status of a refused handshake
+  const refusal = (headers = {}) => new Promise((resolve, reject) => {
+    const socket = new WebSocket(`ws://127.0.0.1:${server.address().port}/ws/metrics`, { headers });
+    socket.on('unexpected-response', (req, res) => {
+      req.destroy();
+      resolve(res.statusCode);
+    });
+    socket.on('error', () => {});
+    socket.on('open', () => reject(new Error('Connection was accepted')));
+  });
+
+  // Connect and collect every parsed message
+  const connect = (query = '', headers = {}) => new Promise((resolve, reject) => {
+    const socket = new WebSocket(`ws://127.0.0.1:${server.address().port}/ws/metrics${query}`, { headers });
+    const client = {
+      socket,
+      messages: [],
+      send: message => socket.send(JSON.stringify(message)),
+      events: topic => client.messages.filter(message => message.type === 'event' && message.topic === topic)
+    };
+    sockets.push(socket);
+    socket.on('message', raw => client.messages.push(JSON.parse(raw)));
+    socket.on('open', () => resolve(client));
+    socket.on('error', reject);
+  });
+
+  beforeAll(async () => {
+    server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    live = new LiveMetricsServer({
+      server,
+      store: metricsStore,
+      authorize: app.locals.authorizeLiveMetrics,
+      snapshots: {
+        metrics: apiRoutes.buildMetrics,
+        status: apiRoutes.buildStatus,
+        health: healthRoutes.buildHealth
+      },
+      settings: { snapshotIntervalMs: 20, maxClients: 3 }
+    });
+  });
+
+  afterEach(() => {
+    config.rbac.anonymousRole = 'user';
+    sockets.forEach(socket => socket.terminate());
+    sockets = [];
+  });
+
+  afterAll(async () => {
+    await live.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('should greet clients with the available topics', async () => {
+    const client = await connect();
+
+    await waitFor(() => client.messages.length > 0);
+    expect(client.messages[0]).toEqual({
+      type: 'welcome',
+      topics: ['metrics', 'status', 'health', 'requests']
+    });
+  });
+
+  it('should send a snapshot when subscribing', async () => {
+    const client = await connect();
+    client.send({ type: 'subscribe', topics: ['metrics', 'health'] });
+
+    await waitFor(() => client.events('metrics').length > 0 && client.events('health').length > 0);
+    expect(client.messages).toContainEqual({ type: 'subscribed', topics: ['metrics', 'health'] });
+    expect(client.events('metrics')[0].data).toHaveProperty('application.requests.total');
+    expect(client.events('health')[0].data).toHaveProperty('status', 'healthy');
+    expect(client.events('status')).toHaveLength(0);
+  });
+
+  it('should subscribe from the query string', async () => {
+    const client = await connect('?topics=status,requests');
+
+    await waitFor(() => client.events('status').length > 0 && client.events('requests').length > 0);
+    expect(client.events('status')[0].data).toHaveProperty('status', 'running');
+    expect(Array.isArray(client.events('requests')[0].data)).toBe(true);
+  });
+
+  it('should push requests and fresh snapshots as they happen', async () => {
+    const client = await connect('?topics=requests,metrics');
+    await waitFor(() => client.events('metrics').length === 1);
+    const before = client.events('metrics')[0].data.application.requests.total;
+
+    await request(server).get('/api/version').expect(200);
+
+    await waitFor(() => client.events('requests').length > 1 && client.events('metrics').length > 1);
+    const pushed = client.events('requests').slice(1).flatMap(event => event.data);
+    expect(pushed).toContainEqual(expect.objectContaining({ method: 'GET', path: '/version', statusCode: 200 }));
+    expect(client.events('metrics').pop().data.application.requests.total).toBeGreaterThan(before);
+  });
+
+  it('should stop pushing unsubscribed topics', async () => {
+    const client = await connect('?topics=requests');
+    await waitFor(() => client.events('requests').length === 1);
+
+    client.send({ type: 'unsubscribe', topics: ['requests'] });
+    await waitFor(() => client.messages.some(message => message.type === 'subscribed' && message.topics.length === 0));
+
+    await request(server).get('/api/version').expect(200);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(client.events('requests')).toHaveLength(1);
+  });
+
+  it('should reject unknown topics and malformed messages', async () => {
+    const client = await connect();
+
+    client.send({ type: 'subscribe', topics: ['metrics', 'cpu'] });
+    client.socket.send('not json');
+    client.send({ type: 'shout' });
+    client.send({ type: 'ping' });
+
+    await waitFor(() => client.messages.some(message => message.type === 'pong'));
+    const errors = client.messages.filter(message => message.type === 'error').map(message => message.message);
+    expect(errors).toEqual([
+      'Unknown topics: cpu',
+      'Messages must be JSON',
+      'Message type must be one of: subscribe, unsubscribe, ping'
+    ]);
+    expect(client.events('metrics')).toHaveLength(0);
+  });
+
+  it('should only accept callers granted metrics:read', async () => {
+    config.rbac.anonymousRole = 'guest';
+    expect(await refusal()).toBe(403);
+    expect(await refusal({ Authorization: 'Bearer not-a-token' })).toBe(401);
+    expect(await refusal({ Authorization: 'ApiKey rsk_unknown_key' })).toBe(401);
+
+    const { key: unscoped } = apiKeys.create({ name: 'live-unscoped', scopes: ['data:write'] });
+    expect(await refusal({ Authorization: `ApiKey ${unscoped}` })).toBe(403);
+
+    const { key } = apiKeys.create({ name: 'live-reader', scopes: ['metrics:read'] });
+    await connect('', { Authorization: `ApiKey ${key}` });
+    await connect('', asAdmin());
+
+    // Browsers can only send the session cookie
+    const login = await request(server).post('/auth/login').set(asAdmin()).expect(200);
+    const cookie = login.headers['set-cookie'].map(header => header.split(';')[0]).join('; ');
+    await connect('', { Cookie: cookie });
+  });
+
+  it('should refuse clients over the limit', async () => {
+    await Promise.all([connect(), connect(), connect()]);
+    const extra = await connect();
+
+    const code = await new Promise(resolve => extra.socket.on('close', resolve));
+    expect(code).toBe(1013);
+  });
+});
@@ -0,0 +1,86 @@
+const { paginate, parseSort, projectFields, buildLinkHeader, decodeCursor } = require('../../src/utils/pagination');
+
+describe('Pagination Utilities Tests', () => {
+  const items = [
+    { id: 'c', created_at: '2024-01-01T00:00:02.000Z', type: 'b' },
+    { id: 'a', created_at: '2024-01-01T00:00:01.000Z', type: 'a' },
+    { id: 'b', created_at: '2024-01-01T00:00:01.000Z', type: 'b' },
+    { id: 'd', created_at: '2024-01-01T00:00:03.000Z', type: 'a' }
+  ];
+
+  describe('parseSort', () => {
+    it('should parse ascending and descending fields', () => {
+      expect(parseSort('created_at,-updated_at')).toEqual([
+        { field: 'created_at', direction: 1 },
+        { field: 'updated_at', direction: -1 }
+      ]);
+    });
+
+    it('should default to created_at ascending', () => {
+      expect(parseSort()).toEqual([{ field: 'created_at', direction: 1 }]);
+    });
+  });
+
+  describe('paginate', () => {
+    it('should sort by created_at with id as tiebreaker', () => {
+      const result = paginate(items, { limit: 10 });
+      expect(result.page.map(item => item.id)).toEqual(['a', 'b', 'c', 'd']);
+      expect(result.hasMore).toBe(false);
+      expect(result.nextCursor).toBeNull();
+    });
+
+    it('should walk every item exactly once with cursors', () => {
+      const seen = [];
+      let cursor;
+      do {
+        const result = paginate(items, { limit: 3, sort: '-type,created_at', cursor });
+        seen.push(...result.page.map(item => item.id));
+        cursor = result.nextCursor;
+      } while (cursor);
+
+      expect(seen).toEqual(['b', 'c', 'a', 'd']);
+    });
+
+    it('should not shift pages when items are inserted before the cursor', () => {
+      const first = paginate(items, { limit: 2 });
+      const withInsert = [{ id: 'z', created_at: '2023-12-31T00:00:00.000Z' }, ...items];
+      const second = paginate(withInsert, { limit: 2, cursor: first.nextCursor });
+
+      expect(second.page.map(item => item.id)).toEqual(['c', 'd']);
+    });
+
+    it('should support numeric offsets', () => {
+      const result = paginate(items, { limit: 2, offset: 1 });
+      expect(result.page.map(item => item.id)).toEqual(['b', 'c']);
+      expect(result.hasMore).toBe(true);
+    });
+  });
+
+  describe('decodeCursor', () => {
+    it('should reject malformed cursors', () => {
+      expect(() => decodeCursor('not-a-cursor')).toThrow('Cursor is malformed');
+    });
+  });
+
+  describe('projectFields', () => {
+    it('should keep only the requested fields', () => {
+      expect(projectFields(items[0], 'id,type')).toEqual({ id: 'c', type: 'b' });
+      expect(projectFields(items[0])).toBe(items[0]);
+    });
+  });
+
+  describe('buildLinkHeader', () => {
+    it('should link the first and next pages preserving the query', () => {
+      const req = {
+        originalUrl: '/api/data?limit=2&offset=4&type=demo',
+        protocol: 'http',
+        get: () => 'localhost:3000'
+      };
+
+      expect(buildLinkHeader(req, 'abc')).toBe(
+        '</api/data?limit=2&type=demo>; rel="first", </api/data?limit=2&type=demo&cursor=abc>; rel="next"'
+      );
+      expect(buildLinkHeader(req, null)).toBe('</api/data?limit=2&type=demo>; rel="first"');
+    });
+  });
+});
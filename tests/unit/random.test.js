@@ -0,0 +1,27 @@
+const { createRandom } = require('../../src/utils/random');
+const { generateUsers, generateData } = require('../../src/utils/fixtures');
+
+describe('Seeded Random Tests', () => {
+  it('should repeat the same sequence for the same seed', () => {
+    const first = createRandom('ci-run');
+    const second = createRandom('ci-run');
+
+    expect(Array.from({ length: 5 }, first.next)).toEqual(Array.from({ length: 5 }, second.next));
+    expect(createRandom(1).next()).not.toBe(createRandom(2).next());
+  });
+
+  it('should generate valid v4 UUIDs and bounded integers', () => {
+    const random = createRandom(42);
+
+    expect(random.uuid()).toMatch(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+    for (let i = 0; i < 100; i++) {
+      expect(random.int(1, 3)).toBeWithinRange(1, 3);
+    }
+  });
+
+  it('should generate identical fixtures from identical seeds', () => {
+    expect(generateUsers(createRandom(7), 3)).toEqual(generateUsers(createRandom(7), 3));
+    expect(generateData(createRandom(7), 3)).toEqual(generateData(createRandom(7), 3));
+    expect(new Set(generateUsers(createRandom(7), 20).map(user => user.email)).size).toBe(20);
+  });
+});
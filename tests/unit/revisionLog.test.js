@@ -0,0 +1,59 @@
+const { createStorage } = require('../../src/storage');
+const RevisionLog = require('../../src/storage/revisionLog');
+
+describe('Revision Log Tests', () => {
+  let storage;
+  let log;
+
+  beforeEach(() => {
+    storage = createStorage({ driver: 'memory' });
+    log = new RevisionLog(storage.collection('revisions'), { maxPerDocument: 3 });
+  });
+
+  it('should record the overwritten version when a document has no history yet', () => {
+    log.record({ id: 'a', content: 'changed', version: 2 }, { action: 'update', previous: { id: 'a', content: 'legacy', version: 1 } });
+
+    expect(log.list('a').map(revision => [revision.rev, revision.action])).toEqual([[1, 'initial'], [2, 'update']]);
+    expect(log.get('a', 1).snapshot.content).toBe('legacy');
+  });
+
+  it('should keep only the newest revisions of each document', () => {
+    [1, 2, 3, 4, 5].forEach(version => log.record({ id: 'a', version }, { action: 'update' }));
+    log.record({ id: 'b', version: 1 }, { action: 'create' });
+
+    expect(log.list('a').map(revision => revision.rev)).toEqual([3, 4, 5]);
+    expect(log.list('b')).toHaveLength(1);
+
+    log.removeAll('a');
+    expect(log.list('a')).toEqual([]);
+    expect(log.list('b')).toHaveLength(1);
+  });
+
+  it('should only read the revisions of the written document', () => {
+    log.record({ id: 'b', version: 1 }, { action: 'create' });
+    const findAll = jest.spyOn(log.collection, 'findAll');
+
+    [1, 2, 3, 4, 5].forEach(version => log.record({ id: 'a', version }, { action: 'update' }));
+    expect(log.list('a').map(revision => revision.rev)).toEqual([3, 4, 5]);
+    expect(findAll).not.toHaveBeenCalled();
+  });
+
+  it('should build its index from revisions already stored', () => {
+    log.record({ id: 'a', version: 1 }, { action: 'create' });
+    const reopened = new RevisionLog(storage.collection('revisions'), { maxPerDocument: 3 });
+
+    reopened.record({ id: 'a', version: 2 }, { action: 'update' });
+    expect(reopened.list('a').map(revision => revision.rev)).toEqual([1, 2]);
+  });
+
+  it('should follow storage transactions that roll back', () => {
+    [1, 2, 3].forEach(version => log.record({ id: 'a', version }, { action: 'update' }));
+
+    expect(() => storage.transaction(() => {
+      log.record({ id: 'a', version: 4 }, { action: 'update' });
+      throw new Error('rollback');
+    })).toThrow('rollback');
+
+    expect(log.list('a').map(revision => revision.rev)).toEqual([1, 2, 3]);
+  });
+});
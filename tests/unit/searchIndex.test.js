@@ -0,0 +1,69 @@
+const { SearchIndex, tokenize } = require('../../src/utils/searchIndex');
+
+describe('Search Index Tests', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SearchIndex();
+    index.add({ id: '1', content: 'Deploying the Node service with Docker', metadata: { source: 'runbook' } });
+    index.add({ id: '2', content: 'Docker docker docker compose notes', metadata: {} });
+    index.add({ id: '3', content: 'Kubernetes rollout', metadata: { source: 'Docker hub mirror' } });
+  });
+
+  it('should tokenize, lowercase and strip accents', () => {
+    expect(tokenize('Café, CI/CD-pipeline #42')).toEqual(['cafe', 'ci', 'cd', 'pipeline', '42']);
+  });
+
+  it('should rank documents by relevance', () => {
+    const { total, results } = index.search('docker');
+
+    expect(total).toBe(3);
+    expect(results[0].id).toBe('2');
+    // Metadata-only matches weigh less than content matches
+    expect(results[results.length - 1].id).toBe('3');
+  });
+
+  it('should match prefixes', () => {
+    expect(index.search('deplo').results.map(r => r.id)).toEqual(['1']);
+    expect(index.search('kube roll').results.map(r => r.id)).toEqual(['3']);
+  });
+
+  it('should require every query token to match', () => {
+    expect(index.search('docker kubernetes').results.map(r => r.id)).toEqual(['3']);
+    expect(index.search('docker missing').total).toBe(0);
+  });
+
+  it('should return escaped snippets with highlighted matches', () => {
+    index.add({ id: '4', content: '<b>Release</b> notes for release 2', metadata: {} });
+
+    const [result] = index.search('release').results;
+    expect(result.highlights).toEqual([
+      { field: 'content', snippet: '&lt;b&gt;<mark>Release</mark>&lt;/b&gt; notes for <mark>release</mark> 2' }
+    ]);
+  });
+
+  it('should index nested metadata and object content strings', () => {
+    index.add({ id: '5', content: { title: 'Quarterly report' }, metadata: { tags: { team: 'platform' } } });
+
+    const [result] = index.search('platform').results;
+    expect(result.id).toBe('5');
+    expect(result.highlights[0].field).toBe('metadata.tags.team');
+    expect(index.search('quarterly').results[0].highlights[0].field).toBe('content.title');
+  });
+
+  it('should stay consistent on update and removal', () => {
+    index.add({ id: '1', content: 'Completely rewritten', metadata: {} });
+    expect(index.search('deploying').total).toBe(0);
+    expect(index.search('rewritten').total).toBe(1);
+
+    index.remove('1');
+    expect(index.search('rewritten').total).toBe(0);
+    expect(index.size).toBe(2);
+  });
+
+  it('should apply result filters and limits', () => {
+    const { total, results } = index.search('docker', { limit: 1, filter: item => item.id !== '2' });
+    expect(total).toBe(2);
+    expect(results).toHaveLength(1);
+  });
+});
@@ -0,0 +1,54 @@
+const { createStorage } = require('../../src/storage');
+const { SessionStore, createSessionStore } = require('../../src/storage/sessionStore');
+
+describe('Session Store Tests', () => {
+  let collection;
+  let store;
+
+  beforeEach(() => {
+    collection = createStorage({ driver: 'memory' }).collection('sessions');
+    store = new SessionStore(collection, { maxAgeMs: 1000 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should create sessions with fresh ids and CSRF tokens', () => {
+    const first = store.create({ subject: 'ops', role: 'admin' });
+    const second = store.create({ subject: 'ops', role: 'admin', id: 'chosen-by-caller' });
+
+    expect(first).toMatchObject({ subject: 'ops', role: 'admin' });
+    expect(first.id).toMatch(/^[\w-]{43}$/);
+    expect(first.csrf_token).toMatch(/^[\w-]{43}$/);
+    expect(second.id).not.toBe('chosen-by-caller');
+    expect(new Set([first.id, first.csrf_token, second.id, second.csrf_token]).size).toBe(4);
+    expect(store.get(first.id)).toMatchObject({ subject: 'ops' });
+
+    store.destroy(first.id);
+    expect(store.get(first.id)).toBeNull();
+    expect(store.get('unknown')).toBeNull();
+  });
+
+  it('should expire sessions after maxAge and sweep them', () => {
+    jest.useFakeTimers({ now: new Date('2024-01-01T00:00:00Z') });
+    const session = store.create({ subject: 'ops' });
+
+    jest.advanceTimersByTime(999);
+    expect(store.get(session.id)).not.toBeNull();
+
+    jest.advanceTimersByTime(1);
+    expect(store.get(session.id)).toBeNull();
+    expect(collection.count()).toBe(0);
+
+    store.create({ subject: 'stale' });
+    jest.advanceTimersByTime(60 * 1000);
+    store.create({ subject: 'fresh' });
+    expect(collection.findAll().map(entry => entry.subject)).toEqual(['fresh']);
+  });
+
+  it('should only know the configured store names', () => {
+    expect(createSessionStore('memory')).toBeInstanceOf(SessionStore);
+    expect(() => createSessionStore('redis')).toThrow('Unknown session store "redis". Use one of: memory, storage');
+  });
+});
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../../src/storage');
+
+describe('Storage Drivers Tests', () => {
+  let tempDir;
+
+  beforeAll(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'roxs-storage-'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const optionsFor = (driver) => ({
+    driver,
+    file: { path: path.join(tempDir, `${driver}-${Date.now()}.json`) },
+    sqlite: { filename: path.join(tempDir, `${driver}-${Date.now()}.sqlite`) }
+  });
+
+  describe.each(['memory', 'file', 'sqlite'])('%s driver', (driver) => {
+    let storage;
+
+    beforeEach(() => {
+      storage = createStorage(optionsFor(driver));
+    });
+
+    afterEach(() => {
+      storage.close();
+    });
+
+    it('should insert and find documents', () => {
+      storage.data.insert({ id: 'a', content: 'first' });
+      storage.data.insert({ id: 'b', content: 'second' });
+
+      expect(storage.data.count()).toBe(2);
+      expect(storage.data.findById('a')).toEqual({ id: 'a', content: 'first', version: 1 });
+      expect(storage.data.findAll().map(d => d.id)).toEqual(['a', 'b']);
+      expect(storage.data.findById('missing')).toBeNull();
+    });
+
+    it('should reject duplicate ids', () => {
+      storage.users.insert({ id: 'u1', name: 'One' });
+      expect(() => storage.users.insert({ id: 'u1', name: 'Again' })).toThrow(/Duplicate id/);
+    });
+
+    it('should update documents in place and keep insertion order', () => {
+      storage.data.insert({ id: 'a', content: 'first' });
+      storage.data.insert({ id: 'b', content: 'second' });
+
+      const updated = storage.data.update('a', { id: 'a', content: 'changed' });
+
+      expect(updated.content).toBe('changed');
+      expect(updated.version).toBe(2);
+      expect(storage.data.findAll().map(d => d.content)).toEqual(['changed', 'second']);
+      expect(storage.data.update('missing', { content: 'x' })).toBeNull();
+    });
+
+    it('should remove and clear documents', () => {
+      storage.data.insert({ id: 'a', content: 'first' });
+      storage.data.insert({ id: 'b', content: 'second' });
+
+      expect(storage.data.remove('a')).toEqual({ id: 'a', content: 'first', version: 1 });
+      expect(storage.data.remove('a')).toBeNull();
+      expect(storage.data.count()).toBe(1);
+
+      storage.data.clear();
+      expect(storage.data.count()).toBe(0);
+    });
+
+    it('should return copies that do not mutate stored documents', () => {
+      storage.data.insert({ id: 'a', metadata: { tag: 'original' } });
+
+      const copy = storage.data.findById('a');
+      copy.metadata.tag = 'mutated';
+
+      expect(storage.data.findById('a').metadata.tag).toBe('original');
+    });
+
+    it('should emit change events for every write', () => {
+      const changes = [];
+      storage.events.on('change', change => changes.push(`${change.type}:${change.collection}`));
+
+      storage.data.insert({ id: 'a', content: 'first' });
+      storage.data.update('a', { id: 'a', content: 'second' });
+      storage.data.remove('a');
+      storage.data.clear();
+
+      expect(changes).toEqual(['insert:data', 'update:data', 'remove:data', 'clear:data']);
+    });
+
+    it('should commit transactions and emit their changes afterwards', () => {
+      const changes = [];
+      storage.events.on('change', change => changes.push(change.type));
+
+      const result = storage.transaction(() => {
+        storage.data.insert({ id: 'a', content: 'first' });
+        storage.data.insert({ id: 'b', content: 'second' });
+        expect(changes).toEqual([]);
+        return 'done';
+      });
+
+      expect(result).toBe('done');
+      expect(storage.data.count()).toBe(2);
+      expect(changes).toEqual(['insert', 'insert']);
+    });
+
+    it('should roll back every write when a transaction throws', () => {
+      storage.data.insert({ id: 'a', content: 'first' });
+      const changes = [];
+      storage.events.on('change', change => changes.push(change.type));
+
+      expect(() => storage.transaction(() => {
+        storage.data.update('a', { id: 'a', content: 'changed' });
+        storage.data.insert({ id: 'b', content: 'second' });
+        storage.collection('fresh').insert({ id: 'c' });
+        throw new Error('abort');
+      })).toThrow('abort');
+
+      expect(storage.data.findById('a')).toEqual({ id: 'a', content: 'first', version: 1 });
+      expect(storage.data.findById('b')).toBeNull();
+      expect(storage.collection('fresh').count()).toBe(0);
+      expect(changes).toEqual([]);
+    });
+
+    it('should reject nested transactions', () => {
+      expect(() => storage.transaction(() => storage.transaction(() => {}))).toThrow(/nested/i);
+    });
+
+    it('should keep collections isolated from each other', () => {
+      storage.users.insert({ id: 'same', kind: 'user' });
+      storage.data.insert({ id: 'same', kind: 'data' });
+
+      expect(storage.users.findById('same').kind).toBe('user');
+      expect(storage.collection('other').count()).toBe(0);
+    });
+  });
+
+  describe('persistence', () => {
+    it('should reload file driver state from disk', () => {
+      const options = optionsFor('file');
+      const first = createStorage(options);
+      first.users.insert({ id: 'persisted', name: 'Disk User' });
+
+      const second = createStorage(options);
+      expect(second.users.findById('persisted')).toEqual({ id: 'persisted', name: 'Disk User', version: 1 });
+      expect(fs.readdirSync(tempDir).some(name => name.endsWith('.tmp'))).toBe(false);
+    });
+
+    it('should reload sqlite driver state from disk', () => {
+      const options = optionsFor('sqlite');
+      const first = createStorage(options);
+      first.data.insert({ id: 'persisted', content: 'Disk Data' });
+      first.close();
+
+      const second = createStorage(options);
+      expect(second.data.findById('persisted')).toEqual({ id: 'persisted', content: 'Disk Data', version: 1 });
+      second.close();
+    });
+  });
+
+  it('should reject unknown drivers', () => {
+    expect(() => createStorage({ driver: 'mongodb' })).toThrow(/Unknown storage driver/);
+  });
+});
@@ -0,0 +1,80 @@
+const { Readable } = require('stream');
+const { CsvParser, formatCsvRow } = require('../../src/utils/csv');
+const { readRecords, createExportStream, decodeCsvRecord } = require('../../src/utils/transfer');
+
+const collect = async (iterable) => {
+  const items = [];
+  for await (const item of iterable) items.push(item);
+  return items;
+};
+
+// Feed text in small chunks so parsers see records split across chunk boundaries
+const chunked = (text, size = 3) => Readable.from(
+  Array.from({ length: Math.ceil(text.length / size) }, (_, i) => Buffer.from(text.slice(i * size, (i + 1) * size)))
+);
+
+describe('Export and Import Stream Tests', () => {
+  describe('CSV', () => {
+    it('should quote only the values that need it', () => {
+      expect(formatCsvRow(['plain', 'a,b', 'say "hi"', 'two\nlines', null, { a: 1 }]))
+        .toBe('plain,"a,b","say ""hi""","two\nlines",,"{""a"":1}"\r\n');
+    });
+
+    it('should parse quoted fields, escaped quotes and multi-line values across chunks', async () => {
+      const text = 'id,content\r\n1,"Hello, ""world"""\r\n\r\n2,"first\nsecond"\n3,last';
+      const records = await collect(chunked(text).pipe(new CsvParser()));
+
+      expect(records).toEqual([
+        { line: 1, values: ['id', 'content'] },
+        { line: 2, values: ['1', 'Hello, "world"'] },
+        { line: 4, values: ['2', 'first\nsecond'] },
+        { line: 6, values: ['3', 'last'] }
+      ]);
+    });
+
+    it('should fail on unterminated quotes and oversized records', async () => {
+      await expect(collect(chunked('a,"open\n').pipe(new CsvParser()))).rejects.toThrow(/Unterminated/);
+      await expect(collect(chunked('aaaaaaaaaa').pipe(new CsvParser({ maxRecordLength: 5 })))).rejects.toThrow(/exceeds/);
+    });
+
+    it('should decode empty cells and JSON columns', () => {
+      expect(decodeCsvRecord(
+        { id: '', metadata: '{"a":1}', content: '{"text":"x"}', type: 'note' },
+        { json: ['metadata'], maybeJson: ['content'] }
+      )).toEqual({ id: undefined, metadata: { a: 1 }, content: { text: 'x' }, type: 'note' });
+      expect(decodeCsvRecord({ content: '{not json' }, { maybeJson: ['content'] })).toEqual({ content: '{not json' });
+    });
+  });
+
+  describe('readRecords', () => {
+    it('should report malformed NDJSON lines and keep going', async () => {
+      const text = '{"a":1}\nnot json\n\n[1]\n{"b":2}';
+      const entries = await collect(readRecords(chunked(text), { format: 'ndjson', maxLineLength: 100 }));
+
+      expect(entries).toEqual([
+        { line: 1, record: { a: 1 } },
+        { line: 2, error: 'Invalid JSON' },
+        { line: 4, error: 'Each line must be a JSON object' },
+        { line: 5, record: { b: 2 } }
+      ]);
+    });
+
+    it('should map CSV rows onto header columns', async () => {
+      const entries = await collect(readRecords(chunked('name,role\nAda,admin\nBob\n'), { format: 'csv', maxLineLength: 100 }));
+
+      expect(entries).toEqual([
+        { line: 2, record: { name: 'Ada', role: 'admin' } },
+        { line: 3, error: 'Expected 2 columns, found 1' }
+      ]);
+    });
+  });
+
+  it('should export the selected columns as NDJSON or CSV', async () => {
+    const records = [{ id: '1', content: 'x', secret: 'hidden' }];
+
+    expect((await collect(createExportStream(records, { format: 'ndjson', columns: ['id', 'content'] }))).join(''))
+      .toBe('{"id":"1","content":"x"}\n');
+    expect((await collect(createExportStream(records, { format: 'csv', columns: ['id', 'content'] }))).join(''))
+      .toBe('id,content\r\n1,x\r\n');
+  });
+});
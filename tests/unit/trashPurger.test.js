@@ -0,0 +1,36 @@
+const { createStorage } = require('../../src/storage');
+const { TrashPurger, purgeExpired } = require('../../src/utils/trashPurger');
+
+describe('Trash Purger Tests', () => {
+  const DAY = 24 * 60 * 60 * 1000;
+  const now = Date.parse('2024-06-30T00:00:00.000Z');
+  let storage;
+
+  beforeEach(() => {
+    storage = createStorage({ driver: 'memory' });
+    storage.data.insert({ id: 'active', content: 'kept' });
+    storage.data.insert({ id: 'recent', content: 'kept', deleted_at: new Date(now - DAY).toISOString() });
+    storage.data.insert({ id: 'expired', content: 'purged', deleted_at: new Date(now - 31 * DAY).toISOString() });
+  });
+
+  it('should purge only items deleted before the retention period', () => {
+    expect(purgeExpired(storage.data, { retentionMs: 30 * DAY, now })).toBe(1);
+    expect(storage.data.findAll().map(item => item.id)).toEqual(['active', 'recent']);
+  });
+
+  it('should purge on start and stop its interval', () => {
+    const purger = new TrashPurger(storage.data, { retentionMs: 0, intervalMs: 1000 });
+
+    purger.start();
+    purger.start();
+    expect(storage.data.findAll().map(item => item.id)).toEqual(['active']);
+
+    purger.stop();
+    expect(purger.intervalId).toBeNull();
+  });
+
+  it('should log and swallow purge failures', () => {
+    const broken = { name: 'broken', findAll: () => { throw new Error('disk gone'); } };
+    expect(new TrashPurger(broken).run()).toBe(0);
+  });
+});
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const { createStorage } = require('../../src/storage');
+const {
+  WebhookDispatcher,
+  eventForChange,
+  matchesEvent,
+  signPayload,
+  retryDelay
+} = require('../../src/utils/webhookDispatcher');
+
+describe('Webhook Dispatcher Tests', () => {
+  let storage;
+  let dispatcher;
+  let responses;
+  let sent;
+
+  beforeEach(() => {
+    storage = createStorage({ driver: 'memory' });
+    responses = [];
+    sent = [];
+    dispatcher = new WebhookDispatcher({
+      webhooks: storage.collection('webhooks'),
+      deliveries: storage.collection('deliveries'),
+      transport: async (request) => {
+        sent.push(request);
+        const next = responses.shift();
+        if (next instanceof Error) throw next;
+        return next || 200;
+      },
+      settings: { maxAttempts: 3, baseDelayMs: 60000, maxDelayMs: 90000, historyLimit: 1 }
+    });
+  });
+
+  afterEach(() => {
+    dispatcher.stop();
+  });
+
+  const subscribe = (events) => storage.collection('webhooks').insert({
+    id: `hook-${events.join('-')}`,
+    url: 'http://127.0.0.1:1/hook',
+    events,
+    active: true,
+    secret: 'test-secret-value'
+  });
+
+  // Queue deliveries without letting the timers fire; the test drives the attempts
+  const publish = (event, data = {}) => {
+    const queued = dispatcher.publish(event, data);
+    dispatcher.stop();
+    return queued;
+  };
+
+  it('should name events after the storage change', () => {
+    const item = { id: '1' };
+    expect(eventForChange({ type: 'insert', collection: 'data', document: item })).toBe('data.created');
+    expect(eventForChange({ type: 'update', collection: 'users', document: item, previous: item })).toBe('users.updated');
+    expect(eventForChange({ type: 'update', collection: 'data', document: { deleted_at: 'x' }, previous: item })).toBe('data.deleted');
+    expect(eventForChange({ type: 'update', collection: 'data', document: item, previous: { deleted_at: 'x' } })).toBe('data.restored');
+    expect(eventForChange({ type: 'remove', collection: 'data', document: { deleted_at: 'x' } })).toBe('data.purged');
+    expect(eventForChange({ type: 'remove', collection: 'users', document: item })).toBe('users.deleted');
+    expect(eventForChange({ type: 'insert', collection: 'webhooks', document: item })).toBeNull();
+    expect(eventForChange({ type: 'clear', collection: 'data', document: null })).toBeNull();
+  });
+
+  it('should match exact, collection and catch-all filters', () => {
+    expect(matchesEvent(['data.created'], 'data.created')).toBe(true);
+    expect(matchesEvent(['data.*'], 'data.purged')).toBe(true);
+    expect(matchesEvent(['data.*'], 'users.created')).toBe(false);
+    expect(matchesEvent(['*'], 'users.deleted')).toBe(true);
+  });
+
+  it('should sign the timestamp and raw body with HMAC-SHA256', () => {
+    const body = JSON.stringify({ event: 'ping' });
+    const expected = crypto.createHmac('sha256', 'secret').update(`1700000000.${body}`).digest('hex');
+    expect(signPayload('secret', body, 1700000000)).toBe(`t=1700000000,v1=${expected}`);
+  });
+
+  it('should back off exponentially up to the maximum delay', () => {
+    const settings = { baseDelayMs: 1000, maxDelayMs: 5000 };
+    expect([1, 2, 3, 4].map(attempt => retryDelay(attempt, settings))).toEqual([1000, 2000, 4000, 5000]);
+  });
+
+  it('should deliver only to matching subscribers with signed headers', async () => {
+    subscribe(['data.*']);
+    subscribe(['users.created']);
+    const [delivery, ...others] = publish('data.created', { item: { id: '1' } });
+    expect(others).toEqual([]);
+
+    const result = await dispatcher.attempt(delivery.id);
+    expect(result).toMatchObject({ status: 'succeeded', attempt_count: 1 });
+    expect(sent[0].headers['X-Webhook-Event']).toBe('data.created');
+    const [, timestamp, digest] = sent[0].headers['X-Webhook-Signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    expect(crypto.createHmac('sha256', 'test-secret-value').update(`${timestamp}.${sent[0].body}`).digest('hex')).toBe(digest);
+  });
+
+  it('should retry failures and dead-letter after the last attempt', async () => {
+    subscribe(['*']);
+    responses.push(500, new Error('connect ECONNREFUSED'), 503);
+    const [delivery] = publish('users.created');
+
+    const first = await dispatcher.attempt(delivery.id);
+    expect(first).toMatchObject({ status: 'pending', attempt_count: 1 });
+    expect(Date.parse(first.next_attempt_at) - Date.now()).toBeGreaterThan(50000);
+
+    await dispatcher.attempt(delivery.id);
+    const last = await dispatcher.attempt(delivery.id);
+    expect(last.status).toBe('dead');
+    expect(last.attempts.map(attempt => attempt.error)).toEqual(['Receiver answered 500', 'connect ECONNREFUSED', 'Receiver answered 503']);
+
+    dispatcher.redeliver(delivery.id);
+    dispatcher.stop();
+    expect(await dispatcher.attempt(delivery.id)).toMatchObject({ status: 'succeeded', attempt_count: 1 });
+  });
+
+  it('should keep a bounded history and resume pending deliveries', async () => {
+    subscribe(['*']);
+    const [first] = publish('data.created');
+    const [second] = publish('data.updated');
+    await dispatcher.attempt(first.id);
+    await dispatcher.attempt(second.id);
+    expect(storage.collection('deliveries').findAll().map(delivery => delivery.id)).toEqual([second.id]);
+
+    publish('data.deleted');
+    expect(dispatcher.start()).toBe(1);
+
+    dispatcher.cancel('hook-*');
+    expect(storage.collection('deliveries').count()).toBe(0);
+  });
+});